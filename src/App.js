@@ -2,26 +2,55 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import Header from './components/Header';
 import ServerStatus from './components/ServerStatus';
+import RejectedSurveys from './components/RejectedSurveys';
 import SurveyForm from './components/SurveyForm';
+import IncidentForm from './components/IncidentForm';
 import AdminPanel from './components/AdminPanel';
 import { LoginForm, RegisterForm } from './components/AuthForms';
+import { getSession, clearSession } from './session';
+import { useI18n } from './i18n';
+
+// Invitation links open the registration form: https://.../?invitacion=<token>
+const invitationFromUrl = new URLSearchParams(window.location.search).get('invitacion') || '';
+
+const TABS = [
+  { id: 'encuesta', label: 'tabs.survey' },
+  { id: 'incidente', label: 'tabs.incident' },
+  { id: 'admin', label: 'tabs.admin' },
+];
 
 const App = () => {
-  const [activeTab, setActiveTab] = useState('encuesta'); // 'encuesta' or 'admin'
-  const [isAdminLoggedIn, setIsAdminLoggedIn] = useState(false);
-  const [showRegisterForm, setShowRegisterForm] = useState(false);
+  const [activeTab, setActiveTab] = useState(invitationFromUrl ? 'admin' : 'encuesta'); // One of TABS
+  const [isAdminLoggedIn, setIsAdminLoggedIn] = useState(() => Boolean(getSession()));
+  const [showRegisterForm, setShowRegisterForm] = useState(Boolean(invitationFromUrl));
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const { t } = useI18n();
 
   const handleLoginSuccess = (user) => {
     setIsAdminLoggedIn(true);
     setShowRegisterForm(false);
+    setSessionExpired(false);
     console.log('Admin logged in:', user);
   };
 
+  // The invitation is single-use: drop it from the address bar once the account exists
+  const handleRegisterSuccess = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setShowRegisterForm(false);
+  };
+
   const handleLogout = () => {
+    clearSession();
     setIsAdminLoggedIn(false);
     setActiveTab('encuesta'); // Redirect to survey tab after logout
   };
 
+  const handleSessionExpired = () => {
+    clearSession();
+    setIsAdminLoggedIn(false);
+    setSessionExpired(true); // Stay on the admin tab so the login form is shown
+  };
+
   const handleSurveySubmit = (surveyData) => {
     console.log('Survey submitted:', surveyData);
     // In a real app, you might want to refresh admin panel data here
@@ -35,33 +64,25 @@ const App = () => {
 
         <div className="p-6 sm:p-8">
           <ServerStatus />
+          <RejectedSurveys />
 
           <div className="flex justify-center mb-8">
-            <div className="bg-gray-100 rounded-full p-1 flex shadow-inner">
-              <motion.button
-                onClick={() => setActiveTab('encuesta')}
-                className={`py-3 px-6 rounded-full font-semibold text-lg transition-all duration-300 ${
-                  activeTab === 'encuesta'
-                    ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-md'
-                    : 'text-gray-700 hover:bg-gray-200'
-                }`}
-                whileHover={{ scale: 1.05 }}
-                whileTap={{ scale: 0.95 }}
-              >
-                📝 Encuesta de Seguridad
-              </motion.button>
-              <motion.button
-                onClick={() => setActiveTab('admin')}
-                className={`py-3 px-6 rounded-full font-semibold text-lg transition-all duration-300 ${
-                  activeTab === 'admin'
-                    ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-md'
-                    : 'text-gray-700 hover:bg-gray-200'
-                }`}
-                whileHover={{ scale: 1.05 }}
-                whileTap={{ scale: 0.95 }}
-              >
-                👤 Panel Administrativo
-              </motion.button>
+            <div className="bg-gray-100 rounded-3xl p-1 flex flex-wrap justify-center shadow-inner">
+              {TABS.map((tab) => (
+                <motion.button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`py-3 px-6 rounded-full font-semibold text-lg transition-all duration-300 ${
+                    activeTab === tab.id
+                      ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-md'
+                      : 'text-gray-700 hover:bg-gray-200'
+                  }`}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  {t(tab.label)}
+                </motion.button>
+              ))}
             </div>
           </div>
 
@@ -73,14 +94,15 @@ const App = () => {
             transition={{ duration: 0.4 }}
           >
             {activeTab === 'encuesta' && <SurveyForm onSurveySubmit={handleSurveySubmit} />}
+            {activeTab === 'incidente' && <IncidentForm />}
             {activeTab === 'admin' && (
               isAdminLoggedIn ? (
-                <AdminPanel onLogout={handleLogout} />
+                <AdminPanel onLogout={handleLogout} onSessionExpired={handleSessionExpired} />
               ) : (
                 showRegisterForm ? (
-                  <RegisterForm onRegisterSuccess={() => setShowRegisterForm(false)} onShowLogin={() => setShowRegisterForm(true)} />
+                  <RegisterForm invitation={invitationFromUrl} onRegisterSuccess={handleRegisterSuccess} onShowLogin={() => setShowRegisterForm(false)} />
                 ) : (
-                  <LoginForm onLoginSuccess={handleLoginSuccess} onShowRegister={() => setShowRegisterForm(true)} />
+                  <LoginForm onLoginSuccess={handleLoginSuccess} onShowRegister={() => setShowRegisterForm(true)} sessionExpired={sessionExpired} />
                 )
               )
             )}
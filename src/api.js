@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { getSession, saveSession, clearSession } from './session';
+
+// HTTP client shared by every component. Configured at build time through REACT_APP_*
+// variables (the only ones Create React App exposes):
+//   REACT_APP_API_URL      API base URL (localhost by default in development)
+//   REACT_APP_API_TIMEOUT  maximum time per request in ms
+//   REACT_APP_API_RETRIES  retries of reads that fail because of the network or a server error
+const DEFAULT_API_URL = process.env.NODE_ENV === 'production'
+  ? 'https://tu-backend.onrender.com/api'
+  : 'http://localhost:3000/api';
+
+export const API_URL = (process.env.REACT_APP_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+const TIMEOUT = Number(process.env.REACT_APP_API_TIMEOUT) || 15000;
+const RETRIES = process.env.REACT_APP_API_RETRIES ? Number(process.env.REACT_APP_API_RETRIES) : 2;
+const RETRY_DELAY = 500;
+// Only side-effect-free methods are retried: a repeated POST could save twice
+const RETRY_METHODS = ['get', 'head', 'options'];
+
+// Options each request accepts on top of axios' own:
+//   skipAuth  does not send the token nor try to renew it (login, registration, server status)
+//   retries   number of retries for this request (RETRIES for reads by default, 0 for writes)
+const api = axios.create({ baseURL: API_URL, timeout: TIMEOUT });
+
+api.interceptors.request.use((config) => {
+  const token = getSession()?.accessToken;
+  if (token && !config.skipAuth) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// Transient failure: no response (network, timeout), server error or too many requests
+const isTransient = (error) => !error.response || error.response.status >= 500 || error.response.status === 429;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A single refresh at a time even if several requests get a 401 at once
+let refreshing = null;
+
+// Tries to renew the access token; resolves with the new session, or null if the refresh token is no longer valid
+export const refreshSession = () => {
+  if (refreshing) return refreshing;
+  refreshing = (async () => {
+    const session = getSession();
+    if (!session?.refreshToken) return null;
+    try {
+      const response = await api.post('/refresh', { refreshToken: session.refreshToken }, { skipAuth: true });
+      const renewed = { ...session, ...response.data };
+      saveSession(renewed);
+      return renewed;
+    } catch (error) {
+      return null;
+    }
+  })().finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+};
+
+// On a 401 the token is renewed once and the request repeated; if that is not possible either,
+// the session is cleared and the error is rethrown with `sessionExpired`. Reads that fail for
+// transient reasons are retried with exponential backoff.
+api.interceptors.response.use(null, async (error) => {
+  const { config } = error;
+  if (!config || axios.isCancel(error)) throw error;
+
+  if (error.response?.status === 401 && !config.skipAuth) {
+    if (!config.sessionRetried && await refreshSession()) {
+      return api({ ...config, sessionRetried: true });
+    }
+    clearSession();
+    error.sessionExpired = true;
+    throw error;
+  }
+
+  const retries = config.retries ?? (RETRY_METHODS.includes(config.method) ? RETRIES : 0);
+  const attempt = config.attempt || 0;
+  if (attempt < retries && isTransient(error)) {
+    await wait(RETRY_DELAY * 2 ** attempt);
+    return api({ ...config, attempt: attempt + 1 });
+  }
+  throw error;
+});
+
+export default api;
@@ -0,0 +1,35 @@
+import React, { useCallback, useEffect, useRef } from 'react';
+
+// Helpers to report failed API requests through the Alert component. Messages are
+// React elements, never HTML strings: names, stall codes and server messages are shown as text.
+
+// What the server says went wrong: the validation message (`mensaje`), the error of a 500
+// (`error`) or, when there is no response, the network error
+export const errorDetail = (error) => error.response?.data?.mensaje || error.response?.data?.error || error.message;
+
+// Alert message with a summary line and, if given, a smaller detail line below
+export const alertMessage = (text, detail) => (
+  <>
+    {text}
+    {detail && <><br /><small>{detail}</small></>}
+  </>
+);
+
+// Error handler shared by the admin panels: logs the error, hands an expired session over to
+// `onSessionExpired` and otherwise shows "❌ message" with the server detail. The handler keeps
+// its identity between renders, so loaders that use it can be effect dependencies.
+export const useErrorHandler = (setAlert, onSessionExpired) => {
+  const sessionExpired = useRef(onSessionExpired);
+  useEffect(() => {
+    sessionExpired.current = onSessionExpired;
+  }, [onSessionExpired]);
+
+  return useCallback((error, message) => {
+    console.error(message, error);
+    if (error.sessionExpired) {
+      sessionExpired.current();
+      return;
+    }
+    setAlert({ type: 'danger', message: alertMessage(`❌ ${message}`, errorDetail(error)) });
+  }, [setAlert]);
+};
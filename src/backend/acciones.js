@@ -0,0 +1,84 @@
+// Plan de acción: medidas que toma la administración del mercado (p. ej. "instalar 10 luminarias
+// en el sector C") ligadas a los códigos de problema de la encuesta y a los sectores a los que
+// afectan, para comparar las respuestas de antes y después de completarlas. Aquí están los
+// catálogos y la validación; el modelo Accion y las rutas están en server.js.
+const { CATEGORIAS_INCIDENTE } = require('./incidentes');
+
+// Los mismos códigos de problema de la encuesta que usan los incidentes
+const PROBLEMAS_ACCION = CATEGORIAS_INCIDENTE;
+
+const ESTADOS_ACCION = ['pendiente', 'en_curso', 'completada', 'cancelada'];
+
+const LIMITE_TITULO = 200;
+const LIMITE_DESCRIPCION = 2000;
+const LIMITE_RESPONSABLE = 100;
+
+// Días de cada lado de la fecha de finalización en la comparación antes/después
+const DIAS_COMPARACION = [30, 60, 90];
+
+const texto = (valor) => (typeof valor === 'string' ? valor.trim() : '');
+const esDia = (valor) => /^\d{4}-\d{2}-\d{2}$/.test(valor) && !isNaN(new Date(`${valor}T00:00:00Z`).getTime());
+
+// Lista de textos sin repetir a partir de un array o de un texto separado por comas
+const lista = (valor) => {
+  const elementos = Array.isArray(valor) ? valor : typeof valor === 'string' ? valor.split(',') : [];
+  return [...new Set(elementos.map(texto).filter(Boolean))];
+};
+
+// Valida una acción del plan. Devuelve { datos, errores } con los errores indexados por campo.
+// La fecha límite y la de finalización son días del calendario (YYYY-MM-DD); si no se indica la
+// de finalización de una acción completada, la ruta usa el momento del cambio. Que los sectores
+// existan en el registro de puestos se comprueba en la ruta.
+function validarAccion(body = {}) {
+  const errores = {};
+  const datos = {
+    titulo: texto(body.titulo),
+    descripcion: texto(body.descripcion),
+    problemas: lista(body.problemas),
+    sectores: [...new Set(lista(body.sectores).map(sector => sector.toUpperCase()))],
+    responsable: texto(body.responsable),
+    fechaLimite: texto(body.fechaLimite),
+    estado: body.estado === undefined ? 'pendiente' : body.estado,
+  };
+
+  if (!datos.titulo) errores.titulo = 'Describa la medida';
+  else if (datos.titulo.length > LIMITE_TITULO) errores.titulo = `No puede superar ${LIMITE_TITULO} caracteres`;
+  if (datos.descripcion.length > LIMITE_DESCRIPCION) errores.descripcion = `No puede superar ${LIMITE_DESCRIPCION} caracteres`;
+
+  const desconocidos = datos.problemas.filter(codigo => !PROBLEMAS_ACCION.includes(codigo));
+  if (datos.problemas.length === 0) errores.problemas = 'Seleccione al menos un problema';
+  else if (desconocidos.length > 0) errores.problemas = `Problemas no válidos: ${desconocidos.join(', ')}`;
+
+  // Sin sectores, la acción afecta a todo el mercado
+  const sectoresInvalidos = datos.sectores.filter(sector => !/^[A-Z]{1,3}$/.test(sector));
+  if (sectoresInvalidos.length > 0) errores.sectores = `Sectores no válidos: ${sectoresInvalidos.join(', ')} (use las letras del sector, p. ej. C)`;
+
+  if (!datos.responsable) errores.responsable = 'Indique el responsable';
+  else if (datos.responsable.length > LIMITE_RESPONSABLE) errores.responsable = `No puede superar ${LIMITE_RESPONSABLE} caracteres`;
+
+  if (!esDia(datos.fechaLimite)) errores.fechaLimite = 'Indique la fecha límite (AAAA-MM-DD)';
+
+  if (body.costo === undefined || body.costo === null || body.costo === '') {
+    datos.costo = null;
+  } else {
+    const costo = Number(body.costo);
+    if (!Number.isFinite(costo) || costo < 0) errores.costo = 'El costo debe ser un número mayor o igual a 0';
+    else datos.costo = Math.round(costo * 100) / 100;
+  }
+
+  if (!ESTADOS_ACCION.includes(datos.estado)) errores.estado = `Estado no válido (${ESTADOS_ACCION.join(', ')})`;
+
+  const completadaEn = texto(body.completadaEn);
+  if (datos.estado === 'completada' && completadaEn) {
+    if (!esDia(completadaEn)) errores.completadaEn = 'Fecha no válida (AAAA-MM-DD)';
+    else datos.completadaEn = completadaEn;
+  }
+  return { datos, errores };
+}
+
+module.exports = {
+  PROBLEMAS_ACCION,
+  ESTADOS_ACCION,
+  DIAS_COMPARACION,
+  validarAccion,
+};
@@ -0,0 +1,136 @@
+// Análisis de las sugerencias (texto libre) en español, sin servicios externos: normalización,
+// eliminación de palabras vacías, términos y bigramas más frecuentes, y clasificación en temas
+// (cámaras, guardias, iluminación...) con un diccionario de palabras clave que editan los
+// administradores.
+
+// Palabras vacías del español, ya normalizadas (minúsculas y sin tildes)
+const PALABRAS_VACIAS = new Set(`
+a al algo algun alguna algunas alguno algunos ante antes aqui asi aun aunque bien cada casi como con
+contra cual cuales cuando cuanto de del desde donde dos el ella ellas ello ellos en entre era eran es
+esa esas ese eso esos esta estaba estan estar estas este esto estos fue fueron ha haber habia han
+hace hacen hacer hacia hasta hay haya hayan la las le les lo los mas me mi mis mucho muchos muy nada ni no nos
+nosotros nuestra nuestras nuestro nuestros o otra otras otro otros para pero poco por porque pues que
+quien quienes se sea ser si sido sin sobre solo son su sus tal tambien tan tanto te tener tiene tienen
+todo todos toda todas tu tus un una unas uno unos usted ustedes va van y ya yo
+favor gracias ninguna ninguno nomas ojala poner pongan quisiera queremos seria sugerencia
+`.trim().split(/\s+/));
+
+const LONGITUD_MINIMA = 3;
+const LIMITE_TERMINOS = 30;
+
+// Temas con los que se crea el diccionario la primera vez. Las palabras clave se comparan
+// normalizadas y como inicio de palabra: 'camara' reconoce también 'cámaras'.
+const TEMAS_PREDETERMINADOS = [
+  { codigo: 'camaras', nombre: '📹 Cámaras', palabras: ['camara', 'video', 'vigilancia electronica', 'cctv', 'monitoreo'] },
+  { codigo: 'guardias', nombre: '👮 Guardias', palabras: ['guardia', 'vigilante', 'sereno', 'policia', 'patrull', 'seguridad privada'] },
+  { codigo: 'iluminacion', nombre: '💡 Iluminación', palabras: ['luz', 'luces', 'iluminacion', 'alumbrado', 'foco', 'lampara', 'oscur'] },
+  { codigo: 'rejas', nombre: '🚧 Rejas y cerramientos', palabras: ['reja', 'puerta', 'porton', 'candado', 'cerradura', 'cerco', 'muro'] },
+  { codigo: 'alarmas', nombre: '🚨 Alarmas', palabras: ['alarma', 'sirena', 'silbato', 'boton de panico'] },
+  { codigo: 'limpieza', nombre: '🧹 Limpieza y orden', palabras: ['basura', 'limpieza', 'aseo', 'ambulante', 'desorden'] },
+];
+
+const PATRON_CODIGO_TEMA = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+const MAXIMO_TEMAS = 50;
+const MAXIMO_PALABRAS = 50;
+
+// Minúsculas, sin tildes ni diéresis (la ñ se conserva) y sin signos de puntuación
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/n\u0303/g, 'ñ')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zñ0-9\s.,;:!?¡¿()\n]/g, ' ');
+}
+
+// Frases del texto como listas de palabras significativas. Los bigramas no cruzan signos de
+// puntuación, pero sí las palabras vacías eliminadas ("más cámaras de seguridad" → "camaras seguridad").
+function frasesSignificativas(texto) {
+  return normalizarTexto(texto)
+    .split(/[.,;:!?¡¿()\n]+/)
+    .map(frase => frase.split(/\s+/).filter(palabra => (
+      palabra.length >= LONGITUD_MINIMA && !/^\d+$/.test(palabra) && !PALABRAS_VACIAS.has(palabra)
+    )))
+    .filter(palabras => palabras.length > 0);
+}
+
+// Los `limite` elementos más frecuentes de un mapa término → total
+const masFrecuentes = (mapa, limite) => [...mapa.entries()]
+  .sort(([a, totalA], [b, totalB]) => totalB - totalA || a.localeCompare(b))
+  .slice(0, limite)
+  .map(([termino, total]) => ({ termino, total }));
+
+// Acumula las sugerencias de una en una (p. ej. desde un cursor) y devuelve los términos y
+// bigramas más frecuentes. Cada término cuenta una vez por sugerencia, aunque se repita en ella.
+function crearAnalisis() {
+  const terminos = new Map();
+  const bigramas = new Map();
+  let total = 0;
+
+  const contar = (mapa, claves) => claves.forEach(clave => mapa.set(clave, (mapa.get(clave) || 0) + 1));
+
+  return {
+    agregar(texto) {
+      const frases = frasesSignificativas(texto);
+      if (frases.length === 0) return;
+      total++;
+      contar(terminos, new Set(frases.flat()));
+      contar(bigramas, new Set(frases.flatMap(palabras => palabras.slice(1).map((palabra, i) => `${palabras[i]} ${palabra}`))));
+    },
+    resultado(limite = LIMITE_TERMINOS) {
+      return { total, terminos: masFrecuentes(terminos, limite), bigramas: masFrecuentes(bigramas, limite) };
+    },
+  };
+}
+
+// Códigos de los temas cuyas palabras clave aparecen en el texto
+function detectarTemas(texto, temas) {
+  if (!texto) return [];
+  const normalizado = ` ${normalizarTexto(texto).replace(/[^a-zñ0-9]+/g, ' ')}`;
+  return temas
+    .filter(tema => tema.palabras.some(palabra => {
+      const clave = normalizarTexto(palabra).replace(/[^a-zñ0-9]+/g, ' ').trim();
+      return clave && normalizado.includes(` ${clave}`);
+    }))
+    .map(tema => tema.codigo);
+}
+
+// Valida el diccionario completo enviado por el panel. Devuelve { datos, errores } con errores
+// indexados por ruta (p. ej. 'temas.0.palabras').
+function validarTemas(body = {}) {
+  const errores = {};
+  if (!Array.isArray(body.temas)) {
+    return { datos: [], errores: { temas: 'Envíe la lista de temas' } };
+  }
+  if (body.temas.length > MAXIMO_TEMAS) {
+    return { datos: [], errores: { temas: `Como máximo ${MAXIMO_TEMAS} temas` } };
+  }
+
+  const codigos = new Set();
+  const datos = body.temas.map((elemento, i) => {
+    const tema = elemento && typeof elemento === 'object' ? elemento : {};
+    const codigo = typeof tema.codigo === 'string' ? tema.codigo.trim().toLowerCase() : '';
+    const nombre = typeof tema.nombre === 'string' ? tema.nombre.trim() : '';
+    const palabras = Array.isArray(tema.palabras)
+      ? [...new Set(tema.palabras.filter(p => typeof p === 'string').map(p => p.trim().toLowerCase()).filter(Boolean))]
+      : [];
+
+    if (!PATRON_CODIGO_TEMA.test(codigo)) errores[`temas.${i}.codigo`] = 'Código no válido (minúsculas, números, - o _)';
+    else if (codigos.has(codigo)) errores[`temas.${i}.codigo`] = 'Código repetido';
+    codigos.add(codigo);
+    if (!nombre || nombre.length > 60) errores[`temas.${i}.nombre`] = 'Indique un nombre de hasta 60 caracteres';
+    if (palabras.length === 0) errores[`temas.${i}.palabras`] = 'Indique al menos una palabra clave';
+    else if (palabras.length > MAXIMO_PALABRAS || palabras.some(p => p.length > 60)) {
+      errores[`temas.${i}.palabras`] = `Como máximo ${MAXIMO_PALABRAS} palabras clave de hasta 60 caracteres`;
+    }
+    return { codigo, nombre, palabras };
+  });
+  return { datos, errores };
+}
+
+module.exports = {
+  TEMAS_PREDETERMINADOS,
+  crearAnalisis,
+  detectarTemas,
+  validarTemas,
+};
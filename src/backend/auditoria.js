@@ -0,0 +1,75 @@
+// Registro de auditoría de las acciones administrativas: quién hizo qué, cuándo, desde qué IP
+// y sobre qué documentos. Aquí están el catálogo de acciones y las columnas de la exportación;
+// el modelo AuditLog está en server.js.
+
+// Código de acción → descripción legible (panel y exportaciones)
+const ACCIONES_AUDITORIA = {
+  'sesion.login': 'Inicio de sesión',
+  'sesion.login_fallido': 'Inicio de sesión fallido',
+  'sesion.logout': 'Cierre de sesión',
+  'usuarios.registro': 'Registro de usuario por invitación',
+  'usuarios.actualizar': 'Cambio de rol o estado de un usuario',
+  'invitaciones.crear': 'Creación de invitación',
+  'invitaciones.revocar': 'Revocación de invitación',
+  'respuestas.listar': 'Consulta del listado de respuestas',
+  'respuestas.tiempo_real': 'Conexión a las actualizaciones en tiempo real',
+  'respuestas.exportar': 'Exportación de respuestas',
+  'respuestas.importar': 'Importación de encuestas en papel',
+  'respuestas.eliminar': 'Envío de respuestas a la papelera',
+  'importaciones.revertir': 'Reversión de una importación',
+  'encuestas.guardar_borrador': 'Guardado del borrador de una encuesta',
+  'encuestas.descartar_borrador': 'Descarte del borrador de una encuesta',
+  'encuestas.publicar': 'Publicación de una encuesta',
+  'puestos.crear': 'Alta de puesto',
+  'puestos.carga_masiva': 'Carga masiva de puestos',
+  'puestos.actualizar': 'Modificación de puesto',
+  'puestos.eliminar': 'Eliminación de puesto',
+  'duplicados.reglas': 'Cambio de las reglas de duplicados',
+  'duplicados.resolver': 'Resolución de un grupo de duplicados',
+  'sugerencias.temas': 'Cambio del diccionario de temas de las sugerencias',
+  'incidentes.actualizar': 'Cambio de estado o asignación de un incidente',
+  'incidentes.comentar': 'Comentario en un incidente',
+  'acciones.crear': 'Alta de una acción del plan',
+  'acciones.actualizar': 'Modificación de una acción del plan',
+  'acciones.eliminar': 'Eliminación de una acción del plan',
+  'papelera.restaurar': 'Restauración desde la papelera',
+  'papelera.eliminar': 'Eliminación definitiva',
+  'papelera.vaciar': 'Vaciado de la papelera',
+  'privacidad.borrar': 'Borrado de datos personales a petición',
+  'privacidad.retencion': 'Borrado de datos personales por retención',
+  'auditoria.exportar': 'Exportación del registro de auditoría',
+};
+
+const FORMATOS_AUDITORIA = ['csv', 'xlsx', 'json'];
+
+const COLUMNAS_AUDITORIA = [
+  { clave: 'fecha', titulo: 'Fecha (UTC)', ancho: 22 },
+  { clave: 'accion', titulo: 'Acción', ancho: 26 },
+  { clave: 'descripcion', titulo: 'Descripción', ancho: 40 },
+  { clave: 'exito', titulo: 'Éxito', ancho: 6 },
+  { clave: 'usuario', titulo: 'Usuario', ancho: 18 },
+  { clave: 'rol', titulo: 'Rol', ancho: 12 },
+  { clave: 'ip', titulo: 'IP', ancho: 16 },
+  { clave: 'ids', titulo: 'Documentos afectados', ancho: 40 },
+  { clave: 'detalles', titulo: 'Detalles', ancho: 50 },
+];
+
+// Un registro como fila plana (mismas claves que COLUMNAS_AUDITORIA)
+const aFilaAuditoria = (registro) => ({
+  fecha: registro.fecha.toISOString(),
+  accion: registro.accion,
+  descripcion: ACCIONES_AUDITORIA[registro.accion] || '',
+  exito: registro.exito ? 'sí' : 'no',
+  usuario: registro.usuario || '',
+  rol: registro.rol || '',
+  ip: registro.ip || '',
+  ids: (registro.ids || []).join('; '),
+  detalles: registro.detalles ? JSON.stringify(registro.detalles) : '',
+});
+
+module.exports = {
+  ACCIONES_AUDITORIA,
+  FORMATOS_AUDITORIA,
+  COLUMNAS_AUDITORIA,
+  aFilaAuditoria,
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Configuración de sesiones (tokens firmados con HMAC-SHA256, formato JWT)
+const SESSION_SECRET = process.env.SESSION_SECRET;
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // 15 minutos
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60; // 7 días
+
+if (!SESSION_SECRET) {
+  console.warn('⚠️ SESSION_SECRET no está definido: no se podrán emitir sesiones de administrador');
+}
+
+// --- Roles ---
+// superadmin: todo, incluida la gestión de usuarios · analista: solo lectura
+// encuestador: carga de encuestas en papel y consulta de puestos
+const ROLES = ['superadmin', 'analista', 'encuestador'];
+
+// --- Contraseñas ---
+// Formato almacenado: scrypt$<salt hex>$<hash hex>
+const HASH_PREFIX = 'scrypt$';
+const KEY_LENGTH = 64;
+
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, KEY_LENGTH, (err, derived) => {
+    if (err) return reject(err);
+    resolve(`${HASH_PREFIX}${salt}$${derived.toString('hex')}`);
+  });
+});
+
+// Acepta también contraseñas antiguas en texto plano para poder migrarlas al iniciar sesión
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') return resolve(false);
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    return resolve(a.length === b.length && crypto.timingSafeEqual(a, b));
+  }
+
+  const [, salt, hash] = stored.split('$');
+  crypto.scrypt(password, salt, KEY_LENGTH, (err, derived) => {
+    if (err) return reject(err);
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+  });
+});
+
+// --- Tokens ---
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (payload, ttl) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttl }));
+  const signature = crypto.createHmac('sha256', SESSION_SECRET).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+};
+
+// Devuelve el payload si la firma es válida y no ha expirado, o null en caso contrario
+const verify = (token) => {
+  if (!SESSION_SECRET || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = crypto.createHmac('sha256', SESSION_SECRET).update(`${header}.${body}`).digest();
+  const received = Buffer.from(signature, 'base64url');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Emite el par de tokens de acceso y de refresco para un usuario. Ambos llevan la versión de
+// sesión (tokenVersion) vigente al emitirlos; el cierre de sesión la incrementa. Comparar esa
+// versión necesita la base de datos, así que no lo hace requireAuth sino cuentaVigente (server.js)
+// y la ruta de refresco: sin esa comprobación un token de acceso seguiría valiendo hasta caducar.
+const issueSession = (user) => ({
+  accessToken: sign({ sub: String(user._id), usuario: user.usuario, rol: user.rol, ver: user.tokenVersion || 0, type: 'access' }, ACCESS_TOKEN_TTL),
+  refreshToken: sign({ sub: String(user._id), ver: user.tokenVersion || 0, type: 'refresh' }, REFRESH_TOKEN_TTL),
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+const verifyRefreshToken = (token) => {
+  const payload = verify(token);
+  return payload && payload.type === 'refresh' ? payload : null;
+};
+
+// Middleware que protege las rutas administrativas: solo comprueba la firma y la caducidad del
+// token de acceso. La revocación (sesión cerrada, cuenta desactivada) la aplica cuentaVigente.
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const payload = scheme === 'Bearer' ? verify(token) : null;
+
+  if (!payload || payload.type !== 'access') {
+    return res.status(401).json({ mensaje: 'Sesión inválida o expirada' });
+  }
+
+  req.user = { id: payload.sub, usuario: payload.usuario, rol: payload.rol, ver: payload.ver, exp: payload.exp };
+  next();
+};
+
+// Middleware que restringe una ruta a ciertos roles (usar después de requireAuth)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.rol)) {
+    return res.status(403).json({ mensaje: 'No tiene permiso para realizar esta acción' });
+  }
+  next();
+};
+
+// --- Invitaciones ---
+// El enlace lleva el token en claro; en la base de datos solo se guarda su hash SHA-256
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const createInvitationToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashInvitationToken(token) };
+};
+
+module.exports = {
+  ROLES,
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  issueSession,
+  verifyRefreshToken,
+  requireAuth,
+  requireRole,
+  hashInvitationToken,
+  createInvitationToken,
+};
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+process.env.SESSION_SECRET = 'secreto-de-prueba';
+process.env.ACCESS_TOKEN_TTL = '60';
+process.env.REFRESH_TOKEN_TTL = '3600';
+
+const { hashPassword, verifyPassword, issueSession, verifyRefreshToken, requireAuth, requireRole } = require('./auth');
+
+const USUARIO = { _id: 'u1', usuario: 'ana.perez', rol: 'analista', tokenVersion: 2 };
+
+// Ejecuta un middleware con una petición y una respuesta mínimas de Express
+const ejecutar = (middleware, req) => {
+  const res = { statusCode: 200, body: null };
+  res.status = (codigo) => Object.assign(res, { statusCode: codigo });
+  res.json = (body) => Object.assign(res, { body });
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+};
+
+const conToken = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('contraseñas', () => {
+  it('verifica la contraseña con la que se generó el hash', async () => {
+    const almacenada = await hashPassword('clave-segura');
+    expect(almacenada).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    await expect(verifyPassword('clave-segura', almacenada)).resolves.toBe(true);
+    await expect(verifyPassword('otra-clave', almacenada)).resolves.toBe(false);
+  });
+
+  it('acepta contraseñas antiguas en texto plano para migrarlas', async () => {
+    await expect(verifyPassword('antigua', 'antigua')).resolves.toBe(true);
+    await expect(verifyPassword('antigua', 'distinta')).resolves.toBe(false);
+    await expect(verifyPassword(undefined, 'antigua')).resolves.toBe(false);
+  });
+});
+
+describe('sesiones', () => {
+  it('firma un token de acceso que requireAuth acepta', () => {
+    const { accessToken, expiresIn } = issueSession(USUARIO);
+    const req = conToken(accessToken);
+    const { res, next } = ejecutar(requireAuth, req);
+
+    expect(expiresIn).toBe(60);
+    expect(next).toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(req.user).toMatchObject({ id: 'u1', usuario: 'ana.perez', rol: 'analista', ver: 2 });
+  });
+
+  it('rechaza un token con la firma o el contenido alterados', () => {
+    const { accessToken } = issueSession(USUARIO);
+    const [header, body, signature] = accessToken.split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    const alterado = Buffer.from(JSON.stringify({ ...payload, rol: 'superadmin' })).toString('base64url');
+
+    [`${header}.${alterado}.${signature}`, `${header}.${body}.${signature.slice(0, -2)}`, 'no-es-un-token'].forEach((token) => {
+      const { res, next } = ejecutar(requireAuth, conToken(token));
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  it('rechaza el token de acceso caducado', () => {
+    const ahora = Date.now();
+    const { accessToken } = issueSession(USUARIO);
+
+    jest.spyOn(Date, 'now').mockReturnValue(ahora + 59 * 1000);
+    expect(ejecutar(requireAuth, conToken(accessToken)).next).toHaveBeenCalled();
+
+    Date.now.mockReturnValue(ahora + 61 * 1000);
+    const { res, next } = ejecutar(requireAuth, conToken(accessToken));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('no confunde los tokens de acceso con los de refresco', () => {
+    const { accessToken, refreshToken } = issueSession(USUARIO);
+
+    expect(verifyRefreshToken(refreshToken)).toMatchObject({ sub: 'u1', ver: 2, type: 'refresh' });
+    expect(verifyRefreshToken(accessToken)).toBeNull();
+    expect(ejecutar(requireAuth, conToken(refreshToken)).res.statusCode).toBe(401);
+  });
+
+  it('el token de refresco caduca con su propio plazo', () => {
+    const ahora = Date.now();
+    const { refreshToken } = issueSession(USUARIO);
+
+    jest.spyOn(Date, 'now').mockReturnValue(ahora + 3599 * 1000);
+    expect(verifyRefreshToken(refreshToken)).not.toBeNull();
+    Date.now.mockReturnValue(ahora + 3601 * 1000);
+    expect(verifyRefreshToken(refreshToken)).toBeNull();
+  });
+});
+
+describe('requireRole', () => {
+  it('deja pasar solo a los roles indicados', () => {
+    const soloSuperadmin = requireRole('superadmin');
+
+    expect(ejecutar(soloSuperadmin, { user: { rol: 'superadmin' } }).next).toHaveBeenCalled();
+    const { res, next } = ejecutar(soloSuperadmin, { user: { rol: 'analista' } });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+});
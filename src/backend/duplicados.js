@@ -0,0 +1,58 @@
+// Reglas de detección de respuestas duplicadas, p. ej. "una respuesta por puesto y semana".
+// Cada regla compara un campo de la respuesta con las ya recibidas en el mismo periodo
+// y decide si el duplicado se rechaza o se guarda marcado para revisión.
+const { condicionCampo } = require('./privacidad');
+const { DESFASE_HORAS, HORA_MS } = require('./zonaHoraria');
+
+const CAMPOS_DUPLICADOS = ['puesto', 'telefono', 'nombre'];
+// 'encuesta' = una vez por versión de la encuesta, sin límite de tiempo
+const PERIODOS_DUPLICADOS = ['dia', 'semana', 'mes', 'encuesta'];
+const ACCIONES_DUPLICADOS = ['rechazar', 'marcar'];
+
+// Inicio (UTC) del día, la semana (lunes) o el mes local que contiene `fecha`
+function inicioPeriodo(periodo, fecha) {
+  const local = new Date(fecha.getTime() + DESFASE_HORAS * HORA_MS);
+  let inicio = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  if (periodo === 'semana') inicio -= ((local.getUTCDay() + 6) % 7) * 24 * HORA_MS;
+  if (periodo === 'mes') inicio = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1);
+  return new Date(inicio - DESFASE_HORAS * HORA_MS);
+}
+
+// Filtro de MongoDB con las respuestas que una nueva respuesta duplicaría según la regla,
+// o null si la respuesta no tiene valor en el campo de la regla (p. ej. el nombre de una
+// respuesta anónima). Nombre y teléfono se comparan por su huella si están cifrados.
+function filtroDuplicados(regla, datos, encuesta, fecha) {
+  const valor = datos[regla.campo];
+  if (!valor) return null;
+  const filtro = { ...condicionCampo(regla.campo, valor), encuesta: encuesta.codigo };
+  if (regla.periodo === 'encuesta') filtro.encuestaVersion = encuesta.version;
+  else filtro.submittedAt = { $gte: inicioPeriodo(regla.periodo, fecha) };
+  return filtro;
+}
+
+// Valida la lista completa de reglas enviada por el panel. Devuelve { datos, errores }
+// con errores indexados por ruta (p. ej. 'reglas.0.periodo').
+function validarReglasDuplicados(body = {}) {
+  const errores = {};
+  if (!Array.isArray(body.reglas)) {
+    return { datos: [], errores: { reglas: 'Envíe la lista de reglas' } };
+  }
+
+  const datos = body.reglas.map((elemento, i) => {
+    const regla = elemento && typeof elemento === 'object' ? elemento : {};
+    if (!CAMPOS_DUPLICADOS.includes(regla.campo)) errores[`reglas.${i}.campo`] = `Campo no válido (${CAMPOS_DUPLICADOS.join(', ')})`;
+    if (!PERIODOS_DUPLICADOS.includes(regla.periodo)) errores[`reglas.${i}.periodo`] = `Periodo no válido (${PERIODOS_DUPLICADOS.join(', ')})`;
+    if (!ACCIONES_DUPLICADOS.includes(regla.accion)) errores[`reglas.${i}.accion`] = `Acción no válida (${ACCIONES_DUPLICADOS.join(', ')})`;
+    return { campo: regla.campo, periodo: regla.periodo, accion: regla.accion, activa: regla.activa !== false };
+  });
+  return { datos, errores };
+}
+
+module.exports = {
+  CAMPOS_DUPLICADOS,
+  PERIODOS_DUPLICADOS,
+  ACCIONES_DUPLICADOS,
+  inicioPeriodo,
+  filtroDuplicados,
+  validarReglasDuplicados,
+};
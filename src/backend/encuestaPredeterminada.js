@@ -0,0 +1,138 @@
+// Definición inicial de la encuesta de seguridad: las preguntas que tenía el formulario antes
+// de ser configurable más las preguntas de seguimiento. Se crea como versión 1 publicada si la
+// base de datos no tiene ninguna (las bases de datos anteriores las reciben con la migración 004).
+
+const CODIGO_ENCUESTA_PREDETERMINADA = 'seguridad-mercado';
+
+// Preguntas de seguimiento: solo se muestran (y solo se guardan) si se cumple su condición
+// `mostrarSi`, y van justo después de la pregunta de la que dependen
+const preguntasSeguimiento = [
+  {
+    clave: 'horarioInseguridad',
+    tipo: 'multi',
+    etiqueta: '🕒 ¿En qué momentos del día se siente inseguro?',
+    requerida: true,
+    opciones: [
+      { valor: 'madrugada', etiqueta: '🌌 Madrugada, al abrir el puesto' },
+      { valor: 'manana', etiqueta: '🌅 Mañana' },
+      { valor: 'tarde', etiqueta: '☀️ Tarde' },
+      { valor: 'noche', etiqueta: '🌙 Noche, al cerrar el puesto' },
+    ],
+    mostrarSi: { clave: 'seguridad', valores: ['no'] },
+  },
+  {
+    clave: 'zonaInseguridad',
+    tipo: 'multi',
+    etiqueta: '📍 ¿En qué zonas del mercado se siente inseguro?',
+    requerida: true,
+    opciones: [
+      { valor: 'entradas', etiqueta: '🚪 Entradas y salidas' },
+      { valor: 'pasillos', etiqueta: '🛒 Pasillos interiores' },
+      { valor: 'estacionamiento', etiqueta: '🚗 Estacionamiento' },
+      { valor: 'banos', etiqueta: '🚻 Baños' },
+      { valor: 'alrededores', etiqueta: '🏘️ Calles de alrededor' },
+    ],
+    mostrarSi: { clave: 'seguridad', valores: ['no'] },
+  },
+  {
+    clave: 'problemaOtro',
+    tipo: 'text',
+    etiqueta: '📝 ¿Qué otro problema de seguridad ha observado?',
+    placeholder: 'Describa el problema',
+    requerida: true,
+    maxLength: 300,
+    mostrarSi: { clave: 'problemas', valores: ['otros'] },
+  },
+];
+
+// Añade las preguntas de seguimiento que falten detrás de la pregunta de la que dependen.
+// Las que ya existen o cuya pregunta no está en la encuesta se dejan como están.
+function conPreguntasSeguimiento(preguntas) {
+  const resultado = [...preguntas];
+  preguntasSeguimiento.forEach((seguimiento) => {
+    if (resultado.some(p => p.clave === seguimiento.clave)) return;
+    const origen = resultado.findIndex(p => p.clave === seguimiento.mostrarSi.clave);
+    if (origen === -1) return;
+    // Detrás de la pregunta de origen y de los seguimientos que ya dependen de ella
+    let posicion = origen + 1;
+    while (resultado[posicion]?.mostrarSi?.clave === seguimiento.mostrarSi.clave) posicion++;
+    resultado.splice(posicion, 0, seguimiento);
+  });
+  return resultado;
+}
+
+const encuestaPredeterminada = {
+  codigo: CODIGO_ENCUESTA_PREDETERMINADA,
+  titulo: 'Encuesta de Seguridad del Mercado',
+  preguntas: [
+    {
+      clave: 'nombre',
+      tipo: 'text',
+      etiqueta: '👤 Nombre del Comerciante:',
+      placeholder: 'Ingrese su nombre completo',
+      requerida: true,
+      maxLength: 100,
+    },
+    {
+      clave: 'puesto',
+      tipo: 'text',
+      etiqueta: '🏪 Número de Puesto:',
+      placeholder: 'Ej: A-15, B-23, C-07',
+      requerida: true,
+      maxLength: 20,
+      mayusculas: true,
+    },
+    {
+      clave: 'telefono',
+      tipo: 'phone',
+      etiqueta: '📱 Teléfono (opcional):',
+      placeholder: 'Número de contacto',
+      maxLength: 20,
+    },
+    {
+      clave: 'seguridad',
+      tipo: 'single',
+      etiqueta: '🛡️ ¿Se siente seguro en el mercado?',
+      requerida: true,
+      opciones: [
+        { valor: 'sí', etiqueta: '✅ Sí, me siento completamente seguro' },
+        { valor: 'no', etiqueta: '❌ No, no me siento seguro' },
+        { valor: 'regular', etiqueta: '⚠️ Me siento regular' },
+      ],
+    },
+    {
+      clave: 'problemas',
+      tipo: 'multi',
+      etiqueta: '🚨 ¿Qué problemas de seguridad ha observado? (Marque todos los que apliquen)',
+      opciones: [
+        { valor: 'robo', etiqueta: '🔓 Robos o hurtos frecuentes' },
+        { valor: 'iluminacion', etiqueta: '💡 Mala iluminación nocturna' },
+        { valor: 'vigilancia', etiqueta: '👮 Falta de vigilancia adecuada' },
+        { valor: 'acceso', etiqueta: '🚪 Control de acceso deficiente' },
+        { valor: 'emergencia', etiqueta: '🚨 Falta plan de emergencias' },
+        { valor: 'otros', etiqueta: '📝 Otros problemas de seguridad' },
+      ],
+    },
+    {
+      clave: 'sugerencia',
+      tipo: 'text',
+      etiqueta: '💡 ¿Qué medidas de seguridad le gustaría que se implementen o mejoren?',
+      placeholder: 'Describa detalladamente sus sugerencias para mejorar la seguridad del mercado...',
+      maxLength: 1000,
+      multilinea: true,
+    },
+    {
+      clave: 'calificacion',
+      tipo: 'rating',
+      etiqueta: '⭐ Califique la seguridad actual del mercado (1-5):',
+      requerida: true,
+    },
+  ],
+};
+encuestaPredeterminada.preguntas = conPreguntasSeguimiento(encuestaPredeterminada.preguntas);
+
+module.exports = {
+  CODIGO_ENCUESTA_PREDETERMINADA,
+  encuestaPredeterminada,
+  conPreguntasSeguimiento,
+};
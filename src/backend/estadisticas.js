@@ -0,0 +1,228 @@
+// Estadísticas de las respuestas calculadas en MongoDB con un pipeline de agregación
+
+// Normaliza en el propio pipeline los documentos que aún no se han migrado
+// (problemas como texto separado por comas y calificación como texto)
+const NORMALIZAR = {
+  $set: {
+    problemas: {
+      $cond: [
+        { $isArray: '$problemas' },
+        '$problemas',
+        {
+          $filter: {
+            input: {
+              $map: {
+                input: { $split: [{ $ifNull: ['$problemas', ''] }, ','] },
+                in: { $trim: { input: '$$this' } },
+              },
+            },
+            cond: { $ne: ['$$this', ''] },
+          },
+        },
+      ],
+    },
+    calificacion: { $convert: { input: '$calificacion', to: 'int', onError: null, onNull: null } },
+  },
+};
+
+// Total de respuestas por código de una pregunta de opción múltiple, de más a menos frecuente.
+// Las respuestas sin el campo (p. ej. seguimientos que no se mostraron) no cuentan.
+const conteoPorCodigo = (campo) => [
+  { $unwind: `$${campo}` },
+  { $group: { _id: `$${campo}`, total: { $sum: 1 } } },
+  { $sort: { total: -1, _id: 1 } },
+];
+
+// Agrupaciones admitidas para la evolución en el tiempo → unidad de $dateTrunc
+const AGRUPACIONES = { dia: 'day', semana: 'week' };
+
+// `agrupacion` ('dia' o 'semana') define los periodos de la tendencia; los periodos se
+// cortan en la zona horaria indicada para que un día sea el día local del mercado.
+const pipelineEstadisticas = (filtro, { agrupacion = 'dia', zonaHoraria = 'UTC' } = {}) => [
+  { $match: { ...filtro, deletedAt: null } },
+  NORMALIZAR,
+  {
+    $facet: {
+      totales: [
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            totalCalificadas: { $sum: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, 1, 0] } },
+            promedioCalificacion: { $avg: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, '$calificacion', null] } },
+            sumaCalificaciones: { $sum: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, '$calificacion', 0] } },
+            totalReportes: { $sum: { $size: '$problemas' } },
+          },
+        },
+      ],
+      seguridad: [
+        { $group: { _id: '$seguridad', total: { $sum: 1 } } },
+      ],
+      calificaciones: [
+        { $match: { calificacion: { $in: [1, 2, 3, 4, 5] } } },
+        { $group: { _id: '$calificacion', total: { $sum: 1 } } },
+      ],
+      problemas: conteoPorCodigo('problemas'),
+      horarioInseguridad: conteoPorCodigo('horarioInseguridad'),
+      zonaInseguridad: conteoPorCodigo('zonaInseguridad'),
+      tendencia: [
+        { $match: { submittedAt: { $type: 'date' } } },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: '%Y-%m-%d',
+                date: { $dateTrunc: { date: '$submittedAt', unit: AGRUPACIONES[agrupacion], timezone: zonaHoraria, startOfWeek: 'monday' } },
+                timezone: zonaHoraria,
+              },
+            },
+            total: { $sum: 1 },
+            calificadas: { $sum: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, 1, 0] } },
+            sumaCalificaciones: { $sum: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, '$calificacion', 0] } },
+            promedioCalificacion: { $avg: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, '$calificacion', null] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ],
+    },
+  },
+];
+
+const redondear = (valor) => (valor === null ? null : Math.round(valor * 10) / 10);
+
+// Convierte el resultado del $facet en la respuesta de la API
+const formatearEstadisticas = ([resultado]) => {
+  const totales = resultado.totales[0] || { total: 0, totalCalificadas: 0, promedioCalificacion: null, sumaCalificaciones: 0, totalReportes: 0 };
+
+  const calificaciones = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  resultado.calificaciones.forEach(({ _id, total }) => { calificaciones[_id] = total; });
+
+  const seguridad = {};
+  resultado.seguridad.forEach(({ _id, total }) => { seguridad[_id || 'sin respuesta'] = total; });
+
+  return {
+    total: totales.total,
+    totalCalificadas: totales.totalCalificadas,
+    promedioCalificacion: redondear(totales.promedioCalificacion),
+    sumaCalificaciones: totales.sumaCalificaciones, // Con totalCalificadas permite actualizar el promedio sin recalcularlo todo
+    totalReportes: totales.totalReportes,
+    seguridad,
+    calificaciones,
+    problemas: resultado.problemas.map(({ _id, total }) => ({ codigo: _id, total })),
+    // Seguimientos de quienes no se sienten seguros: cuándo y dónde
+    horarioInseguridad: resultado.horarioInseguridad.map(({ _id, total }) => ({ codigo: _id, total })),
+    zonaInseguridad: resultado.zonaInseguridad.map(({ _id, total }) => ({ codigo: _id, total })),
+    // Un elemento por periodo con respuestas; `periodo` es la fecha local de inicio (YYYY-MM-DD)
+    tendencia: resultado.tendencia.map(({ _id, total, calificadas, sumaCalificaciones, promedioCalificacion }) => ({
+      periodo: _id,
+      total,
+      calificadas,
+      sumaCalificaciones,
+      promedioCalificacion: redondear(promedioCalificacion),
+    })),
+  };
+};
+
+// Resumen de un periodo para la comparación antes/después de una acción del plan: promedio de
+// calificación y cuántas respuestas reportan cada uno de los problemas ligados a la acción
+const pipelineComparacion = (filtro, problemas) => [
+  { $match: { ...filtro, deletedAt: null } },
+  NORMALIZAR,
+  {
+    $group: {
+      _id: null,
+      total: { $sum: 1 },
+      totalCalificadas: { $sum: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, 1, 0] } },
+      promedioCalificacion: { $avg: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, '$calificacion', null] } },
+      // Por posición: los códigos no se usan como nombres de campo
+      ...Object.fromEntries(problemas.map((codigo, i) => [`problema${i}`, { $sum: { $cond: [{ $in: [codigo, '$problemas'] }, 1, 0] } }])),
+    },
+  },
+];
+
+// Frecuencia de cada problema como número de respuestas que lo reportan y porcentaje del total
+const formatearComparacion = ([resultado], problemas) => {
+  const totales = resultado || { total: 0, totalCalificadas: 0, promedioCalificacion: null };
+  return {
+    total: totales.total,
+    totalCalificadas: totales.totalCalificadas,
+    promedioCalificacion: redondear(totales.promedioCalificacion),
+    problemas: problemas.map((codigo, i) => {
+      const total = totales[`problema${i}`] || 0;
+      return { codigo, total, porcentaje: totales.total > 0 ? Math.round((total / totales.total) * 1000) / 10 : 0 };
+    }),
+  };
+};
+
+// Respuestas agrupadas por puesto, para la cobertura del registro de puestos
+const pipelineRespuestasPorPuesto = (filtro) => [
+  { $match: { ...filtro, deletedAt: null, puesto: { $nin: [null, ''] } } },
+  NORMALIZAR,
+  {
+    $group: {
+      _id: '$puesto',
+      total: { $sum: 1 },
+      calificadas: { $sum: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, 1, 0] } },
+      sumaCalificaciones: { $sum: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, '$calificacion', 0] } },
+      promedioCalificacion: { $avg: { $cond: [{ $in: ['$calificacion', [1, 2, 3, 4, 5]] }, '$calificacion', null] } },
+      ultimaRespuesta: { $max: '$submittedAt' },
+    },
+  },
+];
+
+// Une el registro de puestos con sus respuestas. Devuelve el estado de cada puesto agrupado
+// por sector, la tasa de respuesta de cada sector (solo puestos activos) y los puestos que
+// aparecen en respuestas pero no están registrados. El promedio del sector se calcula con la
+// suma de calificaciones sin redondear de sus puestos, no con los promedios ya redondeados.
+const calcularCobertura = (puestos, porPuesto) => {
+  const respuestas = new Map(porPuesto.map(r => [r._id, r]));
+  const sectores = new Map(); // sector → { lista, calificadas, sumaCalificaciones }
+
+  puestos.forEach((puesto) => {
+    const r = respuestas.get(puesto.codigo);
+    respuestas.delete(puesto.codigo);
+    if (!sectores.has(puesto.sector)) sectores.set(puesto.sector, { lista: [], calificadas: 0, sumaCalificaciones: 0 });
+    const sector = sectores.get(puesto.sector);
+    sector.calificadas += r ? r.calificadas : 0;
+    sector.sumaCalificaciones += r ? r.sumaCalificaciones : 0;
+    sector.lista.push({
+      codigo: puesto.codigo,
+      propietario: puesto.propietario || '',
+      activo: puesto.activo,
+      respuestas: r ? r.total : 0,
+      calificadas: r ? r.calificadas : 0,
+      promedioCalificacion: r ? redondear(r.promedioCalificacion) : null,
+      ultimaRespuesta: r ? r.ultimaRespuesta : null,
+    });
+  });
+
+  return {
+    sectores: [...sectores.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([sector, { lista, calificadas, sumaCalificaciones }]) => {
+        const activos = lista.filter(p => p.activo);
+        const conRespuesta = activos.filter(p => p.respuestas > 0).length;
+        return {
+          sector,
+          puestos: activos.length,
+          conRespuesta,
+          tasaRespuesta: activos.length > 0 ? Math.round((conRespuesta / activos.length) * 1000) / 10 : 0,
+          promedioCalificacion: calificadas > 0 ? redondear(sumaCalificaciones / calificadas) : null,
+          lista: lista.sort((a, b) => a.codigo.localeCompare(b.codigo, 'es', { numeric: true })),
+        };
+      }),
+    sinRegistrar: [...respuestas.values()]
+      .map(r => ({ puesto: r._id, respuestas: r.total }))
+      .sort((a, b) => b.respuestas - a.respuestas),
+  };
+};
+
+module.exports = {
+  AGRUPACIONES,
+  pipelineEstadisticas,
+  formatearEstadisticas,
+  pipelineComparacion,
+  formatearComparacion,
+  pipelineRespuestasPorPuesto,
+  calcularCobertura,
+};
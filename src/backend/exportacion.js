@@ -0,0 +1,169 @@
+// Exportación de respuestas. CSV, XLSX y JSON se escriben respuesta a respuesta desde un
+// cursor de MongoDB, sin cargar la colección en memoria; el PDF es un informe resumen
+// generado a partir de las estadísticas agregadas.
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const FORMATOS_EXPORTACION = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+  pdf: 'application/pdf',
+};
+
+const COLUMNAS = [
+  { clave: 'id', titulo: 'ID', ancho: 26 },
+  { clave: 'fecha', titulo: 'Fecha', ancho: 12 },
+  { clave: 'hora', titulo: 'Hora', ancho: 10 },
+  { clave: 'encuesta', titulo: 'Encuesta', ancho: 20 },
+  { clave: 'encuestaVersion', titulo: 'Versión', ancho: 8 },
+  { clave: 'idioma', titulo: 'Idioma', ancho: 8 },
+  { clave: 'anonima', titulo: 'Anónima', ancho: 8 },
+  { clave: 'nombre', titulo: 'Nombre', ancho: 25 },
+  { clave: 'puesto', titulo: 'Puesto', ancho: 10 },
+  { clave: 'telefono', titulo: 'Teléfono', ancho: 15 },
+  { clave: 'seguridad', titulo: 'Seguridad', ancho: 10 },
+  { clave: 'horarioInseguridad', titulo: 'Horario inseguro', ancho: 20 },
+  { clave: 'zonaInseguridad', titulo: 'Zonas inseguras', ancho: 25 },
+  { clave: 'calificacion', titulo: 'Calificación', ancho: 12 },
+  { clave: 'problemas', titulo: 'Problemas', ancho: 30 },
+  { clave: 'problemaOtro', titulo: 'Otro problema', ancho: 30 },
+  { clave: 'sugerencia', titulo: 'Sugerencia', ancho: 50 },
+  { clave: 'otras', titulo: 'Otras respuestas', ancho: 40 },
+];
+
+// Una respuesta serializada como fila plana (mismas claves que COLUMNAS)
+const aFila = (respuesta) => ({
+  id: respuesta.id,
+  fecha: respuesta.fecha || '',
+  hora: respuesta.hora || '',
+  encuesta: respuesta.encuesta || '',
+  encuestaVersion: respuesta.encuestaVersion ?? '',
+  idioma: respuesta.idioma || '',
+  anonima: respuesta.anonima ? 'sí' : '',
+  nombre: respuesta.nombre || '',
+  puesto: respuesta.puesto || '',
+  telefono: respuesta.telefono || '',
+  seguridad: respuesta.seguridad || '',
+  horarioInseguridad: (respuesta.horarioInseguridad || []).join('; '),
+  zonaInseguridad: (respuesta.zonaInseguridad || []).join('; '),
+  calificacion: respuesta.calificacion ?? '',
+  problemas: respuesta.problemas.join('; '),
+  problemaOtro: respuesta.problemaOtro || '',
+  sugerencia: respuesta.sugerencia || '',
+  otras: respuesta.otras && Object.keys(respuesta.otras).length > 0 ? JSON.stringify(respuesta.otras) : '',
+});
+
+// Escribe respetando la contrapresión del cliente para no acumular el archivo en memoria
+const escribir = async (res, texto) => {
+  if (!res.write(texto)) await once(res, 'drain');
+};
+
+// Un texto que empieza con =, +, -, @, tabulador o retorno de carro se ejecuta como fórmula al
+// abrir el archivo en Excel o LibreOffice (p. ej. un nombre =HYPERLINK(...)); con un apóstrofo
+// delante la hoja de cálculo lo muestra como texto. Los números se dejan como están.
+const celdaSegura = (valor) => (typeof valor === 'string' && /^[=+\-@\t\r]/.test(valor) ? `'${valor}` : valor);
+
+// RFC 4180: se entrecomillan los campos con comas, comillas o saltos de línea y las comillas se duplican
+const campoCsv = (valor) => {
+  const texto = String(celdaSegura(valor));
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+const lineaCsv = (valores) => `${valores.map(campoCsv).join(',')}\r\n`;
+
+// CSV y XLSX escriben las respuestas con COLUMNAS; otras tablas (p. ej. el registro de
+// auditoría) pasan sus propias columnas, la conversión a fila y el nombre de la hoja
+const TABLA_RESPUESTAS = { columnas: COLUMNAS, aFila, hoja: 'Respuestas' };
+
+async function escribirCsv(res, filas, { columnas, aFila: convertir } = TABLA_RESPUESTAS) {
+  // El BOM hace que Excel abra el archivo como UTF-8 y muestre bien las tildes
+  await escribir(res, `\uFEFF${lineaCsv(columnas.map(c => c.titulo))}`);
+  for await (const elemento of filas) {
+    const fila = convertir(elemento);
+    await escribir(res, lineaCsv(columnas.map(c => fila[c.clave])));
+  }
+  res.end();
+}
+
+async function escribirXlsx(res, filas, { columnas, aFila: convertir, hoja: nombreHoja } = TABLA_RESPUESTAS) {
+  const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const hoja = libro.addWorksheet(nombreHoja);
+  hoja.columns = columnas.map(c => ({ header: c.titulo, key: c.clave, width: c.ancho }));
+  hoja.getRow(1).font = { bold: true };
+  hoja.getRow(1).commit();
+  for await (const elemento of filas) {
+    const fila = convertir(elemento);
+    hoja.addRow(Object.fromEntries(columnas.map(c => [c.clave, celdaSegura(fila[c.clave])]))).commit();
+  }
+  hoja.commit();
+  await libro.commit();
+}
+
+async function escribirJson(res, elementos) {
+  await escribir(res, '[');
+  let primera = true;
+  for await (const elemento of elementos) {
+    await escribir(res, `${primera ? '' : ','}\n${JSON.stringify(elemento)}`);
+    primera = false;
+  }
+  res.end('\n]\n');
+}
+
+// Las fuentes estándar de PDF solo cubren Latin-1: se quitan emojis y otros símbolos
+// (se recorre por puntos de código para que un emoji no deje medio par sustituto)
+const textoPdf = (texto) => Array.from(String(texto))
+  .filter(caracter => caracter.codePointAt(0) <= 0xFF)
+  .join('')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Informe resumen: cifras principales, seguridad, calificaciones y problemas más frecuentes.
+// `filtros` es una lista de textos que describen los filtros aplicados y `etiquetasProblemas`
+// traduce los códigos de problema a su texto en la encuesta.
+function escribirPdf(res, estadisticas, { filtros = [], etiquetasProblemas = {}, generadoEn }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Informe de seguridad del mercado' } });
+  doc.pipe(res);
+
+  doc.fontSize(20).font('Helvetica-Bold').text('Informe de seguridad del mercado');
+  doc.moveDown(0.3).fontSize(10).font('Helvetica').fillColor('#555555')
+    .text(`Generado el ${generadoEn}`)
+    .text(filtros.length > 0 ? `Filtros: ${filtros.map(textoPdf).join(' · ')}` : 'Sin filtros: todas las respuestas');
+  doc.fillColor('#000000');
+
+  const seccion = (titulo) => doc.moveDown(1.2).fontSize(14).font('Helvetica-Bold').text(titulo).moveDown(0.4).fontSize(11).font('Helvetica');
+  const porcentaje = (valor, total) => (total > 0 ? `${((valor / total) * 100).toFixed(1)}%` : '0%');
+
+  seccion('Resumen');
+  doc.text(`Encuestas: ${estadisticas.total}`);
+  doc.text(`Calificación promedio: ${estadisticas.promedioCalificacion ?? '—'} / 5 (${estadisticas.totalCalificadas} calificadas)`);
+  doc.text(`Problemas reportados: ${estadisticas.totalReportes}`);
+
+  seccion('Sensación de seguridad');
+  Object.entries(estadisticas.seguridad).forEach(([valor, total]) => {
+    doc.text(`${textoPdf(valor)}: ${total} (${porcentaje(total, estadisticas.total)})`);
+  });
+
+  seccion('Calificaciones');
+  Object.entries(estadisticas.calificaciones).forEach(([valor, total]) => {
+    doc.text(`${valor} de 5: ${total} (${porcentaje(total, estadisticas.totalCalificadas)})`);
+  });
+
+  seccion('Problemas más frecuentes');
+  if (estadisticas.problemas.length === 0) doc.text('No se han reportado problemas.');
+  estadisticas.problemas.slice(0, 10).forEach(({ codigo, total }, i) => {
+    doc.text(`${i + 1}. ${textoPdf(etiquetasProblemas[codigo] || codigo)}: ${total} reportes (${porcentaje(total, estadisticas.total)} de las encuestas)`);
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  FORMATOS_EXPORTACION,
+  COLUMNAS,
+  escribirCsv,
+  escribirXlsx,
+  escribirJson,
+  escribirPdf,
+};
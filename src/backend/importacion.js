@@ -0,0 +1,162 @@
+// Importación de encuestas en papel desde CSV o XLSX con las mismas columnas que produce la
+// exportación. Este módulo solo lee el archivo y convierte cada fila en el cuerpo que acepta
+// validarRespuesta; la validación contra la encuesta y el guardado se hacen en server.js.
+const ExcelJS = require('exceljs');
+const { COLUMNAS } = require('./exportacion');
+const { instanteLocal } = require('./zonaHoraria');
+
+const FORMATOS_IMPORTACION = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+const LIMITE_FILAS = 5000;
+
+// Encabezados sin tildes ni mayúsculas, para aceptar "Teléfono", "telefono" o "TELEFONO"
+const normalizar = (texto) => String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+const COLUMNA_POR_ENCABEZADO = Object.fromEntries(COLUMNAS.flatMap(c => [[normalizar(c.titulo), c.clave], [normalizar(c.clave), c.clave]]));
+
+// Lector CSV según RFC 4180 (campos entre comillas con comas, comillas dobles y saltos de línea).
+// El separador se deduce del encabezado: Excel en español guarda los CSV con punto y coma.
+function leerCsv(buffer) {
+  const texto = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const primeraLinea = texto.split(/\r?\n/, 1)[0];
+  const separador = (primeraLinea.match(/;/g) || []).length > (primeraLinea.match(/,/g) || []).length ? ';' : ',';
+
+  const filas = [];
+  let fila = [];
+  let campo = '';
+  let entreComillas = false;
+  for (let i = 0; i < texto.length; i++) {
+    const caracter = texto[i];
+    if (entreComillas) {
+      if (caracter === '"' && texto[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        campo += caracter;
+      }
+    } else if (caracter === '"') {
+      entreComillas = true;
+    } else if (caracter === separador) {
+      fila.push(campo);
+      campo = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && texto[i + 1] === '\n') i++;
+      fila.push(campo);
+      filas.push(fila);
+      fila = [];
+      campo = '';
+    } else {
+      campo += caracter;
+    }
+  }
+  if (campo !== '' || fila.length > 0) {
+    fila.push(campo);
+    filas.push(fila);
+  }
+  return filas;
+}
+
+async function leerXlsx(buffer) {
+  const libro = new ExcelJS.Workbook();
+  await libro.xlsx.load(buffer);
+  const hoja = libro.worksheets[0];
+  if (!hoja) return [];
+
+  const filas = [];
+  hoja.eachRow({ includeEmpty: true }, (row) => {
+    const valores = [];
+    for (let columna = 1; columna <= hoja.columnCount; columna++) {
+      valores.push(row.getCell(columna).text);
+    }
+    filas.push(valores);
+  });
+  return filas;
+}
+
+// Lee el archivo y devuelve { filas, columnasDesconocidas, error }. Cada fila es
+// { fila, valores } con el número de fila del archivo (1 = encabezado) y los valores
+// indexados por la clave de la columna (ver COLUMNAS en exportacion.js).
+async function leerArchivo(buffer, formato) {
+  const [encabezado = [], ...resto] = formato === 'xlsx' ? await leerXlsx(buffer) : leerCsv(buffer);
+  const claves = encabezado.map(titulo => COLUMNA_POR_ENCABEZADO[normalizar(titulo)]);
+  const columnasDesconocidas = encabezado.filter((titulo, i) => titulo && !claves[i]);
+
+  if (!claves.some(Boolean)) {
+    return { error: 'El archivo no tiene ninguna columna reconocida. Use el formato de la exportación.' };
+  }
+
+  const filas = resto
+    .map((celdas, i) => ({
+      fila: i + 2,
+      valores: Object.fromEntries(claves.map((clave, j) => [clave, (celdas[j] || '').trim()]).filter(([clave]) => clave)),
+    }))
+    .filter(({ valores }) => Object.values(valores).some(Boolean)); // Filas en blanco
+
+  if (filas.length > LIMITE_FILAS) {
+    return { error: `El archivo tiene ${filas.length} filas; el máximo por importación es ${LIMITE_FILAS}.` };
+  }
+  return { filas, columnasDesconocidas };
+}
+
+// Fecha de la encuesta en papel: "d/m/aaaa" (como la exportación) o "aaaa-mm-dd", con hora
+// local opcional. Sin fecha se usa el momento de la importación.
+function leerFecha(fecha, hora) {
+  if (!fecha) return { valor: new Date() };
+  const local = fecha.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const iso = fecha.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!local && !iso) return { error: 'Fecha no válida (use d/m/aaaa o aaaa-mm-dd)' };
+  const [anio, mes, dia] = local ? [local[3], local[2], local[1]] : [iso[1], iso[2], iso[3]];
+
+  const horaValida = (hora || '00:00:00').match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!horaValida) return { error: 'Hora no válida (use hh:mm o hh:mm:ss)' };
+  const [, hh, mm, ss = '00'] = horaValida;
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const valor = instanteLocal(`${anio}-${pad(mes)}-${pad(dia)}`, `${pad(hh)}:${mm}:${ss}`);
+  if (Number.isNaN(valor.getTime()) || Number(dia) > 31 || Number(mes) > 12) return { error: 'Fecha no válida' };
+  return { valor };
+}
+
+// Convierte los valores de una fila en { cuerpo, encuesta, encuestaVersion, submittedAt, errores }.
+// `cuerpo` tiene la forma del body de POST /api/respuestas.
+function filaARespuesta(valores) {
+  const errores = {};
+  const cuerpo = {};
+
+  if (valores.otras) {
+    try {
+      const otras = JSON.parse(valores.otras);
+      if (otras && typeof otras === 'object' && !Array.isArray(otras)) Object.assign(cuerpo, otras);
+      else errores.otras = 'Debe ser un objeto JSON';
+    } catch (err) {
+      errores.otras = 'JSON no válido';
+    }
+  }
+  ['idioma', 'nombre', 'puesto', 'telefono', 'seguridad', 'calificacion', 'sugerencia', 'problemaOtro'].forEach((clave) => {
+    if (valores[clave] !== undefined) cuerpo[clave] = valores[clave];
+  });
+  // Encuestas en papel entregadas sin nombre ni teléfono
+  if (valores.anonima !== undefined && ['si', 'x', '1', 'true'].includes(normalizar(valores.anonima))) cuerpo.anonima = true;
+  // La exportación separa las opciones múltiples con "; "; también se admiten comas
+  ['problemas', 'horarioInseguridad', 'zonaInseguridad'].forEach((clave) => {
+    if (valores[clave] !== undefined) cuerpo[clave] = valores[clave].split(/[;,]/).map(p => p.trim()).filter(Boolean);
+  });
+
+  const version = valores.encuestaVersion ? Number(valores.encuestaVersion) : undefined;
+  if (version !== undefined && !Number.isInteger(version)) errores.encuestaVersion = 'Debe ser un número entero';
+
+  const { valor: submittedAt, error: errorFecha } = leerFecha(valores.fecha, valores.hora);
+  if (errorFecha) errores.fecha = errorFecha;
+
+  return { cuerpo, encuesta: valores.encuesta || undefined, encuestaVersion: version, submittedAt, errores };
+}
+
+module.exports = {
+  FORMATOS_IMPORTACION,
+  leerArchivo,
+  filaARespuesta,
+};
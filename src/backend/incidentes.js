@@ -0,0 +1,91 @@
+// Reportes de incidentes concretos (p. ej. "anoche robaron en el puesto B-23"), separados de la
+// encuesta de percepción. Las categorías son los códigos de problema de la encuesta y las zonas
+// los de la pregunta de zonas inseguras, para poder cruzar ambos datos. Aquí están los catálogos
+// y la validación; el modelo Incidente y las rutas están en server.js.
+const { encuestaPredeterminada } = require('./encuestaPredeterminada');
+const { normalizarCodigoPuesto } = require('./validation');
+
+const opcionesDe = (clave) => encuestaPredeterminada.preguntas.find(p => p.clave === clave).opciones.map(o => o.valor);
+
+const CATEGORIAS_INCIDENTE = opcionesDe('problemas');
+const ZONAS_INCIDENTE = opcionesDe('zonaInseguridad');
+
+// Flujo de revisión: nuevo → en_revision → resuelto (se puede volver atrás si se reabre)
+const ESTADOS_INCIDENTE = ['nuevo', 'en_revision', 'resuelto'];
+const DESCRIPCION_ESTADOS = { nuevo: 'nuevo', en_revision: 'en revisión', resuelto: 'resuelto' };
+
+const LIMITE_DESCRIPCION = 2000;
+const LIMITE_COMENTARIO = 1000;
+// Margen para relojes de dispositivos algo adelantados
+const TOLERANCIA_FUTURO_MS = 10 * 60 * 1000;
+
+const texto = (valor) => (typeof valor === 'string' ? valor.trim() : '');
+
+// Valida un reporte enviado desde el formulario público. Devuelve { datos, errores } con los
+// errores indexados por campo. Se exige el puesto o la zona para poder ubicar el incidente.
+function validarIncidente(body = {}, ahora = new Date()) {
+  const errores = {};
+  const datos = { categoria: texto(body.categoria), descripcion: texto(body.descripcion) };
+
+  if (!CATEGORIAS_INCIDENTE.includes(datos.categoria)) {
+    errores.categoria = `Seleccione una categoría válida (${CATEGORIAS_INCIDENTE.join(', ')})`;
+  }
+
+  const fecha = body.fechaHecho ? new Date(body.fechaHecho) : null;
+  if (!fecha || isNaN(fecha.getTime())) errores.fechaHecho = 'Indique la fecha y hora del incidente';
+  else if (fecha.getTime() > ahora.getTime() + TOLERANCIA_FUTURO_MS) errores.fechaHecho = 'La fecha no puede ser futura';
+  else datos.fechaHecho = fecha;
+
+  const puesto = texto(body.puesto);
+  if (puesto) {
+    datos.puesto = normalizarCodigoPuesto(puesto);
+    if (!datos.puesto) errores.puesto = 'Código no válido: use letras del sector, guion y número (p. ej. A-15)';
+  }
+  const zona = texto(body.zona);
+  if (zona) {
+    if (ZONAS_INCIDENTE.includes(zona)) datos.zona = zona;
+    else errores.zona = `Zona no válida (${ZONAS_INCIDENTE.join(', ')})`;
+  }
+  if (!puesto && !zona) errores.puesto = 'Indique el puesto o la zona del mercado';
+
+  if (!datos.descripcion) errores.descripcion = 'Describa lo ocurrido';
+  else if (datos.descripcion.length > LIMITE_DESCRIPCION) errores.descripcion = `No puede superar ${LIMITE_DESCRIPCION} caracteres`;
+  return { datos, errores };
+}
+
+// Valida un cambio de la revisión: estado y/o persona asignada ('' o null para quitarla).
+// Que el usuario asignado exista se comprueba en la ruta.
+function validarCambioIncidente(body = {}) {
+  const errores = {};
+  const datos = {};
+  if (body.estado !== undefined) {
+    if (ESTADOS_INCIDENTE.includes(body.estado)) datos.estado = body.estado;
+    else errores.estado = `Estado no válido (${ESTADOS_INCIDENTE.join(', ')})`;
+  }
+  if (body.asignadoA !== undefined) {
+    if (body.asignadoA === null || typeof body.asignadoA === 'string') datos.asignadoA = texto(body.asignadoA) || null;
+    else errores.asignadoA = 'Indique el nombre de usuario';
+  }
+  if (Object.keys(datos).length === 0 && Object.keys(errores).length === 0) {
+    errores.estado = 'Indique el estado o la persona asignada';
+  }
+  return { datos, errores };
+}
+
+function validarComentario(body = {}) {
+  const datos = { texto: texto(body.texto) };
+  const errores = {};
+  if (!datos.texto) errores.texto = 'Escriba el comentario';
+  else if (datos.texto.length > LIMITE_COMENTARIO) errores.texto = `No puede superar ${LIMITE_COMENTARIO} caracteres`;
+  return { datos, errores };
+}
+
+module.exports = {
+  CATEGORIAS_INCIDENTE,
+  ZONAS_INCIDENTE,
+  ESTADOS_INCIDENTE,
+  DESCRIPCION_ESTADOS,
+  validarIncidente,
+  validarCambioIncidente,
+  validarComentario,
+};
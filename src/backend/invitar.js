@@ -0,0 +1,42 @@
+// Crea una invitación desde la línea de comandos: `npm run invitar -- [rol] [horas]`
+// Sirve para dar de alta al primer superadministrador de una instalación nueva, cuando todavía
+// nadie puede crear invitaciones desde el panel. Imprime el token que se pega en el registro.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { ROLES, createInvitationToken } = require('./auth');
+
+async function main() {
+  const [rol = 'superadmin', horas = '24'] = process.argv.slice(2);
+  if (!ROLES.includes(rol)) {
+    throw new Error(`Rol no válido: ${rol} (${ROLES.join(', ')})`);
+  }
+  const vigencia = parseInt(horas, 10);
+  if (!Number.isInteger(vigencia) || vigencia < 1) {
+    throw new Error(`Vigencia no válida: ${horas} horas`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const { token, tokenHash } = createInvitationToken();
+  const expiraEn = new Date(Date.now() + vigencia * 60 * 60 * 1000);
+  await mongoose.connection.db.collection('invitaciones').insertOne({
+    tokenHash,
+    rol,
+    creadaPor: 'línea de comandos',
+    createdAt: new Date(),
+    expiraEn,
+    usadaEn: null,
+    usadaPor: null,
+    revocadaEn: null,
+  });
+
+  console.log(`✉️ Invitación de ${rol} válida hasta ${expiraEn.toISOString()}`);
+  console.log(`   Token: ${token}`);
+  console.log(`   Enlace: <url del frontend>/?invitacion=${token}`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error al crear la invitación:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,57 @@
+// Limitación de envíos en memoria con ventana fija. Suficiente para una sola instancia del
+// servidor; con varias instancias cada una lleva su propia cuenta.
+
+function crearLimitador({ maximo, ventanaMs }) {
+  const contadores = new Map(); // clave → { total, reinicio }
+
+  // Se olvidan las ventanas ya vencidas para que el mapa no crezca sin límite
+  const limpieza = setInterval(() => {
+    const ahora = Date.now();
+    for (const [clave, contador] of contadores) {
+      if (contador.reinicio <= ahora) contadores.delete(clave);
+    }
+  }, ventanaMs);
+  limpieza.unref();
+
+  return {
+    // Cuenta un intento. Devuelve 0 si está permitido o los segundos que faltan para reintentar.
+    consumir(clave) {
+      const ahora = Date.now();
+      let contador = contadores.get(clave);
+      if (!contador || contador.reinicio <= ahora) {
+        contador = { total: 0, reinicio: ahora + ventanaMs };
+        contadores.set(clave, contador);
+      }
+      contador.total++;
+      return contador.total > maximo ? Math.ceil((contador.reinicio - ahora) / 1000) : 0;
+    },
+  };
+}
+
+// Límites configurables por entorno: número de envíos por ventana de minutos
+const limiteDesdeEntorno = (prefijo, maximo, minutos) => ({
+  maximo: Number(process.env[`${prefijo}_MAX`]) || maximo,
+  ventanaMs: (Number(process.env[`${prefijo}_WINDOW_MINUTES`]) || minutos) * 60 * 1000,
+});
+
+// Responde 429 con Retry-After; los clientes offline lo tratan como error reintentable
+function rechazarPorLimite(res, segundos, mensaje) {
+  res.set('Retry-After', String(segundos));
+  return res.status(429).json({ mensaje });
+}
+
+// Middleware que limita los envíos por dirección IP
+const limitarPorIp = (limitador) => (req, res, next) => {
+  const espera = limitador.consumir(req.ip);
+  if (espera) {
+    return rechazarPorLimite(res, espera, 'Demasiados envíos desde esta conexión. Inténtelo más tarde.');
+  }
+  next();
+};
+
+module.exports = {
+  crearLimitador,
+  limiteDesdeEntorno,
+  rechazarPorLimite,
+  limitarPorIp,
+};
@@ -0,0 +1,41 @@
+// Ejecuta las migraciones de datos pendientes: `npm run migrate`
+// Las versiones aplicadas se registran en la colección `migraciones`. Con --force se vuelven
+// a ejecutar todas (cada migración solo modifica los documentos que siguen en el formato antiguo).
+require('dotenv').config();
+const mongoose = require('mongoose');
+const migraciones = require('./migrations');
+
+async function main() {
+  const force = process.argv.includes('--force');
+  await mongoose.connect(process.env.MONGODB_URI);
+  const db = mongoose.connection.db;
+  const registro = db.collection('migraciones');
+
+  const aplicadas = new Set((await registro.find({}).toArray()).map(m => m.version));
+  const pendientes = migraciones
+    .filter(m => force || !aplicadas.has(m.version))
+    .sort((a, b) => a.version - b.version);
+
+  if (pendientes.length === 0) {
+    console.log('✅ No hay migraciones pendientes');
+    return;
+  }
+
+  for (const migracion of pendientes) {
+    console.log(`⏳ Migración ${migracion.version}: ${migracion.descripcion}`);
+    const resultado = await migracion.up(db);
+    await registro.updateOne(
+      { version: migracion.version },
+      { $set: { descripcion: migracion.descripcion, appliedAt: new Date(), resultado } },
+      { upsert: true }
+    );
+    console.log(`✅ Migración ${migracion.version} aplicada`, resultado || '');
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error al ejecutar las migraciones:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,69 @@
+// Convierte las respuestas antiguas al modelo normalizado:
+//   problemas "robo, otros" → ['robo', 'otros']
+//   calificacion "4"        → 4
+//   fecha/hora (texto es-ES generado en el navegador) → submittedAt (Date UTC asignada por el servidor)
+// Solo toca documentos que aún tienen el formato antiguo, por lo que puede ejecutarse varias veces.
+
+const LOTE = 500;
+
+const FILTRO_ANTIGUAS = {
+  $or: [
+    { problemas: { $type: 'string' } },
+    { calificacion: { $type: 'string' } },
+    { submittedAt: { $exists: false } },
+  ],
+};
+
+const normalizarProblemas = (problemas) => {
+  if (Array.isArray(problemas)) return problemas;
+  if (typeof problemas !== 'string') return [];
+  return problemas.split(',').map(p => p.trim()).filter(Boolean);
+};
+
+const normalizarCalificacion = (calificacion) => {
+  const numero = typeof calificacion === 'number' ? calificacion : parseInt(calificacion, 10);
+  return Number.isInteger(numero) && numero >= 1 && numero <= 5 ? numero : null;
+};
+
+module.exports = {
+  version: 1,
+  descripcion: 'Normalizar problemas, calificación y fecha de envío de las respuestas',
+
+  async up(db) {
+    const respuestas = db.collection('respuestas');
+    const cursor = respuestas.find(FILTRO_ANTIGUAS);
+    let operaciones = [];
+    let migradas = 0;
+    let calificacionesInvalidas = 0;
+
+    const volcar = async () => {
+      if (operaciones.length === 0) return;
+      await respuestas.bulkWrite(operaciones, { ordered: false });
+      migradas += operaciones.length;
+      operaciones = [];
+    };
+
+    for await (const doc of cursor) {
+      const calificacion = normalizarCalificacion(doc.calificacion);
+      if (calificacion === null && doc.calificacion != null) calificacionesInvalidas++;
+
+      operaciones.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: {
+            $set: {
+              problemas: normalizarProblemas(doc.problemas),
+              calificacion,
+              submittedAt: doc.submittedAt || doc.createdAt || doc._id.getTimestamp(),
+            },
+            $unset: { fecha: '', hora: '' },
+          },
+        },
+      });
+      if (operaciones.length >= LOTE) await volcar();
+    }
+    await volcar();
+
+    return { migradas, calificacionesInvalidas };
+  },
+};
@@ -0,0 +1,15 @@
+// Pasa a mayúsculas los códigos de puesto ("a-15" → "A-15") para que la búsqueda por prefijo
+// use el índice. Solo toca los puestos que contienen minúsculas, por lo que puede repetirse.
+
+module.exports = {
+  version: 2,
+  descripcion: 'Normalizar los códigos de puesto a mayúsculas',
+
+  async up(db) {
+    const resultado = await db.collection('respuestas').updateMany(
+      { puesto: { $regex: /[a-z]/ } },
+      [{ $set: { puesto: { $toUpper: { $trim: { input: '$puesto' } } } } }]
+    );
+    return { actualizadas: resultado.modifiedCount };
+  },
+};
@@ -0,0 +1,16 @@
+// Asocia las respuestas anteriores a las encuestas configurables con la versión 1 de la
+// encuesta predeterminada, que tiene exactamente las preguntas del formulario original.
+const { CODIGO_ENCUESTA_PREDETERMINADA } = require('../encuestaPredeterminada');
+
+module.exports = {
+  version: 3,
+  descripcion: 'Asociar las respuestas antiguas a la versión 1 de la encuesta predeterminada',
+
+  async up(db) {
+    const resultado = await db.collection('respuestas').updateMany(
+      { encuesta: { $exists: false } },
+      { $set: { encuesta: CODIGO_ENCUESTA_PREDETERMINADA, encuestaVersion: 1 } }
+    );
+    return { actualizadas: resultado.modifiedCount };
+  },
+};
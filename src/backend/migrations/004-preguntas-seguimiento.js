@@ -0,0 +1,39 @@
+// Añade las preguntas de seguimiento (horario y zonas si no se siente seguro, detalle de "otros"
+// problemas) a la encuesta predeterminada publicando una versión nueva, para que las respuestas
+// ya guardadas sigan asociadas a la versión con la que se respondieron. Si hay un borrador en el
+// constructor se añaden a él y se deja la publicación al administrador.
+const { CODIGO_ENCUESTA_PREDETERMINADA, conPreguntasSeguimiento } = require('../encuestaPredeterminada');
+
+module.exports = {
+  version: 4,
+  descripcion: 'Añadir las preguntas de seguimiento a la encuesta predeterminada',
+
+  async up(db) {
+    const encuestas = db.collection('encuestas');
+    const borrador = await encuestas.findOne({ codigo: CODIGO_ENCUESTA_PREDETERMINADA, estado: 'borrador' });
+    if (borrador) {
+      const preguntas = conPreguntasSeguimiento(borrador.preguntas);
+      if (preguntas.length === borrador.preguntas.length) return { borrador: 'sin cambios' };
+      await encuestas.updateOne({ _id: borrador._id }, { $set: { preguntas } });
+      return { borrador: borrador.version };
+    }
+
+    // Sin ninguna versión el servidor crea la encuesta predeterminada, que ya las incluye
+    const ultima = await encuestas.find({ codigo: CODIGO_ENCUESTA_PREDETERMINADA, estado: 'publicada' }).sort({ version: -1 }).limit(1).next();
+    if (!ultima) return { publicada: null };
+    const preguntas = conPreguntasSeguimiento(ultima.preguntas);
+    if (preguntas.length === ultima.preguntas.length) return { publicada: null };
+
+    const ahora = new Date();
+    await encuestas.insertOne({
+      codigo: ultima.codigo,
+      version: ultima.version + 1,
+      titulo: ultima.titulo,
+      estado: 'publicada',
+      preguntas,
+      publicadaEn: ahora,
+      createdAt: ahora,
+    });
+    return { publicada: ultima.version + 1 };
+  },
+};
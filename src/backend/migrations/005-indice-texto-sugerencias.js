@@ -0,0 +1,14 @@
+// Ajusta el índice de texto de las respuestas al estado del cifrado de datos personales (ver
+// privacidad.js): con el cifrado activo solo se indexan las sugerencias, porque el nombre
+// guardado ya no es texto que se pueda buscar; sin cifrado se mantienen nombre y sugerencia.
+// El servidor repite el ajuste al arrancar por si el cifrado se activa más tarde.
+const { asegurarIndiceTexto } = require('../privacidad');
+
+module.exports = {
+  version: 5,
+  descripcion: 'Ajustar el índice de texto de las respuestas al cifrado de los nombres',
+
+  async up(db) {
+    return { eliminados: await asegurarIndiceTexto(db.collection('respuestas')) };
+  },
+};
@@ -0,0 +1,42 @@
+// Normaliza los códigos de puesto guardados antes del registro de puestos ("A15", "a 15" →
+// "A-15") con la misma función que las respuestas nuevas, para que la cobertura los encuentre
+// en el registro. Los valores que no parecen un código se dejan como están (texto libre antiguo).
+// Solo toca los puestos que no están ya normalizados, por lo que puede repetirse.
+const { normalizarCodigoPuesto } = require('../validation');
+
+const LOTE = 500;
+
+module.exports = {
+  version: 6,
+  descripcion: 'Normalizar los códigos de puesto de las respuestas anteriores al registro',
+
+  async up(db) {
+    const respuestas = db.collection('respuestas');
+    const cursor = respuestas.find(
+      { puesto: { $type: 'string', $ne: '', $not: /^[A-Z]{1,3}-\d{1,4}$/ } },
+      { projection: { puesto: 1 } }
+    );
+
+    let actualizadas = 0;
+    let sinCodigo = 0;
+    let lote = [];
+    const guardarLote = async () => {
+      if (lote.length === 0) return;
+      const resultado = await respuestas.bulkWrite(lote, { ordered: false });
+      actualizadas += resultado.modifiedCount;
+      lote = [];
+    };
+
+    for await (const respuesta of cursor) {
+      const codigo = normalizarCodigoPuesto(respuesta.puesto);
+      if (!codigo) {
+        sinCodigo++;
+        continue;
+      }
+      lote.push({ updateOne: { filter: { _id: respuesta._id }, update: { $set: { puesto: codigo } } } });
+      if (lote.length >= LOTE) await guardarLote();
+    }
+    await guardarLote();
+    return { actualizadas, sinCodigo };
+  },
+};
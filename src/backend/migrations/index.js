@@ -0,0 +1,10 @@
+// Lista ordenada de migraciones de datos. Para añadir una nueva, crear el archivo
+// NNN-descripcion.js con { version, descripcion, up(db) } y registrarlo aquí.
+module.exports = [
+  require('./001-normalizar-respuestas'),
+  require('./002-puestos-mayusculas'),
+  require('./003-respuestas-encuesta'),
+  require('./004-preguntas-seguimiento'),
+  require('./005-indice-texto-sugerencias'),
+  require('./006-normalizar-codigos-puesto'),
+];
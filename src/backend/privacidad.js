@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// Datos personales de las respuestas: se cifran en reposo, se omiten en las respuestas anónimas,
+// se borran al cumplirse el plazo de retención y se pueden borrar a petición del comerciante.
+// El puesto no se considera dato personal: es del mercado y lo necesitan la cobertura y los sectores.
+const CAMPOS_PERSONALES = ['nombre', 'telefono'];
+
+// Clave de 32 bytes en base64 (p. ej. `openssl rand -base64 32`). Sin ella los datos se guardan
+// en claro, como antes de existir el cifrado.
+const CLAVE_TEXTO = process.env.PII_ENCRYPTION_KEY;
+const CLAVE = CLAVE_TEXTO ? Buffer.from(CLAVE_TEXTO, 'base64') : null;
+const CIFRADO_ACTIVO = Boolean(CLAVE && CLAVE.length === 32);
+
+// Días tras el envío en que se conservan los datos personales (0 o vacío: sin límite)
+const DIAS_RETENCION = Math.max(parseInt(process.env.PII_RETENTION_DAYS, 10) || 0, 0);
+
+if (!CLAVE_TEXTO) {
+  console.warn('⚠️ PII_ENCRYPTION_KEY no está definido: nombres y teléfonos se guardarán sin cifrar');
+} else if (!CIFRADO_ACTIVO) {
+  console.warn('⚠️ PII_ENCRYPTION_KEY debe ser una clave de 32 bytes en base64: nombres y teléfonos se guardarán sin cifrar');
+}
+
+// Subclave para las huellas, distinta de la de cifrado
+const CLAVE_HUELLAS = CIFRADO_ACTIVO ? Buffer.from(crypto.hkdfSync('sha256', CLAVE, '', 'huellas-datos-personales', 32)) : null;
+
+// --- Cifrado ---
+// Formato almacenado: aes$<iv base64>$<tag base64>$<texto cifrado base64> (AES-256-GCM)
+const PREFIJO_CIFRADO = 'aes$';
+
+const estaCifrado = (valor) => typeof valor === 'string' && valor.startsWith(PREFIJO_CIFRADO);
+
+function cifrar(texto) {
+  if (!CIFRADO_ACTIVO || typeof texto !== 'string' || texto === '' || estaCifrado(texto)) return texto;
+  const iv = crypto.randomBytes(12);
+  const cifrador = crypto.createCipheriv('aes-256-gcm', CLAVE, iv);
+  const datos = Buffer.concat([cifrador.update(texto, 'utf8'), cifrador.final()]);
+  return `${PREFIJO_CIFRADO}${iv.toString('base64')}$${cifrador.getAuthTag().toString('base64')}$${datos.toString('base64')}`;
+}
+
+// Acepta también valores en claro (respuestas anteriores al cifrado). Si el valor no se puede
+// descifrar (clave cambiada o ausente) devuelve null en lugar del texto cifrado.
+function descifrar(valor) {
+  if (!estaCifrado(valor)) return valor;
+  if (!CIFRADO_ACTIVO) return null;
+  try {
+    const [iv, tag, datos] = valor.slice(PREFIJO_CIFRADO.length).split('$').map(parte => Buffer.from(parte, 'base64'));
+    const descifrador = crypto.createDecipheriv('aes-256-gcm', CLAVE, iv);
+    descifrador.setAuthTag(tag);
+    return Buffer.concat([descifrador.update(datos), descifrador.final()]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+// --- Huellas ---
+// El cifrado usa un IV aleatorio, así que dos cifrados del mismo teléfono no se parecen. Para
+// las reglas de duplicados y el borrado a petición se guarda además una huella (HMAC) de cada
+// dato, que permite buscar por igualdad sin poder recuperar el valor.
+const normalizarPersonal = {
+  nombre: (valor) => valor.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase(),
+  telefono: (valor) => valor.replace(/[^\d+]/g, ''),
+};
+
+const huella = (campo, valor) => crypto.createHmac('sha256', CLAVE_HUELLAS).update(normalizarPersonal[campo](valor)).digest('hex');
+
+// Condición de MongoDB para buscar las respuestas con un valor de un campo. Los campos
+// personales se buscan por su huella cuando el cifrado está activo.
+function condicionCampo(campo, valor) {
+  if (!CIFRADO_ACTIVO || !CAMPOS_PERSONALES.includes(campo)) return { [campo]: valor };
+  return { [`huellas.${campo}`]: huella(campo, valor) };
+}
+
+// Cambios a guardar en una respuesta para cifrar sus datos personales en claro y añadir sus
+// huellas, con rutas ('huellas.telefono') listas para $set. Devuelve {} si no hay nada que cifrar.
+function cifrarDatosPersonales(datos) {
+  if (!CIFRADO_ACTIVO) return {};
+  const cambios = {};
+  CAMPOS_PERSONALES.forEach((campo) => {
+    const valor = datos[campo];
+    if (typeof valor !== 'string' || valor === '' || estaCifrado(valor)) return;
+    cambios[campo] = cifrar(valor);
+    cambios[`huellas.${campo}`] = huella(campo, valor);
+  });
+  return cambios;
+}
+
+// Copia de la respuesta con los datos personales en claro y sin las huellas
+function descifrarDatosPersonales(doc) {
+  const { huellas, ...resto } = doc;
+  CAMPOS_PERSONALES.forEach((campo) => {
+    if (resto[campo] !== undefined) resto[campo] = descifrar(resto[campo]);
+  });
+  return resto;
+}
+
+// Actualización que borra los datos personales de una respuesta
+const actualizacionBorrado = (fecha) => ({
+  $unset: { ...Object.fromEntries(CAMPOS_PERSONALES.map(campo => [campo, ''])), huellas: '' },
+  $set: { datosPersonalesBorradosEn: fecha },
+});
+
+// Filtro de las respuestas que todavía tienen algún dato personal
+const filtroConDatosPersonales = () => ({ $or: CAMPOS_PERSONALES.map(campo => ({ [campo]: { $exists: true, $ne: '' } })) });
+
+// --- Búsqueda de texto ---
+// Un nombre cifrado no es texto que se pueda buscar, así que el índice de texto de las respuestas
+// incluye los nombres (como antes del cifrado) solo mientras el cifrado está inactivo. Con el
+// cifrado activo la búsqueda libre (`q`) encuentra solo sugerencias. MongoDB admite un único
+// índice de texto por colección: asegurarIndiceTexto sustituye el que no corresponde.
+const INDICE_TEXTO = CIFRADO_ACTIVO
+  ? { campos: { sugerencia: 'text' }, opciones: { name: 'sugerencia_text' } }
+  : { campos: { nombre: 'text', sugerencia: 'text' }, opciones: { name: 'nombre_text_sugerencia_text', weights: { nombre: 3, sugerencia: 1 } } };
+
+const BUSQUEDA_EN_NOMBRES = !CIFRADO_ACTIVO;
+
+// Deja en la colección (del driver de MongoDB) solo el índice de texto que corresponde al
+// estado del cifrado. language_override apunta a un campo inexistente para que ningún campo de
+// la respuesta cambie el idioma del índice. Devuelve los nombres de los índices eliminados.
+async function asegurarIndiceTexto(coleccion) {
+  const indices = await coleccion.indexes().catch(err => {
+    if (err.codeName === 'NamespaceNotFound') return []; // Base de datos vacía
+    throw err;
+  });
+  const sobrantes = indices.filter(indice => indice.key._fts === 'text' && indice.name !== INDICE_TEXTO.opciones.name);
+  for (const indice of sobrantes) {
+    await coleccion.dropIndex(indice.name);
+  }
+  if (!indices.some(indice => indice.name === INDICE_TEXTO.opciones.name)) {
+    await coleccion.createIndex(INDICE_TEXTO.campos, { ...INDICE_TEXTO.opciones, default_language: 'spanish', language_override: 'idiomaIndiceTexto' });
+  }
+  return sobrantes.map(indice => indice.name);
+}
+
+module.exports = {
+  CAMPOS_PERSONALES,
+  CIFRADO_ACTIVO,
+  DIAS_RETENCION,
+  PREFIJO_CIFRADO,
+  estaCifrado,
+  cifrar,
+  descifrar,
+  condicionCampo,
+  cifrarDatosPersonales,
+  descifrarDatosPersonales,
+  actualizacionBorrado,
+  filtroConDatosPersonales,
+  BUSQUEDA_EN_NOMBRES,
+  asegurarIndiceTexto,
+};
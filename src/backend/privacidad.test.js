@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+const crypto = require('crypto');
+
+const CLAVE = crypto.randomBytes(32).toString('base64');
+
+// privacidad.js lee la clave al cargarse: cada prueba carga su propia copia del módulo
+const cargar = (clave) => {
+  let modulo;
+  jest.isolateModules(() => {
+    if (clave) process.env.PII_ENCRYPTION_KEY = clave;
+    else delete process.env.PII_ENCRYPTION_KEY;
+    modulo = require('./privacidad');
+  });
+  return modulo;
+};
+
+// Colección del driver de MongoDB con los índices indicados, que registra los cambios
+const coleccion = (indices) => ({
+  indexes: jest.fn(async () => indices),
+  dropIndex: jest.fn(async () => {}),
+  createIndex: jest.fn(async () => {}),
+});
+
+const INDICE_ID = { name: '_id_', key: { _id: 1 } };
+const INDICE_SUGERENCIAS = { name: 'sugerencia_text', key: { _fts: 'text', _ftsx: 1 } };
+const INDICE_NOMBRES = { name: 'nombre_text_sugerencia_text', key: { _fts: 'text', _ftsx: 1 } };
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.PII_ENCRYPTION_KEY;
+});
+
+describe('con el cifrado activo', () => {
+  it('cifra y descifra los datos personales', () => {
+    const { CIFRADO_ACTIVO, cifrar, descifrar, estaCifrado } = cargar(CLAVE);
+    const cifrado = cifrar('María Quispe');
+
+    expect(CIFRADO_ACTIVO).toBe(true);
+    expect(estaCifrado(cifrado)).toBe(true);
+    expect(cifrado).not.toContain('María');
+    expect(cifrar('María Quispe')).not.toBe(cifrado); // IV aleatorio
+    expect(descifrar(cifrado)).toBe('María Quispe');
+  });
+
+  it('no vuelve a cifrar un valor cifrado ni los valores vacíos', () => {
+    const { cifrar } = cargar(CLAVE);
+    const cifrado = cifrar('70012345');
+
+    expect(cifrar(cifrado)).toBe(cifrado);
+    expect(cifrar('')).toBe('');
+    expect(cifrar(undefined)).toBeUndefined();
+  });
+
+  it('devuelve null si el valor cifrado se alteró o la clave cambió', () => {
+    const { cifrar, descifrar } = cargar(CLAVE);
+    const cifrado = cifrar('70012345');
+    const partes = cifrado.split('$');
+    partes[3] = Buffer.from('otro texto').toString('base64');
+
+    expect(descifrar(partes.join('$'))).toBeNull();
+    expect(cargar(crypto.randomBytes(32).toString('base64')).descifrar(cifrado)).toBeNull();
+  });
+
+  it('devuelve en claro los valores anteriores al cifrado', () => {
+    expect(cargar(CLAVE).descifrar('Juan Mamani')).toBe('Juan Mamani');
+  });
+
+  it('busca los datos personales por una huella estable y normalizada', () => {
+    const { condicionCampo } = cargar(CLAVE);
+    const condicion = condicionCampo('nombre', 'María  Quispe');
+
+    expect(Object.keys(condicion)).toEqual(['huellas.nombre']);
+    expect(condicion['huellas.nombre']).toMatch(/^[0-9a-f]{64}$/);
+    expect(condicionCampo('nombre', ' maria quispe')).toEqual(condicion);
+    expect(condicionCampo('nombre', 'María Quispe Mamani')).not.toEqual(condicion);
+    expect(condicionCampo('telefono', '+591 700-12345')).toEqual(condicionCampo('telefono', '+59170012345'));
+    expect(condicionCampo('puesto', 'A-12')).toEqual({ puesto: 'A-12' });
+  });
+
+  it('guarda con cada dato cifrado la misma huella con la que se busca', () => {
+    const { cifrarDatosPersonales, descifrarDatosPersonales, condicionCampo } = cargar(CLAVE);
+    const cambios = cifrarDatosPersonales({ nombre: 'Juan Mamani', telefono: '', puesto: 'B-3' });
+
+    expect(Object.keys(cambios).sort()).toEqual(['huellas.nombre', 'nombre']);
+    expect(cambios['huellas.nombre']).toBe(condicionCampo('nombre', 'Juan Mamani')['huellas.nombre']);
+    expect(descifrarDatosPersonales({ nombre: cambios.nombre, puesto: 'B-3', huellas: { nombre: cambios['huellas.nombre'] } }))
+      .toEqual({ nombre: 'Juan Mamani', puesto: 'B-3' });
+  });
+
+  it('deja en el índice de texto solo las sugerencias', async () => {
+    const { BUSQUEDA_EN_NOMBRES, asegurarIndiceTexto } = cargar(CLAVE);
+    const respuestas = coleccion([INDICE_ID, INDICE_NOMBRES]);
+
+    expect(BUSQUEDA_EN_NOMBRES).toBe(false);
+    await expect(asegurarIndiceTexto(respuestas)).resolves.toEqual(['nombre_text_sugerencia_text']);
+    expect(respuestas.dropIndex).toHaveBeenCalledWith('nombre_text_sugerencia_text');
+    expect(respuestas.createIndex).toHaveBeenCalledWith({ sugerencia: 'text' }, expect.objectContaining({ name: 'sugerencia_text', default_language: 'spanish' }));
+  });
+});
+
+describe('sin clave de cifrado', () => {
+  it('guarda y devuelve los datos en claro', () => {
+    const { CIFRADO_ACTIVO, cifrar, cifrarDatosPersonales, condicionCampo } = cargar(null);
+
+    expect(CIFRADO_ACTIVO).toBe(false);
+    expect(cifrar('María Quispe')).toBe('María Quispe');
+    expect(cifrarDatosPersonales({ nombre: 'María Quispe' })).toEqual({});
+    expect(condicionCampo('nombre', 'María Quispe')).toEqual({ nombre: 'María Quispe' });
+  });
+
+  it('no puede leer los datos cifrados con una clave', () => {
+    const cifrado = cargar(CLAVE).cifrar('70012345');
+    expect(cargar(null).descifrar(cifrado)).toBeNull();
+  });
+
+  it('una clave que no mide 32 bytes no activa el cifrado', () => {
+    expect(cargar(crypto.randomBytes(16).toString('base64')).CIFRADO_ACTIVO).toBe(false);
+  });
+
+  it('mantiene los nombres en el índice de texto', async () => {
+    const { BUSQUEDA_EN_NOMBRES, asegurarIndiceTexto } = cargar(null);
+    const respuestas = coleccion([INDICE_ID, INDICE_SUGERENCIAS]);
+
+    expect(BUSQUEDA_EN_NOMBRES).toBe(true);
+    await expect(asegurarIndiceTexto(respuestas)).resolves.toEqual(['sugerencia_text']);
+    expect(respuestas.createIndex).toHaveBeenCalledWith(
+      { nombre: 'text', sugerencia: 'text' },
+      expect.objectContaining({ name: 'nombre_text_sugerencia_text', weights: { nombre: 3, sugerencia: 1 } })
+    );
+  });
+
+  it('no toca el índice de texto si ya es el que corresponde', async () => {
+    const respuestas = coleccion([INDICE_ID, INDICE_NOMBRES]);
+
+    await expect(cargar(null).asegurarIndiceTexto(respuestas)).resolves.toEqual([]);
+    expect(respuestas.dropIndex).not.toHaveBeenCalled();
+    expect(respuestas.createIndex).not.toHaveBeenCalled();
+  });
+});
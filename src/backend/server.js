@@ -1,102 +1,2165 @@
+require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const { ROLES, isHashed, hashPassword, verifyPassword, issueSession, verifyRefreshToken, requireAuth, requireRole, hashInvitationToken, createInvitationToken } = require('./auth');
+const { TIPOS_PREGUNTA, IDIOMAS, IDIOMA_PREDETERMINADO, validarRespuesta, validarDefinicionEncuesta, normalizarCodigoPuesto, validarPuesto, validarBorradoDatos, validarInvitacion, validarRegistro } = require('./validation');
+const { CODIGO_ENCUESTA_PREDETERMINADA, encuestaPredeterminada } = require('./encuestaPredeterminada');
+const { AGRUPACIONES, pipelineEstadisticas, formatearEstadisticas, pipelineComparacion, formatearComparacion, pipelineRespuestasPorPuesto, calcularCobertura } = require('./estadisticas');
+const { FORMATOS_EXPORTACION, escribirCsv, escribirXlsx, escribirJson, escribirPdf } = require('./exportacion');
+const { FORMATOS_IMPORTACION, leerArchivo, filaARespuesta } = require('./importacion');
+const { crearLimitador, limiteDesdeEntorno, rechazarPorLimite, limitarPorIp } = require('./limites');
+const { filtroDuplicados, validarReglasDuplicados } = require('./duplicados');
+const { TEMAS_PREDETERMINADOS, crearAnalisis, detectarTemas, validarTemas } = require('./analisisTexto');
+const { ACCIONES_AUDITORIA, FORMATOS_AUDITORIA, COLUMNAS_AUDITORIA, aFilaAuditoria } = require('./auditoria');
+const { publicarEvento, abrirFlujo } = require('./tiempoReal');
+const { ESTADOS_INCIDENTE, DESCRIPCION_ESTADOS, validarIncidente, validarCambioIncidente, validarComentario } = require('./incidentes');
+const { ESTADOS_ACCION, DIAS_COMPARACION, validarAccion } = require('./acciones');
+const { ZONA_HORARIA, limiteFecha } = require('./zonaHoraria');
+const { CIFRADO_ACTIVO, DIAS_RETENCION, PREFIJO_CIFRADO, condicionCampo, cifrarDatosPersonales, descifrarDatosPersonales, actualizacionBorrado, filtroConDatosPersonales, BUSQUEDA_EN_NOMBRES, asegurarIndiceTexto } = require('./privacidad');
+const { version: VERSION_APP } = require('../../package.json');
+
+const app = express();
+// Render (y cualquier proxy inverso) pone la IP del cliente en X-Forwarded-For; sin esto
+// todos los envíos parecerían venir de la misma IP y compartirían el límite
+app.set('trust proxy', 1);
 app.use(cors({
   origin: ["https://tufrontend.onrender.com", "http://localhost:3000"],
 }));
-require('dotenv').config();
-
-const app = express();
-app.use(cors());
 app.use(express.json());
 
 // Conexión a MongoDB Atlas
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
-}).then(() => console.log('✅ Conectado a MongoDB Atlas'))
-  .catch(err => console.error('❌ Error de conexión:', err));
+}).then(() => {
+  console.log('✅ Conectado a MongoDB Atlas');
+  programarRetencion();
+  return Promise.all([migrarPasswordsPlanas(), asignarRolesIniciales(), crearEncuestaPredeterminada(), crearTemasPredeterminados(), cifrarDatosEnClaro(), ajustarIndiceTexto()]);
+}).catch(err => console.error('❌ Error de conexión:', err));
+
+// Esquema y modelo de encuesta. Cada versión es un documento propio; una versión publicada
+// no se modifica, así las respuestas guardadas con ella siguen siendo interpretables.
+const preguntaSchema = new mongoose.Schema({
+  clave: { type: String, required: true }, // Nombre del campo en la respuesta, p. ej. 'seguridad'
+  tipo: { type: String, enum: TIPOS_PREGUNTA, required: true },
+  etiqueta: { type: String, required: true },
+  placeholder: String,
+  requerida: { type: Boolean, default: false },
+  opciones: [{ _id: false, valor: String, etiqueta: String }], // Solo para single/multi
+  maxLength: Number,
+  mayusculas: Boolean,
+  multilinea: Boolean,
+  min: Number, // Solo para rating
+  max: Number,
+  // Pregunta de seguimiento: solo se muestra si la respuesta a `clave` es o incluye uno de `valores`
+  mostrarSi: {
+    type: new mongoose.Schema({ clave: String, valores: [String] }, { _id: false }),
+    default: undefined
+  }
+}, { _id: false });
+
+const encuestaSchema = new mongoose.Schema({
+  codigo: { type: String, required: true },
+  version: { type: Number, required: true },
+  titulo: { type: String, required: true },
+  estado: { type: String, enum: ['borrador', 'publicada'], default: 'borrador' },
+  preguntas: [preguntaSchema],
+  publicadaEn: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+encuestaSchema.index({ codigo: 1, version: -1 }, { unique: true });
+const Encuesta = mongoose.model('Encuesta', encuestaSchema);
+
+// Última versión publicada de una encuesta, o una versión concreta si se indica
+function obtenerEncuesta(codigo, version) {
+  const filtro = { codigo, estado: 'publicada' };
+  if (version !== undefined) filtro.version = version;
+  return Encuesta.findOne(filtro).sort({ version: -1 }).lean();
+}
+
+// Crea la versión 1 de la encuesta de seguridad si todavía no existe ninguna versión
+async function crearEncuestaPredeterminada() {
+  const existe = await Encuesta.exists({ codigo: CODIGO_ENCUESTA_PREDETERMINADA });
+  if (!existe) {
+    await Encuesta.create({ ...encuestaPredeterminada, version: 1, estado: 'publicada', publicadaEn: new Date() });
+    console.log('📋 Encuesta predeterminada creada');
+  }
+}
 
 // Esquema y modelo de respuesta
 const respuestaSchema = new mongoose.Schema({
+  encuesta: { type: String, default: CODIGO_ENCUESTA_PREDETERMINADA }, // Código y versión de la encuesta respondida
+  encuestaVersion: { type: Number, default: 1 },
+  // Idioma del formulario (ver validation.js). No se llama `language`: MongoDB usaría ese campo
+  // para cambiar el idioma del índice de texto, y las sugerencias se indexan siempre en español.
+  idioma: { type: String, enum: IDIOMAS, default: IDIOMA_PREDETERMINADO },
+  // Datos personales: cifrados si PII_ENCRYPTION_KEY está definido (ver privacidad.js). Las
+  // huellas permiten buscarlos por igualdad (duplicados, borrado a petición) sin descifrarlos.
   nombre: String,
   puesto: String,
   telefono: String,
+  huellas: { nombre: String, telefono: String },
+  anonima: { type: Boolean, default: undefined }, // Respondida sin nombre ni teléfono
+  datosPersonalesBorradosEn: { type: Date, default: undefined }, // Por retención o a petición
   seguridad: String,
-  problemas: String, // Almacenar como string separado por comas
+  problemas: { type: [String], default: [] }, // Códigos de problema (ver validation.js)
   sugerencia: String,
-  calificacion: String,
-  fecha: String,
-  hora: String,
-  createdAt: { type: Date, default: Date.now }
+  calificacion: { type: Number, min: 1, max: 5 },
+  // Preguntas de seguimiento: solo existen si la pregunta se mostró (ver encuestaPredeterminada.js)
+  horarioInseguridad: { type: [String], default: undefined }, // Si no se siente seguro: momentos del día
+  zonaInseguridad: { type: [String], default: undefined }, // Si no se siente seguro: zonas del mercado
+  problemaOtro: String, // Si marcó "otros" problemas: cuál
+  otras: { type: mongoose.Schema.Types.Mixed, default: undefined }, // Respuestas a preguntas sin campo propio
+  submittedAt: { type: Date, default: Date.now }, // Fecha de envío asignada por el servidor (UTC)
+  createdAt: { type: Date, default: Date.now },
+  deletedAt: { type: Date, default: null }, // Borrado lógico: las respuestas eliminadas van a la papelera
+  deletedBy: { type: String, default: null },
+  idempotencyKey: { type: String }, // Clave generada por el cliente: evita duplicados al reintentar envíos offline
+  duplicadoDe: { type: mongoose.Schema.Types.ObjectId, default: undefined }, // Primera respuesta del grupo (reglas de duplicados)
+  revision: { type: String, enum: ['pendiente', 'resuelta'], default: undefined }, // Cola de revisión de duplicados
+  importacion: { type: mongoose.Schema.Types.ObjectId, default: undefined }, // Importación que la creó (encuestas en papel)
+  temas: { type: [String], default: undefined } // Temas detectados en la sugerencia (ver analisisTexto.js)
+});
+
+// Índices para los filtros y ordenaciones del listado
+respuestaSchema.index({ deletedAt: 1, submittedAt: -1 });
+respuestaSchema.index({ deletedAt: 1, calificacion: 1, submittedAt: -1 });
+respuestaSchema.index({ seguridad: 1 });
+respuestaSchema.index({ problemas: 1 });
+respuestaSchema.index({ puesto: 1 });
+respuestaSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+respuestaSchema.index({ importacion: 1 }, { sparse: true });
+respuestaSchema.index({ revision: 1, duplicadoDe: 1 }, { sparse: true });
+respuestaSchema.index({ temas: 1 }, { sparse: true });
+respuestaSchema.index({ 'huellas.telefono': 1 }, { sparse: true });
+// El índice de texto (sugerencias, y nombres si no están cifrados) no se declara en el esquema:
+// depende de PII_ENCRYPTION_KEY y lo crea asegurarIndiceTexto al arrancar (ver privacidad.js)
+
+// Las consultas normales ocultan las respuestas en la papelera, salvo que filtren por deletedAt explícitamente
+respuestaSchema.pre(['find', 'findOne', 'countDocuments', 'updateMany'], function () {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
 });
 const Respuesta = mongoose.model('Respuesta', respuestaSchema);
 
+// Registro de cada importación de encuestas en papel: permite revertirla entera si fue un error
+const importacionSchema = new mongoose.Schema({
+  archivo: String,
+  formato: String,
+  usuario: String, // Administrador que la realizó
+  importadas: Number,
+  omitidas: Number, // Filas con errores que no se guardaron
+  createdAt: { type: Date, default: Date.now },
+  revertidaEn: { type: Date, default: null },
+  revertidaPor: { type: String, default: null }
+});
+const Importacion = mongoose.model('Importacion', importacionSchema, 'importaciones');
+
+// Reglas de duplicados configuradas por los administradores (ver duplicados.js)
+const reglaDuplicadoSchema = new mongoose.Schema({
+  campo: String,
+  periodo: String,
+  accion: String,
+  activa: { type: Boolean, default: true }
+});
+const ReglaDuplicado = mongoose.model('ReglaDuplicado', reglaDuplicadoSchema, 'reglasDuplicados');
+
+// Diccionario de temas de las sugerencias, editable desde el panel (ver analisisTexto.js)
+const temaSugerenciaSchema = new mongoose.Schema({
+  codigo: { type: String, required: true, unique: true },
+  nombre: String,
+  palabras: [String]
+});
+const TemaSugerencia = mongoose.model('TemaSugerencia', temaSugerenciaSchema, 'temasSugerencias');
+
+const LOTE_ETIQUETADO = 500;
+
+// Vuelve a clasificar todas las sugerencias (también las de la papelera, por eso se usa la
+// colección directamente) con el diccionario indicado. Devuelve cuántas respuestas cambiaron.
+async function etiquetarRespuestas(temas) {
+  const cursor = Respuesta.collection.find({ sugerencia: { $type: 'string' } }, { projection: { sugerencia: 1, temas: 1 } });
+  let lote = [];
+  let cambiadas = 0;
+  const escribirLote = async () => {
+    if (lote.length === 0) return;
+    await Respuesta.collection.bulkWrite(lote, { ordered: false });
+    cambiadas += lote.length;
+    lote = [];
+  };
+
+  for await (const respuesta of cursor) {
+    const nuevos = detectarTemas(respuesta.sugerencia, temas);
+    if (nuevos.join(',') === (respuesta.temas || []).join(',')) continue;
+    lote.push({ updateOne: { filter: { _id: respuesta._id }, update: { $set: { temas: nuevos } } } });
+    if (lote.length >= LOTE_ETIQUETADO) await escribirLote();
+  }
+  await escribirLote();
+  return cambiadas;
+}
+
+// Crea el diccionario de temas predeterminado si todavía no hay ninguno y clasifica las
+// sugerencias que ya existían
+async function crearTemasPredeterminados() {
+  if (await TemaSugerencia.exists({})) return;
+  const temas = await TemaSugerencia.insertMany(TEMAS_PREDETERMINADOS);
+  const cambiadas = await etiquetarRespuestas(temas);
+  console.log(`🏷️ Temas de sugerencias creados (${cambiadas} respuestas clasificadas)`);
+}
+
+// Registro de puestos del mercado. El sector es la parte de letras del código ("A-15" → "A")
+const puestoSchema = new mongoose.Schema({
+  codigo: { type: String, required: true, unique: true }, // Normalizado (ver normalizarCodigoPuesto)
+  sector: { type: String, required: true, index: true },
+  propietario: String,
+  activo: { type: Boolean, default: true }, // Los puestos inactivos no cuentan para la cobertura
+  createdAt: { type: Date, default: Date.now }
+});
+const Puesto = mongoose.model('Puesto', puestoSchema);
+
+// Códigos de los puestos activos, o null si el registro está vacío (instalaciones anteriores
+// al registro): en ese caso el puesto de las respuestas sigue siendo texto libre.
+async function puestosRegistrados() {
+  const codigos = await Puesto.distinct('codigo', { activo: true });
+  return codigos.length > 0 ? new Set(codigos) : null;
+}
+
+// Comprueba el puesto de una respuesta ya validada contra el registro y lo normaliza.
+// Devuelve el mensaje de error, o null si es válido.
+function comprobarPuesto(datos, registrados) {
+  if (!registrados || !datos.puesto) return null;
+  const codigo = normalizarCodigoPuesto(datos.puesto);
+  if (!codigo || !registrados.has(codigo)) return 'El puesto no está registrado en el mercado';
+  datos.puesto = codigo;
+  return null;
+}
+
+// Incidentes reportados por los comerciantes (ver incidentes.js) y su revisión. Los comentarios
+// de tipo 'cambio' los anota el servidor al cambiar el estado o la persona asignada.
+const comentarioIncidenteSchema = new mongoose.Schema({
+  usuario: String,
+  texto: String,
+  tipo: { type: String, enum: ['comentario', 'cambio'], default: 'comentario' },
+  fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+const incidenteSchema = new mongoose.Schema({
+  categoria: { type: String, required: true }, // Código de problema de la encuesta
+  fechaHecho: { type: Date, required: true }, // Cuándo ocurrió (UTC), indicado por quien lo reporta
+  puesto: String,
+  zona: String,
+  descripcion: { type: String, required: true },
+  idioma: { type: String, enum: IDIOMAS, default: IDIOMA_PREDETERMINADO },
+  estado: { type: String, enum: ESTADOS_INCIDENTE, default: 'nuevo' },
+  asignadoA: { type: String, default: null }, // Usuario del panel responsable del seguimiento
+  comentarios: { type: [comentarioIncidenteSchema], default: [] },
+  resueltoEn: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+incidenteSchema.index({ estado: 1, createdAt: -1 });
+const Incidente = mongoose.model('Incidente', incidenteSchema);
+
+const serializarIncidente = (doc) => ({ ...doc, id: String(doc._id) });
+
+// Acciones del plan de seguridad (ver acciones.js). La fecha límite es un día del calendario
+// (YYYY-MM-DD); completadaEn marca el corte de la comparación antes/después.
+const accionSchema = new mongoose.Schema({
+  titulo: { type: String, required: true },
+  descripcion: String,
+  problemas: { type: [String], default: [] }, // Códigos de problema de la encuesta
+  sectores: { type: [String], default: [] }, // Vacío: todo el mercado
+  responsable: { type: String, required: true },
+  fechaLimite: { type: String, required: true },
+  costo: { type: Number, default: null }, // En bolivianos
+  estado: { type: String, enum: ESTADOS_ACCION, default: 'pendiente' },
+  completadaEn: { type: Date, default: null },
+  creadaPor: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const Accion = mongoose.model('Accion', accionSchema);
+
+const serializarAccion = (doc) => ({ ...doc, id: String(doc._id) });
+
+// Prepara una respuesta (documento lean) para la API: descifra los datos personales, tolera
+// documentos aún no migrados (problemas como texto separado por comas, calificación como
+// texto, sin submittedAt) y añade los campos antiguos `fecha`/`hora` para los clientes que
+// todavía los usan.
+function serializarRespuesta(guardada) {
+  const doc = descifrarDatosPersonales(guardada);
+  const problemas = Array.isArray(doc.problemas)
+    ? doc.problemas
+    : (doc.problemas || '').split(',').map(p => p.trim()).filter(Boolean);
+  const calificacion = parseInt(doc.calificacion, 10);
+  const submittedAt = doc.submittedAt || doc.createdAt;
+
+  return {
+    ...doc,
+    id: String(doc._id),
+    problemas,
+    calificacion: Number.isInteger(calificacion) ? calificacion : null,
+    submittedAt,
+    idioma: doc.idioma || IDIOMA_PREDETERMINADO,
+    fecha: submittedAt ? new Date(submittedAt).toLocaleDateString('es-ES', { timeZone: ZONA_HORARIA }) : doc.fecha,
+    hora: submittedAt ? new Date(submittedAt).toLocaleTimeString('es-ES', { timeZone: ZONA_HORARIA }) : doc.hora,
+  };
+}
+
+const escaparRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Construye el filtro de MongoDB a partir de los criterios permitidos
+// (ids, seguridad, calificación, problema, tema, idioma, prefijo de puesto, sector, fechas y texto libre)
+function construirFiltroRespuestas(criterios = {}) {
+  const filtro = {};
+  if (Array.isArray(criterios.ids)) {
+    filtro._id = { $in: criterios.ids.filter(id => mongoose.isValidObjectId(id)) };
+  }
+  if (criterios.seguridad) filtro.seguridad = String(criterios.seguridad);
+  if (Number.isInteger(Number(criterios.calificacion)) && criterios.calificacion) {
+    filtro.calificacion = Number(criterios.calificacion);
+  }
+  if (criterios.problema) filtro.problemas = String(criterios.problema);
+  if (criterios.tema) filtro.temas = String(criterios.tema);
+  // Las respuestas anteriores a los idiomas no tienen el campo y se respondieron en español
+  if (criterios.idioma) {
+    const idioma = String(criterios.idioma);
+    filtro.idioma = idioma === IDIOMA_PREDETERMINADO ? { $in: [idioma, null] } : idioma;
+  }
+  // Los puestos se guardan en mayúsculas: un prefijo anclado y sensible a mayúsculas usa el índice
+  const condicionesPuesto = [];
+  if (criterios.puesto) condicionesPuesto.push(new RegExp(`^${escaparRegex(String(criterios.puesto).trim().toUpperCase())}`));
+  // El sector es la letra (o letras) inicial del puesto: "A-15" pertenece al sector "A".
+  // Se admite una lista de sectores (acciones del plan que afectan a varios).
+  const sectores = [].concat(criterios.sector || []).map(sector => escaparRegex(String(sector).trim().toUpperCase())).filter(Boolean);
+  if (sectores.length > 0) condicionesPuesto.push(new RegExp(`^(?:${sectores.join('|')})(?![A-Z])`));
+  // Con prefijo y sector a la vez el puesto debe cumplir los dos
+  if (condicionesPuesto.length === 1) filtro.puesto = condicionesPuesto[0];
+  if (condicionesPuesto.length > 1) filtro.$and = condicionesPuesto.map(condicion => ({ puesto: condicion }));
+  if (criterios.q) filtro.$text = { $search: String(criterios.q) };
+  const desde = criterios.desde ? limiteFecha(criterios.desde) : null;
+  const hasta = criterios.hasta ? limiteFecha(criterios.hasta, true) : null;
+  if (desde || hasta) {
+    filtro.submittedAt = {};
+    if (desde) filtro.submittedAt.$gte = desde;
+    if (hasta) filtro.submittedAt.$lte = hasta;
+  }
+  return filtro;
+}
+
+// Filtro del registro de auditoría: usuario, accion (código exacto o grupo, p. ej. 'papelera'),
+// id de un documento afectado y fechas
+function construirFiltroAuditoria(criterios = {}) {
+  const filtro = {};
+  if (criterios.usuario) filtro.usuario = String(criterios.usuario).trim();
+  if (criterios.accion) {
+    const accion = String(criterios.accion).trim();
+    filtro.accion = accion in ACCIONES_AUDITORIA ? accion : new RegExp(`^${escaparRegex(accion)}\\.`);
+  }
+  if (criterios.id) filtro.ids = String(criterios.id).trim();
+  const desde = criterios.desde ? limiteFecha(criterios.desde) : null;
+  const hasta = criterios.hasta ? limiteFecha(criterios.hasta, true) : null;
+  if (desde || hasta) {
+    filtro.fecha = {};
+    if (desde) filtro.fecha.$gte = desde;
+    if (hasta) filtro.fecha.$lte = hasta;
+  }
+  return filtro;
+}
+
 // Esquema y modelo de usuario (administrador)
 const userSchema = new mongoose.Schema({
   usuario: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: true }, // En un proyecto real, esto debería ser hasheado
+  password: { type: String, required: true }, // Hash scrypt (ver auth.js)
+  rol: { type: String, enum: ROLES, required: true },
+  activo: { type: Boolean, default: true }, // Las cuentas desactivadas no pueden iniciar sesión
+  tokenVersion: { type: Number, default: 0 }, // Se incrementa al cerrar sesión, desactivar o cambiar el rol para invalidar las sesiones
   fechaRegistro: { type: String, default: () => new Date().toLocaleDateString('es-ES') }
 });
 const User = mongoose.model('User', userSchema);
 
+// Invitaciones de un solo uso para registrar usuarios con un rol concreto
+const invitacionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 del token del enlace (ver auth.js)
+  rol: { type: String, enum: ROLES, required: true },
+  email: String, // Opcional: si se indica, solo se puede registrar con ese email
+  creadaPor: String,
+  createdAt: { type: Date, default: Date.now },
+  expiraEn: { type: Date, required: true },
+  usadaEn: { type: Date, default: null },
+  usadaPor: { type: String, default: null },
+  revocadaEn: { type: Date, default: null }
+});
+const Invitacion = mongoose.model('Invitacion', invitacionSchema, 'invitaciones');
+
+// Registro de auditoría de solo adición: el modelo rechaza modificar o borrar entradas. Para
+// garantizarlo también fuera de la aplicación, el usuario de MongoDB del servidor no debería
+// tener permisos de update/remove sobre esta colección.
+const auditLogSchema = new mongoose.Schema({
+  fecha: { type: Date, default: Date.now },
+  accion: { type: String, required: true }, // Código de ACCIONES_AUDITORIA (auditoria.js)
+  exito: { type: Boolean, default: true },
+  usuario: String, // Quién la realizó; en un login fallido, el usuario que se intentó
+  usuarioId: String,
+  rol: String,
+  ip: String,
+  ids: { type: [String], default: undefined }, // Documentos afectados
+  detalles: { type: mongoose.Schema.Types.Mixed, default: undefined } // Filtros, totales, cambios...
+}, { versionKey: false });
+auditLogSchema.index({ fecha: -1 });
+auditLogSchema.index({ usuario: 1, fecha: -1 });
+auditLogSchema.index({ accion: 1, fecha: -1 });
+auditLogSchema.index({ ids: 1 }, { sparse: true });
+
+const rechazarCambioAuditoria = () => {
+  throw new Error('El registro de auditoría no se puede modificar ni borrar');
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rechazarCambioAuditoria
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rechazarCambioAuditoria);
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) rechazarCambioAuditoria();
+});
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// Añade una entrada al registro de auditoría con el usuario y la IP de la petición (`actor`
+// sustituye al usuario en las rutas sin sesión, como login o registro). No se espera el
+// resultado: si falla se anota en consola, pero la acción del usuario no se interrumpe.
+function auditar(req, accion, { actor = req.user || {}, ids, detalles, exito = true } = {}) {
+  AuditLog.create({
+    accion,
+    exito,
+    usuario: actor.usuario,
+    usuarioId: actor.id,
+    rol: actor.rol,
+    ip: req.ip,
+    ids: ids && ids.map(String),
+    detalles,
+  }).catch(err => console.error(`Error al registrar la auditoría (${accion}):`, err));
+}
+
+const serializarUsuario = (user) => ({
+  id: String(user._id),
+  usuario: user.usuario,
+  email: user.email,
+  rol: user.rol,
+  activo: user.activo,
+  fechaRegistro: user.fechaRegistro,
+});
+
+// Los administradores creados antes de existir los roles tenían acceso completo
+async function asignarRolesIniciales() {
+  const resultado = await User.updateMany({ rol: { $exists: false } }, { $set: { rol: 'superadmin', activo: true } });
+  if (resultado.modifiedCount > 0) {
+    console.log(`👑 ${resultado.modifiedCount} administradores existentes pasan a superadmin`);
+  }
+}
+
+// Comprueba en cada petición que la cuenta siga activa y que la sesión no se haya invalidado,
+// de modo que desactivar una cuenta o cambiarle el rol surte efecto sin esperar a que caduque
+// el token de acceso. El rol se toma de la base de datos, no del token.
+async function cuentaVigente(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id, { rol: 1, activo: 1, tokenVersion: 1 }).lean();
+    if (!user || !user.activo || (user.tokenVersion || 0) !== req.user.ver) {
+      return res.status(401).json({ mensaje: 'Sesión inválida o expirada' });
+    }
+    req.user.rol = user.rol;
+    next();
+  } catch (err) {
+    console.error('Error al comprobar la sesión:', err);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// Permisos por ruta: cada ruta administrativa declara qué roles pueden usarla
+const permitir = (...roles) => [requireAuth, cuentaVigente, requireRole(...roles)];
+const soloSuperadmin = permitir('superadmin');
+const lectura = permitir('superadmin', 'analista');
+const cargaEncuestas = permitir('superadmin', 'encuestador');
+const cualquierRol = permitir(...ROLES);
+
+// Hashea las contraseñas de administradores creados antes de usar scrypt
+async function migrarPasswordsPlanas() {
+  const usuarios = await User.find({ password: { $not: /^scrypt\$/ } });
+  for (const user of usuarios) {
+    user.password = await hashPassword(user.password);
+    await user.save();
+  }
+  if (usuarios.length > 0) {
+    console.log(`🔐 ${usuarios.length} contraseñas migradas a hash`);
+  }
+}
+
+// Sustituye el índice de texto de las respuestas si no corresponde al estado del cifrado
+async function ajustarIndiceTexto() {
+  const eliminados = await asegurarIndiceTexto(Respuesta.collection);
+  if (eliminados.length > 0) {
+    console.log(`🔍 Índice de texto de las respuestas sustituido (${BUSQUEDA_EN_NOMBRES ? 'nombres y sugerencias' : 'solo sugerencias: los nombres están cifrados'})`);
+  }
+}
+
+const LOTE_CIFRADO = 500;
+
+// Cifra los nombres y teléfonos guardados en claro (respuestas anteriores al cifrado o de
+// cuando no había clave). También los de la papelera, por eso se usa la colección directamente.
+async function cifrarDatosEnClaro() {
+  if (!CIFRADO_ACTIVO) return;
+  const enClaro = { $type: 'string', $ne: '', $not: new RegExp(`^${escaparRegex(PREFIJO_CIFRADO)}`) };
+  const cursor = Respuesta.collection.find({ $or: [{ nombre: enClaro }, { telefono: enClaro }] }, { projection: { nombre: 1, telefono: 1 } });
+  let lote = [];
+  let cifradas = 0;
+  for await (const respuesta of cursor) {
+    lote.push({ updateOne: { filter: { _id: respuesta._id }, update: { $set: cifrarDatosPersonales(respuesta) } } });
+    if (lote.length >= LOTE_CIFRADO) {
+      await Respuesta.collection.bulkWrite(lote, { ordered: false });
+      cifradas += lote.length;
+      lote = [];
+    }
+  }
+  if (lote.length > 0) {
+    await Respuesta.collection.bulkWrite(lote, { ordered: false });
+    cifradas += lote.length;
+  }
+  if (cifradas > 0) console.log(`🔒 Datos personales de ${cifradas} respuestas cifrados`);
+}
+
+const INTERVALO_RETENCION_MS = 24 * 60 * 60 * 1000;
+
+// Borra los nombres y teléfonos de las respuestas enviadas hace más de PII_RETENTION_DAYS días
+// (también en la papelera). Las respuestas se conservan para las estadísticas.
+async function borrarDatosCaducados() {
+  const ahora = new Date();
+  const limite = new Date(ahora.getTime() - DIAS_RETENCION * 24 * 60 * 60 * 1000);
+  const resultado = await Respuesta.collection.updateMany(
+    { submittedAt: { $lt: limite }, ...filtroConDatosPersonales() },
+    actualizacionBorrado(ahora)
+  );
+  if (resultado.modifiedCount > 0) {
+    console.log(`🧹 Datos personales borrados de ${resultado.modifiedCount} respuestas (retención de ${DIAS_RETENCION} días)`);
+    publicarEvento('recargar', { motivo: 'retencion', cantidad: resultado.modifiedCount });
+    auditar({}, 'privacidad.retencion', {
+      actor: { usuario: 'sistema' },
+      detalles: { diasRetencion: DIAS_RETENCION, anteriorA: limite, respuestas: resultado.modifiedCount },
+    });
+  }
+}
+
+// La retención se aplica al arrancar y después una vez al día
+function programarRetencion() {
+  if (DIAS_RETENCION === 0) return;
+  const ejecutar = () => borrarDatosCaducados().catch(err => console.error('Error al aplicar la retención de datos personales:', err));
+  ejecutar();
+  setInterval(ejecutar, INTERVALO_RETENCION_MS);
+}
+
+// Aplica las reglas de duplicados activas a una respuesta ya validada. Devuelve null si no
+// duplica ninguna, o { campo, accion, original } de la primera regla que incumple; si alguna
+// regla rechaza, tiene prioridad sobre las que solo marcan.
+async function comprobarDuplicados(datos, encuesta, fecha) {
+  const reglas = await ReglaDuplicado.find({ activa: true }).lean();
+  let marcado = null;
+  for (const regla of reglas) {
+    const filtro = filtroDuplicados(regla, datos, encuesta, fecha);
+    if (!filtro) continue;
+    const original = await Respuesta.findOne(filtro, { _id: 1, duplicadoDe: 1 }).sort({ submittedAt: 1 }).lean();
+    if (!original) continue;
+    const resultado = { campo: regla.campo, accion: regla.accion, original: original.duplicadoDe || original._id };
+    if (regla.accion === 'rechazar') return resultado;
+    marcado = marcado || resultado;
+  }
+  return marcado;
+}
+
+// Límites de envío: por IP (scripts que inundan el endpoint) y por puesto (el mismo puesto
+// enviando muchas veces). Configurables con RATE_LIMIT_IP_* y RATE_LIMIT_STALL_*.
+const limitadorIp = crearLimitador(limiteDesdeEntorno('RATE_LIMIT_IP', 30, 15));
+const limitadorPuesto = crearLimitador(limiteDesdeEntorno('RATE_LIMIT_STALL', 5, 60));
+
+// Estado de la conexión de Mongoose (connection.readyState)
+const ESTADOS_CONEXION = { 0: 'desconectada', 1: 'conectada', 2: 'conectando', 3: 'desconectando' };
+const LIMITE_PING_MS = 2000;
+
+// Ruta de estado para el indicador del frontend y los monitores externos. Responde 200 si la
+// API y la base de datos funcionan y 503 (con el mismo cuerpo) si la base de datos no responde.
+app.get('/api/health', async (req, res) => {
+  const baseDatos = { estado: ESTADOS_CONEXION[mongoose.connection.readyState] || 'desconocido' };
+  if (mongoose.connection.readyState === 1) {
+    const inicio = Date.now();
+    let temporizador;
+    try {
+      await Promise.race([
+        mongoose.connection.db.admin().ping(),
+        new Promise((resolve, reject) => {
+          temporizador = setTimeout(() => reject(new Error('Tiempo de espera agotado')), LIMITE_PING_MS);
+        }),
+      ]);
+      baseDatos.latenciaMs = Date.now() - inicio;
+    } catch (err) {
+      baseDatos.estado = 'sin respuesta';
+    } finally {
+      clearTimeout(temporizador);
+    }
+  }
+
+  const ok = baseDatos.estado === 'conectada';
+  res.set('Cache-Control', 'no-store');
+  res.status(ok ? 200 : 503).json({
+    estado: ok ? 'ok' : 'degradado',
+    version: VERSION_APP,
+    uptime: Math.round(process.uptime()), // Segundos desde que arrancó el proceso
+    baseDatos,
+    fecha: new Date().toISOString(),
+  });
+});
+
 // Ruta para recibir las respuestas
-app.post('/api/respuestas', async (req, res) => {
+app.post('/api/respuestas', limitarPorIp(limitadorIp), async (req, res) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey !== undefined && !/^[\w-]{8,100}$/.test(idempotencyKey)) {
+    return res.status(400).json({ mensaje: 'Idempotency-Key inválida', errores: { idempotencyKey: 'Formato no válido' } });
+  }
+
+  // Un reintento de un envío ya guardado (aunque esté en la papelera) no es un duplicado. Se
+  // responde antes de validar: la encuesta o el registro de puestos pueden haber cambiado
+  // desde el primer envío y el reintento no debe rechazarse por ello.
+  if (idempotencyKey) {
+    try {
+      if (await Respuesta.exists({ idempotencyKey, deletedAt: { $exists: true } })) {
+        return res.status(200).json({ mensaje: 'Respuesta guardada correctamente', duplicada: true });
+      }
+    } catch (err) {
+      console.error('Error al comprobar el envío:', err);
+      return res.status(500).json({ error: 'Error al guardar la respuesta', details: err.message });
+    }
+  }
+
+  // Los clientes antiguos no indican la encuesta: se valida contra la última versión publicada
+  const codigo = typeof req.body.encuesta === 'string' ? req.body.encuesta : CODIGO_ENCUESTA_PREDETERMINADA;
+  const version = req.body.encuestaVersion !== undefined ? Number(req.body.encuestaVersion) : undefined;
+  if (version !== undefined && !Number.isInteger(version)) {
+    return res.status(400).json({ mensaje: 'Versión de encuesta inválida', errores: { encuestaVersion: 'Debe ser un número entero' } });
+  }
+
+  let encuesta;
+  let registrados;
+  let temas;
+  try {
+    [encuesta, registrados, temas] = await Promise.all([obtenerEncuesta(codigo, version), puestosRegistrados(), TemaSugerencia.find().lean()]);
+  } catch (err) {
+    console.error('Error al obtener la encuesta:', err);
+    return res.status(500).json({ error: 'Error al guardar la respuesta', details: err.message });
+  }
+  if (!encuesta) {
+    return res.status(400).json({ mensaje: 'La encuesta indicada no existe o no está publicada', errores: { encuesta: 'Encuesta no encontrada' } });
+  }
+
+  const { datos, errores } = validarRespuesta(req.body, encuesta);
+  const errorPuesto = errores.puesto ? null : comprobarPuesto(datos, registrados);
+  if (errorPuesto) errores.puesto = errorPuesto;
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'La respuesta contiene datos inválidos', errores });
+  }
+
   try {
-    const nuevaRespuesta = new Respuesta(req.body);
+    if (datos.puesto) {
+      const espera = limitadorPuesto.consumir(`${encuesta.codigo}:${datos.puesto}`);
+      if (espera) {
+        return rechazarPorLimite(res, espera, `Se recibieron demasiadas respuestas del puesto ${datos.puesto}. Inténtelo más tarde.`);
+      }
+    }
+
+    const duplicado = await comprobarDuplicados(datos, encuesta, new Date());
+    if (duplicado?.accion === 'rechazar') {
+      return res.status(409).json({
+        mensaje: 'Ya se recibió una respuesta equivalente en este periodo',
+        errores: { [duplicado.campo]: 'Ya existe una respuesta con este valor en el periodo actual' },
+      });
+    }
+
+    const nuevaRespuesta = new Respuesta({
+      ...datos,
+      encuesta: encuesta.codigo,
+      encuestaVersion: encuesta.version,
+      idempotencyKey,
+      temas: detectarTemas(datos.sugerencia, temas),
+      ...(duplicado && { duplicadoDe: duplicado.original, revision: 'pendiente' }),
+    });
+    nuevaRespuesta.set(cifrarDatosPersonales(datos));
     await nuevaRespuesta.save();
+    publicarEvento('creada', serializarRespuesta(nuevaRespuesta.toObject()));
     res.status(201).json({ mensaje: 'Respuesta guardada correctamente' });
   } catch (err) {
+    if (err.code === 11000 && idempotencyKey) { // Reintento de un envío que ya se guardó
+      return res.status(200).json({ mensaje: 'Respuesta guardada correctamente', duplicada: true });
+    }
     console.error('Error al guardar la respuesta:', err);
     res.status(500).json({ error: 'Error al guardar la respuesta', details: err.message });
   }
 });
 
-// Ruta para obtener todas las respuestas
-app.get('/api/respuestas', async (req, res) => {
+// Ordenaciones permitidas en el listado (el _id desempata para que la paginación sea estable)
+const ORDENES_RESPUESTAS = {
+  fecha_desc: { submittedAt: -1, _id: -1 },
+  fecha_asc: { submittedAt: 1, _id: 1 },
+  calificacion_desc: { calificacion: -1, submittedAt: -1, _id: -1 },
+  calificacion_asc: { calificacion: 1, submittedAt: -1, _id: -1 },
+  relevancia: { score: { $meta: 'textScore' }, submittedAt: -1, _id: -1 },
+};
+const LIMITE_MAXIMO = 100;
+const LIMITE_PUESTOS_LOTE = 2000;
+
+// Orden pedido o el predeterminado; la relevancia solo tiene sentido con una búsqueda de texto
+function resolverOrden(orden, filtro) {
+  if (!(orden in ORDENES_RESPUESTAS)) return 'fecha_desc';
+  return orden === 'relevancia' && !filtro.$text ? 'fecha_desc' : orden;
+}
+
+// Ruta para listar las respuestas con paginación, filtros, orden y búsqueda (solo administradores)
+// Parámetros: pagina, limite, orden, seguridad, calificacion, problema, tema, idioma, puesto, desde, hasta, q
+app.get('/api/respuestas', lectura, async (req, res) => {
+  const pagina = Math.max(parseInt(req.query.pagina, 10) || 1, 1);
+  const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 20, 1), LIMITE_MAXIMO);
+  const filtro = construirFiltroRespuestas(req.query);
+
+  const orden = resolverOrden(req.query.orden, filtro);
+
   try {
-    const respuestas = await Respuesta.find({});
-    res.status(200).json(respuestas);
+    const consulta = Respuesta.find(filtro, orden === 'relevancia' ? { score: { $meta: 'textScore' } } : null)
+      .sort(ORDENES_RESPUESTAS[orden])
+      .skip((pagina - 1) * limite)
+      .limit(limite)
+      .lean();
+    const [respuestas, total] = await Promise.all([consulta, Respuesta.countDocuments(filtro)]);
+
+    auditar(req, 'respuestas.listar', { ids: respuestas.map(r => r._id), detalles: { filtros: filtrosAplicados(req.query), orden, pagina, total } });
+    res.status(200).json({
+      respuestas: respuestas.map(serializarRespuesta),
+      total,
+      pagina,
+      limite,
+      paginas: Math.ceil(total / limite),
+      busquedaEnNombres: BUSQUEDA_EN_NOMBRES, // Con el cifrado activo `q` solo busca en las sugerencias
+    });
   } catch (err) {
     console.error('Error al obtener respuestas:', err);
     res.status(500).json({ error: 'Error al obtener respuestas', details: err.message });
   }
 });
 
-// Ruta para login de administrador
-app.post('/api/login', async (req, res) => {
-  const { usuario, password } = req.body;
+// EventSource no puede enviar cabeceras: en el flujo de eventos el token de acceso (de corta
+// duración) también se acepta en la URL
+function tokenEnConsulta(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Ruta de actualizaciones en tiempo real (Server-Sent Events): 'creada' y 'eliminada' llevan la
+// respuesta afectada; 'recargar' avisa de cambios masivos (importaciones, borrados por filtro).
+// Se reanuda desde la cabecera Last-Event-ID o el parámetro ultimoEvento. La conexión se cierra
+// cuando caduca el token, y el cliente vuelve a abrirla con uno renovado.
+app.get('/api/respuestas/stream', tokenEnConsulta, lectura, (req, res) => {
+  const ultimoId = req.get('Last-Event-ID') || (typeof req.query.ultimoEvento === 'string' ? req.query.ultimoEvento : undefined);
+  auditar(req, 'respuestas.tiempo_real', { detalles: { reanudacion: Boolean(ultimoId) } });
+  abrirFlujo(req, res, { ultimoId, cierre: req.user.exp * 1000 });
+});
+
+// Descripción legible de los filtros aplicados, para el informe PDF
+const DESCRIPCION_FILTROS = {
+  q: 'búsqueda',
+  seguridad: 'seguridad',
+  calificacion: 'calificación',
+  problema: 'problema',
+  tema: 'tema',
+  idioma: 'idioma',
+  puesto: 'puesto',
+  sector: 'sector',
+  desde: 'desde',
+  hasta: 'hasta',
+};
+
+// Filtros del listado presentes en la consulta, tal como se guardan en la auditoría
+const filtrosAplicados = (query) => Object.fromEntries(
+  Object.keys(DESCRIPCION_FILTROS).filter(clave => query[clave]).map(clave => [clave, String(query[clave])])
+);
+
+// Ruta para exportar las respuestas que cumplen los mismos filtros que el listado (sin paginar).
+// format=csv|xlsx|json devuelve las respuestas; format=pdf, un informe resumen con sus estadísticas.
+app.get('/api/respuestas/export', lectura, async (req, res) => {
+  const formato = req.query.format || 'csv';
+  if (!FORMATOS_EXPORTACION[formato]) {
+    return res.status(400).json({ mensaje: `Formato no válido (${Object.keys(FORMATOS_EXPORTACION).join(', ')})` });
+  }
+  const filtro = construirFiltroRespuestas(req.query);
+  const orden = resolverOrden(req.query.orden, filtro);
+  const ahora = new Date();
+  const nombreArchivo = `encuestas-seguridad-mercado-${ahora.toLocaleDateString('en-CA', { timeZone: ZONA_HORARIA })}.${formato}`;
+
   try {
-    const user = await User.findOne({ usuario });
-    if (!user || user.password !== password) { // En un proyecto real, comparar hash
-      return res.status(401).json({ mensaje: 'Credenciales incorrectas' });
+    if (formato === 'pdf') {
+      const [resultado, encuesta] = await Promise.all([
+        Respuesta.aggregate(pipelineEstadisticas(filtro)),
+        obtenerEncuesta(CODIGO_ENCUESTA_PREDETERMINADA),
+      ]);
+      const problemas = (encuesta?.preguntas || []).find(p => p.clave === 'problemas');
+      const estadisticas = formatearEstadisticas(resultado);
+      auditar(req, 'respuestas.exportar', { detalles: { formato, filtros: filtrosAplicados(req.query), total: estadisticas.total } });
+      res.attachment(nombreArchivo).type(FORMATOS_EXPORTACION.pdf);
+      escribirPdf(res, estadisticas, {
+        filtros: Object.keys(DESCRIPCION_FILTROS).filter(clave => req.query[clave]).map(clave => `${DESCRIPCION_FILTROS[clave]}: ${req.query[clave]}`),
+        etiquetasProblemas: Object.fromEntries((problemas?.opciones || []).map(o => [o.valor, o.etiqueta])),
+        generadoEn: ahora.toLocaleString('es-ES', { timeZone: ZONA_HORARIA }),
+      });
+      return;
+    }
+
+    const cursor = Respuesta.find(filtro, orden === 'relevancia' ? { score: { $meta: 'textScore' } } : null)
+      .sort(ORDENES_RESPUESTAS[orden])
+      .lean()
+      .cursor();
+    let exportadas = 0;
+    const respuestas = (async function* () {
+      for await (const doc of cursor) {
+        exportadas++;
+        yield serializarRespuesta(doc);
+      }
+    })();
+
+    res.attachment(nombreArchivo).type(FORMATOS_EXPORTACION[formato]);
+    const escritores = { csv: escribirCsv, xlsx: escribirXlsx, json: escribirJson };
+    // Se audita también una descarga interrumpida: las filas enviadas ya salieron del servidor
+    const auditarExportacion = (exito) => auditar(req, 'respuestas.exportar', { exito, detalles: { formato, filtros: filtrosAplicados(req.query), orden, total: exportadas } });
+    try {
+      await escritores[formato](res, respuestas);
+    } catch (err) {
+      auditarExportacion(false);
+      throw err;
     }
-    res.status(200).json({ mensaje: 'Login exitoso', user: { usuario: user.usuario, email: user.email } });
+    auditarExportacion(true);
   } catch (err) {
-    console.error('Error en login:', err);
-    res.status(500).json({ error: 'Error en el servidor' });
+    console.error('Error al exportar respuestas:', err);
+    // Si ya se envió parte del archivo no se puede responder con JSON: se corta la descarga
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Error al exportar respuestas', details: err.message });
   }
 });
 
-// Ruta para registrar nuevo administrador
-app.post('/api/register', async (req, res) => {
-  const { token, usuario, email, password } = req.body;
+// Ruta para importar encuestas en papel desde un CSV o XLSX con las columnas de la exportación.
+// Con modo=prueba (predeterminado) solo valida y devuelve la vista previa fila a fila; con
+// modo=importar guarda las filas válidas en un único lote marcado con el id de la importación.
+app.post('/api/respuestas/import', cargaEncuestas, express.raw({ type: Object.values(FORMATOS_IMPORTACION), limit: '5mb' }), async (req, res) => {
+  const formato = Object.keys(FORMATOS_IMPORTACION).find(f => req.is(FORMATOS_IMPORTACION[f]));
+  if (!formato || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ mensaje: 'Envíe un archivo CSV o XLSX' });
+  }
+  const modo = req.query.modo === 'importar' ? 'importar' : 'prueba';
 
-  if (token !== process.env.ADMIN_REGISTER_TOKEN) {
-    return res.status(403).json({ mensaje: 'Token de autorización inválido' });
+  let lectura;
+  try {
+    lectura = await leerArchivo(req.body, formato);
+  } catch (err) {
+    return res.status(400).json({ mensaje: 'No se pudo leer el archivo', details: err.message });
+  }
+  if (lectura.error) {
+    return res.status(400).json({ mensaje: lectura.error });
   }
 
   try {
-    const newUser = new User({ usuario, email, password });
-    await newUser.save();
-    res.status(201).json({ mensaje: 'Administrador registrado exitosamente' });
+    const encuestas = new Map(); // Versiones ya consultadas, por "codigo@version"
+    const [registrados, temas] = await Promise.all([puestosRegistrados(), TemaSugerencia.find().lean()]);
+    const filas = [];
+    for (const { fila, valores } of lectura.filas) {
+      const { cuerpo, encuesta: codigo = CODIGO_ENCUESTA_PREDETERMINADA, encuestaVersion, submittedAt, errores } = filaARespuesta(valores);
+      if (errores.encuestaVersion) {
+        filas.push({ fila, errores });
+        continue;
+      }
+      const claveEncuesta = `${codigo}@${encuestaVersion ?? 'ultima'}`;
+      if (!encuestas.has(claveEncuesta)) encuestas.set(claveEncuesta, await obtenerEncuesta(codigo, encuestaVersion));
+      const encuesta = encuestas.get(claveEncuesta);
+      if (!encuesta) {
+        filas.push({ fila, errores: { ...errores, encuesta: 'La encuesta indicada no existe o no está publicada' } });
+        continue;
+      }
+      const validacion = validarRespuesta(cuerpo, encuesta);
+      const errorPuesto = validacion.errores.puesto ? null : comprobarPuesto(validacion.datos, registrados);
+      if (errorPuesto) validacion.errores.puesto = errorPuesto;
+      filas.push({
+        fila,
+        errores: { ...errores, ...validacion.errores },
+        datos: { ...validacion.datos, encuesta: encuesta.codigo, encuestaVersion: encuesta.version, submittedAt },
+      });
+    }
+
+    const validas = filas.filter(f => Object.keys(f.errores).length === 0);
+    const resumen = {
+      total: filas.length,
+      validas: validas.length,
+      conErrores: filas.length - validas.length,
+      columnasDesconocidas: lectura.columnasDesconocidas,
+    };
+    if (modo === 'prueba') {
+      return res.status(200).json({ modo, ...resumen, filas });
+    }
+    if (validas.length === 0) {
+      return res.status(400).json({ mensaje: 'El archivo no tiene filas válidas para importar', ...resumen });
+    }
+
+    const importacion = await Importacion.create({
+      archivo: typeof req.query.archivo === 'string' ? req.query.archivo.slice(0, 200) : undefined,
+      formato,
+      usuario: req.user.usuario,
+      importadas: validas.length,
+      omitidas: resumen.conErrores,
+    });
+    try {
+      await Respuesta.insertMany(validas.map(f => new Respuesta({ ...f.datos, temas: detectarTemas(f.datos.sugerencia, temas), importacion: importacion._id })
+        .set(cifrarDatosPersonales(f.datos))));
+    } catch (err) {
+      // No se deja una importación a medias: se borra lo que llegó a guardarse
+      await Respuesta.deleteMany({ importacion: importacion._id });
+      await Importacion.deleteOne({ _id: importacion._id });
+      throw err;
+    }
+    publicarEvento('recargar', { motivo: 'importacion', cantidad: validas.length });
+    auditar(req, 'respuestas.importar', {
+      ids: [importacion._id],
+      detalles: { archivo: importacion.archivo, formato, importadas: validas.length, omitidas: resumen.conErrores },
+    });
+    res.status(201).json({ mensaje: `${validas.length} respuestas importadas`, modo, ...resumen, importacion });
   } catch (err) {
-    console.error('Error al registrar administrador:', err);
-    if (err.code === 11000) { // Error de duplicado
-      return res.status(409).json({ mensaje: 'Usuario o email ya existen' });
+    console.error('Error al importar respuestas:', err);
+    res.status(500).json({ error: 'Error al importar respuestas', details: err.message });
+  }
+});
+
+// Ruta para listar las importaciones realizadas (las más recientes primero)
+app.get('/api/importaciones', cualquierRol, async (req, res) => {
+  try {
+    const importaciones = await Importacion.find().sort({ createdAt: -1 }).limit(LIMITE_MAXIMO).lean();
+    res.status(200).json(importaciones);
+  } catch (err) {
+    console.error('Error al obtener las importaciones:', err);
+    res.status(500).json({ error: 'Error al obtener las importaciones', details: err.message });
+  }
+});
+
+// Ruta para revertir una importación: borra definitivamente todas las respuestas que creó
+// (también las que ya estuvieran en la papelera) y la marca como revertida
+app.delete('/api/importaciones/:id', cargaEncuestas, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Importación no encontrada' });
+  }
+
+  // Los encuestadores solo pueden revertir sus propias importaciones
+  const filtro = { _id: req.params.id, revertidaEn: null };
+  if (req.user.rol !== 'superadmin') filtro.usuario = req.user.usuario;
+
+  try {
+    const importacion = await Importacion.findOneAndUpdate(
+      filtro,
+      { revertidaEn: new Date(), revertidaPor: req.user.usuario },
+      { new: true }
+    );
+    if (!importacion) {
+      return res.status(404).json({ mensaje: 'Importación no encontrada o ya revertida' });
+    }
+    const resultado = await Respuesta.deleteMany({ importacion: importacion._id });
+    if (resultado.deletedCount > 0) publicarEvento('recargar', { motivo: 'importacion_revertida', cantidad: resultado.deletedCount });
+    auditar(req, 'importaciones.revertir', { ids: [importacion._id], detalles: { archivo: importacion.archivo, eliminadas: resultado.deletedCount } });
+    res.status(200).json({ mensaje: 'Importación revertida', eliminadas: resultado.deletedCount, importacion });
+  } catch (err) {
+    console.error('Error al revertir la importación:', err);
+    res.status(500).json({ error: 'Error al revertir la importación', details: err.message });
+  }
+});
+
+// Ruta para listar las encuestas con su última versión publicada y si tienen un borrador pendiente
+app.get('/api/encuestas', lectura, async (req, res) => {
+  try {
+    const encuestas = await Encuesta.aggregate([
+      { $sort: { version: -1 } },
+      {
+        $group: {
+          _id: '$codigo',
+          titulo: { $first: '$titulo' },
+          ultimaVersion: { $max: { $cond: [{ $eq: ['$estado', 'publicada'] }, '$version', null] } },
+          tieneBorrador: { $max: { $eq: ['$estado', 'borrador'] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+    res.status(200).json(encuestas.map(({ _id, ...resto }) => ({ codigo: _id, ...resto })));
+  } catch (err) {
+    console.error('Error al listar encuestas:', err);
+    res.status(500).json({ error: 'Error al listar encuestas', details: err.message });
+  }
+});
+
+// Ruta para obtener el borrador de una encuesta (constructor de encuestas)
+app.get('/api/encuestas/:codigo/borrador', lectura, async (req, res) => {
+  try {
+    const borrador = await Encuesta.findOne({ codigo: req.params.codigo, estado: 'borrador' }).lean();
+    if (!borrador) {
+      return res.status(404).json({ mensaje: 'La encuesta no tiene borrador' });
+    }
+    res.status(200).json(borrador);
+  } catch (err) {
+    console.error('Error al obtener el borrador:', err);
+    res.status(500).json({ error: 'Error al obtener el borrador', details: err.message });
+  }
+});
+
+// Ruta para guardar el borrador de una encuesta. Si no existe se crea con la siguiente versión,
+// lo que también permite crear encuestas nuevas con un código nuevo.
+app.put('/api/encuestas/:codigo/borrador', soloSuperadmin, async (req, res) => {
+  const { codigo } = req.params;
+  if (!/^[a-z0-9-]{3,50}$/.test(codigo)) {
+    return res.status(400).json({ mensaje: 'Código de encuesta inválido', errores: { codigo: 'Use entre 3 y 50 letras minúsculas, números o guiones' } });
+  }
+
+  const { datos, errores } = validarDefinicionEncuesta(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'La definición de la encuesta contiene errores', errores });
+  }
+
+  try {
+    let borrador = await Encuesta.findOne({ codigo, estado: 'borrador' });
+    if (!borrador) {
+      const ultima = await Encuesta.findOne({ codigo }).sort({ version: -1 }).lean();
+      borrador = new Encuesta({ codigo, version: ultima ? ultima.version + 1 : 1, estado: 'borrador' });
+    }
+    borrador.titulo = datos.titulo;
+    borrador.preguntas = datos.preguntas;
+    await borrador.save();
+    auditar(req, 'encuestas.guardar_borrador', { ids: [borrador._id], detalles: { codigo, version: borrador.version, preguntas: datos.preguntas.length } });
+    res.status(200).json(borrador);
+  } catch (err) {
+    console.error('Error al guardar el borrador:', err);
+    res.status(500).json({ error: 'Error al guardar el borrador', details: err.message });
+  }
+});
+
+// Ruta para descartar el borrador de una encuesta
+app.delete('/api/encuestas/:codigo/borrador', soloSuperadmin, async (req, res) => {
+  try {
+    const borrador = await Encuesta.findOneAndDelete({ codigo: req.params.codigo, estado: 'borrador' }, { projection: { version: 1 } }).lean();
+    if (!borrador) {
+      return res.status(404).json({ mensaje: 'La encuesta no tiene borrador' });
+    }
+    auditar(req, 'encuestas.descartar_borrador', { ids: [borrador._id], detalles: { codigo: req.params.codigo, version: borrador.version } });
+    res.status(200).json({ mensaje: 'Borrador descartado' });
+  } catch (err) {
+    console.error('Error al descartar el borrador:', err);
+    res.status(500).json({ error: 'Error al descartar el borrador', details: err.message });
+  }
+});
+
+// Ruta para publicar el borrador: pasa a ser la versión que muestra el formulario.
+// Las versiones anteriores se conservan para interpretar las respuestas ya recogidas.
+app.post('/api/encuestas/:codigo/publicar', soloSuperadmin, async (req, res) => {
+  try {
+    const publicada = await Encuesta.findOneAndUpdate(
+      { codigo: req.params.codigo, estado: 'borrador' },
+      { estado: 'publicada', publicadaEn: new Date() },
+      { new: true }
+    ).lean();
+    if (!publicada) {
+      return res.status(404).json({ mensaje: 'La encuesta no tiene borrador para publicar' });
+    }
+    auditar(req, 'encuestas.publicar', { ids: [publicada._id], detalles: { codigo: publicada.codigo, version: publicada.version } });
+    res.status(200).json({ mensaje: `Versión ${publicada.version} publicada`, encuesta: publicada });
+  } catch (err) {
+    console.error('Error al publicar la encuesta:', err);
+    res.status(500).json({ error: 'Error al publicar la encuesta', details: err.message });
+  }
+});
+
+// Ruta para obtener la última versión publicada de una encuesta (la usa el formulario)
+app.get('/api/encuestas/:codigo', async (req, res) => {
+  try {
+    const encuesta = await obtenerEncuesta(req.params.codigo);
+    if (!encuesta) {
+      return res.status(404).json({ mensaje: 'Encuesta no encontrada' });
+    }
+    res.status(200).json(encuesta);
+  } catch (err) {
+    console.error('Error al obtener la encuesta:', err);
+    res.status(500).json({ error: 'Error al obtener la encuesta', details: err.message });
+  }
+});
+
+// Ruta para obtener todas las versiones publicadas de una encuesta (para interpretar respuestas antiguas)
+app.get('/api/encuestas/:codigo/versiones', async (req, res) => {
+  try {
+    const versiones = await Encuesta.find({ codigo: req.params.codigo, estado: 'publicada' }).sort({ version: -1 }).lean();
+    res.status(200).json(versiones);
+  } catch (err) {
+    console.error('Error al obtener las versiones de la encuesta:', err);
+    res.status(500).json({ error: 'Error al obtener las versiones de la encuesta', details: err.message });
+  }
+});
+
+// Ruta para obtener una versión concreta de una encuesta
+app.get('/api/encuestas/:codigo/versiones/:version', async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version)) {
+    return res.status(404).json({ mensaje: 'Versión no encontrada' });
+  }
+
+  try {
+    const encuesta = await obtenerEncuesta(req.params.codigo, version);
+    if (!encuesta) {
+      return res.status(404).json({ mensaje: 'Versión no encontrada' });
+    }
+    res.status(200).json(encuesta);
+  } catch (err) {
+    console.error('Error al obtener la versión de la encuesta:', err);
+    res.status(500).json({ error: 'Error al obtener la versión de la encuesta', details: err.message });
+  }
+});
+
+// Ruta pública con los códigos de los puestos activos (autocompletado del formulario)
+app.get('/api/puestos/codigos', async (req, res) => {
+  try {
+    const puestos = await Puesto.find({ activo: true }, { _id: 0, codigo: 1, sector: 1 }).lean();
+    puestos.sort((a, b) => a.codigo.localeCompare(b.codigo, 'es', { numeric: true }));
+    res.status(200).json(puestos);
+  } catch (err) {
+    console.error('Error al obtener los puestos:', err);
+    res.status(500).json({ error: 'Error al obtener los puestos', details: err.message });
+  }
+});
+
+// Ruta para listar el registro completo de puestos (solo administradores)
+app.get('/api/puestos', cualquierRol, async (req, res) => {
+  try {
+    const puestos = await Puesto.find().lean();
+    puestos.sort((a, b) => a.codigo.localeCompare(b.codigo, 'es', { numeric: true }));
+    res.status(200).json(puestos);
+  } catch (err) {
+    console.error('Error al obtener los puestos:', err);
+    res.status(500).json({ error: 'Error al obtener los puestos', details: err.message });
+  }
+});
+
+// Ruta para registrar un puesto
+app.post('/api/puestos', soloSuperadmin, async (req, res) => {
+  const { datos, errores } = validarPuesto(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'El puesto contiene datos inválidos', errores });
+  }
+
+  try {
+    const puesto = await Puesto.create(datos);
+    auditar(req, 'puestos.crear', { ids: [puesto.codigo], detalles: { propietario: puesto.propietario } });
+    res.status(201).json(puesto);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ mensaje: `El puesto ${datos.codigo} ya está registrado`, errores: { codigo: 'Ya existe' } });
+    }
+    console.error('Error al registrar el puesto:', err);
+    res.status(500).json({ error: 'Error al registrar el puesto', details: err.message });
+  }
+});
+
+// Ruta para registrar o actualizar muchos puestos a la vez (carga inicial del mercado).
+// Los puestos existentes se actualizan por código; las entradas inválidas se devuelven en `errores`.
+app.post('/api/puestos/bulk', soloSuperadmin, async (req, res) => {
+  if (!Array.isArray(req.body.puestos) || req.body.puestos.length === 0) {
+    return res.status(400).json({ mensaje: 'Envíe una lista de puestos' });
+  }
+  if (req.body.puestos.length > LIMITE_PUESTOS_LOTE) {
+    return res.status(400).json({ mensaje: `Máximo ${LIMITE_PUESTOS_LOTE} puestos por carga` });
+  }
+
+  const errores = [];
+  const operaciones = [];
+  req.body.puestos.forEach((entrada, indice) => {
+    const validacion = validarPuesto(entrada && typeof entrada === 'object' ? entrada : {});
+    if (Object.keys(validacion.errores).length > 0) {
+      errores.push({ indice, codigo: entrada?.codigo, errores: validacion.errores });
+      return;
     }
-    res.status(500).json({ error: 'Error al registrar administrador', details: err.message });
+    const { codigo, ...cambios } = validacion.datos;
+    operaciones.push({ updateOne: { filter: { codigo }, update: { $set: cambios, $setOnInsert: { codigo } }, upsert: true } });
+  });
+
+  try {
+    const resultado = operaciones.length > 0 ? await Puesto.bulkWrite(operaciones, { ordered: false }) : null;
+    auditar(req, 'puestos.carga_masiva', {
+      ids: operaciones.map(o => o.updateOne.filter.codigo),
+      detalles: { creados: resultado ? resultado.upsertedCount : 0, actualizados: resultado ? resultado.matchedCount : 0, rechazados: errores.length },
+    });
+    res.status(200).json({
+      mensaje: 'Carga de puestos completada',
+      creados: resultado ? resultado.upsertedCount : 0,
+      actualizados: resultado ? resultado.matchedCount : 0,
+      errores,
+    });
+  } catch (err) {
+    console.error('Error en la carga de puestos:', err);
+    res.status(500).json({ error: 'Error en la carga de puestos', details: err.message });
+  }
+});
+
+// Ruta para calcular la cobertura: estado de respuesta de cada puesto y tasa por sector
+// (filtros opcionales: desde, hasta)
+app.get('/api/puestos/cobertura', cualquierRol, async (req, res) => {
+  const { desde, hasta } = req.query;
+  try {
+    const [puestos, porPuesto] = await Promise.all([
+      Puesto.find().lean(),
+      Respuesta.aggregate(pipelineRespuestasPorPuesto(construirFiltroRespuestas({ desde, hasta }))),
+    ]);
+    res.status(200).json(calcularCobertura(puestos, porPuesto));
+  } catch (err) {
+    console.error('Error al calcular la cobertura:', err);
+    res.status(500).json({ error: 'Error al calcular la cobertura', details: err.message });
+  }
+});
+
+// Ruta para actualizar el propietario o el estado de un puesto (el código no cambia)
+app.put('/api/puestos/:codigo', soloSuperadmin, async (req, res) => {
+  const { datos, errores } = validarPuesto({ ...req.body, codigo: req.params.codigo });
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'El puesto contiene datos inválidos', errores });
+  }
+
+  try {
+    const puesto = await Puesto.findOneAndUpdate(
+      { codigo: datos.codigo },
+      {
+        ...(req.body.propietario !== undefined && { propietario: datos.propietario }),
+        ...(datos.activo !== undefined && { activo: datos.activo }),
+      },
+      { new: true }
+    );
+    if (!puesto) {
+      return res.status(404).json({ mensaje: 'Puesto no encontrado' });
+    }
+    auditar(req, 'puestos.actualizar', { ids: [puesto.codigo], detalles: { propietario: req.body.propietario, activo: datos.activo } });
+    res.status(200).json(puesto);
+  } catch (err) {
+    console.error('Error al actualizar el puesto:', err);
+    res.status(500).json({ error: 'Error al actualizar el puesto', details: err.message });
+  }
+});
+
+// Ruta para eliminar un puesto del registro (sus respuestas se conservan)
+app.delete('/api/puestos/:codigo', soloSuperadmin, async (req, res) => {
+  try {
+    const codigo = normalizarCodigoPuesto(req.params.codigo);
+    const resultado = await Puesto.deleteOne({ codigo });
+    if (resultado.deletedCount === 0) {
+      return res.status(404).json({ mensaje: 'Puesto no encontrado' });
+    }
+    auditar(req, 'puestos.eliminar', { ids: [codigo] });
+    res.status(200).json({ mensaje: 'Puesto eliminado' });
+  } catch (err) {
+    console.error('Error al eliminar el puesto:', err);
+    res.status(500).json({ error: 'Error al eliminar el puesto', details: err.message });
+  }
+});
+
+// Ruta para obtener las reglas de duplicados
+app.get('/api/duplicados/reglas', lectura, async (req, res) => {
+  try {
+    const reglas = await ReglaDuplicado.find().lean();
+    res.status(200).json(reglas);
+  } catch (err) {
+    console.error('Error al obtener las reglas de duplicados:', err);
+    res.status(500).json({ error: 'Error al obtener las reglas de duplicados', details: err.message });
+  }
+});
+
+// Ruta para reemplazar las reglas de duplicados (se envía la lista completa)
+app.put('/api/duplicados/reglas', soloSuperadmin, async (req, res) => {
+  const { datos, errores } = validarReglasDuplicados(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'Las reglas contienen datos inválidos', errores });
+  }
+
+  try {
+    await ReglaDuplicado.deleteMany({});
+    const reglas = await ReglaDuplicado.insertMany(datos);
+    auditar(req, 'duplicados.reglas', { detalles: { reglas: datos } });
+    res.status(200).json(reglas);
+  } catch (err) {
+    console.error('Error al guardar las reglas de duplicados:', err);
+    res.status(500).json({ error: 'Error al guardar las reglas de duplicados', details: err.message });
+  }
+});
+
+// Ruta para la cola de revisión: grupos formados por la primera respuesta y los duplicados
+// marcados pendientes de revisar
+app.get('/api/duplicados', lectura, async (req, res) => {
+  try {
+    const duplicados = await Respuesta.find({ revision: 'pendiente' }).sort({ submittedAt: 1 }).lean();
+    const idsOriginales = [...new Set(duplicados.map(d => String(d.duplicadoDe)))];
+    const originales = await Respuesta.find({ _id: { $in: idsOriginales } }).lean();
+    const porId = new Map(originales.map(o => [String(o._id), o]));
+
+    const grupos = idsOriginales.map(id => ({
+      id,
+      original: porId.has(id) ? serializarRespuesta(porId.get(id)) : null, // null si ya está en la papelera
+      duplicados: duplicados.filter(d => String(d.duplicadoDe) === id).map(serializarRespuesta),
+    }));
+    grupos.sort((a, b) => new Date(b.duplicados.at(-1).submittedAt) - new Date(a.duplicados.at(-1).submittedAt));
+    auditar(req, 'respuestas.listar', { ids: [...originales, ...duplicados].map(r => r._id), detalles: { duplicados: true, grupos: grupos.length } });
+    res.status(200).json(grupos);
+  } catch (err) {
+    console.error('Error al obtener los duplicados:', err);
+    res.status(500).json({ error: 'Error al obtener los duplicados', details: err.message });
+  }
+});
+
+// Ruta para resolver un grupo de duplicados: se conserva la respuesta indicada y las demás van
+// a la papelera. Con conservar='todas' se conservan todas (no eran duplicados reales).
+app.post('/api/duplicados/:id/resolver', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Grupo de duplicados no encontrado' });
+  }
+  const { conservar } = req.body;
+
+  try {
+    const pendientes = await Respuesta.find({ duplicadoDe: req.params.id, revision: 'pendiente' }, { _id: 1 }).lean();
+    if (pendientes.length === 0) {
+      return res.status(404).json({ mensaje: 'Grupo de duplicados no encontrado o ya resuelto' });
+    }
+    const ids = [req.params.id, ...pendientes.map(p => String(p._id))];
+    if (conservar !== 'todas' && !ids.includes(conservar)) {
+      return res.status(400).json({ mensaje: 'Indique la respuesta del grupo que desea conservar' });
+    }
+
+    await Respuesta.updateMany({ _id: { $in: pendientes.map(p => p._id) } }, { revision: 'resuelta' });
+    let eliminadas = 0;
+    if (conservar !== 'todas') {
+      const descartadas = await Respuesta.find({ _id: { $in: ids.filter(id => id !== conservar) } }).lean();
+      const resultado = await Respuesta.updateMany(
+        { _id: { $in: descartadas.map(r => r._id) } },
+        { deletedAt: new Date(), deletedBy: req.user.usuario }
+      );
+      eliminadas = resultado.modifiedCount;
+      descartadas.forEach(r => publicarEvento('eliminada', serializarRespuesta(r)));
+    }
+    auditar(req, 'duplicados.resolver', { ids, detalles: { conservar, eliminadas } });
+    res.status(200).json({ mensaje: 'Duplicados resueltos', eliminadas });
+  } catch (err) {
+    console.error('Error al resolver los duplicados:', err);
+    res.status(500).json({ error: 'Error al resolver los duplicados', details: err.message });
+  }
+});
+
+// Ruta para obtener las estadísticas agregadas (filtros opcionales: desde, hasta, sector)
+// y su evolución por día o por semana (agrupacion=dia|semana)
+app.get('/api/estadisticas', lectura, async (req, res) => {
+  const { desde, hasta, sector, agrupacion = 'dia' } = req.query;
+  if (!AGRUPACIONES[agrupacion]) {
+    return res.status(400).json({ mensaje: `Agrupación no válida (${Object.keys(AGRUPACIONES).join(', ')})` });
+  }
+  try {
+    const resultado = await Respuesta.aggregate(pipelineEstadisticas(
+      construirFiltroRespuestas({ desde, hasta, sector }),
+      { agrupacion, zonaHoraria: ZONA_HORARIA }
+    ));
+    res.status(200).json({ ...formatearEstadisticas(resultado), agrupacion });
+  } catch (err) {
+    console.error('Error al calcular estadísticas:', err);
+    res.status(500).json({ error: 'Error al calcular estadísticas', details: err.message });
+  }
+});
+
+// Ruta para el análisis de las sugerencias: términos y bigramas más frecuentes y número de
+// sugerencias por tema (filtros opcionales: desde, hasta, sector, como las estadísticas)
+app.get('/api/sugerencias/analisis', lectura, async (req, res) => {
+  const { desde, hasta, sector } = req.query;
+  try {
+    const temas = await TemaSugerencia.find().sort({ _id: 1 }).lean();
+    const porTema = new Map(temas.map(tema => [tema.codigo, 0]));
+    const analisis = crearAnalisis();
+    let sugerencias = 0;
+    let sinTema = 0;
+
+    const cursor = Respuesta.find(
+      { ...construirFiltroRespuestas({ desde, hasta, sector }), sugerencia: { $nin: [null, ''] } },
+      { sugerencia: 1, temas: 1 }
+    ).lean().cursor();
+    for await (const respuesta of cursor) {
+      sugerencias++;
+      analisis.agregar(respuesta.sugerencia);
+      const conocidos = (respuesta.temas || []).filter(codigo => porTema.has(codigo));
+      conocidos.forEach(codigo => porTema.set(codigo, porTema.get(codigo) + 1));
+      if (conocidos.length === 0) sinTema++;
+    }
+
+    const { terminos, bigramas } = analisis.resultado();
+    res.status(200).json({
+      sugerencias,
+      sinTema,
+      temas: temas.map(tema => ({ codigo: tema.codigo, nombre: tema.nombre, total: porTema.get(tema.codigo) })),
+      terminos,
+      bigramas,
+    });
+  } catch (err) {
+    console.error('Error al analizar las sugerencias:', err);
+    res.status(500).json({ error: 'Error al analizar las sugerencias', details: err.message });
+  }
+});
+
+// Ruta para obtener el diccionario de temas de las sugerencias
+app.get('/api/sugerencias/temas', lectura, async (req, res) => {
+  try {
+    const temas = await TemaSugerencia.find().sort({ _id: 1 }).lean();
+    res.status(200).json(temas);
+  } catch (err) {
+    console.error('Error al obtener los temas:', err);
+    res.status(500).json({ error: 'Error al obtener los temas', details: err.message });
+  }
+});
+
+// Ruta para reemplazar el diccionario de temas (se envía la lista completa). Todas las
+// sugerencias se vuelven a clasificar con el nuevo diccionario.
+app.put('/api/sugerencias/temas', soloSuperadmin, async (req, res) => {
+  const { datos, errores } = validarTemas(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'Los temas contienen datos inválidos', errores });
+  }
+
+  try {
+    await TemaSugerencia.deleteMany({});
+    const temas = await TemaSugerencia.insertMany(datos);
+    const reclasificadas = await etiquetarRespuestas(datos);
+    auditar(req, 'sugerencias.temas', { detalles: { temas: datos, reclasificadas } });
+    res.status(200).json({ temas, reclasificadas });
+  } catch (err) {
+    console.error('Error al guardar los temas:', err);
+    res.status(500).json({ error: 'Error al guardar los temas', details: err.message });
+  }
+});
+
+// Ruta para reportar un incidente desde el formulario público
+app.post('/api/incidentes', limitarPorIp(limitadorIp), async (req, res) => {
+  const { datos, errores } = validarIncidente(req.body);
+  if (IDIOMAS.includes(req.body.idioma)) datos.idioma = req.body.idioma;
+
+  try {
+    const errorPuesto = errores.puesto || !datos.puesto ? null : comprobarPuesto(datos, await puestosRegistrados());
+    if (errorPuesto) errores.puesto = errorPuesto;
+    if (Object.keys(errores).length > 0) {
+      return res.status(400).json({ mensaje: 'El reporte contiene datos inválidos', errores });
+    }
+    const incidente = await Incidente.create(datos);
+    res.status(201).json({ mensaje: 'Incidente reportado correctamente', id: String(incidente._id) });
+  } catch (err) {
+    console.error('Error al guardar el incidente:', err);
+    res.status(500).json({ error: 'Error al guardar el incidente', details: err.message });
+  }
+});
+
+// Ruta para listar los incidentes (los más recientes primero) con filtros por estado, categoría,
+// persona asignada ('-' = sin asignar) y puesto, más el total de cada estado para las pestañas
+app.get('/api/incidentes', lectura, async (req, res) => {
+  const pagina = Math.max(parseInt(req.query.pagina, 10) || 1, 1);
+  const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 20, 1), LIMITE_MAXIMO);
+  const filtro = {};
+  if (req.query.categoria) filtro.categoria = String(req.query.categoria);
+  if (req.query.asignadoA) filtro.asignadoA = req.query.asignadoA === '-' ? null : String(req.query.asignadoA);
+  if (req.query.puesto) filtro.puesto = normalizarCodigoPuesto(req.query.puesto) || String(req.query.puesto);
+  const filtroEstado = req.query.estado ? { ...filtro, estado: String(req.query.estado) } : filtro;
+
+  try {
+    const [incidentes, total, estados] = await Promise.all([
+      Incidente.find(filtroEstado).sort({ createdAt: -1, _id: -1 }).skip((pagina - 1) * limite).limit(limite).lean(),
+      Incidente.countDocuments(filtroEstado),
+      Incidente.aggregate([{ $match: filtro }, { $group: { _id: '$estado', total: { $sum: 1 } } }]),
+    ]);
+    res.status(200).json({
+      incidentes: incidentes.map(serializarIncidente),
+      total,
+      pagina,
+      limite,
+      paginas: Math.ceil(total / limite),
+      porEstado: Object.fromEntries(ESTADOS_INCIDENTE.map(estado => [estado, estados.find(e => e._id === estado)?.total || 0])),
+    });
+  } catch (err) {
+    console.error('Error al obtener los incidentes:', err);
+    res.status(500).json({ error: 'Error al obtener los incidentes', details: err.message });
+  }
+});
+
+// Ruta para cambiar el estado de un incidente o la persona asignada. Cada cambio queda anotado
+// en sus comentarios.
+app.put('/api/incidentes/:id', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Incidente no encontrado' });
+  }
+  const { datos, errores } = validarCambioIncidente(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'Cambio inválido', errores });
+  }
+
+  try {
+    if (datos.asignadoA && !(await User.exists({ usuario: datos.asignadoA, activo: true }))) {
+      return res.status(400).json({ mensaje: 'Cambio inválido', errores: { asignadoA: 'El usuario no existe o está desactivado' } });
+    }
+    const incidente = await Incidente.findById(req.params.id);
+    if (!incidente) {
+      return res.status(404).json({ mensaje: 'Incidente no encontrado' });
+    }
+
+    const cambios = [];
+    if (datos.estado !== undefined && datos.estado !== incidente.estado) {
+      cambios.push(`Estado: ${DESCRIPCION_ESTADOS[incidente.estado]} → ${DESCRIPCION_ESTADOS[datos.estado]}`);
+      incidente.estado = datos.estado;
+      incidente.resueltoEn = datos.estado === 'resuelto' ? new Date() : null;
+    }
+    if (datos.asignadoA !== undefined && datos.asignadoA !== incidente.asignadoA) {
+      cambios.push(datos.asignadoA ? `Asignado a ${datos.asignadoA}` : 'Sin asignar');
+      incidente.asignadoA = datos.asignadoA;
+    }
+    if (cambios.length > 0) {
+      cambios.forEach(texto => incidente.comentarios.push({ usuario: req.user.usuario, texto, tipo: 'cambio' }));
+      await incidente.save();
+      auditar(req, 'incidentes.actualizar', { ids: [incidente._id], detalles: datos });
+    }
+    res.status(200).json(serializarIncidente(incidente.toObject()));
+  } catch (err) {
+    console.error('Error al actualizar el incidente:', err);
+    res.status(500).json({ error: 'Error al actualizar el incidente', details: err.message });
+  }
+});
+
+// Ruta para añadir un comentario de seguimiento a un incidente
+app.post('/api/incidentes/:id/comentarios', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Incidente no encontrado' });
+  }
+  const { datos, errores } = validarComentario(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'Comentario inválido', errores });
+  }
+
+  try {
+    const incidente = await Incidente.findByIdAndUpdate(
+      req.params.id,
+      { $push: { comentarios: { usuario: req.user.usuario, texto: datos.texto, tipo: 'comentario' } } },
+      { new: true }
+    ).lean();
+    if (!incidente) {
+      return res.status(404).json({ mensaje: 'Incidente no encontrado' });
+    }
+    auditar(req, 'incidentes.comentar', { ids: [incidente._id] });
+    res.status(201).json(serializarIncidente(incidente));
+  } catch (err) {
+    console.error('Error al comentar el incidente:', err);
+    res.status(500).json({ error: 'Error al comentar el incidente', details: err.message });
+  }
+});
+
+// Completa una acción ya validada con lo que depende de la base de datos: que sus sectores tengan
+// puestos registrados (si hay registro) y la fecha de finalización. Un día indicado a mano cuenta
+// entero como "antes"; sin él se conserva la fecha anterior o se usa el momento del cambio.
+// Devuelve los errores indexados por campo.
+async function prepararAccion(datos, anterior = null, ahora = new Date()) {
+  const errores = {};
+  if (datos.sectores.length > 0) {
+    const registrados = await Puesto.distinct('sector');
+    const desconocidos = registrados.length > 0 ? datos.sectores.filter(sector => !registrados.includes(sector)) : [];
+    if (desconocidos.length > 0) errores.sectores = `Sectores sin puestos registrados: ${desconocidos.join(', ')}`;
+  }
+  if (datos.estado !== 'completada') {
+    datos.completadaEn = null;
+  } else if (datos.completadaEn) {
+    if (limiteFecha(datos.completadaEn) > ahora) errores.completadaEn = 'La fecha no puede ser futura';
+    else datos.completadaEn = new Date(Math.min(limiteFecha(datos.completadaEn, true).getTime(), ahora.getTime()));
+  } else {
+    datos.completadaEn = anterior && anterior.estado === 'completada' && anterior.completadaEn ? anterior.completadaEn : ahora;
+  }
+  return errores;
+}
+
+// Ruta para listar las acciones del plan (por fecha límite) con filtros por estado, problema y sector
+app.get('/api/acciones', lectura, async (req, res) => {
+  const filtro = {};
+  if (req.query.estado) filtro.estado = String(req.query.estado);
+  if (req.query.problema) filtro.problemas = String(req.query.problema);
+  if (req.query.sector) filtro.sectores = String(req.query.sector).trim().toUpperCase();
+  try {
+    const acciones = await Accion.find(filtro).sort({ fechaLimite: 1, createdAt: 1 }).lean();
+    res.status(200).json(acciones.map(serializarAccion));
+  } catch (err) {
+    console.error('Error al obtener las acciones:', err);
+    res.status(500).json({ error: 'Error al obtener las acciones', details: err.message });
+  }
+});
+
+// Ruta para registrar una acción del plan
+app.post('/api/acciones', soloSuperadmin, async (req, res) => {
+  const { datos, errores } = validarAccion(req.body);
+  try {
+    Object.assign(errores, await prepararAccion(datos));
+    if (Object.keys(errores).length > 0) {
+      return res.status(400).json({ mensaje: 'La acción contiene datos inválidos', errores });
+    }
+    const accion = await Accion.create({ ...datos, creadaPor: req.user.usuario });
+    auditar(req, 'acciones.crear', { ids: [accion._id], detalles: { titulo: accion.titulo, problemas: accion.problemas, sectores: accion.sectores } });
+    res.status(201).json(serializarAccion(accion.toObject()));
+  } catch (err) {
+    console.error('Error al guardar la acción:', err);
+    res.status(500).json({ error: 'Error al guardar la acción', details: err.message });
+  }
+});
+
+// Ruta para modificar una acción del plan (todos sus campos, como al crearla)
+app.put('/api/acciones/:id', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Acción no encontrada' });
+  }
+  const { datos, errores } = validarAccion(req.body);
+
+  try {
+    const anterior = await Accion.findById(req.params.id).lean();
+    if (!anterior) {
+      return res.status(404).json({ mensaje: 'Acción no encontrada' });
+    }
+    Object.assign(errores, await prepararAccion(datos, anterior));
+    if (Object.keys(errores).length > 0) {
+      return res.status(400).json({ mensaje: 'La acción contiene datos inválidos', errores });
+    }
+    const accion = await Accion.findByIdAndUpdate(req.params.id, { ...datos, updatedAt: new Date() }, { new: true }).lean();
+    auditar(req, 'acciones.actualizar', { ids: [accion._id], detalles: { titulo: accion.titulo, estado: { antes: anterior.estado, despues: accion.estado } } });
+    res.status(200).json(serializarAccion(accion));
+  } catch (err) {
+    console.error('Error al actualizar la acción:', err);
+    res.status(500).json({ error: 'Error al actualizar la acción', details: err.message });
+  }
+});
+
+// Ruta para eliminar una acción del plan
+app.delete('/api/acciones/:id', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Acción no encontrada' });
+  }
+
+  try {
+    const accion = await Accion.findByIdAndDelete(req.params.id).lean();
+    if (!accion) {
+      return res.status(404).json({ mensaje: 'Acción no encontrada' });
+    }
+    auditar(req, 'acciones.eliminar', { ids: [accion._id], detalles: { titulo: accion.titulo } });
+    res.status(200).json({ mensaje: 'Acción eliminada', id: accion._id });
+  } catch (err) {
+    console.error('Error al eliminar la acción:', err);
+    res.status(500).json({ error: 'Error al eliminar la acción', details: err.message });
+  }
+});
+
+// Ruta para comparar las respuestas de antes y después de completar una acción: el mismo número
+// de días (dias=30|60|90) a cada lado de la fecha de finalización, en los sectores de la acción.
+// Si el periodo posterior todavía no ha terminado, se corta en el momento actual.
+app.get('/api/acciones/:id/comparacion', lectura, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Acción no encontrada' });
+  }
+  const dias = req.query.dias ? Number(req.query.dias) : DIAS_COMPARACION[0];
+  if (!DIAS_COMPARACION.includes(dias)) {
+    return res.status(400).json({ mensaje: `Periodo no válido (${DIAS_COMPARACION.join(', ')} días)` });
+  }
+
+  try {
+    const accion = await Accion.findById(req.params.id).lean();
+    if (!accion) {
+      return res.status(404).json({ mensaje: 'Acción no encontrada' });
+    }
+    if (accion.estado !== 'completada' || !accion.completadaEn) {
+      return res.status(400).json({ mensaje: 'La acción todavía no está completada' });
+    }
+
+    const corte = accion.completadaEn.getTime();
+    const ahora = Date.now();
+    const duracion = dias * 24 * 60 * 60 * 1000;
+    const periodos = {
+      antes: { desde: new Date(corte - duracion), hasta: new Date(corte) },
+      despues: { desde: new Date(corte), hasta: new Date(Math.min(corte + duracion, ahora)) },
+    };
+    const filtroSectores = construirFiltroRespuestas({ sector: accion.sectores });
+    const [antes, despues] = await Promise.all(Object.values(periodos).map(({ desde, hasta }) => Respuesta.aggregate(
+      pipelineComparacion({ ...filtroSectores, submittedAt: { $gte: desde, $lt: hasta } }, accion.problemas)
+    )));
+
+    res.status(200).json({
+      dias,
+      completadaEn: accion.completadaEn,
+      sectores: accion.sectores,
+      antes: { ...periodos.antes, ...formatearComparacion(antes, accion.problemas) },
+      despues: { ...periodos.despues, completo: corte + duracion <= ahora, ...formatearComparacion(despues, accion.problemas) },
+    });
+  } catch (err) {
+    console.error('Error al comparar la acción:', err);
+    res.status(500).json({ error: 'Error al comparar la acción', details: err.message });
+  }
+});
+
+// Ruta para enviar una respuesta a la papelera (borrado lógico)
+app.delete('/api/respuestas/:id', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Respuesta no encontrada' });
+  }
+
+  try {
+    const respuesta = await Respuesta.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { deletedAt: new Date(), deletedBy: req.user.usuario },
+      { new: true }
+    );
+    if (!respuesta) {
+      return res.status(404).json({ mensaje: 'Respuesta no encontrada' });
+    }
+    publicarEvento('eliminada', serializarRespuesta(respuesta.toObject()));
+    auditar(req, 'respuestas.eliminar', { ids: [respuesta._id] });
+    res.status(200).json({ mensaje: 'Respuesta enviada a la papelera', id: respuesta._id });
+  } catch (err) {
+    console.error('Error al eliminar la respuesta:', err);
+    res.status(500).json({ error: 'Error al eliminar la respuesta', details: err.message });
+  }
+});
+
+// Ruta para enviar a la papelera todas las respuestas que cumplan un filtro
+app.post('/api/respuestas/bulk-delete', soloSuperadmin, async (req, res) => {
+  const { filtro = {}, todas = false } = req.body;
+  const filtroMongo = construirFiltroRespuestas(filtro);
+
+  // Un filtro vacío afectaría a toda la colección: solo se permite si se pide explícitamente
+  if (Object.keys(filtroMongo).length === 0 && todas !== true) {
+    return res.status(400).json({ mensaje: 'Debe indicar un filtro o confirmar el borrado de todas las respuestas' });
+  }
+
+  try {
+    // Se obtienen antes los ids para que la auditoría recoja exactamente qué respuestas se borraron
+    const ids = (await Respuesta.find(filtroMongo, { _id: 1 }).lean()).map(r => r._id);
+    const resultado = await Respuesta.updateMany({ _id: { $in: ids } }, { deletedAt: new Date(), deletedBy: req.user.usuario });
+    if (resultado.modifiedCount > 0) publicarEvento('recargar', { motivo: 'borrado_masivo', cantidad: resultado.modifiedCount });
+    auditar(req, 'respuestas.eliminar', { ids, detalles: { filtro, todas, eliminadas: resultado.modifiedCount } });
+    res.status(200).json({ mensaje: 'Respuestas enviadas a la papelera', eliminadas: resultado.modifiedCount });
+  } catch (err) {
+    console.error('Error al eliminar respuestas:', err);
+    res.status(500).json({ error: 'Error al eliminar respuestas', details: err.message });
+  }
+});
+
+// Ruta para listar las respuestas en la papelera
+app.get('/api/papelera', lectura, async (req, res) => {
+  try {
+    const respuestas = await Respuesta.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 }).lean();
+    auditar(req, 'respuestas.listar', { ids: respuestas.map(r => r._id), detalles: { papelera: true, total: respuestas.length } });
+    res.status(200).json(respuestas.map(serializarRespuesta));
+  } catch (err) {
+    console.error('Error al obtener la papelera:', err);
+    res.status(500).json({ error: 'Error al obtener la papelera', details: err.message });
+  }
+});
+
+// Ruta para restaurar una respuesta de la papelera
+app.post('/api/papelera/:id/restaurar', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Respuesta no encontrada en la papelera' });
+  }
+
+  try {
+    const respuesta = await Respuesta.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null },
+      { new: true }
+    );
+    if (!respuesta) {
+      return res.status(404).json({ mensaje: 'Respuesta no encontrada en la papelera' });
+    }
+    publicarEvento('creada', serializarRespuesta(respuesta.toObject()));
+    auditar(req, 'papelera.restaurar', { ids: [respuesta._id] });
+    res.status(200).json({ mensaje: 'Respuesta restaurada', id: respuesta._id });
+  } catch (err) {
+    console.error('Error al restaurar la respuesta:', err);
+    res.status(500).json({ error: 'Error al restaurar la respuesta', details: err.message });
+  }
+});
+
+// Ruta para eliminar definitivamente una respuesta de la papelera
+app.delete('/api/papelera/:id', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Respuesta no encontrada en la papelera' });
+  }
+
+  try {
+    const resultado = await Respuesta.deleteOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (resultado.deletedCount === 0) {
+      return res.status(404).json({ mensaje: 'Respuesta no encontrada en la papelera' });
+    }
+    auditar(req, 'papelera.eliminar', { ids: [req.params.id] });
+    res.status(200).json({ mensaje: 'Respuesta eliminada definitivamente' });
+  } catch (err) {
+    console.error('Error al purgar la respuesta:', err);
+    res.status(500).json({ error: 'Error al purgar la respuesta', details: err.message });
+  }
+});
+
+// Ruta para vaciar la papelera
+app.delete('/api/papelera', soloSuperadmin, async (req, res) => {
+  try {
+    const ids = (await Respuesta.find({ deletedAt: { $ne: null } }, { _id: 1 }).lean()).map(r => r._id);
+    const resultado = await Respuesta.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    auditar(req, 'papelera.vaciar', { ids, detalles: { eliminadas: resultado.deletedCount } });
+    res.status(200).json({ mensaje: 'Papelera vaciada', eliminadas: resultado.deletedCount });
+  } catch (err) {
+    console.error('Error al vaciar la papelera:', err);
+    res.status(500).json({ error: 'Error al vaciar la papelera', details: err.message });
+  }
+});
+
+// Ruta para consultar la configuración de privacidad y cuántas respuestas guardan datos personales
+// (incluidas las de la papelera)
+app.get('/api/privacidad', soloSuperadmin, async (req, res) => {
+  try {
+    const [conDatosPersonales, anonimas, datosBorrados] = await Promise.all([
+      Respuesta.collection.countDocuments(filtroConDatosPersonales()),
+      Respuesta.collection.countDocuments({ anonima: true }),
+      Respuesta.collection.countDocuments({ datosPersonalesBorradosEn: { $exists: true } }),
+    ]);
+    res.status(200).json({
+      cifrado: CIFRADO_ACTIVO,
+      diasRetencion: DIAS_RETENCION,
+      respuestas: { conDatosPersonales, anonimas, datosBorrados },
+    });
+  } catch (err) {
+    console.error('Error al obtener la configuración de privacidad:', err);
+    res.status(500).json({ error: 'Error al obtener la configuración de privacidad', details: err.message });
+  }
+});
+
+// Ruta para borrar a petición del comerciante los nombres y teléfonos de todas las respuestas de
+// un puesto o de un teléfono (también en la papelera). Las respuestas se conservan sin ellos; en el
+// borrado por puesto también se quita el propietario del registro de puestos.
+app.post('/api/privacidad/borrar', soloSuperadmin, async (req, res) => {
+  const { datos, errores } = validarBorradoDatos(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'Solicitud de borrado inválida', errores });
+  }
+
+  try {
+    const filtro = { ...condicionCampo(datos.criterio, datos.valor), ...filtroConDatosPersonales() };
+    const ids = (await Respuesta.collection.find(filtro, { projection: { _id: 1 } }).toArray()).map(r => r._id);
+    if (ids.length > 0) {
+      await Respuesta.collection.updateMany({ _id: { $in: ids } }, actualizacionBorrado(new Date()));
+      publicarEvento('recargar', { motivo: 'borrado_datos_personales', cantidad: ids.length });
+    }
+    const propietario = datos.criterio === 'puesto'
+      ? (await Puesto.updateOne({ codigo: datos.valor, propietario: { $nin: [null, ''] } }, { $unset: { propietario: '' } })).modifiedCount > 0
+      : false;
+    // El teléfono no se anota en la auditoría: sería volver a guardar el dato que se borra
+    auditar(req, 'privacidad.borrar', {
+      ids,
+      detalles: { criterio: datos.criterio, ...(datos.criterio === 'puesto' && { puesto: datos.valor }), respuestas: ids.length, propietario },
+    });
+    res.status(200).json({ mensaje: `Datos personales borrados de ${ids.length} respuestas`, respuestas: ids.length, propietario });
+  } catch (err) {
+    console.error('Error al borrar datos personales:', err);
+    res.status(500).json({ error: 'Error al borrar datos personales', details: err.message });
+  }
+});
+
+// Ruta para login de administrador
+app.post('/api/login', async (req, res) => {
+  const { usuario, password } = req.body;
+  try {
+    const user = await User.findOne({ usuario });
+    if (!user || !(await verifyPassword(password, user.password))) {
+      auditar(req, 'sesion.login_fallido', { exito: false, actor: { usuario: String(usuario).slice(0, 100) }, detalles: { motivo: 'credenciales' } });
+      return res.status(401).json({ mensaje: 'Credenciales incorrectas' });
+    }
+    const actor = { id: String(user._id), usuario: user.usuario, rol: user.rol };
+    if (!user.activo) {
+      auditar(req, 'sesion.login_fallido', { exito: false, actor, detalles: { motivo: 'cuenta desactivada' } });
+      return res.status(403).json({ mensaje: 'La cuenta está desactivada. Contacte con un superadministrador.' });
+    }
+    if (!isHashed(user.password)) { // Contraseña antigua en texto plano: se migra al vuelo
+      user.password = await hashPassword(password);
+      await user.save();
+    }
+    auditar(req, 'sesion.login', { actor });
+    res.status(200).json({
+      mensaje: 'Login exitoso',
+      user: { usuario: user.usuario, email: user.email, rol: user.rol },
+      ...issueSession(user),
+    });
+  } catch (err) {
+    console.error('Error en login:', err);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+});
+
+// Ruta para renovar el token de acceso a partir del refresh token
+app.post('/api/refresh', async (req, res) => {
+  const payload = verifyRefreshToken(req.body.refreshToken);
+  if (!payload) {
+    return res.status(401).json({ mensaje: 'Sesión inválida o expirada' });
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+    if (!user || !user.activo || (user.tokenVersion || 0) !== payload.ver) {
+      return res.status(401).json({ mensaje: 'Sesión inválida o expirada' });
+    }
+    res.status(200).json({ user: { usuario: user.usuario, email: user.email, rol: user.rol }, ...issueSession(user) });
+  } catch (err) {
+    console.error('Error al renovar sesión:', err);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+});
+
+// Ruta para cerrar sesión: invalida todos los refresh tokens emitidos
+app.post('/api/logout', requireAuth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+    auditar(req, 'sesion.logout');
+    res.status(200).json({ mensaje: 'Sesión cerrada' });
+  } catch (err) {
+    console.error('Error al cerrar sesión:', err);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+});
+
+// Ruta para listar los usuarios del panel
+app.get('/api/usuarios', soloSuperadmin, async (req, res) => {
+  try {
+    const usuarios = await User.find({}, { password: 0 }).sort({ usuario: 1 }).lean();
+    res.status(200).json(usuarios.map(serializarUsuario));
+  } catch (err) {
+    console.error('Error al listar usuarios:', err);
+    res.status(500).json({ error: 'Error al listar usuarios', details: err.message });
+  }
+});
+
+// Ruta para cambiar el rol de un usuario o activar/desactivar su cuenta. Cualquier cambio
+// cierra sus sesiones abiertas para que los nuevos permisos se apliquen de inmediato.
+app.put('/api/usuarios/:id', soloSuperadmin, async (req, res) => {
+  const { rol, activo } = req.body;
+  const errores = {};
+  if (rol !== undefined && !ROLES.includes(rol)) errores.rol = `Rol no válido (${ROLES.join(', ')})`;
+  if (activo !== undefined && typeof activo !== 'boolean') errores.activo = 'Debe ser verdadero o falso';
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'Datos no válidos', errores });
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Usuario no encontrado' });
+  }
+  if (req.params.id === req.user.id) {
+    return res.status(409).json({ mensaje: 'No puede cambiar su propio rol ni desactivar su propia cuenta' });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ mensaje: 'Usuario no encontrado' });
+    }
+    // Siempre debe quedar al menos un superadministrador activo
+    const dejaDeSerSuperadmin = user.rol === 'superadmin' && user.activo && ((rol && rol !== 'superadmin') || activo === false);
+    if (dejaDeSerSuperadmin && (await User.countDocuments({ rol: 'superadmin', activo: true })) <= 1) {
+      return res.status(409).json({ mensaje: 'Debe quedar al menos un superadministrador activo' });
+    }
+
+    const anterior = { rol: user.rol, activo: user.activo };
+    if (rol !== undefined) user.rol = rol;
+    if (activo !== undefined) user.activo = activo;
+    if (user.isModified()) user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    auditar(req, 'usuarios.actualizar', { ids: [user._id], detalles: { usuario: user.usuario, anterior, nuevo: { rol: user.rol, activo: user.activo } } });
+    res.status(200).json(serializarUsuario(user));
+  } catch (err) {
+    console.error('Error al actualizar usuario:', err);
+    res.status(500).json({ error: 'Error al actualizar usuario', details: err.message });
+  }
+});
+
+// Ruta para listar las invitaciones pendientes (sin usar, sin revocar y vigentes)
+app.get('/api/invitaciones', soloSuperadmin, async (req, res) => {
+  try {
+    const invitaciones = await Invitacion.find(
+      { usadaEn: null, revocadaEn: null, expiraEn: { $gt: new Date() } },
+      { tokenHash: 0 }
+    ).sort({ createdAt: -1 }).lean();
+    res.status(200).json(invitaciones);
+  } catch (err) {
+    console.error('Error al listar invitaciones:', err);
+    res.status(500).json({ error: 'Error al listar invitaciones', details: err.message });
+  }
+});
+
+// Ruta para crear una invitación. El token solo se devuelve en esta respuesta: en la base
+// de datos se guarda su hash, así que el enlace no se puede recuperar después.
+app.post('/api/invitaciones', soloSuperadmin, async (req, res) => {
+  const { datos, errores } = validarInvitacion(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: 'Datos no válidos', errores });
+  }
+
+  try {
+    const { token, tokenHash } = createInvitationToken();
+    const invitacion = await Invitacion.create({
+      tokenHash,
+      rol: datos.rol,
+      email: datos.email,
+      creadaPor: req.user.usuario,
+      expiraEn: new Date(Date.now() + datos.horas * 60 * 60 * 1000),
+    });
+    auditar(req, 'invitaciones.crear', { ids: [invitacion._id], detalles: { rol: invitacion.rol, email: invitacion.email, expiraEn: invitacion.expiraEn } });
+    res.status(201).json({ token, id: invitacion._id, rol: invitacion.rol, email: invitacion.email, expiraEn: invitacion.expiraEn });
+  } catch (err) {
+    console.error('Error al crear invitación:', err);
+    res.status(500).json({ error: 'Error al crear invitación', details: err.message });
+  }
+});
+
+// Ruta para revocar una invitación pendiente
+app.delete('/api/invitaciones/:id', soloSuperadmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ mensaje: 'Invitación no encontrada' });
+  }
+
+  try {
+    const invitacion = await Invitacion.findOneAndUpdate(
+      { _id: req.params.id, usadaEn: null, revocadaEn: null },
+      { revocadaEn: new Date() },
+      { new: true }
+    );
+    if (!invitacion) {
+      return res.status(404).json({ mensaje: 'Invitación no encontrada o ya utilizada' });
+    }
+    auditar(req, 'invitaciones.revocar', { ids: [invitacion._id] });
+    res.status(200).json({ mensaje: 'Invitación revocada' });
+  } catch (err) {
+    console.error('Error al revocar invitación:', err);
+    res.status(500).json({ error: 'Error al revocar invitación', details: err.message });
+  }
+});
+
+// Filtro de las invitaciones que todavía se pueden usar con un token dado
+const filtroInvitacionVigente = (token) => ({
+  tokenHash: hashInvitationToken(token),
+  usadaEn: null,
+  revocadaEn: null,
+  expiraEn: { $gt: new Date() },
+});
+
+// Ruta pública para comprobar un enlace de invitación antes de mostrar el formulario de registro
+app.get('/api/invitaciones/:token', async (req, res) => {
+  try {
+    const invitacion = await Invitacion.findOne(filtroInvitacionVigente(req.params.token)).lean();
+    if (!invitacion) {
+      return res.status(404).json({ mensaje: 'La invitación no existe, ya se utilizó o ha caducado' });
+    }
+    res.status(200).json({ rol: invitacion.rol, email: invitacion.email, expiraEn: invitacion.expiraEn });
+  } catch (err) {
+    console.error('Error al comprobar invitación:', err);
+    res.status(500).json({ error: 'Error al comprobar invitación', details: err.message });
+  }
+});
+
+// Ruta para registrar un usuario con una invitación. La invitación se marca como usada de forma
+// atómica antes de crear la cuenta (dos registros simultáneos no pueden usar el mismo enlace)
+// y se libera si la cuenta no llega a crearse.
+app.post('/api/register', async (req, res) => {
+  const { datos, errores } = validarRegistro(req.body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ mensaje: Object.values(errores)[0], errores });
+  }
+
+  let invitacion = null;
+  try {
+    invitacion = await Invitacion.findOneAndUpdate(
+      filtroInvitacionVigente(req.body.invitacion),
+      { usadaEn: new Date(), usadaPor: datos.usuario },
+      { new: true }
+    );
+    if (!invitacion) {
+      return res.status(403).json({ mensaje: 'La invitación no existe, ya se utilizó o ha caducado' });
+    }
+    if (invitacion.email && invitacion.email !== datos.email) {
+      await Invitacion.updateOne({ _id: invitacion._id }, { usadaEn: null, usadaPor: null });
+      return res.status(403).json({ mensaje: 'La invitación es para otro email', errores: { email: 'Use el email al que se envió la invitación' } });
+    }
+
+    const newUser = new User({ ...datos, password: await hashPassword(datos.password), rol: invitacion.rol });
+    await newUser.save();
+    auditar(req, 'usuarios.registro', {
+      actor: { id: String(newUser._id), usuario: newUser.usuario, rol: newUser.rol },
+      ids: [newUser._id, invitacion._id],
+      detalles: { email: newUser.email, invitadoPor: invitacion.creadaPor },
+    });
+    res.status(201).json({ mensaje: 'Usuario registrado exitosamente', rol: newUser.rol });
+  } catch (err) {
+    console.error('Error al registrar usuario:', err);
+    if (invitacion) {
+      await Invitacion.updateOne({ _id: invitacion._id }, { usadaEn: null, usadaPor: null }).catch(() => {});
+    }
+    if (err.code === 11000) { // Error de duplicado
+      return res.status(409).json({ mensaje: 'Usuario o email ya existen' });
+    }
+    res.status(500).json({ error: 'Error al registrar usuario', details: err.message });
+  }
+});
+
+// Ruta para consultar el registro de auditoría con paginación (las entradas más recientes primero)
+// Parámetros: pagina, limite, usuario, accion, id, desde, hasta
+app.get('/api/auditoria', soloSuperadmin, async (req, res) => {
+  const pagina = Math.max(parseInt(req.query.pagina, 10) || 1, 1);
+  const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 50, 1), LIMITE_MAXIMO);
+  const filtro = construirFiltroAuditoria(req.query);
+
+  try {
+    const [registros, total] = await Promise.all([
+      AuditLog.find(filtro).sort({ fecha: -1 }).skip((pagina - 1) * limite).limit(limite).lean(),
+      AuditLog.countDocuments(filtro),
+    ]);
+    res.status(200).json({ registros, total, pagina, limite, paginas: Math.ceil(total / limite) });
+  } catch (err) {
+    console.error('Error al consultar la auditoría:', err);
+    res.status(500).json({ error: 'Error al consultar la auditoría', details: err.message });
+  }
+});
+
+// Ruta para obtener el catálogo de acciones auditadas (código → descripción)
+app.get('/api/auditoria/acciones', soloSuperadmin, (req, res) => {
+  res.status(200).json(ACCIONES_AUDITORIA);
+});
+
+// Ruta para exportar el registro de auditoría con los mismos filtros que la consulta (sin
+// paginar), p. ej. para atender una solicitud de cumplimiento. La exportación también se audita.
+app.get('/api/auditoria/export', soloSuperadmin, async (req, res) => {
+  const formato = req.query.format || 'csv';
+  if (!FORMATOS_AUDITORIA.includes(formato)) {
+    return res.status(400).json({ mensaje: `Formato no válido (${FORMATOS_AUDITORIA.join(', ')})` });
+  }
+  const filtro = construirFiltroAuditoria(req.query);
+  const criterios = Object.fromEntries(['usuario', 'accion', 'id', 'desde', 'hasta'].filter(c => req.query[c]).map(c => [c, String(req.query[c])]));
+  auditar(req, 'auditoria.exportar', { detalles: { formato, filtros: criterios } });
+
+  try {
+    const registros = AuditLog.find(filtro).sort({ fecha: -1 }).lean().cursor();
+    const tabla = { columnas: COLUMNAS_AUDITORIA, aFila: aFilaAuditoria, hoja: 'Auditoría' };
+    const fecha = new Date().toLocaleDateString('en-CA', { timeZone: ZONA_HORARIA });
+    res.attachment(`auditoria-${fecha}.${formato}`).type(FORMATOS_EXPORTACION[formato]);
+    if (formato === 'csv') await escribirCsv(res, registros, tabla);
+    else if (formato === 'xlsx') await escribirXlsx(res, registros, tabla);
+    else await escribirJson(res, registros);
+  } catch (err) {
+    console.error('Error al exportar la auditoría:', err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Error al exportar la auditoría', details: err.message });
   }
 });
 
@@ -0,0 +1,75 @@
+// Actualizaciones en tiempo real de las respuestas para el panel (Server-Sent Events).
+// Los eventos se numeran y los últimos se guardan en memoria: un cliente que se reconecta indica
+// el último que recibió y recibe los que se perdió. Si ya no están (o el servidor se reinició
+// entre medias) se le envía 'recargar' para que vuelva a pedir los datos.
+
+const TAMANO_HISTORIAL = 500;
+const INTERVALO_LATIDO_MS = 25 * 1000; // Los proxies (Render incluido) cortan las conexiones inactivas
+const REINTENTO_MS = 5000; // Espera que aplica el navegador antes de reconectar
+const DURACION_MAXIMA_MS = 60 * 60 * 1000; // Obliga a reconectar y volver a comprobar la sesión
+
+// Cada ejecución del servidor tiene su prefijo: los ids de otra ejecución no se pueden reanudar
+const EJECUCION = Date.now().toString(36);
+let ultimoNumero = 0;
+const historial = [];
+const clientes = new Set();
+
+const idEvento = (numero) => `${EJECUCION}-${numero}`;
+
+function escribir(res, { numero, tipo, datos }) {
+  res.write(`id: ${idEvento(numero)}\nevent: ${tipo}\ndata: ${JSON.stringify(datos)}\n\n`);
+}
+
+// Envía un evento a todos los clientes conectados y lo guarda para las reconexiones
+function publicarEvento(tipo, datos) {
+  const evento = { numero: ++ultimoNumero, tipo, datos };
+  historial.push(evento);
+  if (historial.length > TAMANO_HISTORIAL) historial.shift();
+  clientes.forEach(res => escribir(res, evento));
+}
+
+// Eventos posteriores al id indicado, o null si no se pueden reconstruir
+function eventosDesde(ultimoId) {
+  const [ejecucion, texto] = String(ultimoId).split('-');
+  const numero = Number(texto);
+  if (ejecucion !== EJECUCION || !Number.isInteger(numero) || numero < 0 || numero > ultimoNumero) return null;
+  if (historial.length > 0 && numero < historial[0].numero - 1) return null;
+  return historial.filter(evento => evento.numero > numero);
+}
+
+// Mantiene abierta la respuesta como flujo de eventos. `ultimoId` es el último evento que
+// recibió el cliente (si se reconecta); `cierre` es el instante (ms) en que se cierra la conexión,
+// p. ej. cuando caduca el token con el que se abrió.
+function abrirFlujo(req, res, { ultimoId, cierre } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Sin esto algunos proxies acumulan los eventos
+  });
+  res.flushHeaders();
+  res.write(`retry: ${REINTENTO_MS}\n\n`);
+
+  if (ultimoId) {
+    const perdidos = eventosDesde(ultimoId);
+    if (perdidos) perdidos.forEach(evento => escribir(res, evento));
+    else escribir(res, { numero: ultimoNumero, tipo: 'recargar', datos: { motivo: 'reconexion' } });
+  }
+  // Fija la posición actual aunque no haya eventos, para que la próxima reconexión se reanude desde aquí
+  escribir(res, { numero: ultimoNumero, tipo: 'conectado', datos: {} });
+  clientes.add(res);
+
+  const latido = setInterval(() => res.write(': latido\n\n'), INTERVALO_LATIDO_MS);
+  const espera = Math.min(Math.max((cierre || Infinity) - Date.now(), 0), DURACION_MAXIMA_MS);
+  const temporizadorCierre = setTimeout(() => res.end(), espera);
+  req.on('close', () => {
+    clientes.delete(res);
+    clearInterval(latido);
+    clearTimeout(temporizadorCierre);
+  });
+}
+
+module.exports = {
+  publicarEvento,
+  abrirFlujo,
+};
@@ -0,0 +1,316 @@
+// Validación de las respuestas de la encuesta antes de guardarlas, según la definición
+// (preguntas, tipos y opciones) de la versión de la encuesta a la que responden
+
+const { ROLES } = require('./auth');
+const { CAMPOS_PERSONALES } = require('./privacidad');
+
+const TIPOS_PREGUNTA = ['text', 'single', 'multi', 'rating', 'phone'];
+
+// Preguntas que se guardan como campos propios de Respuesta (estadísticas, filtros e índices).
+// Las respuestas a cualquier otra pregunta se guardan en `otras`.
+const CAMPOS_PRINCIPALES = [
+  'nombre', 'puesto', 'telefono', 'seguridad', 'problemas', 'sugerencia', 'calificacion',
+  'horarioInseguridad', 'zonaInseguridad', 'problemaOtro', // Seguimientos (ver encuestaPredeterminada.js)
+];
+
+// Tipo que debe tener cada pregunta principal para que estadísticas y filtros sigan funcionando
+const TIPOS_CAMPOS_PRINCIPALES = {
+  nombre: 'text',
+  puesto: 'text',
+  telefono: 'phone',
+  seguridad: 'single',
+  problemas: 'multi',
+  sugerencia: 'text',
+  calificacion: 'rating',
+  horarioInseguridad: 'multi',
+  zonaInseguridad: 'multi',
+  problemaOtro: 'text',
+};
+
+// Idiomas en que se puede responder la encuesta (español, quechua, aimara, inglés). Solo cambian
+// los textos del formulario: las respuestas se guardan con los mismos códigos en todos los idiomas.
+const IDIOMAS = ['es', 'qu', 'ay', 'en'];
+const IDIOMA_PREDETERMINADO = 'es';
+
+// Claves que el cuerpo de POST /api/respuestas ya usa para otra cosa
+const CLAVES_RESERVADAS = ['encuesta', 'encuestaVersion', 'idioma', 'anonima', 'otras', 'huellas', 'idempotencyKey', 'submittedAt', 'createdAt', 'deletedAt', 'deletedBy'];
+
+const LIMITE_TEXTO = 1000;
+const LIMITE_TELEFONO = 20;
+
+const texto = (valor) => (typeof valor === 'string' ? valor.trim() : '');
+
+const vacio = (valor) => valor === '' || valor === null || valor === undefined || (Array.isArray(valor) && valor.length === 0);
+
+// Valida y normaliza el valor de una pregunta. Devuelve { valor } o { error }.
+function validarPregunta(pregunta, bruto) {
+  const valores = (pregunta.opciones || []).map(o => o.valor);
+
+  switch (pregunta.tipo) {
+    case 'text': {
+      let valor = texto(bruto);
+      if (pregunta.mayusculas) valor = valor.toUpperCase();
+      const limite = pregunta.maxLength || LIMITE_TEXTO;
+      if (valor.length > limite) return { error: `No puede superar ${limite} caracteres` };
+      return { valor };
+    }
+    case 'phone': {
+      const valor = texto(bruto);
+      const limite = pregunta.maxLength || LIMITE_TELEFONO;
+      if (valor.length > limite) return { error: `El teléfono no puede superar ${limite} caracteres` };
+      if (valor && !/^\+?[\d\s-]+$/.test(valor)) return { error: 'El teléfono solo puede contener números, espacios, guiones y +' };
+      return { valor };
+    }
+    case 'single': {
+      const valor = texto(bruto);
+      if (valor && !valores.includes(valor)) return { error: `Seleccione una opción válida (${valores.join(', ')})` };
+      return { valor };
+    }
+    case 'multi': {
+      // Se aceptan tanto un array como el formato antiguo separado por comas
+      const lista = Array.isArray(bruto)
+        ? bruto.map(texto).filter(Boolean)
+        : texto(bruto).split(',').map(p => p.trim()).filter(Boolean);
+      const desconocidos = lista.filter(v => !valores.includes(v));
+      if (desconocidos.length > 0) return { error: `Opciones no reconocidas: ${desconocidos.join(', ')}` };
+      return { valor: [...new Set(lista)] };
+    }
+    case 'rating': {
+      const min = pregunta.min || 1;
+      const max = pregunta.max || 5;
+      if (vacio(bruto)) return { valor: null };
+      const numero = ['string', 'number'].includes(typeof bruto) ? Number(bruto) : NaN;
+      if (!Number.isInteger(numero) || numero < min || numero > max) {
+        return { error: `La calificación debe ser un número entero del ${min} al ${max}` };
+      }
+      return { valor: numero };
+    }
+    default:
+      return { error: `Tipo de pregunta desconocido: ${pregunta.tipo}` };
+  }
+}
+
+// Una pregunta con `mostrarSi` solo se muestra si la respuesta a la pregunta de la que depende
+// es (opción única) o incluye (opción múltiple) alguno de sus valores
+function preguntaVisible(pregunta, respuestas) {
+  const condicion = pregunta.mostrarSi;
+  if (!condicion || !condicion.clave) return true;
+  const respuesta = respuestas[condicion.clave];
+  return (Array.isArray(respuesta) ? respuesta : [respuesta]).some(v => condicion.valores.includes(v));
+}
+
+// Devuelve { datos, errores }: `datos` contiene solo las respuestas a preguntas de la encuesta,
+// ya normalizadas (las principales como campos propios y el resto en `otras`), y `errores`
+// un objeto clave de pregunta → mensaje (vacío si la respuesta es válida).
+// Las respuestas a preguntas ocultas por su condición se descartan y no son obligatorias, igual
+// que el nombre y el teléfono de una respuesta anónima (`anonima: true`).
+// La fecha de envío la asigna el servidor, por lo que `fecha`/`hora` del cliente se ignoran.
+function validarRespuesta(body = {}, encuesta) {
+  const errores = {};
+  const datos = {};
+  const otras = {};
+  const respondidas = {}; // Valores ya validados, para evaluar las condiciones de las siguientes
+  const anonima = body.anonima === true;
+
+  encuesta.preguntas.forEach((pregunta) => {
+    if (!preguntaVisible(pregunta, respondidas)) return;
+    if (anonima && CAMPOS_PERSONALES.includes(pregunta.clave)) return;
+    const { valor, error } = validarPregunta(pregunta, body[pregunta.clave]);
+    respondidas[pregunta.clave] = valor;
+    if (error) {
+      errores[pregunta.clave] = error;
+    } else if (pregunta.requerida && vacio(valor)) {
+      errores[pregunta.clave] = 'Este campo es obligatorio';
+    } else if (CAMPOS_PRINCIPALES.includes(pregunta.clave)) {
+      datos[pregunta.clave] = valor;
+    } else if (!vacio(valor)) {
+      otras[pregunta.clave] = valor;
+    }
+  });
+
+  if (Object.keys(otras).length > 0) datos.otras = otras;
+  if (anonima) datos.anonima = true;
+  // Idioma en que se mostró el formulario; los clientes anteriores no lo envían
+  if (vacio(body.idioma)) datos.idioma = IDIOMA_PREDETERMINADO;
+  else if (IDIOMAS.includes(body.idioma)) datos.idioma = body.idioma;
+  else errores.idioma = `Idioma no válido (${IDIOMAS.join(', ')})`;
+  return { datos, errores };
+}
+
+// Valida la definición de una encuesta enviada por el constructor. Devuelve { datos, errores }
+// con errores indexados por ruta (p. ej. 'preguntas.2.opciones').
+function validarDefinicionEncuesta(body = {}) {
+  const errores = {};
+  const datos = { titulo: texto(body.titulo), preguntas: [] };
+
+  if (!datos.titulo) errores.titulo = 'El título es obligatorio';
+  if (!Array.isArray(body.preguntas) || body.preguntas.length === 0) {
+    errores.preguntas = 'La encuesta debe tener al menos una pregunta';
+    return { datos, errores };
+  }
+
+  const claves = new Set();
+  body.preguntas.forEach((elemento, i) => {
+    const ruta = `preguntas.${i}`;
+    const bruta = elemento && typeof elemento === 'object' ? elemento : {};
+    const pregunta = {
+      clave: texto(bruta.clave),
+      tipo: texto(bruta.tipo),
+      etiqueta: texto(bruta.etiqueta),
+      requerida: bruta.requerida === true,
+    };
+    if (texto(bruta.placeholder)) pregunta.placeholder = texto(bruta.placeholder);
+
+    if (!/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(pregunta.clave)) {
+      errores[`${ruta}.clave`] = 'La clave debe empezar por una letra y contener solo letras, números y _';
+    } else if (CLAVES_RESERVADAS.includes(pregunta.clave)) {
+      errores[`${ruta}.clave`] = `La clave "${pregunta.clave}" está reservada`;
+    } else if (claves.has(pregunta.clave)) {
+      errores[`${ruta}.clave`] = `La clave "${pregunta.clave}" está repetida`;
+    }
+    claves.add(pregunta.clave);
+
+    if (!TIPOS_PREGUNTA.includes(pregunta.tipo)) {
+      errores[`${ruta}.tipo`] = 'Tipo de pregunta no válido';
+    } else if (TIPOS_CAMPOS_PRINCIPALES[pregunta.clave] && TIPOS_CAMPOS_PRINCIPALES[pregunta.clave] !== pregunta.tipo) {
+      errores[`${ruta}.tipo`] = `La pregunta "${pregunta.clave}" debe ser de tipo ${TIPOS_CAMPOS_PRINCIPALES[pregunta.clave]}`;
+    }
+
+    if (!pregunta.etiqueta) errores[`${ruta}.etiqueta`] = 'La pregunta necesita un texto';
+
+    if (pregunta.tipo === 'text' || pregunta.tipo === 'phone') {
+      const maxLength = Number(bruta.maxLength);
+      if (Number.isInteger(maxLength) && maxLength > 0) pregunta.maxLength = Math.min(maxLength, LIMITE_TEXTO);
+      if (bruta.mayusculas === true) pregunta.mayusculas = true;
+      if (bruta.multilinea === true) pregunta.multilinea = true;
+    }
+
+    if (pregunta.tipo === 'single' || pregunta.tipo === 'multi') {
+      const opciones = Array.isArray(bruta.opciones) ? bruta.opciones : [];
+      pregunta.opciones = opciones.map(o => ({ valor: texto(o && o.valor), etiqueta: texto(o && o.etiqueta) }));
+      const valores = pregunta.opciones.map(o => o.valor);
+      if (pregunta.opciones.length < 2) {
+        errores[`${ruta}.opciones`] = 'Debe tener al menos dos opciones';
+      } else if (pregunta.opciones.some(o => !o.valor || !o.etiqueta)) {
+        errores[`${ruta}.opciones`] = 'Todas las opciones necesitan un código y un texto';
+      } else if (new Set(valores).size !== valores.length) {
+        errores[`${ruta}.opciones`] = 'Los códigos de las opciones no pueden repetirse';
+      }
+    }
+
+    if (pregunta.tipo === 'rating') {
+      pregunta.min = 1;
+      pregunta.max = 5;
+    }
+
+    // La condición solo puede depender de una pregunta de opciones anterior, y de sus opciones
+    if (bruta.mostrarSi) {
+      const condicion = typeof bruta.mostrarSi === 'object' ? bruta.mostrarSi : {};
+      const origen = datos.preguntas.find(p => p.clave === texto(condicion.clave));
+      const valores = Array.isArray(condicion.valores) ? [...new Set(condicion.valores.map(texto).filter(Boolean))] : [];
+      if (!origen || !origen.opciones) {
+        errores[`${ruta}.mostrarSi`] = 'La condición debe depender de una pregunta de opciones anterior';
+      } else if (valores.length === 0 || valores.some(v => !origen.opciones.some(o => o.valor === v))) {
+        errores[`${ruta}.mostrarSi`] = `Elija una o más opciones de la pregunta "${origen.clave}"`;
+      } else {
+        pregunta.mostrarSi = { clave: origen.clave, valores };
+      }
+    }
+
+    datos.preguntas.push(pregunta);
+  });
+
+  return { datos, errores };
+}
+
+// Código de puesto: letras del sector, guion y número ("A-15", "AB-3"). Se acepta sin guion
+// y en minúsculas ("a15") y se devuelve en la forma normalizada, o null si no es válido.
+function normalizarCodigoPuesto(valor) {
+  const coincidencia = texto(valor).toUpperCase().match(/^([A-Z]{1,3})\s*-?\s*(\d{1,4})$/);
+  return coincidencia ? `${coincidencia[1]}-${coincidencia[2]}` : null;
+}
+
+// Valida un puesto del registro. Devuelve { datos, errores }; el sector se deduce del código.
+function validarPuesto(body = {}) {
+  const errores = {};
+  const codigo = normalizarCodigoPuesto(body.codigo);
+  const datos = { codigo, sector: codigo ? codigo.split('-')[0] : null, propietario: texto(body.propietario) };
+
+  if (!codigo) errores.codigo = 'Código no válido: use letras del sector, guion y número (p. ej. A-15)';
+  if (datos.propietario.length > 100) errores.propietario = 'No puede superar 100 caracteres';
+  if (body.activo !== undefined) {
+    if (typeof body.activo !== 'boolean') errores.activo = 'Debe ser verdadero o falso';
+    else datos.activo = body.activo;
+  }
+  return { datos, errores };
+}
+
+// Valida una solicitud de borrado de datos personales: por puesto o por teléfono, no ambos
+function validarBorradoDatos(body = {}) {
+  const errores = {};
+  const puesto = texto(body.puesto);
+  const telefono = texto(body.telefono);
+
+  if (puesto && telefono) {
+    errores.puesto = 'Indique el puesto o el teléfono, no ambos';
+    return { datos: {}, errores };
+  }
+  if (puesto) {
+    const codigo = normalizarCodigoPuesto(puesto);
+    if (!codigo) errores.puesto = 'Código no válido: use letras del sector, guion y número (p. ej. A-15)';
+    return { datos: { criterio: 'puesto', valor: codigo }, errores };
+  }
+  if (telefono) {
+    if (!/^\+?[\d\s-]+$/.test(telefono)) errores.telefono = 'El teléfono solo puede contener números, espacios, guiones y +';
+    return { datos: { criterio: 'telefono', valor: telefono }, errores };
+  }
+  errores.puesto = 'Indique el puesto o el teléfono cuyos datos se deben borrar';
+  return { datos: {}, errores };
+}
+
+const PATRON_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Letras sin tilde, dígitos, punto, guion y guion bajo: el nombre se muestra en el panel y en
+// el registro de auditoría, así que no admite espacios ni marcas
+const PATRON_USUARIO = /^[\w.-]{4,50}$/;
+const VIGENCIA_INVITACION_HORAS = { predeterminada: 72, maxima: 24 * 30 };
+
+// Valida una invitación nueva: rol, email opcional y vigencia en horas
+function validarInvitacion(body = {}) {
+  const errores = {};
+  const email = texto(body.email).toLowerCase();
+  const horas = body.horas === undefined || body.horas === '' ? VIGENCIA_INVITACION_HORAS.predeterminada : Number(body.horas);
+  const datos = { rol: body.rol, email: email || undefined, horas };
+
+  if (!ROLES.includes(body.rol)) errores.rol = `Rol no válido (${ROLES.join(', ')})`;
+  if (email && !PATRON_EMAIL.test(email)) errores.email = 'Email no válido';
+  if (!Number.isInteger(horas) || horas < 1 || horas > VIGENCIA_INVITACION_HORAS.maxima) {
+    errores.horas = `La vigencia debe ser de 1 a ${VIGENCIA_INVITACION_HORAS.maxima} horas`;
+  }
+  return { datos, errores };
+}
+
+// Valida los datos de registro de un usuario invitado
+function validarRegistro(body = {}) {
+  const errores = {};
+  const datos = { usuario: texto(body.usuario), email: texto(body.email).toLowerCase(), password: body.password };
+
+  if (!PATRON_USUARIO.test(datos.usuario)) errores.usuario = 'El nombre de usuario debe tener entre 4 y 50 caracteres: letras sin tilde, números, punto, guion o guion bajo';
+  if (!PATRON_EMAIL.test(datos.email)) errores.email = 'Email no válido';
+  if (typeof datos.password !== 'string' || datos.password.length < 8) errores.password = 'La contraseña debe tener al menos 8 caracteres';
+  return { datos, errores };
+}
+
+module.exports = {
+  TIPOS_PREGUNTA,
+  CAMPOS_PRINCIPALES,
+  IDIOMAS,
+  preguntaVisible,
+  IDIOMA_PREDETERMINADO,
+  validarRespuesta,
+  validarDefinicionEncuesta,
+  normalizarCodigoPuesto,
+  validarPuesto,
+  validarBorradoDatos,
+  validarInvitacion,
+  validarRegistro,
+};
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+jest.spyOn(console, 'warn').mockImplementation(() => {}); // Aviso de privacidad.js sin PII_ENCRYPTION_KEY
+
+const { validarRespuesta, normalizarCodigoPuesto, validarRegistro } = require('./validation');
+
+const encuesta = {
+  preguntas: [
+    { clave: 'nombre', tipo: 'text', requerida: true },
+    { clave: 'puesto', tipo: 'text', mayusculas: true },
+    { clave: 'telefono', tipo: 'phone' },
+    { clave: 'seguridad', tipo: 'single', requerida: true, opciones: [{ valor: 'seguro' }, { valor: 'inseguro' }] },
+    { clave: 'problemas', tipo: 'multi', opciones: [{ valor: 'robos' }, { valor: 'otros' }] },
+    { clave: 'problemaOtro', tipo: 'text', requerida: true, mostrarSi: { clave: 'problemas', valores: ['otros'] } },
+    { clave: 'calificacion', tipo: 'rating' },
+    { clave: 'turno', tipo: 'single', opciones: [{ valor: 'manana' }, { valor: 'tarde' }] },
+  ],
+};
+
+const valida = { nombre: ' María Quispe ', puesto: 'a-12', seguridad: 'seguro', problemas: ['robos'], calificacion: '4' };
+
+describe('validarRespuesta', () => {
+  it('normaliza una respuesta válida', () => {
+    const { datos, errores } = validarRespuesta({ ...valida, turno: 'tarde' }, encuesta);
+
+    expect(errores).toEqual({});
+    expect(datos).toEqual({
+      nombre: 'María Quispe',
+      puesto: 'A-12',
+      telefono: '',
+      seguridad: 'seguro',
+      problemas: ['robos'],
+      calificacion: 4,
+      otras: { turno: 'tarde' },
+      idioma: 'es',
+    });
+  });
+
+  it('indexa los errores por pregunta', () => {
+    const { errores } = validarRespuesta({
+      telefono: '70-abc',
+      seguridad: 'muy seguro',
+      problemas: 'robos, incendios',
+      calificacion: 6,
+      idioma: 'fr',
+    }, encuesta);
+
+    expect(Object.keys(errores).sort()).toEqual(['calificacion', 'idioma', 'nombre', 'problemas', 'seguridad', 'telefono']);
+    expect(errores.nombre).toBe('Este campo es obligatorio');
+    expect(errores.problemas).toBe('Opciones no reconocidas: incendios');
+  });
+
+  it('acepta las opciones múltiples separadas por comas sin repetir', () => {
+    expect(validarRespuesta({ ...valida, problemas: 'robos, robos' }, encuesta).datos.problemas).toEqual(['robos']);
+  });
+
+  it('exige los seguimientos solo cuando se muestran', () => {
+    expect(validarRespuesta({ ...valida, problemas: ['otros'] }, encuesta).errores).toEqual({ problemaOtro: 'Este campo es obligatorio' });
+
+    const { datos, errores } = validarRespuesta({ ...valida, problemaOtro: 'Incendio' }, encuesta);
+    expect(errores).toEqual({});
+    expect(datos).not.toHaveProperty('problemaOtro');
+  });
+
+  it('descarta el nombre y el teléfono de una respuesta anónima', () => {
+    const { datos, errores } = validarRespuesta({ ...valida, nombre: '', telefono: '70012345', anonima: true }, encuesta);
+
+    expect(errores).toEqual({});
+    expect(datos).not.toHaveProperty('nombre');
+    expect(datos).not.toHaveProperty('telefono');
+    expect(datos.anonima).toBe(true);
+  });
+});
+
+describe('normalizarCodigoPuesto', () => {
+  it('escribe los códigos de puesto como SECTOR-NÚMERO', () => {
+    expect(normalizarCodigoPuesto(' a 12 ')).toBe('A-12');
+    expect(normalizarCodigoPuesto('ab-003')).toBe('AB-003');
+    expect(normalizarCodigoPuesto('ABCD-1')).toBeNull();
+    expect(normalizarCodigoPuesto('puesto 5')).toBeNull();
+    expect(normalizarCodigoPuesto(undefined)).toBeNull();
+  });
+});
+
+describe('validarRegistro', () => {
+  const registro = { usuario: 'ana.perez', email: 'Ana@Mercado.bo', password: 'clave-segura' };
+
+  it('acepta nombres de usuario con letras, números, punto, guion y guion bajo', () => {
+    const { datos, errores } = validarRegistro(registro);
+    expect(errores).toEqual({});
+    expect(datos.email).toBe('ana@mercado.bo');
+    expect(validarRegistro({ ...registro, usuario: 'j_mamani-2' }).errores).toEqual({});
+  });
+
+  it('rechaza nombres de usuario con marcas, espacios o fuera de longitud', () => {
+    ['<img src=x onerror=alert(1)>', 'ana perez', 'José', 'ana', 'a'.repeat(51)].forEach((usuario) => {
+      expect(validarRegistro({ ...registro, usuario }).errores).toHaveProperty('usuario');
+    });
+  });
+});
@@ -0,0 +1,27 @@
+// Zona horaria del mercado. Las fechas se guardan en UTC y se muestran, filtran y agrupan en
+// hora de Bolivia, que no tiene horario de verano: siempre UTC-4.
+const ZONA_HORARIA = 'America/La_Paz';
+const DESFASE_HORAS = -4;
+const HORA_MS = 60 * 60 * 1000;
+
+// Instante de una fecha (AAAA-MM-DD) y hora (hh:mm:ss) en hora de La Paz. Devuelve una fecha
+// no válida si el texto no lo es.
+const instanteLocal = (fecha, hora = '00:00:00') => new Date(Date.parse(`${fecha}T${hora}Z`) - DESFASE_HORAS * HORA_MS);
+
+// Interpreta un límite de fecha. Las fechas sin hora (AAAA-MM-DD) se toman como el inicio
+// o el fin de ese día en hora de La Paz. Devuelve null si la fecha no es válida.
+function limiteFecha(valor, finDelDia = false) {
+  const texto = String(valor);
+  const fecha = /^\d{4}-\d{2}-\d{2}$/.test(texto)
+    ? instanteLocal(texto, finDelDia ? '23:59:59.999' : '00:00:00.000')
+    : new Date(texto);
+  return isNaN(fecha.getTime()) ? null : fecha;
+}
+
+module.exports = {
+  ZONA_HORARIA,
+  DESFASE_HORAS,
+  HORA_MS,
+  instanteLocal,
+  limiteFecha,
+};
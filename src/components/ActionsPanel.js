@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import { FieldError } from './QuestionField';
+import { INCIDENT_CATEGORIES } from './IncidentForm';
+import api from '../api';
+import { useErrorHandler } from '../apiErrors';
+import { hasRole } from '../session';
+
+const STATUSES = {
+  pendiente: { label: '⏳ Pendientes', badge: '⏳ Pendiente', column: 'bg-gray-50 border-gray-200' },
+  en_curso: { label: '🚧 En curso', badge: '🚧 En curso', column: 'bg-yellow-50 border-yellow-200' },
+  completada: { label: '✅ Completadas', badge: '✅ Completada', column: 'bg-green-50 border-green-200' },
+  cancelada: { label: '🚫 Canceladas', badge: '🚫 Cancelada', column: 'bg-red-50 border-red-200' },
+};
+// Same periods as DIAS_COMPARACION on the server
+const COMPARISON_DAYS = [30, 60, 90];
+const TIME_ZONE = 'America/La_Paz';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm';
+
+// Calendar day (YYYY-MM-DD) in market time
+const toDay = (value) => new Date(value).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+const formatDay = (day) => new Date(`${day}T12:00:00`).toLocaleDateString('es-ES');
+const formatCost = (value) => `Bs ${Number(value).toLocaleString('es-ES', { maximumFractionDigits: 2 })}`;
+
+const emptyAction = () => ({ titulo: '', descripcion: '', problemas: [], sectores: [], responsable: '', fechaLimite: '', costo: '', estado: 'pendiente', completadaEn: '' });
+
+const toForm = (action) => ({
+  ...action,
+  descripcion: action.descripcion || '',
+  costo: action.costo ?? '',
+  completadaEn: action.completadaEn ? toDay(action.completadaEn) : '',
+});
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+// Create/edit form. The completion day is only sent when it was changed, so saving other fields
+// keeps the exact completion time that the before/after comparison uses as its cut-off.
+const ActionForm = ({ initial, sectors, problemasMap, errors, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(() => (initial ? toForm(initial) : emptyAction()));
+  const initialCompletion = initial?.completadaEn ? toDay(initial.completadaEn) : '';
+  const set = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const submit = (e) => {
+    e.preventDefault();
+    const { titulo, descripcion, problemas, sectores, responsable, fechaLimite, costo, estado, completadaEn } = form;
+    onSubmit({
+      titulo, descripcion, problemas, sectores, responsable, fechaLimite, costo, estado,
+      completadaEn: estado === 'completada' && completadaEn !== initialCompletion ? completadaEn : undefined,
+    });
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-gray-50 p-6 rounded-xl border border-gray-200 mb-8 space-y-4">
+      <h5 className="font-bold text-lg text-gray-700">{initial ? '✏️ Editar acción' : '➕ Nueva acción'}</h5>
+      <div>
+        <label htmlFor="accion-titulo" className="block text-gray-700 text-sm font-semibold mb-1">📝 Medida:</label>
+        <input id="accion-titulo" value={form.titulo} onChange={(e) => set({ titulo: e.target.value })} placeholder="Ej: Instalar 10 luminarias en el sector C" maxLength={200} className={inputClass} />
+        <FieldError message={errors.titulo} />
+      </div>
+      <div>
+        <label htmlFor="accion-descripcion" className="block text-gray-700 text-sm font-semibold mb-1">🗒️ Detalles (opcional):</label>
+        <textarea id="accion-descripcion" value={form.descripcion} onChange={(e) => set({ descripcion: e.target.value })} rows={2} maxLength={2000} className={inputClass} />
+        <FieldError message={errors.descripcion} />
+      </div>
+      <div>
+        <span className="block text-gray-700 text-sm font-semibold mb-1">🚨 Problemas que atiende:</span>
+        <div className="flex flex-wrap gap-3">
+          {INCIDENT_CATEGORIES.map((codigo) => (
+            <label key={codigo} className="flex items-center gap-1 text-sm">
+              <input type="checkbox" checked={form.problemas.includes(codigo)} onChange={() => set({ problemas: toggle(form.problemas, codigo) })} />
+              {problemasMap[codigo] || codigo}
+            </label>
+          ))}
+        </div>
+        <FieldError message={errors.problemas} />
+      </div>
+      <div>
+        <span className="block text-gray-700 text-sm font-semibold mb-1">🏪 Sectores (ninguno = todo el mercado):</span>
+        {sectors.length > 0 ? (
+          <div className="flex flex-wrap gap-3">
+            {sectors.map((sector) => (
+              <label key={sector} className="flex items-center gap-1 text-sm">
+                <input type="checkbox" checked={form.sectores.includes(sector)} onChange={() => set({ sectores: toggle(form.sectores, sector) })} />
+                Sector {sector}
+              </label>
+            ))}
+          </div>
+        ) : (
+          <input
+            value={form.sectores.join(', ')}
+            onChange={(e) => set({ sectores: e.target.value.toUpperCase().split(/\s*,\s*/).filter(Boolean) })}
+            placeholder="Ej: C, D"
+            className={inputClass}
+          />
+        )}
+        <FieldError message={errors.sectores} />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label htmlFor="accion-responsable" className="block text-gray-700 text-sm font-semibold mb-1">👤 Responsable:</label>
+          <input id="accion-responsable" value={form.responsable} onChange={(e) => set({ responsable: e.target.value })} placeholder="Ej: Directiva del mercado" maxLength={100} className={inputClass} />
+          <FieldError message={errors.responsable} />
+        </div>
+        <div>
+          <label htmlFor="accion-fecha" className="block text-gray-700 text-sm font-semibold mb-1">📅 Fecha límite:</label>
+          <input id="accion-fecha" type="date" value={form.fechaLimite} onChange={(e) => set({ fechaLimite: e.target.value })} className={inputClass} />
+          <FieldError message={errors.fechaLimite} />
+        </div>
+        <div>
+          <label htmlFor="accion-costo" className="block text-gray-700 text-sm font-semibold mb-1">💰 Costo (Bs, opcional):</label>
+          <input id="accion-costo" type="number" min="0" step="0.01" value={form.costo} onChange={(e) => set({ costo: e.target.value })} className={inputClass} />
+          <FieldError message={errors.costo} />
+        </div>
+        <div>
+          <label htmlFor="accion-estado" className="block text-gray-700 text-sm font-semibold mb-1">🔄 Estado:</label>
+          <select id="accion-estado" value={form.estado} onChange={(e) => set({ estado: e.target.value })} className={inputClass}>
+            {Object.entries(STATUSES).map(([estado, status]) => <option key={estado} value={estado}>{status.badge}</option>)}
+          </select>
+          <FieldError message={errors.estado} />
+        </div>
+      </div>
+      {form.estado === 'completada' && (
+        <div className="md:w-1/4">
+          <label htmlFor="accion-completada" className="block text-gray-700 text-sm font-semibold mb-1">✅ Completada el:</label>
+          <input id="accion-completada" type="date" value={form.completadaEn} max={toDay(new Date())} onChange={(e) => set({ completadaEn: e.target.value })} className={inputClass} />
+          <p className="text-xs text-gray-500 mt-1">Vacío: hoy. Es el corte de la comparación antes/después.</p>
+          <FieldError message={errors.completadaEn} />
+        </div>
+      )}
+      <div className="flex gap-3">
+        <button type="submit" className="bg-blue-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200">💾 Guardar</button>
+        <button type="button" onClick={onCancel} className="bg-gray-200 text-gray-700 py-2 px-5 rounded-lg hover:bg-gray-300 transition-colors duration-200">Cancelar</button>
+      </div>
+    </form>
+  );
+};
+
+// Difference after − before, green when it goes in the desired direction
+const Change = ({ before, after, higherIsBetter, unit = '' }) => {
+  if (before === null || after === null) return <span className="text-gray-400">—</span>;
+  const delta = Math.round((after - before) * 10) / 10;
+  if (delta === 0) return <span className="text-gray-500">=</span>;
+  const better = higherIsBetter ? delta > 0 : delta < 0;
+  return <span className={`font-semibold ${better ? 'text-green-600' : 'text-red-600'}`}>{delta > 0 ? '▲ +' : '▼ '}{delta}{unit}</span>;
+};
+
+// Average rating and frequency of the linked problems in the days before and after completion
+const ComparisonView = ({ action, comparison, days, onDaysChange, onClose, problemasMap }) => {
+  const { antes, despues } = comparison;
+  const fewResponses = antes.total < 10 || despues.total < 10;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-blue-200 mb-8">
+      <div className="flex justify-between items-start gap-4 flex-wrap mb-4">
+        <div>
+          <h5 className="font-bold text-lg text-gray-800">📊 Antes / después: {action.titulo}</h5>
+          <p className="text-sm text-gray-600">
+            Completada el {new Date(comparison.completadaEn).toLocaleDateString('es-ES', { timeZone: TIME_ZONE })} ·{' '}
+            {comparison.sectores.length > 0 ? `Sectores ${comparison.sectores.join(', ')}` : 'Todo el mercado'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label htmlFor="comparacion-dias" className="text-sm text-gray-700">Días de cada lado:</label>
+          <select id="comparacion-dias" value={days} onChange={(e) => onDaysChange(Number(e.target.value))} className="p-2 border border-gray-300 rounded-lg text-sm">
+            {COMPARISON_DAYS.map((value) => <option key={value} value={value}>{value}</option>)}
+          </select>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl px-2" aria-label="Cerrar">✖</button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-gray-700">
+              <th className="p-3 text-left">Indicador</th>
+              <th className="p-3 text-right">Antes</th>
+              <th className="p-3 text-right">Después</th>
+              <th className="p-3 text-right">Cambio</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-b border-gray-100">
+              <td className="p-3">📋 Respuestas</td>
+              <td className="p-3 text-right">{antes.total}</td>
+              <td className="p-3 text-right">{despues.total}</td>
+              <td className="p-3 text-right text-gray-400">—</td>
+            </tr>
+            <tr className="border-b border-gray-100">
+              <td className="p-3">⭐ Calificación promedio</td>
+              <td className="p-3 text-right">{antes.promedioCalificacion ?? '—'}</td>
+              <td className="p-3 text-right">{despues.promedioCalificacion ?? '—'}</td>
+              <td className="p-3 text-right"><Change before={antes.promedioCalificacion} after={despues.promedioCalificacion} higherIsBetter /></td>
+            </tr>
+            {antes.problemas.map((problem, index) => {
+              const after = despues.problemas[index];
+              return (
+                <tr key={problem.codigo} className="border-b border-gray-100">
+                  <td className="p-3">{problemasMap[problem.codigo] || problem.codigo} <span className="text-gray-400">(% de respuestas que lo reportan)</span></td>
+                  <td className="p-3 text-right">{problem.porcentaje}% <span className="text-gray-400">({problem.total})</span></td>
+                  <td className="p-3 text-right">{after.porcentaje}% <span className="text-gray-400">({after.total})</span></td>
+                  <td className="p-3 text-right">
+                    <Change before={antes.total > 0 ? problem.porcentaje : null} after={despues.total > 0 ? after.porcentaje : null} unit=" pts" />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {!despues.completo && <p className="text-sm text-yellow-700 mt-3">⏳ El periodo posterior todavía no ha terminado: incluye las respuestas hasta hoy.</p>}
+      {fewResponses && <p className="text-sm text-yellow-700 mt-1">⚠️ Hay pocas respuestas en alguno de los periodos: tome la comparación como orientativa.</p>}
+    </div>
+  );
+};
+
+// Security action plan: measures taken on the reported problems, as a board by status, and the
+// before/after comparison of the survey once a measure is completed. Analysts only read.
+const ActionsPanel = ({ onBack, onSessionExpired, problemasMap = {} }) => {
+  const canEdit = hasRole('superadmin');
+  const [actions, setActions] = useState([]);
+  const [sectors, setSectors] = useState([]);
+  const [problemFilter, setProblemFilter] = useState('');
+  const [editing, setEditing] = useState(null); // null, 'new' or the action being edited
+  const [errors, setErrors] = useState({});
+  const [comparing, setComparing] = useState(null); // { action, days, data }
+  const [alert, setAlert] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchActions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api({ method: 'get', url: '/acciones', params: problemFilter ? { problema: problemFilter } : {} });
+      setActions(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar el plan de acción.');
+    } finally {
+      setLoading(false);
+    }
+  }, [problemFilter, handleError]);
+
+  const fetchSectors = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/puestos' });
+      setSectors([...new Set(response.data.map((puesto) => puesto.sector))].sort());
+    } catch (error) {
+      handleError(error, 'Error al cargar los sectores.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchSectors();
+  }, [fetchSectors]);
+
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  // `target` is 'new' or the action being changed. Returns whether it was saved.
+  const saveAction = async (target, data) => {
+    const isNew = target === 'new';
+    try {
+      await api({ method: isNew ? 'post' : 'put', url: isNew ? '/acciones' : `/acciones/${target.id}`, data });
+      setAlert({ type: 'success', message: isNew ? '📋 Acción registrada.' : '💾 Acción actualizada.' });
+      if (comparing?.action.id === target.id) setComparing(null);
+      fetchActions();
+      return true;
+    } catch (error) {
+      if (target === editing && error.response?.data?.errores) setErrors(error.response.data.errores);
+      handleError(error, 'Error al guardar la acción.');
+      return false;
+    }
+  };
+
+  const submitForm = async (data) => {
+    setErrors({});
+    if (await saveAction(editing, data)) setEditing(null);
+  };
+
+  // Quick status change from the board: the rest of the fields are sent as they are
+  const changeStatus = (action, estado) => {
+    const { titulo, descripcion, problemas, sectores, responsable, fechaLimite, costo } = action;
+    saveAction(action, { titulo, descripcion, problemas, sectores, responsable, fechaLimite, costo, estado });
+  };
+
+  const deleteAction = async (action) => {
+    if (!window.confirm(`⚠️ ¿Eliminar la acción "${action.titulo}" del plan?`)) return;
+    try {
+      await api({ method: 'delete', url: `/acciones/${action.id}` });
+      if (comparing?.action.id === action.id) setComparing(null);
+      fetchActions();
+    } catch (error) {
+      handleError(error, 'Error al eliminar la acción.');
+    }
+  };
+
+  const compare = async (action, days = COMPARISON_DAYS[0]) => {
+    try {
+      const response = await api({ method: 'get', url: `/acciones/${action.id}/comparacion`, params: { dias: days } });
+      setComparing({ action, days, data: response.data });
+    } catch (error) {
+      handleError(error, 'Error al calcular la comparación.');
+    }
+  };
+
+  const today = toDay(new Date());
+  const isOverdue = (action) => ['pendiente', 'en_curso'].includes(action.estado) && action.fechaLimite < today;
+  const totalCost = actions.filter((action) => action.estado !== 'cancelada').reduce((sum, action) => sum + (action.costo || 0), 0);
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">📋 Plan de Acción</h4>
+        <div className="flex gap-3 flex-wrap">
+          {canEdit && !editing && (
+            <motion.button
+              onClick={() => {
+                setErrors({});
+                setEditing('new');
+              }}
+              className="bg-blue-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">➕</span> Nueva acción
+            </motion.button>
+          )}
+          <motion.button
+            onClick={onBack}
+            className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <span className="text-xl">🔙</span> Volver al Panel
+          </motion.button>
+        </div>
+      </div>
+
+      {editing && (
+        <ActionForm
+          key={editing === 'new' ? 'new' : editing.id}
+          initial={editing === 'new' ? null : editing}
+          sectors={sectors}
+          problemasMap={problemasMap}
+          errors={errors}
+          onSubmit={submitForm}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {comparing && (
+        <ComparisonView
+          action={comparing.action}
+          comparison={comparing.data}
+          days={comparing.days}
+          onDaysChange={(days) => compare(comparing.action, days)}
+          onClose={() => setComparing(null)}
+          problemasMap={problemasMap}
+        />
+      )}
+
+      <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label htmlFor="acciones-problema" className="block text-gray-700 text-sm font-semibold mb-1">🚨 Problema:</label>
+          <select id="acciones-problema" value={problemFilter} onChange={(e) => setProblemFilter(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+            <option value="">Todos</option>
+            {INCIDENT_CATEGORIES.map((codigo) => <option key={codigo} value={codigo}>{problemasMap[codigo] || codigo}</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-gray-500 ml-auto">
+          {loading ? 'Cargando...' : `${actions.length} acciones · 💰 ${formatCost(totalCost)} presupuestados (sin las canceladas)`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        {Object.entries(STATUSES).map(([estado, status]) => {
+          const column = actions.filter((action) => action.estado === estado);
+          return (
+            <div key={estado} className={`p-3 rounded-xl border ${status.column}`}>
+              <h5 className="font-bold text-gray-700 mb-3">{status.label} ({column.length})</h5>
+              {column.length === 0 && <p className="text-sm text-gray-400 text-center py-4">Sin acciones</p>}
+              <div className="space-y-3">
+                {column.map((action) => (
+                  <div key={action.id} className="bg-white p-4 rounded-lg shadow border border-gray-200 text-sm">
+                    <p className="font-bold text-gray-800 mb-1">{action.titulo}</p>
+                    {action.descripcion && <p className="text-gray-600 whitespace-pre-line mb-2">{action.descripcion}</p>}
+                    <div className="flex flex-wrap gap-1 mb-2">
+                      {action.problemas.map((codigo) => (
+                        <span key={codigo} className="py-0.5 px-2 rounded-full bg-blue-100 text-blue-700 text-xs">{problemasMap[codigo] || codigo}</span>
+                      ))}
+                    </div>
+                    <p className="text-gray-600">🏪 {action.sectores.length > 0 ? `Sectores ${action.sectores.join(', ')}` : 'Todo el mercado'}</p>
+                    <p className="text-gray-600">👤 {action.responsable}</p>
+                    <p className={isOverdue(action) ? 'text-red-600 font-semibold' : 'text-gray-600'}>
+                      📅 {formatDay(action.fechaLimite)}{isOverdue(action) && ' · ⏰ Vencida'}
+                    </p>
+                    {action.costo !== null && <p className="text-gray-600">💰 {formatCost(action.costo)}</p>}
+                    {action.completadaEn && <p className="text-green-700">✅ Completada el {new Date(action.completadaEn).toLocaleDateString('es-ES', { timeZone: TIME_ZONE })}</p>}
+
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {action.estado === 'completada' && (
+                        <button onClick={() => compare(action)} className="py-1 px-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700">📊 Antes / después</button>
+                      )}
+                      {canEdit && (
+                        <>
+                          <select
+                            aria-label="Estado"
+                            value={action.estado}
+                            onChange={(e) => changeStatus(action, e.target.value)}
+                            className="py-1 px-2 border border-gray-300 rounded-lg"
+                          >
+                            {Object.entries(STATUSES).map(([value, option]) => <option key={value} value={value}>{option.badge}</option>)}
+                          </select>
+                          <button
+                            onClick={() => {
+                              setErrors({});
+                              setEditing(action);
+                            }}
+                            className="py-1 px-3 rounded-lg bg-gray-100 hover:bg-gray-200"
+                          >
+                            ✏️ Editar
+                          </button>
+                          <button onClick={() => deleteAction(action)} className="py-1 px-3 rounded-lg bg-red-100 text-red-700 hover:bg-red-200">🗑️</button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ActionsPanel;
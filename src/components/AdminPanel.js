@@ -1,118 +1,381 @@
-import React, { useState, useEffect } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
 import Alert from './Alert';
-import axios from 'axios';
-import { BarChart, PieChart, LineChart } from 'lucide-react'; // Placeholder for actual chart components
+import TrashPanel from './TrashPanel';
+import SurveyBuilder from './SurveyBuilder';
+import ImportPanel from './ImportPanel';
+import StallsPanel from './StallsPanel';
+import DuplicatesPanel from './DuplicatesPanel';
+import UsersPanel from './UsersPanel';
+import AuditPanel from './AuditPanel';
+import ThemesPanel from './ThemesPanel';
+import PrivacyPanel from './PrivacyPanel';
+import IncidentsPanel from './IncidentsPanel';
+import ActionsPanel from './ActionsPanel';
+import SuggestionsAnalysis from './SuggestionsAnalysis';
+import ResponsesTable, { EMPTY_LIST_FILTERS } from './ResponsesTable';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+import { hasRole } from '../session';
+import { SURVEY_CODE, optionLabels, questionLabels } from '../surveyDefinition';
+import { subscribeToResponses, applyToStats, matchesStatsFilters } from '../liveUpdates';
+import { COLORS, DonutChart, HorizontalBarChart, ColumnChart, TrendChart } from './Charts';
 
-const SERVER_URL = "https://tu-backend.onrender.com/api";
+const PAGE_SIZE = 20;
+const EMPTY_STATS_FILTERS = { desde: '', hasta: '', sector: '', agrupacion: 'dia' };
 
-const AdminPanel = ({ onLogout }) => {
+const EXPORT_FORMATS = [
+  { value: 'csv', label: '📄 CSV' },
+  { value: 'xlsx', label: '📊 Excel (XLSX)' },
+  { value: 'json', label: '🧾 JSON' },
+  { value: 'pdf', label: '📑 Informe PDF' },
+];
+
+const SEGURIDAD_COLORS = { 'sí': COLORS.green, no: COLORS.red, regular: COLORS.yellow };
+
+// The server only returns periods with responses; fill the gaps with empty periods so the
+// trend keeps a regular time axis. Periods are local dates formatted as YYYY-MM-DD.
+const trendPoints = (tendencia, agrupacion) => {
+  if (tendencia.length === 0) return [];
+  const byPeriod = Object.fromEntries(tendencia.map((item) => [item.periodo, item]));
+  const step = agrupacion === 'semana' ? 7 : 1;
+  const last = new Date(`${tendencia[tendencia.length - 1].periodo}T00:00:00Z`);
+  const points = [];
+  for (let date = new Date(`${tendencia[0].periodo}T00:00:00Z`); date <= last; date.setUTCDate(date.getUTCDate() + step)) {
+    const periodo = date.toISOString().slice(0, 10);
+    const [, month, day] = periodo.split('-');
+    points.push({
+      label: `${agrupacion === 'semana' ? 'Sem. ' : ''}${day}/${month}`,
+      total: byPeriod[periodo]?.total || 0,
+      promedio: byPeriod[periodo]?.promedioCalificacion ?? null,
+    });
+  }
+  return points;
+};
+
+// Row of the responses table from a response as returned by the server
+const toSurvey = (item) => ({
+  id: item._id, // MongoDB's default ID
+  fecha: item.fecha || new Date(item.submittedAt).toLocaleDateString('es-ES', { timeZone: 'America/La_Paz' }),
+  hora: item.hora || new Date(item.submittedAt).toLocaleTimeString('es-ES', { timeZone: 'America/La_Paz' }),
+  submittedAt: item.submittedAt,
+  nombre: item.nombre || '',
+  anonima: Boolean(item.anonima), // Sent without name or phone
+  datosBorrados: Boolean(item.datosPersonalesBorradosEn), // Name and phone erased (retention or on request)
+  puesto: item.puesto || 'No especificado',
+  telefono: item.telefono || 'No proporcionado',
+  seguridad: item.seguridad,
+  problemas: item.problemas || [],
+  problemaOtro: item.problemaOtro || '', // Follow-up questions: only answered when they were shown
+  horarioInseguridad: item.horarioInseguridad || [],
+  zonaInseguridad: item.zonaInseguridad || [],
+  sugerencia: item.sugerencia || 'Ninguna sugerencia',
+  calificacion: item.calificacion, // null when a legacy answer had an invalid rating
+  otras: item.otras || {}, // Answers to questions without a dedicated field
+  temas: item.temas || [], // Themes detected in the suggestion
+  encuestaVersion: item.encuestaVersion,
+  idioma: item.idioma || 'es', // Language the form was shown in; answers are the same codes in every language
+  synced: true, // All fetched from server are synced
+});
+
+const AdminPanel = ({ onLogout, onSessionExpired }) => {
   const [surveys, setSurveys] = useState([]);
+  const [listInfo, setListInfo] = useState({ total: 0, page: 1, pages: 0, searchesNames: true });
+  const [listFilters, setListFilters] = useState(EMPTY_LIST_FILTERS);
+  const [sort, setSort] = useState('fecha_desc');
   const [alert, setAlert] = useState(null);
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
   const [loading, setLoading] = useState(false);
+  const [view, setView] = useState('dashboard'); // 'dashboard' or one of the subPanels below
+  const [stats, setStats] = useState(null);
+  const [textAnalysis, setTextAnalysis] = useState(null);
+  const [statsFilters, setStatsFilters] = useState(EMPTY_STATS_FILTERS);
+  const [surveyVersions, setSurveyVersions] = useState([]);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [live, setLive] = useState(false);
+  const [newResponses, setNewResponses] = useState(0); // Live responses not shown in the current page
+  // Queries behind the statistics and the list on screen, which live events are applied to
+  const statsQuery = useRef(EMPTY_STATS_FILTERS);
+  const listQuery = useRef({ page: 1, filters: EMPTY_LIST_FILTERS, order: 'fecha_desc' });
+  const liveHandlers = useRef({});
+  const listSection = useRef(null);
+
+  // What the signed-in role may do (the server enforces the same permissions on every route)
+  const isSuperadmin = hasRole('superadmin');
+  const canRead = hasRole('superadmin', 'analista');
+  const canImport = hasRole('superadmin', 'encuestador');
 
   useEffect(() => {
-    fetchSurveys();
+    if (!canRead) return undefined;
+    return subscribeToResponses({
+      onEvent: (type, data) => liveHandlers.current[type]?.(data),
+      onStatus: setLive,
+    });
+  }, [canRead]);
+
+  // Every published version, so labels of answers collected under older versions can be shown
+  const fetchSurveyVersions = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: `/encuestas/${SURVEY_CODE}/versiones` });
+      setSurveyVersions(response.data);
+    } catch (error) {
+      console.error('Error fetching survey versions:', error);
+    }
   }, []);
 
-  const fetchSurveys = async () => {
+  // Without arguments the loaders repeat the query on screen (statsQuery and listQuery), not
+  // the filters being edited, so they keep their identity and can be effect dependencies
+  const fetchStats = useCallback(async (filters = statsQuery.current) => {
+    // Only send the filters that have a value
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    const { agrupacion, ...textParams } = params; // The text analysis has no time grouping
+    try {
+      const [response, analysis] = await Promise.all([
+        api({ method: 'get', url: '/estadisticas', params }),
+        api({ method: 'get', url: '/sugerencias/analisis', params: textParams }),
+      ]);
+      statsQuery.current = filters;
+      setStats(response.data);
+      setTextAnalysis(analysis.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar las estadísticas.');
+    }
+  }, [handleError]);
+
+  const handleStatsFilterChange = (e) => {
+    setStatsFilters({ ...statsFilters, [e.target.name]: e.target.value });
+  };
+
+  const clearStatsFilters = () => {
+    setStatsFilters(EMPTY_STATS_FILTERS);
+    fetchStats(EMPTY_STATS_FILTERS);
+  };
+
+  const refreshAll = () => {
+    if (!canRead) return;
+    fetchSurveys();
+    fetchStats();
+  };
+
+  const handleListFilterChange = (e) => {
+    setListFilters({ ...listFilters, [e.target.name]: e.target.value });
+  };
+
+  const applyListFilters = () => {
+    // A text search is best ordered by relevance unless the admin picked another order
+    const order = listFilters.q && sort === 'fecha_desc' ? 'relevancia' : sort;
+    setSort(order);
+    fetchSurveys(1, listFilters, order);
+  };
+
+  const clearListFilters = () => {
+    setListFilters(EMPTY_LIST_FILTERS);
+    setSort('fecha_desc');
+    fetchSurveys(1, EMPTY_LIST_FILTERS, 'fecha_desc');
+  };
+
+  // Theme chips and word cloud of the text analysis open the matching responses in the list
+  const showInList = (filters) => {
+    const order = filters.q ? 'relevancia' : 'fecha_desc';
+    setListFilters(filters);
+    setSort(order);
+    fetchSurveys(1, filters, order);
+    listSection.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  const handleSortChange = (order) => {
+    setSort(order);
+    fetchSurveys(1, listFilters, order);
+  };
+
+  const fetchSurveys = useCallback(async (page = listQuery.current.page, filters = listQuery.current.filters, order = listQuery.current.order) => {
     setLoading(true);
-    setAlert(null);
     try {
-      const response = await axios.get(`${SERVER_URL}/respuestas`);
-      const fetchedSurveys = response.data.map(item => ({
-        id: item._id, // MongoDB's default ID
-        fecha: item.fecha || new Date(item.createdAt).toLocaleDateString('es-ES'),
-        hora: item.hora || new Date(item.createdAt).toLocaleTimeString('es-ES'),
-        nombre: item.nombre,
-        puesto: item.puesto || 'No especificado',
-        telefono: item.telefono || 'No proporcionado',
-        seguridad: item.seguridad,
-        problemas: item.problemas ? item.problemas.split(', ') : [],
-        sugerencia: item.sugerencia || 'Ninguna sugerencia',
-        calificacion: item.calificacion || '3',
-        synced: true, // All fetched from server are synced
-      }));
-      setSurveys(fetchedSurveys);
-      setAlert({ type: 'success', message: `✅ Datos del servidor cargados correctamente. <br/><small>${fetchedSurveys.length} encuestas encontradas.</small>` });
+      const params = {
+        ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+        pagina: page,
+        limite: PAGE_SIZE,
+        orden: order,
+      };
+      const response = await api({ method: 'get', url: '/respuestas', params });
+      const { respuestas, total, pagina, paginas, busquedaEnNombres } = response.data;
+      listQuery.current = { page: pagina, filters, order };
+      setSurveys(respuestas.map(toSurvey));
+      setListInfo({ total, page: pagina, pages: paginas, searchesNames: busquedaEnNombres });
+      setNewResponses(0);
     } catch (error) {
-      console.error('Error fetching surveys:', error);
-      setAlert({ type: 'danger', message: `❌ Error al cargar datos del servidor. <br/><small>${error.message}</small>` });
+      handleError(error, 'Error al cargar datos del servidor.');
     } finally {
       setLoading(false);
     }
+  }, [handleError]);
+
+  useEffect(() => {
+    if (!canRead) return; // Surveyors only use the import and stall screens
+    fetchSurveys();
+    fetchStats();
+    fetchSurveyVersions();
+  }, [canRead, fetchSurveys, fetchStats, fetchSurveyVersions]);
+
+  // --- Live updates ---
+  // New responses go to the top of the list when it shows the latest ones (first page, newest
+  // first, no filters); otherwise a notice offers to reload. Statistics are updated in place.
+  const showsLatest = () => {
+    const { page, filters, order } = listQuery.current;
+    return page === 1 && order === 'fecha_desc' && !Object.values(filters).some(Boolean);
+  };
+
+  const updateStats = (respuesta, delta) => {
+    if (!matchesStatsFilters(respuesta, statsQuery.current)) return;
+    setStats((prev) => (prev ? applyToStats(prev, respuesta, delta) : prev));
+  };
+
+  liveHandlers.current = {
+    creada: (respuesta) => {
+      updateStats(respuesta, 1);
+      const survey = { ...toSurvey(respuesta), live: true };
+      // A response restored from the trash may be older than the page: reload instead of misplacing it
+      const newest = surveys[0]?.submittedAt;
+      if (!showsLatest() || (newest && new Date(survey.submittedAt) < new Date(newest))) {
+        setNewResponses((count) => count + 1);
+        return;
+      }
+      setSurveys((prev) => [survey, ...prev.filter((s) => s.id !== survey.id)].slice(0, PAGE_SIZE));
+      setListInfo((prev) => ({ ...prev, total: prev.total + 1, pages: Math.ceil((prev.total + 1) / PAGE_SIZE) }));
+    },
+    eliminada: (respuesta) => {
+      updateStats(respuesta, -1);
+      if (!surveys.some((s) => s.id === respuesta._id)) return;
+      setSurveys((prev) => prev.filter((s) => s.id !== respuesta._id));
+      setListInfo((prev) => ({ ...prev, total: Math.max(prev.total - 1, 0), pages: Math.ceil(Math.max(prev.total - 1, 0) / PAGE_SIZE) }));
+    },
+    recargar: () => {
+      fetchSurveys();
+      fetchStats();
+    },
   };
 
-  const exportResults = () => {
-    if (surveys.length === 0) {
-      setAlert({ type: 'warning', message: '❌ No hay datos para exportar.' });
-      return;
+  const handleLogout = async () => {
+    try {
+      await api({ method: 'post', url: '/logout' });
+    } catch (error) {
+      console.error('Error al cerrar sesión en el servidor:', error);
     }
+    onLogout();
+  };
 
+  // The server streams every response matching the list filters (not just the loaded page)
+  const exportResults = async () => {
     setAlert({ type: 'warning', message: '💾 Preparando archivo de exportación...' });
-
-    setTimeout(() => {
-      let csv = 'ID,Fecha,Hora,Nombre,Puesto,Teléfono,Seguridad,Calificación,Problemas,Sugerencias\n';
-      surveys.forEach(e => {
-        const problemas = e.problemas && e.problemas.length > 0 ? e.problemas.join('; ') : 'Ninguno';
-        const sugerencia = (e.sugerencia || 'Ninguna').replace(/"/g, '""'); // Escape quotes
-        csv += `"${e.id}","${e.fecha}","${e.hora}","${e.nombre}","${e.puesto}","${e.telefono}","${e.seguridad}","${e.calificacion}","${problemas}","${sugerencia}"\n`;
+    const params = Object.fromEntries(Object.entries(listFilters).filter(([, value]) => value));
+    try {
+      const response = await api({
+        method: 'get',
+        url: '/respuestas/export',
+        params: { ...params, orden: sort, format: exportFormat },
+        responseType: 'blob',
+        timeout: 0, // Exports of the whole collection can take longer than the default request timeout
       });
 
-      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-      const url = window.URL.createObjectURL(blob);
+      const url = window.URL.createObjectURL(response.data);
       const a = document.createElement('a');
       a.style.display = 'none';
       a.href = url;
-      a.download = `encuestas-seguridad-mercado-${new Date().toISOString().split('T')[0]}.csv`;
+      a.download = `encuestas-seguridad-mercado-${new Date().toISOString().split('T')[0]}.${exportFormat}`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
       document.body.removeChild(a);
 
-      setAlert({ type: 'success', message: `💾 ¡Archivo exportado correctamente! <br/><small>${surveys.length} encuestas exportadas en formato CSV.</small>` });
-    }, 1000);
+      setAlert({ type: 'success', message: alertMessage('💾 ¡Archivo exportado correctamente!', `Formato ${exportFormat.toUpperCase()} con los filtros del listado.`) });
+    } catch (error) {
+      handleError(error, 'Error al exportar las encuestas.');
+    }
   };
 
-  const clearResults = () => {
-    if (window.confirm('⚠️ ¿Está seguro de que desea eliminar TODAS las encuestas? Esta acción no se puede deshacer y eliminará los datos del servidor.')) {
-      setAlert({ type: 'warning', message: '🗑️ Eliminando datos del servidor...' });
-      // In a real app, you'd send a DELETE request to your backend
-      // For this example, we'll just clear locally and show a message
-      setSurveys([]);
-      setAlert({ type: 'success', message: '✅ Todas las encuestas han sido eliminadas localmente. (En un proyecto real, esto también las borraría del servidor).' });
+  const clearResults = async () => {
+    if (!window.confirm('⚠️ ¿Está seguro de que desea eliminar TODAS las encuestas? Se moverán a la papelera, desde donde podrá restaurarlas o eliminarlas definitivamente.')) return;
+
+    setAlert({ type: 'warning', message: '🗑️ Eliminando datos del servidor...' });
+    try {
+      const response = await api({
+        method: 'post',
+        url: '/respuestas/bulk-delete',
+        data: { todas: true },
+      });
+      fetchSurveys(1);
+      fetchStats();
+      setAlert({ type: 'success', message: alertMessage('✅ Encuestas enviadas a la papelera.', `${response.data.eliminadas} encuestas eliminadas.`) });
+    } catch (error) {
+      handleError(error, 'Error al eliminar las encuestas.');
     }
   };
 
-  // --- Statistics Calculation ---
-  const seguridadStats = {};
-  const calificacionStats = {};
-  const problemasStats = {};
-
-  surveys.forEach(e => {
-    seguridadStats[e.seguridad] = (seguridadStats[e.seguridad] || 0) + 1;
-    calificacionStats[e.calificacion] = (calificacionStats[e.calificacion] || 0) + 1;
+  const deleteSurvey = async (encuesta) => {
+    if (!window.confirm(`⚠️ ¿Enviar a la papelera la encuesta de ${encuesta.nombre || encuesta.puesto}?`)) return;
 
-    if (e.problemas && Array.isArray(e.problemas)) {
-      e.problemas.forEach(problema => {
-        problemasStats[problema] = (problemasStats[problema] || 0) + 1;
-      });
+    try {
+      await api({ method: 'delete', url: `/respuestas/${encuesta.id}` });
+      fetchSurveys();
+      fetchStats();
+      setAlert({ type: 'success', message: '🗑️ Encuesta enviada a la papelera.' });
+    } catch (error) {
+      handleError(error, 'Error al eliminar la encuesta.');
     }
-  });
-
-  const totalCalificaciones = Object.entries(calificacionStats).reduce((sum, [cal, count]) =>
-    sum + (parseInt(cal) * count), 0);
-  const promedioCalificacion = surveys.length > 0 ? (totalCalificaciones / surveys.length).toFixed(1) : 0;
-
-  const problemasMap = {
-    'robo': '🔓 Robos/hurtos',
-    'iluminacion': '💡 Mala iluminación',
-    'vigilancia': '👮 Falta vigilancia',
-    'acceso': '🚪 Control acceso',
-    'emergencia': '🚨 Plan emergencias',
-    'otros': '📝 Otros'
   };
 
+  // Screens that add, restore or discard surveys change the list and the statistics
+  const closeAndRefresh = () => {
+    setView('dashboard');
+    refreshAll();
+  };
+
+  const closeBuilder = () => {
+    setView('dashboard');
+    fetchSurveyVersions(); // A newly published version may add questions or options
+  };
+
+  // --- Statistics (computed on the server) ---
+  const seguridadStats = stats?.seguridad || {};
+  const problemasStats = stats?.problemas || [];
+  const totalEncuestas = stats?.total || 0;
+  const promedioCalificacion = stats?.promedioCalificacion ?? 0;
+
+  const problemasMap = optionLabels(surveyVersions, 'problemas');
+  const seguridadMap = optionLabels(surveyVersions, 'seguridad');
+  const horarioMap = optionLabels(surveyVersions, 'horarioInseguridad');
+  const zonaMap = optionLabels(surveyVersions, 'zonaInseguridad');
+  const preguntasMap = questionLabels(surveyVersions);
+  const temasMap = Object.fromEntries((textAnalysis?.temas || []).map((tema) => [tema.codigo, tema.nombre]));
+
+  // Secondary screens replace the dashboard; each one returns to it through its onBack
+  const subPanels = {
+    papelera: <TrashPanel onBack={closeAndRefresh} onSessionExpired={onSessionExpired} />,
+    importar: <ImportPanel onBack={closeAndRefresh} onSessionExpired={onSessionExpired} />,
+    constructor: <SurveyBuilder onBack={closeBuilder} onSessionExpired={onSessionExpired} />,
+    puestos: <StallsPanel onBack={() => setView('dashboard')} onSessionExpired={onSessionExpired} />,
+    duplicados: <DuplicatesPanel onBack={closeAndRefresh} onSessionExpired={onSessionExpired} />,
+    usuarios: <UsersPanel onBack={() => setView('dashboard')} onSessionExpired={onSessionExpired} />,
+    auditoria: <AuditPanel onBack={() => setView('dashboard')} onSessionExpired={onSessionExpired} />,
+    temas: <ThemesPanel onBack={closeAndRefresh} onSessionExpired={onSessionExpired} />,
+    privacidad: <PrivacyPanel onBack={closeAndRefresh} onSessionExpired={onSessionExpired} />,
+    incidentes: <IncidentsPanel onBack={() => setView('dashboard')} onSessionExpired={onSessionExpired} />,
+    acciones: <ActionsPanel onBack={() => setView('dashboard')} onSessionExpired={onSessionExpired} problemasMap={problemasMap} />,
+  };
+
+  if (subPanels[view]) {
+    return (
+      <motion.div
+        className="bg-white/95 backdrop-blur-lg p-8 rounded-2xl shadow-xl border border-gray-200"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+      >
+        {subPanels[view]}
+      </motion.div>
+    );
+  }
+
   return (
     <motion.div
       className="bg-white/95 backdrop-blur-lg p-8 rounded-2xl shadow-xl border border-gray-200"
@@ -123,28 +386,138 @@ const AdminPanel = ({ onLogout }) => {
       {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
 
       <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
-        <h3 className="text-3xl font-bold text-gray-800">📊 Panel de Administración</h3>
+        <h3 className="text-3xl font-bold text-gray-800 flex items-center gap-3">
+          📊 Panel de Administración
+          {canRead && (
+            <span
+              className={`text-xs font-semibold py-1 px-3 rounded-full ${live ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}
+              title={live ? 'Las respuestas nuevas aparecen automáticamente' : 'Sin conexión en tiempo real: use Actualizar'}
+            >
+              {live ? '🟢 En vivo' : '⚪ Reconectando...'}
+            </span>
+          )}
+        </h3>
         <div className="flex gap-3 flex-wrap">
+          {canRead && (
+            <motion.button
+              onClick={refreshAll}
+              className="bg-blue-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              disabled={loading}
+            >
+              {loading ? (
+                <>
+                  <span className="mr-2">Cargando...</span>
+                  <div className="spinner border-white border-t-white"></div>
+                </>
+              ) : (
+                <>
+                  <span className="text-xl">🔄</span> Actualizar
+                </>
+              )}
+            </motion.button>
+          )}
+          {isSuperadmin && (
+            <motion.button
+              onClick={() => setView('papelera')}
+              className="bg-yellow-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-yellow-600 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">🗑️</span> Papelera
+            </motion.button>
+          )}
+          {isSuperadmin && (
+            <motion.button
+              onClick={() => setView('duplicados')}
+              className="bg-pink-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-pink-700 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">🧬</span> Duplicados
+            </motion.button>
+          )}
           <motion.button
-            onClick={fetchSurveys}
-            className="bg-blue-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200 flex items-center gap-2"
+            onClick={() => setView('puestos')}
+            className="bg-orange-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-orange-600 transition-colors duration-200 flex items-center gap-2"
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            disabled={loading}
           >
-            {loading ? (
-              <>
-                <span className="mr-2">Cargando...</span>
-                <div className="spinner border-white border-t-white"></div>
-              </>
-            ) : (
-              <>
-                <span className="text-xl">🔄</span> Actualizar
-              </>
-            )}
+            <span className="text-xl">🏪</span> Puestos
           </motion.button>
+          {canRead && (
+            <motion.button
+              onClick={() => setView('incidentes')}
+              className="bg-red-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">🚨</span> Incidentes
+            </motion.button>
+          )}
+          {canRead && (
+            <motion.button
+              onClick={() => setView('acciones')}
+              className="bg-cyan-700 text-white py-2 px-5 rounded-lg shadow-md hover:bg-cyan-800 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">📋</span> Plan de Acción
+            </motion.button>
+          )}
+          {canImport && (
+            <motion.button
+              onClick={() => setView('importar')}
+              className="bg-teal-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-teal-700 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">📥</span> Importar
+            </motion.button>
+          )}
+          {isSuperadmin && (
+            <motion.button
+              onClick={() => setView('constructor')}
+              className="bg-purple-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-purple-700 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">🛠️</span> Constructor
+            </motion.button>
+          )}
+          {isSuperadmin && (
+            <motion.button
+              onClick={() => setView('usuarios')}
+              className="bg-indigo-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-indigo-700 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">👥</span> Usuarios
+            </motion.button>
+          )}
+          {isSuperadmin && (
+            <motion.button
+              onClick={() => setView('auditoria')}
+              className="bg-slate-700 text-white py-2 px-5 rounded-lg shadow-md hover:bg-slate-800 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">🕵️</span> Auditoría
+            </motion.button>
+          )}
+          {isSuperadmin && (
+            <motion.button
+              onClick={() => setView('privacidad')}
+              className="bg-emerald-700 text-white py-2 px-5 rounded-lg shadow-md hover:bg-emerald-800 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">🔒</span> Privacidad
+            </motion.button>
+          )}
           <motion.button
-            onClick={onLogout}
+            onClick={handleLogout}
             className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
@@ -154,113 +527,195 @@ const AdminPanel = ({ onLogout }) => {
         </div>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
-        <motion.div
-          className="bg-blue-50 p-6 rounded-xl shadow-md border border-blue-200"
-          initial={{ opacity: 0, scale: 0.9 }}
-          animate={{ opacity: 1, scale: 1 }}
-          transition={{ duration: 0.5, delay: 0.1 }}
-        >
-          <h4 className="text-xl font-semibold text-blue-800 mb-3">Total Encuestas</h4>
-          <p className="text-5xl font-bold text-blue-600">{surveys.length}</p>
-        </motion.div>
-        <motion.div
-          className="bg-green-50 p-6 rounded-xl shadow-md border border-green-200"
-          initial={{ opacity: 0, scale: 0.9 }}
-          animate={{ opacity: 1, scale: 1 }}
-          transition={{ duration: 0.5, delay: 0.2 }}
-        >
-          <h4 className="text-xl font-semibold text-green-800 mb-3">Calificación Promedio</h4>
-          <p className="text-5xl font-bold text-green-600">{promedioCalificacion} <span className="text-3xl">/ 5</span></p>
-        </motion.div>
-        <motion.div
-          className="bg-yellow-50 p-6 rounded-xl shadow-md border border-yellow-200"
-          initial={{ opacity: 0, scale: 0.9 }}
-          animate={{ opacity: 1, scale: 1 }}
-          transition={{ duration: 0.5, delay: 0.3 }}
-        >
-          <h4 className="text-xl font-semibold text-yellow-800 mb-3">Problemas Reportados</h4>
-          <p className="text-5xl font-bold text-yellow-600">{Object.keys(problemasStats).length}</p>
-        </motion.div>
-      </div>
+      {canRead ? (
+        <>
+          <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-6 flex flex-wrap items-end gap-4">
+            <div>
+              <label htmlFor="desde" className="block text-gray-700 text-sm font-semibold mb-1">📅 Desde:</label>
+              <input type="date" id="desde" name="desde" value={statsFilters.desde} onChange={handleStatsFilterChange} className="p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div>
+              <label htmlFor="hasta" className="block text-gray-700 text-sm font-semibold mb-1">📅 Hasta:</label>
+              <input type="date" id="hasta" name="hasta" value={statsFilters.hasta} onChange={handleStatsFilterChange} className="p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div>
+              <label htmlFor="sector" className="block text-gray-700 text-sm font-semibold mb-1">🏪 Sector:</label>
+              <input type="text" id="sector" name="sector" value={statsFilters.sector} onChange={handleStatsFilterChange} placeholder="Ej: A" className="p-2 border border-gray-300 rounded-lg w-24" />
+            </div>
+            <div>
+              <label htmlFor="agrupacion" className="block text-gray-700 text-sm font-semibold mb-1">📈 Evolución por:</label>
+              <select id="agrupacion" name="agrupacion" value={statsFilters.agrupacion} onChange={handleStatsFilterChange} className="p-2 border border-gray-300 rounded-lg">
+                <option value="dia">Día</option>
+                <option value="semana">Semana</option>
+              </select>
+            </div>
+            <motion.button
+              onClick={() => fetchStats(statsFilters)}
+              className="bg-blue-600 text-white py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              🔍 Aplicar filtros
+            </motion.button>
+            <motion.button
+              onClick={clearStatsFilters}
+              className="bg-gray-200 text-gray-800 py-2 px-4 rounded-lg shadow-md hover:bg-gray-300 transition-colors duration-200"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              ✖️ Limpiar
+            </motion.button>
+          </div>
 
-      <div className="bg-gray-50 p-6 rounded-xl shadow-inner border border-gray-200 mb-8">
-        <h4 className="text-xl font-semibold text-gray-800 mb-4">Estadísticas Detalladas</h4>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <h5 className="font-bold text-lg text-gray-700 mb-2 flex items-center"><PieChart className="w-5 h-5 mr-2 text-blue-500" /> Sensación de Seguridad</h5>
-            {Object.entries(seguridadStats).map(([key, value]) => {
-              const percentage = surveys.length > 0 ? ((value / surveys.length) * 100).toFixed(1) : 0;
-              const emoji = key === 'sí' ? '✅' : key === 'no' ? '❌' : '⚠️';
-              const color = key === 'sí' ? 'text-green-600' : key === 'no' ? 'text-red-600' : 'text-yellow-600';
-              return (
-                <p key={key} className="text-gray-600 mb-1">
-                  {emoji} <span className="font-medium capitalize">{key}:</span> <span className={`font-bold ${color}`}>{value} ({percentage}%)</span>
-                </p>
-              );
-            })}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+            <motion.div
+              className="bg-blue-50 p-6 rounded-xl shadow-md border border-blue-200"
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.5, delay: 0.1 }}
+            >
+              <h4 className="text-xl font-semibold text-blue-800 mb-3">Total Encuestas</h4>
+              <p className="text-5xl font-bold text-blue-600">{totalEncuestas}</p>
+            </motion.div>
+            <motion.div
+              className="bg-green-50 p-6 rounded-xl shadow-md border border-green-200"
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.5, delay: 0.2 }}
+            >
+              <h4 className="text-xl font-semibold text-green-800 mb-3">Calificación Promedio</h4>
+              <p className="text-5xl font-bold text-green-600">{promedioCalificacion} <span className="text-3xl">/ 5</span></p>
+            </motion.div>
+            <motion.div
+              className="bg-yellow-50 p-6 rounded-xl shadow-md border border-yellow-200"
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.5, delay: 0.3 }}
+            >
+              <h4 className="text-xl font-semibold text-yellow-800 mb-3">Problemas Reportados</h4>
+              <p className="text-5xl font-bold text-yellow-600">{problemasStats.length}</p>
+            </motion.div>
           </div>
-          <div>
-            <h5 className="font-bold text-lg text-gray-700 mb-2 flex items-center"><BarChart className="w-5 h-5 mr-2 text-purple-500" /> Problemas Más Frecuentes</h5>
-            {Object.entries(problemasStats).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([problema, count]) => (
-              <p key={problema} className="text-gray-600 mb-1">
-                {problemasMap[problema] || problema}: <span className="font-bold text-red-600">{count} reportes</span>
-              </p>
-            ))}
+
+          <div className="bg-gray-50 p-6 rounded-xl shadow-inner border border-gray-200 mb-8">
+            <h4 className="text-xl font-semibold text-gray-800 mb-4">Estadísticas Detalladas</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              <div>
+                <h5 className="font-bold text-lg text-gray-700 mb-3">🛡️ Sensación de Seguridad</h5>
+                <DonutChart
+                  data={Object.entries(seguridadStats).map(([key, value]) => ({ label: key, value, color: SEGURIDAD_COLORS[key] || COLORS.gray }))}
+                />
+              </div>
+              <div>
+                <h5 className="font-bold text-lg text-gray-700 mb-3">🚨 Problemas Más Frecuentes</h5>
+                <HorizontalBarChart
+                  data={problemasStats.map(({ codigo, total }) => ({ label: problemasMap[codigo] || codigo, value: total }))}
+                  unit=" reportes"
+                />
+              </div>
+              <div>
+                <h5 className="font-bold text-lg text-gray-700 mb-3">🕒 Horarios de Inseguridad</h5>
+                <HorizontalBarChart
+                  data={(stats?.horarioInseguridad || []).map(({ codigo, total }) => ({ label: horarioMap[codigo] || codigo, value: total }))}
+                  color={COLORS.blue}
+                  unit=" menciones"
+                />
+              </div>
+              <div>
+                <h5 className="font-bold text-lg text-gray-700 mb-3">📍 Zonas Inseguras</h5>
+                <HorizontalBarChart
+                  data={(stats?.zonaInseguridad || []).map(({ codigo, total }) => ({ label: zonaMap[codigo] || codigo, value: total }))}
+                  color={COLORS.red}
+                  unit=" menciones"
+                />
+              </div>
+              <div>
+                <h5 className="font-bold text-lg text-gray-700 mb-3">⭐ Distribución de Calificaciones</h5>
+                <ColumnChart
+                  data={[1, 2, 3, 4, 5].map((rating) => ({ label: `${rating} ⭐`, value: stats?.calificaciones?.[rating] || 0 }))}
+                />
+              </div>
+              <div>
+                <h5 className="font-bold text-lg text-gray-700 mb-3">📈 Evolución {stats?.agrupacion === 'semana' ? 'Semanal' : 'Diaria'}</h5>
+                <TrendChart data={trendPoints(stats?.tendencia || [], stats?.agrupacion)} />
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
 
-      <div className="flex justify-end gap-4 mb-8">
-        <motion.button
-          onClick={exportResults}
-          className="bg-green-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200 flex items-center gap-2"
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-        >
-          <span className="text-xl">💾</span> Exportar Resultados
-        </motion.button>
-        <motion.button
-          onClick={clearResults}
-          className="bg-red-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-red-600 transition-colors duration-200 flex items-center gap-2"
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-        >
-          <span className="text-xl">🗑️</span> Limpiar Datos
-        </motion.button>
-      </div>
+          <SuggestionsAnalysis
+            analysis={textAnalysis}
+            onThemeClick={(tema) => showInList({ ...EMPTY_LIST_FILTERS, tema })}
+            onTermClick={(q) => showInList({ ...EMPTY_LIST_FILTERS, q })}
+            onEditThemes={isSuperadmin ? () => setView('temas') : undefined}
+          />
 
-      <h4 className="text-2xl font-bold text-gray-800 mb-4">📋 Detalle de Encuestas</h4>
-      {surveys.length === 0 && !loading ? (
-        <div className="text-center py-12 text-gray-500">
-          <p className="text-lg">No hay encuestas registradas. ¡Anima a los comerciantes a participar!</p>
-        </div>
-      ) : (
-        <div className="space-y-6">
-          <AnimatePresence>
-            {surveys.map((encuesta) => (
-              <motion.div
-                key={encuesta.id}
-                className="bg-white p-6 rounded-xl shadow-md border border-gray-200 relative"
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, x: -20 }}
-                transition={{ duration: 0.3 }}
+          <div className="flex justify-end gap-4 mb-8">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg"
+              aria-label="Formato de exportación"
+            >
+              {EXPORT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+            <motion.button
+              onClick={exportResults}
+              className="bg-green-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200 flex items-center gap-2"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="text-xl">💾</span> Exportar Resultados
+            </motion.button>
+            {isSuperadmin && (
+              <motion.button
+                onClick={clearResults}
+                className="bg-red-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-red-600 transition-colors duration-200 flex items-center gap-2"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
               >
-                <div className="absolute top-4 right-4">
-                  <span className="badge badge-success">🌐 Sincronizado</span>
-                </div>
-                <h5 className="text-xl font-semibold text-gray-800 mb-2">👤 {encuesta.nombre} <span className="text-gray-500 text-sm font-normal">({encuesta.puesto})</span></h5>
-                <p className="text-gray-600 mb-1">📅 {encuesta.fecha} 🕒 {encuesta.hora}</p>
-                <p className="text-gray-600 mb-1">📱 {encuesta.telefono}</p>
-                <p className="text-gray-600 mb-1">🛡️ Seguridad: <span className={`font-bold ${encuesta.seguridad === 'sí' ? 'text-green-600' : encuesta.seguridad === 'no' ? 'text-red-600' : 'text-yellow-600'}`}>{encuesta.seguridad}</span></p>
-                <p className="text-gray-600 mb-1">⭐ Calificación: {'⭐'.repeat(parseInt(encuesta.calificacion))} ({encuesta.calificacion}/5)</p>
-                <p className="text-gray-600 mb-1">🚨 Problemas: {encuesta.problemas.length > 0 ? encuesta.problemas.join(', ') : 'Ninguno'}</p>
-                <p className="text-gray-600 italic mt-2">💡 Sugerencia: "{encuesta.sugerencia}"</p>
-              </motion.div>
-            ))}
-          </AnimatePresence>
-        </div>
+                <span className="text-xl">🗑️</span> Limpiar Datos
+              </motion.button>
+            )}
+          </div>
+
+          <h4 ref={listSection} className="text-2xl font-bold text-gray-800 mb-4">📋 Detalle de Encuestas</h4>
+          {newResponses > 0 && (
+            <button
+              onClick={() => fetchSurveys()}
+              className="w-full mb-4 bg-green-50 text-green-800 border border-green-200 py-2 px-4 rounded-lg hover:bg-green-100 transition-colors duration-200"
+            >
+              🆕 {newResponses === 1 ? 'Hay 1 respuesta nueva' : `Hay ${newResponses} respuestas nuevas`}. Pulse para actualizar el listado.
+            </button>
+          )}
+          <ResponsesTable
+            surveys={surveys}
+            total={listInfo.total}
+            page={listInfo.page}
+            pages={listInfo.pages}
+            searchesNames={listInfo.searchesNames}
+            loading={loading}
+            filters={listFilters}
+            sort={sort}
+            problemasMap={problemasMap}
+            horarioMap={horarioMap}
+            zonaMap={zonaMap}
+            seguridadMap={seguridadMap}
+            preguntasMap={preguntasMap}
+            temasMap={temasMap}
+            onFilterChange={handleListFilterChange}
+            onSortChange={handleSortChange}
+            onApplyFilters={applyListFilters}
+            onClearFilters={clearListFilters}
+            onPageChange={(page) => fetchSurveys(page)}
+            onDelete={isSuperadmin ? deleteSurvey : undefined}
+          />
+        </>
+      ) : (
+        <p className="text-gray-600 bg-gray-50 p-6 rounded-xl border border-gray-200">
+          📋 Como encuestador puede cargar encuestas en papel desde <strong>Importar</strong> y consultar el mapa de cobertura en <strong>Puestos</strong>.
+        </p>
       )}
     </motion.div>
   );
@@ -1,9 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { useI18n } from '../i18n';
 
 const Alert = ({ message, type, onClose }) => {
   const [isVisible, setIsVisible] = useState(true);
+  const { t } = useI18n();
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -42,11 +44,11 @@ const Alert = ({ message, type, onClose }) => {
           role="alert"
         >
           <Icon className="w-6 h-6 flex-shrink-0" />
-          <div className="flex-1 text-sm font-medium" dangerouslySetInnerHTML={{ __html: message }} />
+          <div className="flex-1 text-sm font-medium">{message}</div>
           <button
             onClick={() => setIsVisible(false)}
             className="ml-auto p-1 rounded-full hover:bg-opacity-20 transition-colors"
-            aria-label="Cerrar alerta"
+            aria-label={t('alert.close')}
           >
             <XCircle className="w-5 h-5" />
           </button>
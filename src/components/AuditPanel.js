@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+
+const PAGE_SIZE = 50;
+const EMPTY_FILTERS = { desde: '', hasta: '', usuario: '', accion: '', id: '' };
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: '📄 CSV' },
+  { value: 'xlsx', label: '📊 Excel (XLSX)' },
+  { value: 'json', label: '🧾 JSON' },
+];
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm';
+
+// Action codes look like 'grupo.accion': the groups become optgroups and can be filtered as a whole
+const groupActions = (actions) => Object.entries(actions).reduce((groups, [code, label]) => {
+  const group = code.split('.')[0];
+  return { ...groups, [group]: [...(groups[group] || []), { code, label }] };
+}, {});
+
+const activeFilters = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+// Read-only view of the audit log (who did what, when and from where) with filters and export
+const AuditPanel = ({ onBack, onSessionExpired }) => {
+  const [entries, setEntries] = useState([]);
+  const [info, setInfo] = useState({ total: 0, page: 1, pages: 0 });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [actions, setActions] = useState({});
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [loading, setLoading] = useState(false);
+  const [alert, setAlert] = useState(null);
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchActions = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/auditoria/acciones' });
+      setActions(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar el catálogo de acciones.');
+    }
+  }, [handleError]);
+
+  const fetchEntries = useCallback(async (page, currentFilters) => {
+    setLoading(true);
+    try {
+      const response = await api({
+        method: 'get',
+        url: '/auditoria',
+        params: { ...activeFilters(currentFilters), pagina: page, limite: PAGE_SIZE },
+      });
+      const { registros, total, pagina, paginas } = response.data;
+      setEntries(registros);
+      setInfo({ total, page: pagina, pages: paginas });
+    } catch (error) {
+      handleError(error, 'Error al cargar el registro de auditoría.');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchActions();
+    fetchEntries(1, EMPTY_FILTERS);
+  }, [fetchActions, fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    fetchEntries(1, filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    fetchEntries(1, EMPTY_FILTERS);
+  };
+
+  const exportLog = async () => {
+    try {
+      const response = await api({
+        method: 'get',
+        url: '/auditoria/export',
+        params: { ...activeFilters(filters), format: exportFormat },
+        responseType: 'blob',
+        timeout: 0, // Exporting the whole log can take longer than the default request timeout
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = url;
+      a.download = `auditoria-${new Date().toISOString().split('T')[0]}.${exportFormat}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      setAlert({ type: 'success', message: alertMessage('💾 Registro de auditoría exportado.', `Formato ${exportFormat.toUpperCase()} con los filtros aplicados.`) });
+    } catch (error) {
+      handleError(error, 'Error al exportar el registro de auditoría.');
+    }
+  };
+
+  // Clicking a user or an affected id narrows the log to it
+  const filterBy = (name, value) => {
+    const next = { ...filters, [name]: value };
+    setFilters(next);
+    fetchEntries(1, next);
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🕵️ Registro de Auditoría</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <form onSubmit={applyFilters} className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-4 grid grid-cols-2 md:grid-cols-3 gap-3 items-end">
+        <div>
+          <label htmlFor="auditoria-desde" className="block text-gray-700 text-sm font-semibold mb-1">📅 Desde:</label>
+          <input type="date" id="auditoria-desde" name="desde" value={filters.desde} onChange={handleFilterChange} className={`${inputClass} w-full`} />
+        </div>
+        <div>
+          <label htmlFor="auditoria-hasta" className="block text-gray-700 text-sm font-semibold mb-1">📅 Hasta:</label>
+          <input type="date" id="auditoria-hasta" name="hasta" value={filters.hasta} onChange={handleFilterChange} className={`${inputClass} w-full`} />
+        </div>
+        <div>
+          <label htmlFor="auditoria-usuario" className="block text-gray-700 text-sm font-semibold mb-1">👤 Usuario:</label>
+          <input type="text" id="auditoria-usuario" name="usuario" value={filters.usuario} onChange={handleFilterChange} className={`${inputClass} w-full`} />
+        </div>
+        <div>
+          <label htmlFor="auditoria-accion" className="block text-gray-700 text-sm font-semibold mb-1">⚙️ Acción:</label>
+          <select id="auditoria-accion" name="accion" value={filters.accion} onChange={handleFilterChange} className={`${inputClass} w-full`}>
+            <option value="">Todas</option>
+            {Object.entries(groupActions(actions)).map(([group, items]) => (
+              <optgroup key={group} label={group}>
+                <option value={group}>Todas de «{group}»</option>
+                {items.map((item) => <option key={item.code} value={item.code}>{item.label}</option>)}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="auditoria-id" className="block text-gray-700 text-sm font-semibold mb-1">🔑 Documento afectado:</label>
+          <input type="text" id="auditoria-id" name="id" value={filters.id} onChange={handleFilterChange} placeholder="ID o código de puesto" className={`${inputClass} w-full`} />
+        </div>
+        <div className="flex gap-2 justify-end">
+          <button type="submit" className="bg-blue-600 text-white py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200">🔍 Filtrar</button>
+          <button type="button" onClick={clearFilters} className="bg-gray-200 text-gray-800 py-2 px-4 rounded-lg shadow-md hover:bg-gray-300 transition-colors duration-200">✖️ Limpiar</button>
+        </div>
+      </form>
+
+      <div className="flex justify-between items-center mb-3 flex-wrap gap-3">
+        <p className="text-gray-600 text-sm">
+          {loading ? 'Cargando...' : `${info.total} registros · Página ${info.total > 0 ? info.page : 0} de ${info.pages}`}
+        </p>
+        <div className="flex gap-2">
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className={inputClass} aria-label="Formato de exportación">
+            {EXPORT_FORMATS.map((format) => <option key={format.value} value={format.value}>{format.label}</option>)}
+          </select>
+          <button onClick={exportLog} className="bg-green-500 text-white py-2 px-4 rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200 text-sm">💾 Exportar</button>
+        </div>
+      </div>
+
+      {entries.length === 0 && !loading ? (
+        <p className="text-center py-12 text-gray-500">No hay registros que coincidan con los filtros.</p>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-gray-200 shadow-md">
+          <table className="min-w-full text-sm text-left bg-white">
+            <thead className="bg-gray-100 text-gray-700">
+              <tr>
+                <th className="p-3">📅 Fecha</th>
+                <th className="p-3">👤 Usuario</th>
+                <th className="p-3">⚙️ Acción</th>
+                <th className="p-3">🌐 IP</th>
+                <th className="p-3">🔑 Afectados</th>
+                <th className="p-3">📝 Detalles</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry._id} className={`border-t border-gray-100 align-top ${entry.exito ? '' : 'bg-red-50'}`}>
+                  <td className="p-3 whitespace-nowrap">{new Date(entry.fecha).toLocaleString('es-ES', { timeZone: 'America/La_Paz' })}</td>
+                  <td className="p-3">
+                    {entry.usuario ? (
+                      <button onClick={() => filterBy('usuario', entry.usuario)} className="font-semibold text-blue-700 hover:underline">{entry.usuario}</button>
+                    ) : '—'}
+                    {entry.rol && <span className="block text-xs text-gray-500">{entry.rol}</span>}
+                  </td>
+                  <td className="p-3">{entry.exito ? '' : '⚠️ '}{actions[entry.accion] || entry.accion}</td>
+                  <td className="p-3 font-mono text-xs">{entry.ip || '—'}</td>
+                  <td className="p-3 font-mono text-xs max-w-[12rem]">
+                    {(entry.ids || []).slice(0, 3).map((id) => (
+                      <button key={id} onClick={() => filterBy('id', id)} className="block truncate max-w-full text-blue-700 hover:underline" title={id}>{id}</button>
+                    ))}
+                    {entry.ids?.length > 3 && <span className="text-gray-500">y {entry.ids.length - 3} más</span>}
+                  </td>
+                  <td className="p-3 max-w-xs">
+                    {entry.detalles && (
+                      <details>
+                        <summary className="cursor-pointer text-gray-600">Ver</summary>
+                        <pre className="text-xs whitespace-pre-wrap break-all mt-1">{JSON.stringify(entry.detalles, null, 2)}</pre>
+                      </details>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {info.pages > 1 && (
+        <div className="flex justify-center items-center gap-3 mt-4">
+          <button
+            onClick={() => fetchEntries(info.page - 1, filters)}
+            disabled={info.page <= 1 || loading}
+            className="bg-gray-200 text-gray-800 py-1 px-4 rounded-lg shadow hover:bg-gray-300 disabled:opacity-50"
+          >
+            ◀ Anterior
+          </button>
+          <span className="text-gray-700 text-sm">Página {info.page} de {info.pages}</span>
+          <button
+            onClick={() => fetchEntries(info.page + 1, filters)}
+            disabled={info.page >= info.pages || loading}
+            className="bg-gray-200 text-gray-800 py-1 px-4 rounded-lg shadow hover:bg-gray-300 disabled:opacity-50"
+          >
+            Siguiente ▶
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditPanel;
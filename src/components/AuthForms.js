@@ -1,13 +1,20 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import Alert from './Alert';
-import axios from 'axios';
+import api from '../api';
+import { alertMessage, errorDetail } from '../apiErrors';
+import { saveSession, ROLE_LABELS } from '../session';
+import { useI18n } from '../i18n';
 
-const SERVER_URL = 'http://localhost:3000/api';
+// Same rule as validarRegistro on the server (letters without accents, digits, . - _)
+const USERNAME_PATTERN = /^[\w.-]{4,50}$/;
 
-export const LoginForm = ({ onLoginSuccess, onShowRegister }) => {
+export const LoginForm = ({ onLoginSuccess, onShowRegister, sessionExpired }) => {
+  const { t } = useI18n();
   const [formData, setFormData] = useState({ usuario: '', password: '' });
-  const [alert, setAlert] = useState(null);
+  const [alert, setAlert] = useState(
+    sessionExpired ? { type: 'warning', message: t('auth.sessionExpired') } : null
+  );
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const handleChange = (e) => {
@@ -19,12 +26,14 @@ export const LoginForm = ({ onLoginSuccess, onShowRegister }) => {
     setIsSubmitting(true);
     setAlert(null);
     try {
-      const response = await axios.post(`${SERVER_URL}/login`, formData);
-      setAlert({ type: 'success', message: `✅ ¡Bienvenido de vuelta, ${formData.usuario}! 👋` });
+      const response = await api.post('/login', formData, { skipAuth: true });
+      const { accessToken, refreshToken, expiresIn, user } = response.data;
+      saveSession({ accessToken, refreshToken, expiresIn, user });
+      setAlert({ type: 'success', message: t('auth.welcome', { usuario: formData.usuario }) });
       onLoginSuccess(response.data.user);
     } catch (error) {
       console.error('Login error:', error);
-      setAlert({ type: 'danger', message: `❌ Credenciales incorrectas. <br/><small>${error.response?.data?.mensaje || error.message}</small>` });
+      setAlert({ type: 'danger', message: alertMessage(t('auth.badCredentials'), errorDetail(error)) });
     } finally {
       setIsSubmitting(false);
     }
@@ -37,11 +46,11 @@ export const LoginForm = ({ onLoginSuccess, onShowRegister }) => {
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.6 }}
     >
-      <h3 className="text-3xl font-bold text-gray-800 text-center mb-6">🔐 Acceso de Administrador</h3>
+      <h3 className="text-3xl font-bold text-gray-800 text-center mb-6">{t('auth.loginTitle')}</h3>
       {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
       <form onSubmit={handleSubmit} className="space-y-5">
         <div>
-          <label htmlFor="usuario" className="block text-gray-700 font-semibold mb-2">👤 Usuario:</label>
+          <label htmlFor="usuario" className="block text-gray-700 font-semibold mb-2">{t('auth.username')}</label>
           <input
             type="text"
             id="usuario"
@@ -49,12 +58,12 @@ export const LoginForm = ({ onLoginSuccess, onShowRegister }) => {
             value={formData.usuario}
             onChange={handleChange}
             required
-            placeholder="Nombre de usuario"
+            placeholder={t('auth.usernamePlaceholder')}
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
           />
         </div>
         <div>
-          <label htmlFor="password" className="block text-gray-700 font-semibold mb-2">🔑 Contraseña:</label>
+          <label htmlFor="password" className="block text-gray-700 font-semibold mb-2">{t('auth.password')}</label>
           <input
             type="password"
             id="password"
@@ -62,7 +71,7 @@ export const LoginForm = ({ onLoginSuccess, onShowRegister }) => {
             value={formData.password}
             onChange={handleChange}
             required
-            placeholder="Contraseña"
+            placeholder={t('auth.passwordPlaceholder')}
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
           />
         </div>
@@ -75,12 +84,12 @@ export const LoginForm = ({ onLoginSuccess, onShowRegister }) => {
         >
           {isSubmitting ? (
             <>
-              <span className="mr-2">Iniciando...</span>
+              <span className="mr-2">{t('auth.loggingIn')}</span>
               <div className="spinner border-white border-t-white"></div>
             </>
           ) : (
             <>
-              <span className="mr-2">🚀</span> Iniciar Sesión
+              <span className="mr-2">🚀</span> {t('auth.login')}
             </>
           )}
         </motion.button>
@@ -92,15 +101,18 @@ export const LoginForm = ({ onLoginSuccess, onShowRegister }) => {
         whileHover={{ scale: 1.02 }}
         whileTap={{ scale: 0.98 }}
       >
-        <span className="mr-2">👥</span> Registrar Nuevo Administrador
+        <span className="mr-2">✉️</span> {t('auth.haveInvitation')}
       </motion.button>
     </motion.div>
   );
 };
 
-export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
+// Registration is only possible with a one-time invitation created by a superadmin.
+// `invitation` comes from the invitation link (?invitacion=...) and pre-fills the code.
+export const RegisterForm = ({ invitation = '', onRegisterSuccess, onShowLogin }) => {
+  const { locale, t } = useI18n();
   const [formData, setFormData] = useState({
-    token: '',
+    invitacion: invitation,
     usuario: '',
     email: '',
     password: '',
@@ -108,44 +120,61 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
   });
   const [alert, setAlert] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [invitationInfo, setInvitationInfo] = useState(null); // { rol, email, expiraEn } once checked
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const checkInvitation = useCallback(async (code) => {
+    setInvitationInfo(null);
+    if (!code.trim()) return;
+    try {
+      const response = await api.get(`/invitaciones/${encodeURIComponent(code.trim())}`, { skipAuth: true });
+      setInvitationInfo(response.data);
+      if (response.data.email) setFormData((prev) => ({ ...prev, email: response.data.email }));
+    } catch (error) {
+      setAlert({ type: 'danger', message: alertMessage(t('auth.invalidInvitation'), errorDetail(error)) });
+    }
+  }, [t]);
+
+  useEffect(() => {
+    if (invitation) checkInvitation(invitation);
+  }, [invitation, checkInvitation]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
     setAlert(null);
 
     if (formData.password !== formData.confirm) {
-      setAlert({ type: 'danger', message: '❌ Las contraseñas no coinciden.' });
+      setAlert({ type: 'danger', message: t('auth.passwordsDiffer') });
       setIsSubmitting(false);
       return;
     }
     if (formData.password.length < 8) {
-      setAlert({ type: 'danger', message: '❌ La contraseña debe tener al menos 8 caracteres.' });
+      setAlert({ type: 'danger', message: t('auth.passwordTooShort') });
       setIsSubmitting(false);
       return;
     }
-    if (formData.usuario.length < 4) {
-      setAlert({ type: 'danger', message: '❌ El nombre de usuario debe tener al menos 4 caracteres.' });
+    if (!USERNAME_PATTERN.test(formData.usuario)) {
+      setAlert({ type: 'danger', message: t('auth.usernameInvalid') });
       setIsSubmitting(false);
       return;
     }
 
     try {
-      const response = await axios.post(`${SERVER_URL}/register`, {
-        token: formData.token,
+      await api.post('/register', {
+        invitacion: formData.invitacion.trim(),
         usuario: formData.usuario,
         email: formData.email,
         password: formData.password,
-      });
-      setAlert({ type: 'success', message: `✅ ${response.data.mensaje || 'Administrador registrado exitosamente!'}` });
+      }, { skipAuth: true });
+      setAlert({ type: 'success', message: alertMessage(t('auth.registered'), t('auth.canLogin')) });
       setTimeout(() => onRegisterSuccess(), 2000); // Redirect after success message
     } catch (error) {
       console.error('Register error:', error);
-      setAlert({ type: 'danger', message: `❌ Error al registrar administrador. <br/><small>${error.response?.data?.mensaje || error.message}</small>` });
+      setAlert({ type: 'danger', message: alertMessage(t('auth.registerError'), errorDetail(error)) });
     } finally {
       setIsSubmitting(false);
     }
@@ -158,26 +187,35 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.6 }}
     >
-      <h3 className="text-3xl font-bold text-gray-800 text-center mb-6">📝 Registro de Administrador</h3>
+      <h3 className="text-3xl font-bold text-gray-800 text-center mb-6">{t('auth.registerTitle')}</h3>
       {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
       <form onSubmit={handleSubmit} className="space-y-5">
-        <div className="relative">
-          <label htmlFor="token" className="block text-gray-700 font-semibold mb-2">🎫 Token de Autorización:</label>
+        <div>
+          <label htmlFor="invitacion" className="block text-gray-700 font-semibold mb-2">{t('auth.invitationCode')}</label>
           <input
-            type="password"
-            id="token"
-            name="token"
-            value={formData.token}
+            type="text"
+            id="invitacion"
+            name="invitacion"
+            value={formData.invitacion}
             onChange={handleChange}
+            onBlur={(e) => checkInvitation(e.target.value)}
             required
-            placeholder="Ingrese el token de autorización"
-            className="w-full p-3 border border-red-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200 pr-10"
+            placeholder={t('auth.invitationPlaceholder')}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200 font-mono"
           />
-          <span className="absolute right-3 top-1/2 transform -translate-y-1/2 mt-2 text-xl">🔐</span>
-          <small className="text-gray-500 mt-1 block">⚠️ Solo personal autorizado puede registrar administradores</small>
+          {invitationInfo ? (
+            <small className="text-green-700 mt-1 block">
+              {t('auth.invitationValid', {
+                rol: ROLE_LABELS[invitationInfo.rol] || invitationInfo.rol,
+                fecha: new Date(invitationInfo.expiraEn).toLocaleString(locale),
+              })}
+            </small>
+          ) : (
+            <small className="text-gray-500 mt-1 block">{t('auth.invitationHint')}</small>
+          )}
         </div>
         <div>
-          <label htmlFor="usuario" className="block text-gray-700 font-semibold mb-2">👤 Nombre de Usuario:</label>
+          <label htmlFor="usuario" className="block text-gray-700 font-semibold mb-2">{t('auth.newUsername')}</label>
           <input
             type="text"
             id="usuario"
@@ -185,12 +223,12 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
             value={formData.usuario}
             onChange={handleChange}
             required
-            placeholder="Mínimo 4 caracteres"
+            placeholder={t('auth.newUsernamePlaceholder')}
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
           />
         </div>
         <div>
-          <label htmlFor="email" className="block text-gray-700 font-semibold mb-2">📧 Email Corporativo:</label>
+          <label htmlFor="email" className="block text-gray-700 font-semibold mb-2">{t('auth.email')}</label>
           <input
             type="email"
             id="email"
@@ -199,11 +237,12 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
             onChange={handleChange}
             required
             placeholder="admin@mercado.com"
+            readOnly={Boolean(invitationInfo?.email)}
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
           />
         </div>
         <div>
-          <label htmlFor="password" className="block text-gray-700 font-semibold mb-2">🔑 Contraseña:</label>
+          <label htmlFor="password" className="block text-gray-700 font-semibold mb-2">{t('auth.password')}</label>
           <input
             type="password"
             id="password"
@@ -211,12 +250,12 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
             value={formData.password}
             onChange={handleChange}
             required
-            placeholder="Mínimo 8 caracteres"
+            placeholder={t('auth.newPasswordPlaceholder')}
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
           />
         </div>
         <div>
-          <label htmlFor="confirm" className="block text-gray-700 font-semibold mb-2">🔐 Confirmar Contraseña:</label>
+          <label htmlFor="confirm" className="block text-gray-700 font-semibold mb-2">{t('auth.confirm')}</label>
           <input
             type="password"
             id="confirm"
@@ -224,7 +263,7 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
             value={formData.confirm}
             onChange={handleChange}
             required
-            placeholder="Repetir contraseña"
+            placeholder={t('auth.confirmPlaceholder')}
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
           />
         </div>
@@ -237,12 +276,12 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
         >
           {isSubmitting ? (
             <>
-              <span className="mr-2">Registrando...</span>
+              <span className="mr-2">{t('auth.registering')}</span>
               <div className="spinner border-white border-t-white"></div>
             </>
           ) : (
             <>
-              <span className="mr-2">✅</span> Registrar Administrador
+              <span className="mr-2">✅</span> {t('auth.register')}
             </>
           )}
         </motion.button>
@@ -254,7 +293,7 @@ export const RegisterForm = ({ onRegisterSuccess, onShowLogin }) => {
         whileHover={{ scale: 1.02 }}
         whileTap={{ scale: 0.98 }}
       >
-        <span className="mr-2">🔙</span> Volver al Login
+        <span className="mr-2">🔙</span> {t('auth.backToLogin')}
       </motion.button>
     </motion.div>
   );
@@ -0,0 +1,223 @@
+import React from 'react';
+
+// Small dependency-free SVG charts for the admin dashboard. They scale to the width
+// of their container through the viewBox.
+
+export const COLORS = {
+  blue: '#3b82f6',
+  green: '#16a34a',
+  red: '#dc2626',
+  yellow: '#eab308',
+  purple: '#8b5cf6',
+  gray: '#9ca3af',
+};
+
+const EmptyChart = () => <p className="text-gray-500 text-sm">Sin datos para el periodo seleccionado.</p>;
+
+// Donut of shares. `data`: [{ label, value, color }]
+export const DonutChart = ({ data }) => {
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+  if (total === 0) return <EmptyChart />;
+
+  // A circle with circumference 100 lets each slice be drawn as a dash of its percentage
+  const radius = 100 / (2 * Math.PI);
+  let offset = 25; // Start at 12 o'clock
+
+  return (
+    <div className="flex items-center gap-6 flex-wrap">
+      <svg viewBox="0 0 42 42" className="w-40 h-40" role="img" aria-label="Gráfico de anillo">
+        {data.filter((item) => item.value > 0).map((item) => {
+          const percentage = (item.value / total) * 100;
+          const slice = (
+            <circle
+              key={item.label}
+              cx="21"
+              cy="21"
+              r={radius}
+              fill="transparent"
+              stroke={item.color}
+              strokeWidth="6"
+              strokeDasharray={`${percentage} ${100 - percentage}`}
+              strokeDashoffset={offset}
+            >
+              <title>{`${item.label}: ${item.value} (${percentage.toFixed(1)}%)`}</title>
+            </circle>
+          );
+          offset -= percentage;
+          return slice;
+        })}
+        <text x="21" y="22.5" textAnchor="middle" className="fill-gray-700" fontSize="6" fontWeight="bold">{total}</text>
+      </svg>
+      <ul className="space-y-1">
+        {data.map((item) => (
+          <li key={item.label} className="flex items-center gap-2 text-gray-600">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: item.color }}></span>
+            <span className="font-medium capitalize">{item.label}:</span>
+            <span className="font-bold">{item.value} ({((item.value / total) * 100).toFixed(1)}%)</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Horizontal bars with the label above each bar. `data`: [{ label, value }]
+export const HorizontalBarChart = ({ data, color = COLORS.purple, unit = '' }) => {
+  if (data.length === 0) return <EmptyChart />;
+
+  const max = Math.max(...data.map((item) => item.value));
+  const rowHeight = 34;
+  const width = 300;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${data.length * rowHeight}`} className="w-full" role="img" aria-label="Gráfico de barras">
+      {data.map((item, i) => {
+        const y = i * rowHeight;
+        const barWidth = max > 0 ? ((width - 50) * item.value) / max : 0;
+        return (
+          <g key={item.label}>
+            <text x="0" y={y + 11} fontSize="10" className="fill-gray-600">{item.label}</text>
+            <rect x="0" y={y + 15} width={barWidth} height="12" rx="3" fill={color}>
+              <title>{`${item.label}: ${item.value}${unit}`}</title>
+            </rect>
+            <text x={barWidth + 5} y={y + 25} fontSize="10" fontWeight="bold" className="fill-gray-700">{item.value}{unit}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Vertical bars, one per category. `data`: [{ label, value, color? }]
+export const ColumnChart = ({ data, color = COLORS.yellow }) => {
+  if (data.every((item) => item.value === 0)) return <EmptyChart />;
+
+  const max = Math.max(...data.map((item) => item.value));
+  const width = 300;
+  const height = 160;
+  const chartHeight = height - 35;
+  const slot = width / data.length;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label="Histograma">
+      {data.map((item, i) => {
+        const barHeight = max > 0 ? (chartHeight * item.value) / max : 0;
+        const x = i * slot + slot * 0.2;
+        return (
+          <g key={item.label}>
+            <rect x={x} y={15 + chartHeight - barHeight} width={slot * 0.6} height={barHeight} rx="3" fill={item.color || color}>
+              <title>{`${item.label}: ${item.value}`}</title>
+            </rect>
+            <text x={x + slot * 0.3} y={10 + chartHeight - barHeight} textAnchor="middle" fontSize="10" fontWeight="bold" className="fill-gray-700">{item.value}</text>
+            <text x={x + slot * 0.3} y={height - 5} textAnchor="middle" fontSize="10" className="fill-gray-600">{item.label}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Response volume (bars, left axis) and average rating (line, right axis 0–5) per period.
+// `data`: [{ label, total, promedio }] where `promedio` may be null for periods without ratings.
+export const TrendChart = ({ data }) => {
+  if (data.length === 0) return <EmptyChart />;
+
+  const width = 600;
+  const height = 220;
+  const margin = { top: 15, right: 35, bottom: 30, left: 35 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const maxTotal = Math.max(...data.map((item) => item.total), 1);
+  const slot = plotWidth / data.length;
+  const xCenter = (i) => margin.left + slot * i + slot / 2;
+  const yTotal = (value) => margin.top + plotHeight - (plotHeight * value) / maxTotal;
+  const yRating = (value) => margin.top + plotHeight - (plotHeight * value) / 5;
+  // Show at most ~8 period labels so they do not overlap
+  const labelStep = Math.ceil(data.length / 8);
+
+  // Periods without ratings break the line instead of dropping it to zero
+  const segments = [];
+  data.forEach((item, i) => {
+    if (item.promedio === null) return;
+    const point = `${xCenter(i)},${yRating(item.promedio)}`;
+    if (i > 0 && data[i - 1].promedio !== null && segments.length > 0) {
+      segments[segments.length - 1].push(point);
+    } else {
+      segments.push([point]);
+    }
+  });
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label="Evolución en el tiempo">
+        {[0, 1, 2, 3, 4, 5].map((rating) => (
+          <g key={rating}>
+            <line x1={margin.left} x2={width - margin.right} y1={yRating(rating)} y2={yRating(rating)} stroke="#e5e7eb" />
+            <text x={width - margin.right + 5} y={yRating(rating) + 3} fontSize="10" className="fill-green-700">{rating}</text>
+          </g>
+        ))}
+        <text x={margin.left - 5} y={margin.top + 3} textAnchor="end" fontSize="10" className="fill-blue-700">{maxTotal}</text>
+        <text x={margin.left - 5} y={margin.top + plotHeight + 3} textAnchor="end" fontSize="10" className="fill-blue-700">0</text>
+
+        {data.map((item, i) => (
+          <g key={item.label}>
+            <rect
+              x={xCenter(i) - slot * 0.3}
+              y={yTotal(item.total)}
+              width={slot * 0.6}
+              height={margin.top + plotHeight - yTotal(item.total)}
+              fill={COLORS.blue}
+              opacity="0.35"
+            >
+              <title>{`${item.label}: ${item.total} encuestas${item.promedio !== null ? `, promedio ${item.promedio}` : ''}`}</title>
+            </rect>
+            {i % labelStep === 0 && (
+              <text x={xCenter(i)} y={height - 10} textAnchor="middle" fontSize="10" className="fill-gray-600">{item.label}</text>
+            )}
+          </g>
+        ))}
+
+        {segments.map((points) => (
+          <polyline key={points[0]} points={points.join(' ')} fill="none" stroke={COLORS.green} strokeWidth="2" />
+        ))}
+        {data.map((item, i) => item.promedio !== null && (
+          <circle key={item.label} cx={xCenter(i)} cy={yRating(item.promedio)} r="3" fill={COLORS.green}>
+            <title>{`${item.label}: promedio ${item.promedio}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex gap-6 justify-center text-sm text-gray-600 mt-2">
+        <span className="flex items-center gap-2"><span className="inline-block w-3 h-3 bg-blue-300"></span> Encuestas recibidas</span>
+        <span className="flex items-center gap-2"><span className="inline-block w-4 h-0.5 bg-green-600"></span> Calificación promedio (0–5)</span>
+      </div>
+    </div>
+  );
+};
+
+// Words sized by frequency, in alphabetical order. `data`: [{ label, value }].
+// With `onSelect` every word is a button that receives its label.
+export const WordCloud = ({ data, onSelect }) => {
+  if (data.length === 0) return <EmptyChart />;
+
+  const max = Math.max(...data.map((item) => item.value));
+  const min = Math.min(...data.map((item) => item.value));
+  const palette = [COLORS.blue, COLORS.purple, COLORS.green, COLORS.red, COLORS.yellow];
+  // Square root scale so a few very frequent words do not dwarf the rest
+  const size = (value) => (max === min ? 1.4 : 0.85 + 1.4 * Math.sqrt((value - min) / (max - min)));
+
+  return (
+    <div className="flex flex-wrap justify-center items-baseline gap-x-3 gap-y-1 p-2" role="img" aria-label="Nube de palabras">
+      {[...data].sort((a, b) => a.label.localeCompare(b.label)).map((item, i) => {
+        const style = { fontSize: `${size(item.value).toFixed(2)}rem`, color: palette[i % palette.length] };
+        const title = `${item.label}: ${item.value}`;
+        return onSelect ? (
+          <button key={item.label} type="button" onClick={() => onSelect(item.label)} style={style} title={title} className="font-semibold leading-tight hover:underline">
+            {item.label}
+          </button>
+        ) : (
+          <span key={item.label} style={style} title={title} className="font-semibold leading-tight">{item.label}</span>
+        );
+      })}
+    </div>
+  );
+};
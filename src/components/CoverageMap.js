@@ -0,0 +1,85 @@
+import React from 'react';
+
+// Stall color: grey without responses, blue when answered without rating,
+// and red → green by average rating.
+const stallColor = (puesto) => {
+  if (!puesto.activo) return 'bg-white border-dashed text-gray-400';
+  if (puesto.respuestas === 0) return 'bg-gray-200 text-gray-600';
+  if (puesto.promedioCalificacion === null) return 'bg-blue-200 text-blue-900';
+  if (puesto.promedioCalificacion < 2) return 'bg-red-400 text-white';
+  if (puesto.promedioCalificacion < 3) return 'bg-orange-300 text-orange-900';
+  if (puesto.promedioCalificacion < 4) return 'bg-yellow-200 text-yellow-900';
+  return 'bg-green-400 text-white';
+};
+
+const LEGEND = [
+  { className: 'bg-gray-200', label: 'Sin respuesta' },
+  { className: 'bg-blue-200', label: 'Respondió sin calificar' },
+  { className: 'bg-red-400', label: 'Promedio < 2' },
+  { className: 'bg-orange-300', label: '2 – 3' },
+  { className: 'bg-yellow-200', label: '3 – 4' },
+  { className: 'bg-green-400', label: '≥ 4' },
+  { className: 'bg-white border-dashed', label: 'Inactivo' },
+];
+
+// Market map: one block per sector with its response rate and a tile per stall.
+// `cobertura` is the response of GET /api/puestos/cobertura.
+const CoverageMap = ({ cobertura }) => {
+  if (cobertura.sectores.length === 0) {
+    return <p className="text-gray-500">Registre los puestos del mercado para ver el mapa de cobertura.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-4 text-xs text-gray-600">
+        {LEGEND.map((item) => (
+          <span key={item.label} className="flex items-center gap-1">
+            <span className={`inline-block w-4 h-4 rounded border border-gray-300 ${item.className}`}></span> {item.label}
+          </span>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {cobertura.sectores.map((sector) => (
+          <div key={sector.sector} className="bg-white p-4 rounded-xl shadow-md border border-gray-200">
+            <div className="flex justify-between items-baseline mb-2">
+              <h6 className="font-bold text-gray-800">Sector {sector.sector}</h6>
+              <span className="text-sm text-gray-600">
+                {sector.conRespuesta}/{sector.puestos} puestos · <strong>{sector.tasaRespuesta}%</strong>
+                {sector.promedioCalificacion !== null && <> · ⭐ {sector.promedioCalificacion}</>}
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+              <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${sector.tasaRespuesta}%` }}></div>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {sector.lista.map((puesto) => (
+                <span
+                  key={puesto.codigo}
+                  className={`text-xs font-semibold px-2 py-1 rounded border border-gray-300 ${stallColor(puesto)}`}
+                  title={[
+                    puesto.codigo,
+                    puesto.propietario,
+                    `${puesto.respuestas} respuestas`,
+                    puesto.promedioCalificacion !== null ? `promedio ${puesto.promedioCalificacion}` : null,
+                    puesto.ultimaRespuesta ? `última: ${new Date(puesto.ultimaRespuesta).toLocaleDateString('es-ES')}` : null,
+                  ].filter(Boolean).join(' · ')}
+                >
+                  {puesto.codigo}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {cobertura.sinRegistrar.length > 0 && (
+        <p className="text-sm text-yellow-700 mt-4">
+          ⚠️ Respuestas con puestos no registrados: {cobertura.sinRegistrar.map((p) => `${p.puesto} (${p.respuestas})`).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CoverageMap;
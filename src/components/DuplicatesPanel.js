@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import { FieldError } from './QuestionField';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+
+const FIELDS = { puesto: '🏪 Puesto', telefono: '📱 Teléfono', nombre: '👤 Nombre' };
+const PERIODS = { dia: 'por día', semana: 'por semana', mes: 'por mes', encuesta: 'por versión de la encuesta' };
+const ACTIONS = { rechazar: '⛔ Rechazar', marcar: '🚩 Marcar para revisión' };
+
+const selectClass = 'p-2 border border-gray-300 rounded-lg text-sm';
+
+// Summary of one response inside a duplicate group
+const ResponseCard = ({ respuesta, label, onKeep }) => (
+  <div className="bg-white p-3 rounded-lg border border-gray-200 flex-1 min-w-[220px]">
+    <p className="text-xs text-gray-500 mb-1">{label} · {respuesta.fecha} {respuesta.hora}</p>
+    <p className="font-semibold text-gray-800">👤 {respuesta.nombre || (respuesta.anonima ? '🕶️ Anónima' : '—')} <span className="text-gray-500 font-normal">({respuesta.puesto})</span></p>
+    <p className="text-sm text-gray-600">🛡️ {respuesta.seguridad} · ⭐ {respuesta.calificacion ?? '—'} · 📱 {respuesta.telefono || '—'}</p>
+    {respuesta.sugerencia && <p className="text-sm text-gray-600 italic mt-1">💡 {respuesta.sugerencia}</p>}
+    <button onClick={onKeep} className="mt-2 bg-green-500 text-white py-1 px-3 rounded-lg text-sm shadow hover:bg-green-600 transition-colors duration-200">
+      ✅ Conservar esta
+    </button>
+  </div>
+);
+
+// Duplicate rules (one response per stall, phone or name and period) and the review queue
+// of flagged duplicates, where the admin picks which response of each group to keep.
+const DuplicatesPanel = ({ onBack, onSessionExpired }) => {
+  const [rules, setRules] = useState([]);
+  const [ruleErrors, setRuleErrors] = useState({});
+  const [groups, setGroups] = useState([]);
+  const [alert, setAlert] = useState(null);
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/duplicados/reglas' });
+      setRules(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar las reglas.');
+    }
+  }, [handleError]);
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/duplicados' });
+      setGroups(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar la cola de revisión.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchRules();
+    fetchGroups();
+  }, [fetchRules, fetchGroups]);
+
+  const updateRule = (index, changes) => {
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const saveRules = async () => {
+    setRuleErrors({});
+    try {
+      const response = await api({ method: 'put', url: '/duplicados/reglas', data: { reglas: rules } });
+      setRules(response.data);
+      setAlert({ type: 'success', message: '💾 Reglas de duplicados guardadas.' });
+    } catch (error) {
+      if (error.response?.data?.errores) setRuleErrors(error.response.data.errores);
+      handleError(error, 'Error al guardar las reglas.');
+    }
+  };
+
+  const resolve = async (group, keep) => {
+    const message = keep === 'todas'
+      ? '¿Conservar todas las respuestas del grupo? Dejarán de aparecer en la cola de revisión.'
+      : '¿Conservar la respuesta elegida? Las demás del grupo se enviarán a la papelera.';
+    if (!window.confirm(`⚠️ ${message}`)) return;
+    try {
+      const response = await api({ method: 'post', url: `/duplicados/${group.id}/resolver`, data: { conservar: keep } });
+      setGroups((prev) => prev.filter((g) => g.id !== group.id));
+      setAlert({ type: 'success', message: alertMessage('✅ Grupo resuelto.', `${response.data.eliminadas} respuestas enviadas a la papelera.`) });
+    } catch (error) {
+      handleError(error, 'Error al resolver los duplicados.');
+    }
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🧬 Respuestas Duplicadas</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-8">
+        <h5 className="font-bold text-lg text-gray-700 mb-1">📏 Reglas</h5>
+        <p className="text-sm text-gray-500 mb-3">Una respuesta por valor del campo en el periodo. Los duplicados se rechazan o se guardan marcados para revisarlos aquí.</p>
+        <div className="space-y-2">
+          {rules.map((rule, index) => (
+            <div key={index}>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-600">Una respuesta por</span>
+                <select value={rule.campo} onChange={(e) => updateRule(index, { campo: e.target.value })} className={selectClass}>
+                  {Object.entries(FIELDS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select value={rule.periodo} onChange={(e) => updateRule(index, { periodo: e.target.value })} className={selectClass}>
+                  {Object.entries(PERIODS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select value={rule.accion} onChange={(e) => updateRule(index, { accion: e.target.value })} className={selectClass}>
+                  {Object.entries(ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <label className="text-sm text-gray-600 flex items-center gap-1">
+                  <input type="checkbox" checked={rule.activa} onChange={(e) => updateRule(index, { activa: e.target.checked })} /> Activa
+                </label>
+                <button onClick={() => setRules((prev) => prev.filter((_, i) => i !== index))} className="text-red-500 hover:text-red-700" aria-label="Quitar regla">🗑️</button>
+              </div>
+              {['campo', 'periodo', 'accion'].map((field) => <FieldError key={field} message={ruleErrors[`reglas.${index}.${field}`]} />)}
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={() => setRules((prev) => [...prev, { campo: 'puesto', periodo: 'semana', accion: 'marcar', activa: true }])}
+            className="bg-gray-200 text-gray-800 py-1 px-3 rounded-lg text-sm shadow hover:bg-gray-300"
+          >
+            ➕ Añadir regla
+          </button>
+          <button onClick={saveRules} className="bg-blue-600 text-white py-1 px-3 rounded-lg text-sm shadow hover:bg-blue-700">💾 Guardar reglas</button>
+        </div>
+      </div>
+
+      <h5 className="font-bold text-lg text-gray-700 mb-3">🚩 Cola de revisión ({groups.length})</h5>
+      {groups.length === 0 ? (
+        <p className="text-gray-500">No hay duplicados pendientes de revisar.</p>
+      ) : (
+        <div className="space-y-4">
+          {groups.map((group) => (
+            <div key={group.id} className="bg-yellow-50 p-4 rounded-xl border border-yellow-200">
+              <div className="flex flex-wrap gap-3">
+                {group.original
+                  ? <ResponseCard respuesta={group.original} label="Primera respuesta" onKeep={() => resolve(group, group.id)} />
+                  : <p className="text-sm text-gray-500 flex-1">La primera respuesta ya está en la papelera.</p>}
+                {group.duplicados.map((duplicate, i) => (
+                  <ResponseCard key={duplicate.id} respuesta={duplicate} label={`Duplicado ${i + 1}`} onKeep={() => resolve(group, duplicate.id)} />
+                ))}
+              </div>
+              <button onClick={() => resolve(group, 'todas')} className="mt-3 bg-gray-200 text-gray-800 py-1 px-3 rounded-lg text-sm shadow hover:bg-gray-300">
+                🤝 No son duplicados: conservar todas
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicatesPanel;
@@ -1,7 +1,10 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import { useI18n } from '../i18n';
 
 const Header = () => {
+  const { t } = useI18n();
+
   return (
     <motion.div
       className="bg-gradient-to-br from-blue-800 via-indigo-800 to-purple-800 text-white p-10 text-center relative overflow-hidden rounded-t-3xl"
@@ -15,7 +18,7 @@ const Header = () => {
         animate={{ scale: 1 }}
         transition={{ duration: 0.5, delay: 0.3, type: "spring", stiffness: 120 }}
       >
-        🏪 Encuesta de Seguridad
+        {t('header.title')}
       </motion.h1>
       <motion.p
         className="text-xl opacity-90"
@@ -23,7 +26,7 @@ const Header = () => {
         animate={{ opacity: 1 }}
         transition={{ duration: 0.5, delay: 0.5 }}
       >
-        Sistema Avanzado de Evaluación de Seguridad del Mercado
+        {t('header.subtitle')}
       </motion.p>
       <div className="absolute inset-0 pointer-events-none">
         <motion.div
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+import { getSession, hasRole } from '../session';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const PREVIEW_ROWS = 200;
+
+// Import of paper surveys typed into a spreadsheet. The file is first checked on the server
+// (dry run) and only the valid rows are saved, tagged with an import id that can be rolled back.
+const ImportPanel = ({ onBack, onSessionExpired }) => {
+  // Surveyors may only roll back their own imports (the server checks it too)
+  const canRollback = (importacion) => hasRole('superadmin') || importacion.usuario === getSession()?.user?.usuario;
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [imports, setImports] = useState([]);
+  const [alert, setAlert] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchImports = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/importaciones' });
+      setImports(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar las importaciones.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchImports();
+  }, [fetchImports]);
+
+  const upload = (modo) => {
+    const format = file.name.toLowerCase().endsWith('.xlsx') ? 'xlsx' : 'csv';
+    return api({
+      method: 'post',
+      url: '/respuestas/import',
+      params: { modo, archivo: file.name },
+      headers: { 'Content-Type': CONTENT_TYPES[format] },
+      data: file,
+      timeout: 0, // Large files can take longer than the default request timeout
+    });
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    setFile(selected);
+    setPreview(null);
+  };
+
+  const checkFile = async () => {
+    setBusy(true);
+    try {
+      const response = await upload('prueba');
+      setPreview(response.data);
+    } catch (error) {
+      handleError(error, 'Error al revisar el archivo.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importFile = async () => {
+    if (!window.confirm(`📥 ¿Importar ${preview.validas} encuestas? Las ${preview.conErrores} filas con errores no se guardarán.`)) return;
+    setBusy(true);
+    try {
+      const response = await upload('importar');
+      setAlert({ type: 'success', message: alertMessage(`📥 ${response.data.mensaje}.`, 'Si algo salió mal puede revertir la importación desde el historial.') });
+      setFile(null);
+      setPreview(null);
+      fetchImports();
+    } catch (error) {
+      handleError(error, 'Error al importar el archivo.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const rollback = async (importacion) => {
+    if (!window.confirm(`⚠️ ¿Revertir la importación de "${importacion.archivo || 'archivo'}"? Se eliminarán definitivamente sus ${importacion.importadas} encuestas.`)) return;
+    try {
+      const response = await api({ method: 'delete', url: `/importaciones/${importacion._id}` });
+      setAlert({ type: 'success', message: alertMessage('↩️ Importación revertida.', `${response.data.eliminadas} encuestas eliminadas.`) });
+      fetchImports();
+    } catch (error) {
+      handleError(error, 'Error al revertir la importación.');
+    }
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">📥 Importar Encuestas en Papel</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-6">
+        <p className="text-gray-600 text-sm mb-3">
+          Use un archivo CSV o Excel con las mismas columnas que la exportación (Fecha, Hora, Nombre, Puesto, Teléfono,
+          Seguridad, Calificación, Problemas, Sugerencia...). Los problemas se indican con sus códigos separados por punto y coma.
+          La columna Idioma (es, qu, ay o en) es opcional: sin ella se toma español. Marque «sí» en la columna Anónima para las encuestas entregadas sin nombre ni teléfono.
+        </p>
+        <div className="flex flex-wrap items-center gap-4">
+          <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} className="text-sm" />
+          <motion.button
+            onClick={checkFile}
+            disabled={!file || busy}
+            className="bg-blue-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            🔍 Revisar archivo
+          </motion.button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="mb-8">
+          <div className="flex justify-between items-center flex-wrap gap-4 mb-3">
+            <p className="text-gray-700">
+              <strong>{preview.total}</strong> filas: <span className="text-green-600 font-bold">{preview.validas} válidas</span>,{' '}
+              <span className="text-red-600 font-bold">{preview.conErrores} con errores</span>
+              {preview.columnasDesconocidas.length > 0 && (
+                <span className="block text-sm text-yellow-700">⚠️ Columnas ignoradas: {preview.columnasDesconocidas.join(', ')}</span>
+              )}
+            </p>
+            <motion.button
+              onClick={importFile}
+              disabled={preview.validas === 0 || busy}
+              className="bg-green-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200 disabled:opacity-50"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              📥 Importar {preview.validas} filas válidas
+            </motion.button>
+          </div>
+          <div className="overflow-x-auto rounded-xl border border-gray-200 shadow-md max-h-96">
+            <table className="min-w-full text-sm text-left bg-white">
+              <thead className="bg-gray-100 text-gray-700 sticky top-0">
+                <tr>
+                  <th className="p-2">Fila</th>
+                  <th className="p-2">👤 Nombre</th>
+                  <th className="p-2">🏪 Puesto</th>
+                  <th className="p-2">🛡️ Seguridad</th>
+                  <th className="p-2">⭐ Calif.</th>
+                  <th className="p-2">Resultado</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.filas.slice(0, PREVIEW_ROWS).map(({ fila, errores, datos }) => {
+                  const errorList = Object.entries(errores);
+                  return (
+                    <tr key={fila} className={`border-t border-gray-100 align-top ${errorList.length > 0 ? 'bg-red-50' : ''}`}>
+                      <td className="p-2">{fila}</td>
+                      <td className="p-2">{datos?.nombre}</td>
+                      <td className="p-2">{datos?.puesto}</td>
+                      <td className="p-2">{datos?.seguridad}</td>
+                      <td className="p-2">{datos?.calificacion ?? '—'}</td>
+                      <td className="p-2">
+                        {errorList.length === 0
+                          ? <span className="text-green-600">✅ Válida</span>
+                          : errorList.map(([campo, mensaje]) => (
+                            <span key={campo} className="block text-red-600">⚠️ <strong>{campo}</strong>: {mensaje}</span>
+                          ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {preview.filas.length > PREVIEW_ROWS && (
+            <p className="text-gray-500 text-sm mt-2">Se muestran las primeras {PREVIEW_ROWS} filas.</p>
+          )}
+        </div>
+      )}
+
+      <h5 className="font-bold text-lg text-gray-700 mb-3">🕓 Historial de importaciones</h5>
+      {imports.length === 0 ? (
+        <p className="text-gray-500">Todavía no se ha importado ningún archivo.</p>
+      ) : (
+        <div className="space-y-3">
+          {imports.map((importacion) => (
+            <div key={importacion._id} className="bg-white p-4 rounded-xl shadow-md border border-gray-200 flex justify-between items-center flex-wrap gap-4">
+              <div>
+                <h6 className="font-semibold text-gray-800">📄 {importacion.archivo || 'Archivo sin nombre'}</h6>
+                <p className="text-gray-500 text-sm">
+                  {new Date(importacion.createdAt).toLocaleString('es-ES')} por {importacion.usuario} · {importacion.importadas} importadas, {importacion.omitidas} omitidas
+                </p>
+                {importacion.revertidaEn && (
+                  <p className="text-red-600 text-sm">↩️ Revertida el {new Date(importacion.revertidaEn).toLocaleString('es-ES')} por {importacion.revertidaPor}</p>
+                )}
+              </div>
+              {!importacion.revertidaEn && canRollback(importacion) && (
+                <motion.button
+                  onClick={() => rollback(importacion)}
+                  className="bg-red-500 text-white py-1 px-4 rounded-lg shadow hover:bg-red-600 transition-colors duration-200"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  ↩️ Revertir
+                </motion.button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportPanel;
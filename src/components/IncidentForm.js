@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import QuestionField, { FieldError } from './QuestionField';
+import LanguageSwitcher from './LanguageSwitcher';
+import api from '../api';
+import { alertMessage, errorDetail } from '../apiErrors';
+import { fetchStallCodes, normalizeStallCode } from '../stallRegistry';
+import { useI18n } from '../i18n';
+
+// Same codes as the server (incidentes.js): the survey's problem codes and market areas
+export const INCIDENT_CATEGORIES = ['robo', 'iluminacion', 'vigilancia', 'acceso', 'emergencia', 'otros'];
+export const INCIDENT_ZONES = ['entradas', 'pasillos', 'estacionamiento', 'banos', 'alrededores'];
+const DESCRIPTION_MAX_LENGTH = 2000;
+
+// Value for <input type="datetime-local"> in the device's time zone
+const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+const emptyReport = () => ({ categoria: '', fechaHecho: toLocalInput(new Date()), puesto: '', zona: '', descripcion: '' });
+
+const selectClass = 'w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200';
+
+// Public form to report a concrete event (a theft last night at stall B-23), unlike the survey,
+// which asks for perceptions. Reports go straight to the admins' triage queue (IncidentsPanel).
+// There is no offline queue: a report is only useful if it arrives while it can still be acted on.
+const IncidentForm = () => {
+  const [report, setReport] = useState(emptyReport);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [alert, setAlert] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [stallCodes, setStallCodes] = useState([]);
+  const { language, t } = useI18n();
+
+  useEffect(() => {
+    fetchStallCodes().then(setStallCodes);
+  }, []);
+
+  const handleChange = (clave, value) => {
+    if (fieldErrors[clave]) {
+      setFieldErrors(({ [clave]: _removed, ...rest }) => rest);
+    }
+    setReport((prev) => ({ ...prev, [clave]: value }));
+  };
+
+  // Same rules as validarIncidente on the server
+  const validate = () => {
+    const errors = {};
+    if (!report.categoria) errors.categoria = t('validation.required');
+    if (!report.fechaHecho) errors.fechaHecho = t('validation.required');
+    else if (new Date(report.fechaHecho) > new Date()) errors.fechaHecho = t('incident.future');
+    if (!report.puesto.trim() && !report.zona) errors.puesto = t('incident.stallOrZone');
+    if (report.puesto.trim() && stallCodes.length > 0) {
+      const stall = normalizeStallCode(report.puesto);
+      if (!stall || !stallCodes.includes(stall)) errors.puesto = t('survey.unknownStall');
+    }
+    if (!report.descripcion.trim()) errors.descripcion = t('validation.required');
+    else if (report.descripcion.trim().length > DESCRIPTION_MAX_LENGTH) errors.descripcion = t('validation.tooLong', { max: DESCRIPTION_MAX_LENGTH });
+    return errors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setAlert(null);
+    const errors = validate();
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    if (!navigator.onLine) {
+      setAlert({ type: 'warning', message: t('incident.offline') });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await api.post('/incidentes', {
+        ...report,
+        fechaHecho: new Date(report.fechaHecho).toISOString(),
+        idioma: language,
+      }, { skipAuth: true });
+      setAlert({ type: 'success', message: t('incident.sent') });
+      setReport(emptyReport());
+    } catch (error) {
+      console.error('Error al reportar el incidente:', error);
+      if (error.response?.status === 400 && error.response.data?.errores) {
+        setFieldErrors(error.response.data.errores);
+        setAlert({ type: 'warning', message: t('survey.invalidFields') });
+        return;
+      }
+      setAlert({ type: 'danger', message: alertMessage(t('incident.sendError'), errorDetail(error)) });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="bg-white/95 backdrop-blur-lg p-8 rounded-2xl shadow-xl border border-gray-200"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6, delay: 0.2 }}
+    >
+      <LanguageSwitcher />
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+      <h3 className="text-2xl font-bold text-gray-800 mb-2">{t('incident.title')}</h3>
+      <p className="text-gray-600 mb-6">{t('incident.intro')}</p>
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-6">
+        <QuestionField
+          pregunta={{
+            clave: 'categoria',
+            tipo: 'single',
+            etiqueta: t('incident.category'),
+            requerida: true,
+            opciones: INCIDENT_CATEGORIES.map((valor) => ({ valor, etiqueta: t(`incident.categories.${valor}`) })),
+          }}
+          value={report.categoria}
+          error={fieldErrors.categoria}
+          onChange={handleChange}
+        />
+
+        <div className="form-group">
+          <label htmlFor="fechaHecho" className="block text-gray-700 font-semibold mb-2">{t('incident.when')}</label>
+          <input
+            type="datetime-local"
+            id="fechaHecho"
+            value={report.fechaHecho}
+            max={toLocalInput(new Date())}
+            onChange={(e) => handleChange('fechaHecho', e.target.value)}
+            className={`${selectClass} ${fieldErrors.fechaHecho ? 'border-red-500' : 'border-gray-300'}`}
+          />
+          <FieldError message={fieldErrors.fechaHecho} />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <QuestionField
+            pregunta={{ clave: 'puesto', tipo: 'text', etiqueta: t('incident.stall'), placeholder: t('incident.stallPlaceholder'), maxLength: 20 }}
+            value={report.puesto}
+            error={fieldErrors.puesto}
+            onChange={(clave, value) => handleChange(clave, value.toUpperCase())}
+            suggestions={stallCodes}
+          />
+          <div className="form-group">
+            <label htmlFor="zona" className="block text-gray-700 font-semibold mb-2">{t('incident.zone')}</label>
+            <select
+              id="zona"
+              value={report.zona}
+              onChange={(e) => handleChange('zona', e.target.value)}
+              className={`${selectClass} ${fieldErrors.zona ? 'border-red-500' : 'border-gray-300'}`}
+            >
+              <option value="">{t('incident.zoneNone')}</option>
+              {INCIDENT_ZONES.map((zona) => <option key={zona} value={zona}>{t(`incident.zones.${zona}`)}</option>)}
+            </select>
+            <FieldError message={fieldErrors.zona} />
+          </div>
+        </div>
+
+        <QuestionField
+          pregunta={{
+            clave: 'descripcion',
+            tipo: 'text',
+            etiqueta: t('incident.description'),
+            placeholder: t('incident.descriptionPlaceholder'),
+            requerida: true,
+            maxLength: DESCRIPTION_MAX_LENGTH,
+            multilinea: true,
+          }}
+          value={report.descripcion}
+          error={fieldErrors.descripcion}
+          onChange={handleChange}
+        />
+
+        <motion.button
+          type="submit"
+          className="w-full bg-gradient-to-r from-red-500 to-orange-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 flex items-center justify-center"
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? (
+            <>
+              <span className="mr-2">{t('survey.submitting')}</span>
+              <div className="spinner border-white border-t-white"></div>
+            </>
+          ) : (
+            <>
+              <span className="mr-2">🚨</span> {t('incident.submit')}
+            </>
+          )}
+        </motion.button>
+      </form>
+    </motion.div>
+  );
+};
+
+export default IncidentForm;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import { FieldError } from './QuestionField';
+import { INCIDENT_CATEGORIES } from './IncidentForm';
+import api from '../api';
+import { useErrorHandler } from '../apiErrors';
+import { hasRole } from '../session';
+import { translate, LANGUAGES } from '../i18n';
+
+const STATUSES = {
+  nuevo: { label: '🆕 Nuevos', badge: '🆕 Nuevo', className: 'bg-red-100 text-red-700' },
+  en_revision: { label: '🔍 En revisión', badge: '🔍 En revisión', className: 'bg-yellow-100 text-yellow-800' },
+  resuelto: { label: '✅ Resueltos', badge: '✅ Resuelto', className: 'bg-green-100 text-green-700' },
+};
+const PAGE_SIZE = 20;
+
+// The admin panel is in Spanish: categories and areas use the Spanish texts of the public form
+const categoryLabel = (codigo) => translate('es', `incident.categories.${codigo}`);
+const zoneLabel = (codigo) => translate('es', `incident.zones.${codigo}`);
+const LANGUAGE_LABELS = Object.fromEntries(LANGUAGES.map((language) => [language.code, language.label]));
+const formatDate = (value) => new Date(value).toLocaleString('es-ES', { timeZone: 'America/La_Paz', dateStyle: 'short', timeStyle: 'short' });
+
+const selectClass = 'p-2 border border-gray-300 rounded-lg text-sm';
+
+// Triage of the incidents reported from the public form: status (nuevo → en revisión →
+// resuelto), who follows each one up and a comment thread. Analysts only read.
+const IncidentsPanel = ({ onBack, onSessionExpired }) => {
+  const [incidents, setIncidents] = useState([]);
+  const [info, setInfo] = useState({ total: 0, pages: 0, porEstado: {} });
+  const [filters, setFilters] = useState({ estado: 'nuevo', categoria: '', asignadoA: '' });
+  const [page, setPage] = useState(1);
+  const [users, setUsers] = useState([]); // Accounts that can be assigned
+  const [comments, setComments] = useState({}); // Comment being written, by incident id
+  const [commentErrors, setCommentErrors] = useState({});
+  const [alert, setAlert] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const canTriage = hasRole('superadmin');
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchIncidents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await api({ method: 'get', url: '/incidentes', params: { ...params, pagina: page, limite: PAGE_SIZE } });
+      setIncidents(response.data.incidentes);
+      setInfo({ total: response.data.total, pages: response.data.paginas, porEstado: response.data.porEstado });
+    } catch (error) {
+      handleError(error, 'Error al cargar los incidentes.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, handleError]);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/usuarios' });
+      setUsers(response.data.filter((user) => user.activo));
+    } catch (error) {
+      handleError(error, 'Error al cargar los usuarios.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    if (canTriage) fetchUsers();
+  }, [canTriage, fetchUsers]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  const changeFilter = (changes) => {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  const replaceIncident = (updated) => {
+    setIncidents((prev) => prev.map((incident) => (incident.id === updated.id ? updated : incident)));
+  };
+
+  // Status or assignment change; the server notes it in the comment thread
+  const updateIncident = async (id, changes) => {
+    try {
+      const response = await api({ method: 'put', url: `/incidentes/${id}`, data: changes });
+      replaceIncident(response.data);
+      fetchIncidents(); // Counts per status
+    } catch (error) {
+      handleError(error, 'Error al actualizar el incidente.');
+    }
+  };
+
+  const addComment = async (e, id) => {
+    e.preventDefault();
+    setCommentErrors((prev) => ({ ...prev, [id]: null }));
+    try {
+      const response = await api({ method: 'post', url: `/incidentes/${id}/comentarios`, data: { texto: comments[id] || '' } });
+      replaceIncident(response.data);
+      setComments((prev) => ({ ...prev, [id]: '' }));
+    } catch (error) {
+      if (error.response?.data?.errores?.texto) {
+        setCommentErrors((prev) => ({ ...prev, [id]: error.response.data.errores.texto }));
+        return;
+      }
+      handleError(error, 'Error al guardar el comentario.');
+    }
+  };
+
+  const allCount = Object.values(info.porEstado).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🚨 Incidentes Reportados</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <div className="flex gap-2 flex-wrap mb-4">
+        {[['', `📋 Todos (${allCount})`], ...Object.entries(STATUSES).map(([estado, status]) => [estado, `${status.label} (${info.porEstado[estado] || 0})`])].map(([estado, label]) => (
+          <button
+            key={estado || 'todos'}
+            onClick={() => changeFilter({ estado })}
+            className={`py-2 px-4 rounded-full text-sm font-semibold transition-colors duration-200 ${filters.estado === estado ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label htmlFor="incidentes-categoria" className="block text-gray-700 text-sm font-semibold mb-1">📂 Categoría:</label>
+          <select id="incidentes-categoria" value={filters.categoria} onChange={(e) => changeFilter({ categoria: e.target.value })} className={selectClass}>
+            <option value="">Todas</option>
+            {INCIDENT_CATEGORIES.map((codigo) => <option key={codigo} value={codigo}>{categoryLabel(codigo)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="incidentes-asignado" className="block text-gray-700 text-sm font-semibold mb-1">👤 Asignado a:</label>
+          <select id="incidentes-asignado" value={filters.asignadoA} onChange={(e) => changeFilter({ asignadoA: e.target.value })} className={selectClass}>
+            <option value="">Cualquiera</option>
+            <option value="-">Sin asignar</option>
+            {users.map((user) => <option key={user.id} value={user.usuario}>{user.usuario}</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-gray-500 ml-auto">{loading ? 'Cargando...' : `${info.total} incidentes`}</p>
+      </div>
+
+      {!loading && incidents.length === 0 && <p className="text-center text-gray-500 py-8">No hay incidentes con estos filtros.</p>}
+
+      <div className="space-y-4">
+        {incidents.map((incident) => (
+          <div key={incident.id} className="bg-white p-5 rounded-xl shadow-md border border-gray-200">
+            <div className="flex justify-between items-start gap-4 flex-wrap mb-2">
+              <div>
+                <p className="font-bold text-lg text-gray-800">{categoryLabel(incident.categoria)}</p>
+                <p className="text-sm text-gray-600">
+                  🕒 {formatDate(incident.fechaHecho)}
+                  {incident.puesto && <> · 🏪 {incident.puesto}</>}
+                  {incident.zona && <> · {zoneLabel(incident.zona)}</>}
+                </p>
+                <p className="text-xs text-gray-400">
+                  Reportado el {formatDate(incident.createdAt)}
+                  {incident.idioma && incident.idioma !== 'es' && <> · 🌐 {LANGUAGE_LABELS[incident.idioma] || incident.idioma}</>}
+                </p>
+              </div>
+              {canTriage ? (
+                <div className="flex gap-2 flex-wrap">
+                  <select
+                    aria-label="Estado"
+                    value={incident.estado}
+                    onChange={(e) => updateIncident(incident.id, { estado: e.target.value })}
+                    className={`${selectClass} font-semibold ${STATUSES[incident.estado]?.className || ''}`}
+                  >
+                    {Object.entries(STATUSES).map(([estado, status]) => <option key={estado} value={estado}>{status.badge}</option>)}
+                  </select>
+                  <select
+                    aria-label="Asignado a"
+                    value={incident.asignadoA || ''}
+                    onChange={(e) => updateIncident(incident.id, { asignadoA: e.target.value || null })}
+                    className={selectClass}
+                  >
+                    <option value="">👤 Sin asignar</option>
+                    {users.map((user) => <option key={user.id} value={user.usuario}>👤 {user.usuario}</option>)}
+                    {incident.asignadoA && !users.some((user) => user.usuario === incident.asignadoA) && (
+                      <option value={incident.asignadoA}>👤 {incident.asignadoA} (inactivo)</option>
+                    )}
+                  </select>
+                </div>
+              ) : (
+                <div className="flex gap-2 flex-wrap text-sm">
+                  <span className={`py-1 px-3 rounded-full font-semibold ${STATUSES[incident.estado]?.className || ''}`}>{STATUSES[incident.estado]?.badge || incident.estado}</span>
+                  <span className="py-1 px-3 rounded-full bg-gray-100 text-gray-700">👤 {incident.asignadoA || 'Sin asignar'}</span>
+                </div>
+              )}
+            </div>
+
+            <p className="text-gray-700 whitespace-pre-line mb-3">{incident.descripcion}</p>
+
+            {incident.comentarios.length > 0 && (
+              <ul className="border-t border-gray-100 pt-3 space-y-2 mb-3">
+                {incident.comentarios.map((comentario, index) => (
+                  <li key={index} className={`text-sm ${comentario.tipo === 'cambio' ? 'text-gray-500 italic' : 'text-gray-800'}`}>
+                    <span className="text-xs text-gray-400">{formatDate(comentario.fecha)} · {comentario.usuario}:</span>{' '}
+                    {comentario.tipo === 'cambio' ? `🔄 ${comentario.texto}` : `💬 ${comentario.texto}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {canTriage && (
+              <form onSubmit={(e) => addComment(e, incident.id)}>
+                <div className="flex gap-2">
+                  <input
+                    value={comments[incident.id] || ''}
+                    onChange={(e) => setComments((prev) => ({ ...prev, [incident.id]: e.target.value }))}
+                    placeholder="Añadir un comentario de seguimiento..."
+                    maxLength={1000}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <button type="submit" className="bg-blue-600 text-white py-2 px-4 rounded-lg text-sm shadow hover:bg-blue-700 transition-colors duration-200">
+                    💬 Comentar
+                  </button>
+                </div>
+                <FieldError message={commentErrors[incident.id]} />
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {info.pages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-6">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="py-2 px-4 rounded-lg bg-gray-200 hover:bg-gray-300 disabled:opacity-40">◀ Anterior</button>
+          <span className="text-sm text-gray-600">Página {page} de {info.pages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= info.pages} className="py-2 px-4 rounded-lg bg-gray-200 hover:bg-gray-300 disabled:opacity-40">Siguiente ▶</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncidentsPanel;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { LANGUAGES, useI18n } from '../i18n';
+
+// Language buttons shown above the survey; the choice is remembered on the device
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <div className="flex justify-end items-center gap-2 mb-6 flex-wrap" role="group" aria-label={t('language.label')}>
+      <span className="text-sm text-gray-600 font-semibold">{t('language.label')}:</span>
+      {LANGUAGES.map(({ code, label }) => (
+        <button
+          key={code}
+          type="button"
+          lang={code}
+          onClick={() => setLanguage(code)}
+          aria-pressed={language === code}
+          className={`py-1 px-3 rounded-full text-sm border transition-colors duration-200 ${
+            language === code
+              ? 'bg-blue-600 text-white border-blue-600 shadow'
+              : 'bg-white text-gray-700 border-gray-300 hover:bg-blue-50'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import { FieldError } from './QuestionField';
+import api from '../api';
+import { useErrorHandler } from '../apiErrors';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Privacy settings (encryption and retention come from the server environment, so they are
+// only shown here) and erasure of a merchant's personal data on request, by stall or phone.
+const PrivacyPanel = ({ onBack, onSessionExpired }) => {
+  const [settings, setSettings] = useState(null);
+  const [criterion, setCriterion] = useState('puesto');
+  const [value, setValue] = useState('');
+  const [errors, setErrors] = useState({});
+  const [alert, setAlert] = useState(null);
+  const [erasing, setErasing] = useState(false);
+
+  const showError = useErrorHandler(setAlert, onSessionExpired);
+  const handleError = useCallback((error, message) => {
+    if (error.response?.status === 400 && error.response.data?.errores) {
+      setErrors(error.response.data.errores);
+    }
+    showError(error, message);
+  }, [showError]);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/privacidad' });
+      setSettings(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar la configuración de privacidad.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const erase = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    const target = criterion === 'puesto' ? `el puesto ${value.trim().toUpperCase()}` : `el teléfono ${value.trim()}`;
+    if (!window.confirm(`⚠️ ¿Borrar el nombre y el teléfono de todas las respuestas de ${target}? Las respuestas se conservan para las estadísticas. Esta acción no se puede deshacer.`)) return;
+    setErasing(true);
+    try {
+      const response = await api({ method: 'post', url: '/privacidad/borrar', data: { [criterion]: value } });
+      const owner = response.data.propietario ? ' También se quitó el propietario del registro de puestos.' : '';
+      setAlert({ type: 'success', message: `🧹 ${response.data.mensaje}.${owner}` });
+      setValue('');
+      fetchSettings();
+    } catch (error) {
+      handleError(error, 'Error al borrar los datos personales.');
+    } finally {
+      setErasing(false);
+    }
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🔒 Privacidad</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      {settings && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+          <div className={`p-4 rounded-xl border ${settings.cifrado ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+            <h5 className="font-bold text-gray-800 mb-1">🔐 Cifrado de nombres y teléfonos</h5>
+            <p className="text-sm text-gray-700">
+              {settings.cifrado
+                ? 'Activo: se guardan cifrados y solo el servidor puede leerlos.'
+                : 'Inactivo: defina PII_ENCRYPTION_KEY en el servidor para cifrarlos.'}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              🔍 {settings.cifrado
+                ? 'La búsqueda de texto del listado solo cubre las sugerencias: los nombres cifrados no se pueden buscar.'
+                : 'La búsqueda de texto del listado cubre nombres y sugerencias; al activar el cifrado solo cubrirá las sugerencias.'}
+            </p>
+          </div>
+          <div className={`p-4 rounded-xl border ${settings.diasRetencion ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+            <h5 className="font-bold text-gray-800 mb-1">⏳ Retención</h5>
+            <p className="text-sm text-gray-700">
+              {settings.diasRetencion
+                ? `Los nombres y teléfonos se borran ${settings.diasRetencion} días después del envío (se revisa una vez al día).`
+                : 'Sin límite: defina PII_RETENTION_DAYS en el servidor para borrarlos automáticamente.'}
+            </p>
+          </div>
+          <div className="p-4 rounded-xl border bg-gray-50 border-gray-200 md:col-span-2 flex flex-wrap gap-6 text-sm text-gray-700">
+            <span>👤 Con datos personales: <strong>{settings.respuestas.conDatosPersonales}</strong></span>
+            <span>🕶️ Anónimas: <strong>{settings.respuestas.anonimas}</strong></span>
+            <span>🧹 Con datos borrados: <strong>{settings.respuestas.datosBorrados}</strong></span>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={erase} className="bg-red-50 p-6 rounded-xl border border-red-200 space-y-4">
+        <h5 className="font-bold text-lg text-gray-800">🧹 Borrar datos personales a petición</h5>
+        <p className="text-sm text-gray-600">
+          Borra el nombre y el teléfono de todas las respuestas (también las de la papelera) de un puesto o de un teléfono.
+        </p>
+        <div className="flex gap-4 flex-wrap items-end">
+          <div>
+            <label htmlFor="borrado-criterio" className="block text-gray-700 text-sm font-semibold mb-1">Buscar por:</label>
+            <select
+              id="borrado-criterio"
+              value={criterion}
+              onChange={(e) => {
+                setCriterion(e.target.value);
+                setErrors({});
+              }}
+              className="p-2 border border-gray-300 rounded-lg"
+            >
+              <option value="puesto">🏪 Puesto</option>
+              <option value="telefono">📱 Teléfono</option>
+            </select>
+          </div>
+          <div className="flex-1 min-w-[200px]">
+            <label htmlFor="borrado-valor" className="block text-gray-700 text-sm font-semibold mb-1">
+              {criterion === 'puesto' ? 'Código del puesto:' : 'Número de teléfono:'}
+            </label>
+            <input
+              id="borrado-valor"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              placeholder={criterion === 'puesto' ? 'Ej: A-15' : 'Ej: 71234567'}
+              className={inputClass}
+              required
+            />
+          </div>
+          <motion.button
+            type="submit"
+            disabled={erasing || !value.trim()}
+            className="bg-red-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            {erasing ? 'Borrando...' : '🧹 Borrar datos'}
+          </motion.button>
+        </div>
+        <FieldError message={errors[criterion]} />
+      </form>
+    </div>
+  );
+};
+
+export default PrivacyPanel;
@@ -0,0 +1,129 @@
+import React from 'react';
+
+// Validation message returned by the server for a specific question
+export const FieldError = ({ message }) => (
+  message ? <p className="text-red-600 text-sm mt-1">⚠️ {message}</p> : null
+);
+
+const optionClass = 'flex items-center p-4 border border-gray-300 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors duration-200';
+
+// Renders one question of a survey definition (text, phone, single, multi or rating).
+// `onChange(clave, value)` receives the new answer: a string, a list for multi, a string number for rating.
+// `suggestions` (optional) offers autocomplete values for text questions.
+const QuestionField = ({ pregunta, value, error, onChange, suggestions }) => {
+  const { clave, tipo, etiqueta, placeholder, requerida } = pregunta;
+  const inputClass = `w-full p-3 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200`;
+  const opciones = pregunta.opciones || [];
+
+  if (tipo === 'text' || tipo === 'phone') {
+    const commonProps = {
+      id: clave,
+      name: clave,
+      value,
+      onChange: (e) => onChange(clave, e.target.value),
+      required: requerida,
+      placeholder,
+      maxLength: pregunta.maxLength,
+      className: inputClass,
+      list: suggestions?.length ? `${clave}-sugerencias` : undefined,
+    };
+    return (
+      <div className="form-group">
+        <label htmlFor={clave} className="block text-gray-700 font-semibold mb-2">{etiqueta}</label>
+        {pregunta.multilinea
+          ? <textarea rows="4" {...commonProps}></textarea>
+          : <input type={tipo === 'phone' ? 'tel' : 'text'} {...commonProps} />}
+        {suggestions?.length > 0 && (
+          <datalist id={`${clave}-sugerencias`}>
+            {suggestions.map((suggestion) => <option key={suggestion} value={suggestion} />)}
+          </datalist>
+        )}
+        <FieldError message={error} />
+      </div>
+    );
+  }
+
+  if (tipo === 'single') {
+    return (
+      <div className="form-group">
+        <label className="block text-gray-700 font-semibold mb-3">{etiqueta}</label>
+        <div className={`grid grid-cols-1 ${opciones.length === 3 ? 'md:grid-cols-3' : 'md:grid-cols-2'} gap-4`}>
+          {opciones.map((opcion) => (
+            <label key={opcion.valor} className={optionClass}>
+              <input
+                type="radio"
+                name={clave}
+                value={opcion.valor}
+                checked={value === opcion.valor}
+                onChange={() => onChange(clave, opcion.valor)}
+                required={requerida}
+                className="form-radio h-5 w-5 text-blue-600"
+              />
+              <span className="ml-3 text-gray-700 font-medium">{opcion.etiqueta}</span>
+            </label>
+          ))}
+        </div>
+        <FieldError message={error} />
+      </div>
+    );
+  }
+
+  if (tipo === 'multi') {
+    const toggle = (valor, checked) => {
+      onChange(clave, checked ? [...value, valor] : value.filter((v) => v !== valor));
+    };
+    return (
+      <div className="form-group">
+        <label className="block text-gray-700 font-semibold mb-3">{etiqueta}</label>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {opciones.map((opcion) => (
+            <label key={opcion.valor} className={optionClass}>
+              <input
+                type="checkbox"
+                name={clave}
+                value={opcion.valor}
+                checked={value.includes(opcion.valor)}
+                onChange={(e) => toggle(opcion.valor, e.target.checked)}
+                className="form-checkbox h-5 w-5 text-blue-600 rounded"
+              />
+              <span className="ml-3 text-gray-700 font-medium">{opcion.etiqueta}</span>
+            </label>
+          ))}
+        </div>
+        <FieldError message={error} />
+      </div>
+    );
+  }
+
+  if (tipo === 'rating') {
+    const min = pregunta.min || 1;
+    const max = pregunta.max || 5;
+    const ratings = Array.from({ length: max - min + 1 }, (_, i) => min + i);
+    return (
+      <div className="form-group">
+        <label className="block text-gray-700 font-semibold mb-3">{etiqueta}</label>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          {ratings.map((rating) => (
+            <label key={rating} className={optionClass}>
+              <input
+                type="radio"
+                name={clave}
+                value={rating}
+                checked={value === String(rating)}
+                onChange={() => onChange(clave, String(rating))}
+                required={requerida}
+                className="form-radio h-5 w-5 text-blue-600"
+              />
+              <span className="ml-3 text-gray-700 font-medium">{'⭐'.repeat(rating)} {rating}</span>
+            </label>
+          ))}
+        </div>
+        <FieldError message={error} />
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default QuestionField;
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { subscribe, retryRejected, discardRejected } from '../offlineQueue';
+import { useI18n } from '../i18n';
+
+// Queued surveys the server rejected when they were synced. They stay on the device until the
+// surveyor retries or discards each one, so offline answers are never lost without notice.
+const RejectedSurveys = () => {
+  const [rejected, setRejected] = useState([]);
+  const [busy, setBusy] = useState(null); // Idempotency key being retried or discarded
+  const { locale, t } = useI18n();
+
+  useEffect(() => subscribe((queue) => setRejected(queue.rejected)), []);
+
+  if (rejected.length === 0) return null;
+
+  const retry = async (key) => {
+    setBusy(key);
+    try {
+      await retryRejected(key);
+    } catch (error) {
+      console.error('Error al reintentar la encuesta rechazada:', error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const discard = async (key) => {
+    if (!window.confirm(t('status.discardConfirm'))) return;
+    setBusy(key);
+    try {
+      await discardRejected(key);
+    } catch (error) {
+      console.error('Error al descartar la encuesta rechazada:', error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-xl p-4 mb-8" role="alert">
+      <h5 className="font-bold text-red-800 mb-1">{t('status.rejectedTitle')}</h5>
+      <p className="text-sm text-red-700 mb-3">{t('status.rejectedHint')}</p>
+      <ul className="space-y-3">
+        {rejected.map((entry) => (
+          <li key={entry.idempotencyKey} className="bg-white rounded-lg border border-red-100 p-3 text-sm">
+            <p className="text-gray-600">
+              {t('status.queuedAt', { fecha: new Date(entry.queuedAt).toLocaleString(locale) })}
+              {entry.data.puesto && <> · 🏪 {entry.data.puesto}</>}
+              {entry.data.nombre && <> · 👤 {entry.data.nombre}</>}
+            </p>
+            {entry.rejection.message && <p className="text-red-700 font-semibold">❌ {entry.rejection.message}</p>}
+            {Object.entries(entry.rejection.errors).map(([campo, mensaje]) => (
+              <p key={campo} className="text-red-600">⚠️ {campo}: {mensaje}</p>
+            ))}
+            <div className="flex gap-2 mt-2">
+              <button
+                onClick={() => retry(entry.idempotencyKey)}
+                disabled={busy === entry.idempotencyKey}
+                className="py-1 px-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {t('status.retry')}
+              </button>
+              <button
+                onClick={() => discard(entry.idempotencyKey)}
+                disabled={busy === entry.idempotencyKey}
+                className="py-1 px-3 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+              >
+                {t('status.discard')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RejectedSurveys;
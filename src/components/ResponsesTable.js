@@ -0,0 +1,276 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { LANGUAGES } from '../i18n';
+
+export const EMPTY_LIST_FILTERS = {
+  q: '',
+  seguridad: '',
+  calificacion: '',
+  problema: '',
+  tema: '',
+  idioma: '',
+  puesto: '',
+  desde: '',
+  hasta: '',
+};
+
+const SORT_OPTIONS = [
+  { value: 'fecha_desc', label: '📅 Más recientes' },
+  { value: 'fecha_asc', label: '📅 Más antiguas' },
+  { value: 'calificacion_desc', label: '⭐ Mejor calificación' },
+  { value: 'calificacion_asc', label: '⭐ Peor calificación' },
+  { value: 'relevancia', label: '🔍 Relevancia (búsqueda)' },
+];
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm';
+
+const LANGUAGE_LABELS = Object.fromEntries(LANGUAGES.map(({ code, label }) => [code, label]));
+
+// Filter bar, paginated table and page navigation for the "Detalle de Encuestas" section.
+// State lives in AdminPanel; this component only renders it and reports changes.
+// Without `onDelete` (read-only roles) the delete column is hidden. `searchesNames` is false
+// when the server encrypts names: the text search then only covers the suggestions.
+const ResponsesTable = ({
+  surveys,
+  total,
+  page,
+  pages,
+  searchesNames,
+  loading,
+  filters,
+  sort,
+  problemasMap,
+  seguridadMap,
+  horarioMap,
+  zonaMap,
+  preguntasMap,
+  temasMap,
+  onFilterChange,
+  onSortChange,
+  onApplyFilters,
+  onClearFilters,
+  onPageChange,
+  onDelete,
+}) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApplyFilters();
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit} className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-4 grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+        <div className="col-span-2">
+          <label htmlFor="q" className="block text-gray-700 text-sm font-semibold mb-1">
+            {searchesNames ? '🔍 Buscar (nombre o sugerencia):' : '🔍 Buscar en las sugerencias:'}
+          </label>
+          <input
+            type="search"
+            id="q"
+            name="q"
+            value={filters.q}
+            onChange={onFilterChange}
+            placeholder="Ej: cámaras"
+            title={searchesNames ? undefined : 'Los nombres se guardan cifrados y no se pueden buscar por texto.'}
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div>
+          <label htmlFor="filtro-seguridad" className="block text-gray-700 text-sm font-semibold mb-1">🛡️ Seguridad:</label>
+          <select id="filtro-seguridad" name="seguridad" value={filters.seguridad} onChange={onFilterChange} className={`${inputClass} w-full`}>
+            <option value="">Todas</option>
+            {Object.entries(seguridadMap).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="filtro-calificacion" className="block text-gray-700 text-sm font-semibold mb-1">⭐ Calificación:</label>
+          <select id="filtro-calificacion" name="calificacion" value={filters.calificacion} onChange={onFilterChange} className={`${inputClass} w-full`}>
+            <option value="">Todas</option>
+            {[1, 2, 3, 4, 5].map((rating) => (
+              <option key={rating} value={rating}>{'⭐'.repeat(rating)} {rating}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="filtro-problema" className="block text-gray-700 text-sm font-semibold mb-1">🚨 Problema:</label>
+          <select id="filtro-problema" name="problema" value={filters.problema} onChange={onFilterChange} className={`${inputClass} w-full`}>
+            <option value="">Todos</option>
+            {Object.entries(problemasMap).map(([code, label]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="filtro-puesto" className="block text-gray-700 text-sm font-semibold mb-1">🏪 Puesto (inicio):</label>
+          <input type="text" id="filtro-puesto" name="puesto" value={filters.puesto} onChange={onFilterChange} placeholder="Ej: B-2" className={`${inputClass} w-full`} />
+        </div>
+        <div>
+          <label htmlFor="filtro-desde" className="block text-gray-700 text-sm font-semibold mb-1">📅 Desde:</label>
+          <input type="date" id="filtro-desde" name="desde" value={filters.desde} onChange={onFilterChange} className={`${inputClass} w-full`} />
+        </div>
+        <div>
+          <label htmlFor="filtro-hasta" className="block text-gray-700 text-sm font-semibold mb-1">📅 Hasta:</label>
+          <input type="date" id="filtro-hasta" name="hasta" value={filters.hasta} onChange={onFilterChange} className={`${inputClass} w-full`} />
+        </div>
+        <div>
+          <label htmlFor="orden" className="block text-gray-700 text-sm font-semibold mb-1">↕️ Ordenar por:</label>
+          <select id="orden" value={sort} onChange={(e) => onSortChange(e.target.value)} className={`${inputClass} w-full`}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="filtro-tema" className="block text-gray-700 text-sm font-semibold mb-1">🏷️ Tema:</label>
+          <select id="filtro-tema" name="tema" value={filters.tema} onChange={onFilterChange} className={`${inputClass} w-full`}>
+            <option value="">Todos</option>
+            {Object.entries(temasMap).map(([code, label]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="filtro-idioma" className="block text-gray-700 text-sm font-semibold mb-1">🌐 Idioma:</label>
+          <select id="filtro-idioma" name="idioma" value={filters.idioma} onChange={onFilterChange} className={`${inputClass} w-full`}>
+            <option value="">Todos</option>
+            {LANGUAGES.map(({ code, label }) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-span-2 md:col-span-1 flex gap-2 justify-end items-end">
+          <motion.button
+            type="submit"
+            className="bg-blue-600 text-white py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            🔍 Filtrar
+          </motion.button>
+          <motion.button
+            type="button"
+            onClick={onClearFilters}
+            className="bg-gray-200 text-gray-800 py-2 px-4 rounded-lg shadow-md hover:bg-gray-300 transition-colors duration-200"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            ✖️ Limpiar
+          </motion.button>
+        </div>
+      </form>
+
+      <p className="text-gray-600 mb-3 text-sm">
+        {loading ? 'Cargando...' : `${total} encuestas encontradas · Página ${total > 0 ? page : 0} de ${pages}`}
+      </p>
+
+      {surveys.length === 0 && !loading ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-lg">No hay encuestas que coincidan. ¡Anima a los comerciantes a participar!</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-gray-200 shadow-md">
+          <table className="min-w-full text-sm text-left bg-white">
+            <thead className="bg-gray-100 text-gray-700">
+              <tr>
+                <th className="p-3">📅 Fecha</th>
+                <th className="p-3">👤 Nombre</th>
+                <th className="p-3">🏪 Puesto</th>
+                <th className="p-3">📱 Teléfono</th>
+                <th className="p-3">🛡️ Seguridad</th>
+                <th className="p-3">⭐ Calif.</th>
+                <th className="p-3">🚨 Problemas</th>
+                <th className="p-3">💡 Sugerencia</th>
+                {onDelete && <th className="p-3"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {surveys.map((encuesta) => (
+                <tr key={encuesta.id} className={`border-t border-gray-100 hover:bg-blue-50 align-top ${encuesta.live ? 'bg-green-50' : ''}`}>
+                  <td className="p-3 whitespace-nowrap">{encuesta.fecha}<br /><span className="text-gray-500">{encuesta.hora}</span></td>
+                  <td className="p-3 font-medium text-gray-800">
+                    {encuesta.nombre}
+                    {encuesta.anonima && <span className="block text-xs text-purple-600 font-normal">🕶️ Anónima</span>}
+                    {encuesta.datosBorrados && <span className="block text-xs text-gray-400 font-normal">🧹 Datos personales borrados</span>}
+                    {encuesta.encuestaVersion && <span className="block text-xs text-gray-400 font-normal">Encuesta v{encuesta.encuestaVersion}</span>}
+                    {encuesta.idioma !== 'es' && <span className="block text-xs text-blue-500 font-normal">🌐 {LANGUAGE_LABELS[encuesta.idioma] || encuesta.idioma}</span>}
+                  </td>
+                  <td className="p-3">{encuesta.puesto}</td>
+                  <td className="p-3 whitespace-nowrap">{encuesta.telefono}</td>
+                  <td className={`p-3 font-bold ${encuesta.seguridad === 'sí' ? 'text-green-600' : encuesta.seguridad === 'no' ? 'text-red-600' : 'text-yellow-600'}`}>
+                    {encuesta.seguridad}
+                    {encuesta.horarioInseguridad.length > 0 && (
+                      <span className="block text-xs text-gray-600 font-normal">🕒 {encuesta.horarioInseguridad.map((h) => horarioMap[h] || h).join(', ')}</span>
+                    )}
+                    {encuesta.zonaInseguridad.length > 0 && (
+                      <span className="block text-xs text-gray-600 font-normal">📍 {encuesta.zonaInseguridad.map((z) => zonaMap[z] || z).join(', ')}</span>
+                    )}
+                  </td>
+                  <td className="p-3 whitespace-nowrap">{encuesta.calificacion ? `${encuesta.calificacion}/5` : '—'}</td>
+                  <td className="p-3">
+                    {encuesta.problemas.length > 0 ? encuesta.problemas.map((p) => problemasMap[p] || p).join(', ') : 'Ninguno'}
+                    {encuesta.problemaOtro && <span className="block text-xs text-gray-600 italic mt-1">📝 Otro: {encuesta.problemaOtro}</span>}
+                  </td>
+                  <td className="p-3 text-gray-600 max-w-xs">
+                    <span className="italic">{encuesta.sugerencia}</span>
+                    {encuesta.temas.length > 0 && (
+                      <span className="block mt-1">
+                        {encuesta.temas.map((tema) => (
+                          <span key={tema} className="inline-block bg-blue-50 text-blue-700 text-xs py-0.5 px-2 rounded-full mr-1">{temasMap[tema] || tema}</span>
+                        ))}
+                      </span>
+                    )}
+                    {Object.entries(encuesta.otras).map(([clave, valor]) => (
+                      <span key={clave} className="block text-xs mt-1">
+                        <strong>{preguntasMap[clave] || clave}</strong> {Array.isArray(valor) ? valor.join(', ') : String(valor)}
+                      </span>
+                    ))}
+                  </td>
+                  {onDelete && (
+                    <td className="p-3">
+                      <motion.button
+                        onClick={() => onDelete(encuesta)}
+                        className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-50 transition-colors duration-200"
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        title="Enviar a la papelera"
+                        aria-label="Eliminar encuesta"
+                      >
+                        🗑️
+                      </motion.button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="flex justify-center items-center gap-3 mt-4">
+          <motion.button
+            onClick={() => onPageChange(page - 1)}
+            disabled={page <= 1 || loading}
+            className="bg-gray-200 text-gray-800 py-1 px-4 rounded-lg shadow hover:bg-gray-300 disabled:opacity-50"
+            whileTap={{ scale: 0.95 }}
+          >
+            ◀ Anterior
+          </motion.button>
+          <span className="text-gray-700 text-sm">Página {page} de {pages}</span>
+          <motion.button
+            onClick={() => onPageChange(page + 1)}
+            disabled={page >= pages || loading}
+            className="bg-gray-200 text-gray-800 py-1 px-4 rounded-lg shadow hover:bg-gray-300 disabled:opacity-50"
+            whileTap={{ scale: 0.95 }}
+          >
+            Siguiente ▶
+          </motion.button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResponsesTable;
@@ -1,42 +1,96 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import axios from 'axios';
+import api from '../api';
+import { subscribe } from '../offlineQueue';
+import { useI18n } from '../i18n';
 
-const SERVER_URL = 'http://localhost:3000/api';
+const CHECK_INTERVAL = 10000;
+const SLOW_RESPONSE = 3000; // ms; slower health checks are reported as a slow connection
+
+const STATUS_STYLES = {
+  checking: 'bg-gray-50 text-gray-600',
+  ok: 'bg-green-50 text-green-700',
+  slow: 'bg-yellow-50 text-yellow-800',
+  degraded: 'bg-orange-50 text-orange-800',
+  offline: 'bg-red-50 text-red-700',
+};
+
+// Turns the GET /api/health result into a status and the catalog key (and values) of the
+// message shown to the surveyor
+const describeHealth = (response, elapsed) => {
+  if (!response) {
+    return { status: 'offline', message: 'status.offline' };
+  }
+  const { data, status } = response;
+  if (status === 503 && data?.baseDatos) {
+    return { status: 'degraded', message: 'status.databaseDown' };
+  }
+  if (status >= 400) {
+    return { status: 'degraded', message: 'status.serverErrors', values: { status } };
+  }
+  if (elapsed > SLOW_RESPONSE) {
+    return { status: 'slow', message: 'status.slow' };
+  }
+  return { status: 'ok', message: 'status.ok' };
+};
 
 const ServerStatus = () => {
-  const [isOnline, setIsOnline] = useState(false);
-  const [message, setMessage] = useState('Verificando conexión...');
+  const [health, setHealth] = useState({ status: 'checking', message: 'status.checking' });
+  const [details, setDetails] = useState(null);
+  const [queue, setQueue] = useState({ pending: 0, rejected: [] });
+  const { t } = useI18n();
+
+  useEffect(() => subscribe(setQueue), []);
 
   useEffect(() => {
     const checkConnection = async () => {
+      const start = Date.now();
+      let response = null;
       try {
-        await axios.get(`${SERVER_URL}/respuestas`);
-        setIsOnline(true);
-        setMessage('🟢 Servidor conectado');
+        // 503 carries the same body as 200, so every HTTP status is handled as a response
+        response = await api.get('/health', { skipAuth: true, retries: 0, timeout: 8000, validateStatus: () => true });
       } catch (error) {
-        setIsOnline(false);
-        setMessage('🔴 Modo offline');
+        // No response at all: network down, server asleep or timeout
       }
+      setHealth(describeHealth(response, Date.now() - start));
+      setDetails(response?.data?.version ? response.data : null);
     };
 
     checkConnection();
-    const interval = setInterval(checkConnection, 10000); // Check every 10 seconds
+    const interval = setInterval(checkConnection, CHECK_INTERVAL);
     return () => clearInterval(interval);
   }, []);
 
+  const title = details
+    ? t(details.baseDatos?.latenciaMs !== undefined ? 'status.detailsLatency' : 'status.details', {
+      version: details.version,
+      estado: t(`status.databaseStates.${details.baseDatos?.estado}`),
+      ms: details.baseDatos?.latenciaMs,
+    })
+    : undefined;
+
   return (
     <motion.div
-      className={`text-center py-3 px-6 rounded-full font-semibold text-sm shadow-lg mx-auto mb-8 ${
-        isOnline ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
-      }`}
+      className={`text-center py-3 px-6 rounded-full font-semibold text-sm shadow-lg mx-auto mb-8 ${STATUS_STYLES[health.status]}`}
       initial={{ opacity: 0, y: -20 }}
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.5 }}
+      title={title}
+      role="status"
     >
-      {message}
+      {t(health.message, health.values)}
+      {queue.pending > 0 && (
+        <span className="ml-3 inline-block bg-yellow-100 text-yellow-800 py-1 px-3 rounded-full">
+          📥 {queue.pending} {t(queue.pending === 1 ? 'status.pendingOne' : 'status.pendingMany')}
+        </span>
+      )}
+      {queue.rejected.length > 0 && (
+        <span className="ml-3 inline-block bg-red-100 text-red-700 py-1 px-3 rounded-full">
+          {t('status.rejectedBadge', { count: queue.rejected.length })}
+        </span>
+      )}
     </motion.div>
   );
 };
 
-export default ServerStatus;
\ No newline at end of file
+export default ServerStatus;
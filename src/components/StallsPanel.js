@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import CoverageMap from './CoverageMap';
+import { FieldError } from './QuestionField';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+import { hasRole } from '../session';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm';
+
+// One stall per line: "A-15, Juan Pérez" (comma, semicolon or tab; the owner is optional)
+const parseBulkText = (text) => text
+  .split(/\r?\n/)
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const [codigo, ...owner] = line.split(/[,;\t]/);
+    return { codigo: codigo.trim(), propietario: owner.join(' ').trim() };
+  });
+
+// Stall registry management (add, bulk load, edit, deactivate) and market coverage map.
+// Only superadmins edit the registry; the other roles see it read-only.
+const StallsPanel = ({ onBack, onSessionExpired }) => {
+  const canEdit = hasRole('superadmin');
+  const [stalls, setStalls] = useState([]);
+  const [coverage, setCoverage] = useState(null);
+  const [newStall, setNewStall] = useState({ codigo: '', propietario: '' });
+  const [errors, setErrors] = useState({});
+  const [bulkText, setBulkText] = useState('');
+  const [alert, setAlert] = useState(null);
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [stallsResponse, coverageResponse] = await Promise.all([
+        api({ method: 'get', url: '/puestos' }),
+        api({ method: 'get', url: '/puestos/cobertura' }),
+      ]);
+      setStalls(stallsResponse.data);
+      setCoverage(coverageResponse.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar los puestos.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const addStall = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    try {
+      const response = await api({ method: 'post', url: '/puestos', data: newStall });
+      setAlert({ type: 'success', message: `🏪 Puesto ${response.data.codigo} registrado.` });
+      setNewStall({ codigo: '', propietario: '' });
+      refresh();
+    } catch (error) {
+      if (error.response?.data?.errores) setErrors(error.response.data.errores);
+      handleError(error, 'Error al registrar el puesto.');
+    }
+  };
+
+  const bulkLoad = async () => {
+    const puestos = parseBulkText(bulkText);
+    if (puestos.length === 0) return;
+    try {
+      const response = await api({ method: 'post', url: '/puestos/bulk', data: { puestos } });
+      const { creados, actualizados, errores } = response.data;
+      const rejected = errores.map((e) => `línea ${e.indice + 1} (${e.codigo || 'vacía'}): ${Object.values(e.errores).join(', ')}`);
+      setAlert({
+        type: errores.length > 0 ? 'warning' : 'success',
+        message: alertMessage(`📋 ${creados} puestos creados y ${actualizados} actualizados.`, rejected.length > 0 ? `No se cargaron: ${rejected.join('; ')}` : null),
+      });
+      if (errores.length === 0) setBulkText('');
+      refresh();
+    } catch (error) {
+      handleError(error, 'Error en la carga de puestos.');
+    }
+  };
+
+  const updateStall = async (codigo, changes) => {
+    try {
+      const response = await api({ method: 'put', url: `/puestos/${codigo}`, data: changes });
+      setStalls((prev) => prev.map((p) => (p.codigo === codigo ? response.data : p)));
+      if (changes.activo !== undefined) refresh(); // Active stalls change the coverage
+    } catch (error) {
+      handleError(error, 'Error al actualizar el puesto.');
+    }
+  };
+
+  const deleteStall = async (codigo) => {
+    if (!window.confirm(`⚠️ ¿Eliminar el puesto ${codigo} del registro? Sus respuestas se conservan. Si solo dejó de funcionar, márquelo como inactivo.`)) return;
+    try {
+      await api({ method: 'delete', url: `/puestos/${codigo}` });
+      refresh();
+    } catch (error) {
+      handleError(error, 'Error al eliminar el puesto.');
+    }
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🏪 Puestos del Mercado</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-xl shadow-inner border border-gray-200 mb-8">
+        <h5 className="font-bold text-lg text-gray-700 mb-4">🗺️ Cobertura por Sector</h5>
+        {coverage ? <CoverageMap cobertura={coverage} /> : <p className="text-gray-500">Cargando...</p>}
+      </div>
+
+      {canEdit && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+          <form onSubmit={addStall} className="bg-gray-50 p-4 rounded-xl border border-gray-200 space-y-3">
+            <h5 className="font-bold text-gray-700">➕ Nuevo puesto</h5>
+            <div>
+              <input value={newStall.codigo} onChange={(e) => setNewStall({ ...newStall, codigo: e.target.value })} placeholder="Código (ej: A-15)" className={`${inputClass} w-full`} required />
+              <FieldError message={errors.codigo} />
+            </div>
+            <div>
+              <input value={newStall.propietario} onChange={(e) => setNewStall({ ...newStall, propietario: e.target.value })} placeholder="Propietario (opcional)" className={`${inputClass} w-full`} />
+              <FieldError message={errors.propietario} />
+            </div>
+            <button type="submit" className="bg-blue-600 text-white py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200">Registrar</button>
+          </form>
+
+          <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 space-y-3">
+            <h5 className="font-bold text-gray-700">📋 Carga masiva</h5>
+            <textarea
+              rows="4"
+              value={bulkText}
+              onChange={(e) => setBulkText(e.target.value)}
+              placeholder={'Un puesto por línea:\nA-15, Juan Pérez\nA-16, María Quispe'}
+              className={`${inputClass} w-full font-mono`}
+            ></textarea>
+            <button type="button" onClick={bulkLoad} disabled={!bulkText.trim()} className="bg-blue-600 text-white py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50">
+              Cargar {parseBulkText(bulkText).length || ''} puestos
+            </button>
+          </div>
+        </div>
+      )}
+
+      {stalls.length > 0 && (
+        <div className="overflow-x-auto rounded-xl border border-gray-200 shadow-md">
+          <table className="min-w-full text-sm text-left bg-white">
+            <thead className="bg-gray-100 text-gray-700">
+              <tr>
+                <th className="p-3">Código</th>
+                <th className="p-3">Sector</th>
+                <th className="p-3">Propietario</th>
+                <th className="p-3">Activo</th>
+                {canEdit && <th className="p-3"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {stalls.map((stall) => (
+                <tr key={stall.codigo} className={`border-t border-gray-100 ${stall.activo ? '' : 'text-gray-400'}`}>
+                  <td className="p-3 font-semibold">{stall.codigo}</td>
+                  <td className="p-3">{stall.sector}</td>
+                  <td className="p-3">
+                    <input
+                      readOnly={!canEdit}
+                      defaultValue={stall.propietario || ''}
+                      onBlur={(e) => e.target.value !== (stall.propietario || '') && updateStall(stall.codigo, { propietario: e.target.value })}
+                      className="p-1 border border-transparent hover:border-gray-300 focus:border-gray-300 rounded w-full"
+                      aria-label={`Propietario de ${stall.codigo}`}
+                    />
+                  </td>
+                  <td className="p-3">
+                    <input type="checkbox" checked={stall.activo} onChange={(e) => updateStall(stall.codigo, { activo: e.target.checked })} disabled={!canEdit} aria-label={`Puesto ${stall.codigo} activo`} />
+                  </td>
+                  {canEdit && (
+                    <td className="p-3">
+                      <button onClick={() => deleteStall(stall.codigo)} className="text-red-500 hover:text-red-700" title="Eliminar del registro" aria-label={`Eliminar ${stall.codigo}`}>🗑️</button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StallsPanel;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { COLORS, HorizontalBarChart, WordCloud } from './Charts';
+
+const TOP_BARS = 10;
+
+// "Análisis de Sugerencias" section of the dashboard (GET /api/sugerencias/analisis).
+// Clicking a theme lists its responses; clicking a word searches for it.
+// Without `onEditThemes` (read-only roles) the dictionary cannot be edited.
+const SuggestionsAnalysis = ({ analysis, onThemeClick, onTermClick, onEditThemes }) => {
+  if (!analysis) return null;
+  const { sugerencias, sinTema, temas, terminos, bigramas } = analysis;
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner border border-gray-200 mb-8">
+      <div className="flex justify-between items-center mb-4 flex-wrap gap-3">
+        <h4 className="text-xl font-semibold text-gray-800">
+          💬 Análisis de Sugerencias <span className="text-sm font-normal text-gray-500">({sugerencias} con texto)</span>
+        </h4>
+        {onEditThemes && (
+          <motion.button
+            onClick={onEditThemes}
+            className="bg-gray-200 text-gray-800 py-1 px-4 rounded-lg shadow hover:bg-gray-300 text-sm"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            ✏️ Editar temas
+          </motion.button>
+        )}
+      </div>
+
+      <h5 className="font-bold text-lg text-gray-700 mb-2">🏷️ Temas</h5>
+      <div className="flex flex-wrap gap-2 mb-6">
+        {temas.map((tema) => (
+          <button
+            key={tema.codigo}
+            onClick={() => onThemeClick(tema.codigo)}
+            disabled={tema.total === 0}
+            className="bg-white border border-gray-300 py-1 px-3 rounded-full text-sm shadow-sm hover:bg-blue-50 hover:border-blue-300 disabled:opacity-50 disabled:hover:bg-white"
+            title="Ver las respuestas de este tema"
+          >
+            {tema.nombre} <strong>{tema.total}</strong>
+          </button>
+        ))}
+        <span className="py-1 px-3 rounded-full text-sm text-gray-500 border border-dashed border-gray-300">Sin tema <strong>{sinTema}</strong></span>
+      </div>
+
+      <h5 className="font-bold text-lg text-gray-700 mb-2">☁️ Nube de palabras</h5>
+      <div className="bg-white rounded-lg border border-gray-200 mb-6">
+        <WordCloud data={terminos.map(({ termino, total }) => ({ label: termino, value: total }))} onSelect={onTermClick} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <div>
+          <h5 className="font-bold text-lg text-gray-700 mb-3">🔤 Términos más frecuentes</h5>
+          <HorizontalBarChart
+            data={terminos.slice(0, TOP_BARS).map(({ termino, total }) => ({ label: termino, value: total }))}
+            color={COLORS.blue}
+            unit=" sugerencias"
+          />
+        </div>
+        <div>
+          <h5 className="font-bold text-lg text-gray-700 mb-3">🔗 Pares de palabras frecuentes</h5>
+          <HorizontalBarChart
+            data={bigramas.slice(0, TOP_BARS).map(({ termino, total }) => ({ label: termino, value: total }))}
+            color={COLORS.green}
+            unit=" sugerencias"
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SuggestionsAnalysis;
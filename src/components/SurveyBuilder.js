@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import QuestionField, { FieldError } from './QuestionField';
+import api from '../api';
+import { useErrorHandler } from '../apiErrors';
+import { SURVEY_CODE, visibleAnswers } from '../surveyDefinition';
+
+const QUESTION_TYPES = [
+  { value: 'text', label: '✏️ Texto' },
+  { value: 'single', label: '🔘 Opción única' },
+  { value: 'multi', label: '☑️ Opción múltiple' },
+  { value: 'rating', label: '⭐ Calificación 1-5' },
+];
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const smallButtonClass = 'py-1 px-3 rounded-lg text-sm shadow-sm transition-colors duration-200 disabled:opacity-40';
+
+const newQuestion = (tipo, index) => ({
+  clave: `pregunta_${index + 1}`,
+  tipo,
+  etiqueta: '',
+  requerida: false,
+  ...(tipo === 'single' || tipo === 'multi'
+    ? { opciones: [{ valor: 'opcion_1', etiqueta: '' }, { valor: 'opcion_2', etiqueta: '' }] }
+    : {}),
+});
+
+const hasOptions = (pregunta) => pregunta.tipo === 'single' || pregunta.tipo === 'multi';
+
+// "Show only if" rule of a follow-up question: it can depend on any earlier options question.
+// The server rejects rules left pointing at a question moved below it or at a removed option.
+const VisibilityRule = ({ pregunta, earlier, onChange }) => {
+  const rule = pregunta.mostrarSi;
+  const source = earlier.find((p) => p.clave === rule?.clave);
+
+  const toggleValue = (valor) => {
+    const valores = rule.valores.includes(valor) ? rule.valores.filter((v) => v !== valor) : [...rule.valores, valor];
+    onChange({ ...rule, valores });
+  };
+
+  return (
+    <div className="bg-purple-50 p-2 rounded-lg border border-purple-100 space-y-1">
+      <div className="flex gap-2 items-center flex-wrap">
+        <label className="text-sm text-gray-600">👁️ Mostrar solo si:</label>
+        <select
+          value={rule?.clave || ''}
+          onChange={(e) => onChange(e.target.value ? { clave: e.target.value, valores: [] } : undefined)}
+          className="p-1 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="">Siempre visible</option>
+          {earlier.map((p) => <option key={p.clave} value={p.clave}>{p.etiqueta || p.clave}</option>)}
+          {rule?.clave && !source && <option value={rule.clave}>{rule.clave} (no disponible)</option>}
+        </select>
+      </div>
+      {source && (
+        <div className="flex gap-3 flex-wrap text-sm text-gray-700">
+          <span className="text-gray-500">responde:</span>
+          {source.opciones.map((opcion) => (
+            <label key={opcion.valor} className="flex items-center gap-1">
+              <input type="checkbox" checked={rule.valores.includes(opcion.valor)} onChange={() => toggleValue(opcion.valor)} />
+              {opcion.etiqueta || opcion.valor}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Admin screen to create surveys and edit their questions. Changes are saved as a draft
+// (the next version) and only reach SurveyForm once published.
+const SurveyBuilder = ({ onBack, onSessionExpired }) => {
+  const [surveys, setSurveys] = useState([]);
+  const [codigo, setCodigo] = useState(SURVEY_CODE);
+  const [newCodigo, setNewCodigo] = useState('');
+  const [draft, setDraft] = useState(null); // { titulo, preguntas }
+  const [status, setStatus] = useState(''); // Human-readable origin of the draft being edited
+  const [errors, setErrors] = useState({});
+  const [previewAnswers, setPreviewAnswers] = useState({});
+  const [alert, setAlert] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const showError = useErrorHandler(setAlert, onSessionExpired);
+  const handleError = useCallback((error, message) => {
+    if (error.response?.status === 400 && error.response.data?.errores) {
+      setErrors(error.response.data.errores);
+    }
+    showError(error, message);
+  }, [showError]);
+
+  const fetchSurveys = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/encuestas' });
+      setSurveys(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar las encuestas.');
+    }
+  }, [handleError]);
+
+  // Edit the pending draft if there is one; otherwise start from the latest published version
+  const loadSurvey = useCallback(async (code) => {
+    setBusy(true);
+    setErrors({});
+    setPreviewAnswers({});
+    try {
+      const response = await api({ method: 'get', url: `/encuestas/${code}/borrador` });
+      setDraft({ titulo: response.data.titulo, preguntas: response.data.preguntas });
+      setStatus(`📝 Borrador de la versión ${response.data.version} (sin publicar)`);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        handleError(error, 'Error al cargar el borrador.');
+        setBusy(false);
+        return;
+      }
+      try {
+        const published = await api({ method: 'get', url: `/encuestas/${code}` });
+        setDraft({ titulo: published.data.titulo, preguntas: published.data.preguntas });
+        setStatus(`✅ Basado en la versión publicada ${published.data.version}`);
+      } catch (publishedError) {
+        if (publishedError.response?.status !== 404) {
+          handleError(publishedError, 'Error al cargar la encuesta.');
+        } else {
+          setDraft({ titulo: '', preguntas: [] });
+          setStatus('🆕 Encuesta nueva');
+        }
+      }
+    } finally {
+      setBusy(false);
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchSurveys();
+  }, [fetchSurveys]);
+
+  useEffect(() => {
+    loadSurvey(codigo);
+  }, [codigo, loadSurvey]);
+
+  const createSurvey = (e) => {
+    e.preventDefault();
+    const code = newCodigo.trim().toLowerCase();
+    if (!/^[a-z0-9-]{3,50}$/.test(code)) {
+      setAlert({ type: 'warning', message: '⚠️ El código debe tener entre 3 y 50 letras minúsculas, números o guiones.' });
+      return;
+    }
+    setNewCodigo('');
+    setCodigo(code);
+  };
+
+  // --- Draft editing ---
+  const updateQuestion = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      preguntas: prev.preguntas.map((p, i) => (i === index ? { ...p, ...changes } : p)),
+    }));
+  };
+
+  const changeType = (index, tipo) => {
+    const current = draft.preguntas[index];
+    const needsOptions = hasOptions({ tipo });
+    updateQuestion(index, {
+      tipo,
+      opciones: needsOptions ? (current.opciones?.length ? current.opciones : newQuestion(tipo, index).opciones) : undefined,
+    });
+  };
+
+  const addQuestion = (tipo) => {
+    setDraft((prev) => ({ ...prev, preguntas: [...prev.preguntas, newQuestion(tipo, prev.preguntas.length)] }));
+  };
+
+  const removeQuestion = (index) => {
+    if (!window.confirm('⚠️ ¿Quitar esta pregunta del borrador?')) return;
+    setDraft((prev) => ({ ...prev, preguntas: prev.preguntas.filter((_, i) => i !== index) }));
+  };
+
+  const moveQuestion = (index, offset) => {
+    setDraft((prev) => {
+      const preguntas = [...prev.preguntas];
+      const [moved] = preguntas.splice(index, 1);
+      preguntas.splice(index + offset, 0, moved);
+      return { ...prev, preguntas };
+    });
+  };
+
+  const updateOption = (qIndex, oIndex, changes) => {
+    const opciones = draft.preguntas[qIndex].opciones.map((o, i) => (i === oIndex ? { ...o, ...changes } : o));
+    updateQuestion(qIndex, { opciones });
+  };
+
+  const addOption = (qIndex) => {
+    const opciones = draft.preguntas[qIndex].opciones;
+    updateQuestion(qIndex, { opciones: [...opciones, { valor: `opcion_${opciones.length + 1}`, etiqueta: '' }] });
+  };
+
+  const removeOption = (qIndex, oIndex) => {
+    updateQuestion(qIndex, { opciones: draft.preguntas[qIndex].opciones.filter((_, i) => i !== oIndex) });
+  };
+
+  // --- Server actions ---
+  const saveDraft = async () => {
+    setBusy(true);
+    setErrors({});
+    try {
+      const response = await api({ method: 'put', url: `/encuestas/${codigo}/borrador`, data: draft });
+      setStatus(`📝 Borrador de la versión ${response.data.version} (sin publicar)`);
+      setAlert({ type: 'success', message: '💾 Borrador guardado.' });
+      fetchSurveys();
+      return true;
+    } catch (error) {
+      handleError(error, 'Error al guardar el borrador.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const publish = async () => {
+    if (!window.confirm('🚀 ¿Publicar esta versión? El formulario de encuesta empezará a usarla de inmediato.')) return;
+    if (!(await saveDraft())) return;
+    setBusy(true);
+    try {
+      const response = await api({ method: 'post', url: `/encuestas/${codigo}/publicar` });
+      setStatus(`✅ Basado en la versión publicada ${response.data.encuesta.version}`);
+      setAlert({ type: 'success', message: `🚀 ${response.data.mensaje}.` });
+      fetchSurveys();
+    } catch (error) {
+      handleError(error, 'Error al publicar la encuesta.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const discardDraft = async () => {
+    if (!window.confirm('⚠️ ¿Descartar el borrador? Se perderán los cambios no publicados.')) return;
+    try {
+      await api({ method: 'delete', url: `/encuestas/${codigo}/borrador` });
+      setAlert({ type: 'success', message: '🗑️ Borrador descartado.' });
+      fetchSurveys();
+      loadSurvey(codigo);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        loadSurvey(codigo); // Nothing saved yet: just drop local changes
+        return;
+      }
+      handleError(error, 'Error al descartar el borrador.');
+    }
+  };
+
+  // The preview applies the "show only if" rules to the answers given in it
+  const previewVisible = draft ? visibleAnswers(draft, previewAnswers) : {};
+
+  const surveyOptions = surveys.some((s) => s.codigo === codigo) ? surveys : [...surveys, { codigo, titulo: 'Nueva encuesta' }];
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🛠️ Constructor de Encuestas</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-6 flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="encuesta-codigo" className="block text-gray-700 text-sm font-semibold mb-1">📋 Encuesta:</label>
+          <select id="encuesta-codigo" value={codigo} onChange={(e) => setCodigo(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+            {surveyOptions.map((s) => (
+              <option key={s.codigo} value={s.codigo}>
+                {s.titulo} ({s.codigo}){s.ultimaVersion ? ` · v${s.ultimaVersion}` : ''}{s.tieneBorrador ? ' · borrador' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <form onSubmit={createSurvey} className="flex items-end gap-2">
+          <div>
+            <label htmlFor="nueva-encuesta" className="block text-gray-700 text-sm font-semibold mb-1">🆕 Nueva encuesta (código):</label>
+            <input id="nueva-encuesta" value={newCodigo} onChange={(e) => setNewCodigo(e.target.value)} placeholder="ej: limpieza-mercado" className="p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <button type="submit" className={`${smallButtonClass} bg-blue-600 text-white hover:bg-blue-700 py-2`}>Crear</button>
+        </form>
+        <p className="text-sm text-gray-600 ml-auto">{status}</p>
+      </div>
+
+      {draft && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="encuesta-titulo" className="block text-gray-700 font-semibold mb-1">Título:</label>
+              <input id="encuesta-titulo" value={draft.titulo} onChange={(e) => setDraft({ ...draft, titulo: e.target.value })} className={inputClass} />
+              <FieldError message={errors.titulo} />
+              <FieldError message={errors.preguntas} />
+            </div>
+
+            {draft.preguntas.map((pregunta, index) => (
+              <div key={index} className="bg-white p-4 rounded-xl shadow-md border border-gray-200 space-y-2">
+                <div className="flex justify-between items-center gap-2">
+                  <span className="font-bold text-gray-700">#{index + 1}</span>
+                  <select value={pregunta.tipo} onChange={(e) => changeType(index, e.target.value)} className="p-1 border border-gray-300 rounded-lg text-sm">
+                    {QUESTION_TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+                    {pregunta.tipo === 'phone' && <option value="phone">📱 Teléfono</option>}
+                  </select>
+                  <div className="flex gap-1 ml-auto">
+                    <button type="button" onClick={() => moveQuestion(index, -1)} disabled={index === 0} className={`${smallButtonClass} bg-gray-200 hover:bg-gray-300`} aria-label="Subir">⬆️</button>
+                    <button type="button" onClick={() => moveQuestion(index, 1)} disabled={index === draft.preguntas.length - 1} className={`${smallButtonClass} bg-gray-200 hover:bg-gray-300`} aria-label="Bajar">⬇️</button>
+                    <button type="button" onClick={() => removeQuestion(index)} className={`${smallButtonClass} bg-red-100 text-red-700 hover:bg-red-200`} aria-label="Quitar">🗑️</button>
+                  </div>
+                </div>
+                <FieldError message={errors[`preguntas.${index}.tipo`]} />
+                <input value={pregunta.etiqueta} onChange={(e) => updateQuestion(index, { etiqueta: e.target.value })} placeholder="Texto de la pregunta" className={inputClass} />
+                <FieldError message={errors[`preguntas.${index}.etiqueta`]} />
+                <div className="flex gap-2 items-center flex-wrap">
+                  <label className="text-sm text-gray-600">Clave:</label>
+                  <input value={pregunta.clave} onChange={(e) => updateQuestion(index, { clave: e.target.value })} className="p-1 border border-gray-300 rounded-lg text-sm w-40" />
+                  <label className="text-sm text-gray-600 flex items-center gap-1 ml-auto">
+                    <input type="checkbox" checked={Boolean(pregunta.requerida)} onChange={(e) => updateQuestion(index, { requerida: e.target.checked })} /> Obligatoria
+                  </label>
+                </div>
+                <FieldError message={errors[`preguntas.${index}.clave`]} />
+                {(pregunta.tipo === 'text' || pregunta.tipo === 'phone') && (
+                  <input value={pregunta.placeholder || ''} onChange={(e) => updateQuestion(index, { placeholder: e.target.value })} placeholder="Texto de ayuda (opcional)" className={inputClass} />
+                )}
+                {hasOptions(pregunta) && (
+                  <div className="space-y-1">
+                    {pregunta.opciones.map((opcion, oIndex) => (
+                      <div key={oIndex} className="flex gap-2">
+                        <input value={opcion.valor} onChange={(e) => updateOption(index, oIndex, { valor: e.target.value })} placeholder="código" className="p-1 border border-gray-300 rounded-lg text-sm w-32" />
+                        <input value={opcion.etiqueta} onChange={(e) => updateOption(index, oIndex, { etiqueta: e.target.value })} placeholder="Texto de la opción" className="p-1 border border-gray-300 rounded-lg text-sm flex-1" />
+                        <button type="button" onClick={() => removeOption(index, oIndex)} className={`${smallButtonClass} bg-red-100 text-red-700 hover:bg-red-200`} aria-label="Quitar opción">✖️</button>
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => addOption(index)} className={`${smallButtonClass} bg-gray-200 hover:bg-gray-300`}>➕ Añadir opción</button>
+                    <FieldError message={errors[`preguntas.${index}.opciones`]} />
+                  </div>
+                )}
+                {(index > 0 || pregunta.mostrarSi) && (
+                  <VisibilityRule
+                    pregunta={pregunta}
+                    earlier={draft.preguntas.slice(0, index).filter(hasOptions)}
+                    onChange={(mostrarSi) => updateQuestion(index, { mostrarSi })}
+                  />
+                )}
+                <FieldError message={errors[`preguntas.${index}.mostrarSi`]} />
+              </div>
+            ))}
+
+            <div className="flex gap-2 flex-wrap">
+              {QUESTION_TYPES.map((t) => (
+                <button key={t.value} type="button" onClick={() => addQuestion(t.value)} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+                  ➕ {t.label}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex gap-3 flex-wrap pt-4 border-t border-gray-200">
+              <motion.button onClick={saveDraft} disabled={busy} className="bg-blue-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200" whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                💾 Guardar borrador
+              </motion.button>
+              <motion.button onClick={publish} disabled={busy} className="bg-green-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200" whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                🚀 Publicar
+              </motion.button>
+              <motion.button onClick={discardDraft} disabled={busy} className="bg-gray-200 text-gray-800 py-2 px-5 rounded-lg shadow-md hover:bg-gray-300 transition-colors duration-200" whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                ↩️ Descartar cambios
+              </motion.button>
+            </div>
+          </div>
+
+          <div className="bg-gray-50 p-4 rounded-xl border border-dashed border-gray-300 h-fit">
+            <h5 className="font-bold text-lg text-gray-700 mb-4">👁️ Vista previa</h5>
+            <h3 className="text-xl font-bold text-gray-800 mb-4">{draft.titulo || 'Sin título'}</h3>
+            <div className="space-y-6">
+              {draft.preguntas.map((pregunta, index) => (pregunta.clave in previewVisible) && (
+                <QuestionField
+                  key={index}
+                  pregunta={{ ...pregunta, etiqueta: pregunta.etiqueta || '(Pregunta sin texto)' }}
+                  value={previewAnswers[pregunta.clave] ?? (pregunta.tipo === 'multi' ? [] : '')}
+                  onChange={(clave, value) => setPreviewAnswers((prev) => ({ ...prev, [clave]: value }))}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SurveyBuilder;
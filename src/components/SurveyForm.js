@@ -1,228 +1,364 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import Alert from './Alert';
-import axios from 'axios';
+import QuestionField from './QuestionField';
+import LanguageSwitcher from './LanguageSwitcher';
+import { createIdempotencyKey, enqueueSurvey, isRetryable, postSurvey, startAutoSync } from '../offlineQueue';
+import { alertMessage, errorDetail } from '../apiErrors';
+import { fetchSurveyDefinition, emptyAnswers, splitIntoSteps, checkAnswer, visibleAnswers, PERSONAL_FIELDS } from '../surveyDefinition';
+import { loadDraft, saveDraft, clearDraft, draftAnswers } from '../surveyDraft';
+import { fetchStallCodes, normalizeStallCode } from '../stallRegistry';
+import { translateQuestion, useI18n } from '../i18n';
 
-// ✅ URL de producción (backend en Render)
-const SERVER_URL = "https://tu-backend.onrender.com/api";
+const navButtonClass = 'py-3 px-6 rounded-xl font-semibold shadow-md transition-colors duration-200';
 
+// The survey as a wizard: one step at a time (see SURVEY_STEPS), each validated before moving
+// on. Answers are saved as a draft on every change and offered for resume when the form opens.
 const SurveyForm = ({ onSurveySubmit }) => {
-  const [formData, setFormData] = useState({
-    nombre: '',
-    puesto: '',
-    telefono: '',
-    seguridad: '',
-    problemas: [],
-    sugerencia: '',
-    calificacion: '',
-  });
+  const [survey, setSurvey] = useState(null);
+  const [loadingSurvey, setLoadingSurvey] = useState(true);
+  const [formData, setFormData] = useState({});
+  const [step, setStep] = useState(0);
+  const [pendingDraft, setPendingDraft] = useState(null); // Draft found on load, until resumed or discarded
+  const [anonymous, setAnonymous] = useState(false); // Answer without name or phone
   const [alert, setAlert] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [stallCodes, setStallCodes] = useState([]); // Empty when the market has no stall registry
+  const { language, locale, t } = useI18n();
+  const top = useRef(null);
 
-  const handleChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    if (type === 'checkbox') {
-      setFormData((prev) => ({
-        ...prev,
-        problemas: checked
-          ? [...prev.problemas, value]
-          : prev.problemas.filter((p) => p !== value),
-      }));
-    } else {
-      setFormData((prev) => ({ ...prev, [name]: value }));
+  const steps = useMemo(() => (survey ? splitIntoSteps(survey) : []), [survey]);
+  const isLastStep = step === steps.length - 1;
+  // Follow-up questions appear and disappear with the answers they depend on
+  const shown = survey ? visibleAnswers(survey, formData, { anonymous }) : {};
+  const stepQuestions = (index) => steps[index].preguntas.filter((pregunta) => pregunta.clave in shown);
+
+  // Retry surveys saved while offline as soon as the connection comes back
+  useEffect(() => startAutoSync(), []);
+
+  // Autosave. While a draft is waiting to be resumed the empty form must not replace it; once it
+  // is resumed or discarded the form on screen is saved with the version of the loaded survey.
+  useEffect(() => {
+    if (survey && !pendingDraft) saveDraft(formData, step, survey.version, anonymous);
+  }, [survey, pendingDraft, formData, step, anonymous]);
+
+  const loadSurvey = useCallback(async () => {
+    setLoadingSurvey(true);
+    try {
+      const definition = await fetchSurveyDefinition();
+      setSurvey(definition);
+      setFormData(emptyAnswers(definition));
+      setStep(0);
+      setAnonymous(false);
+      setPendingDraft(loadDraft());
+    } catch (error) {
+      console.error('Error al cargar la encuesta:', error);
+    } finally {
+      setLoadingSurvey(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSurvey();
+    fetchStallCodes().then(setStallCodes);
+  }, [loadSurvey]);
+
+  const resumeDraft = () => {
+    setFormData(draftAnswers(pendingDraft, emptyAnswers(survey)));
+    setStep(Math.min(pendingDraft.step || 0, steps.length - 1));
+    setAnonymous(Boolean(pendingDraft.anonymous));
+    setPendingDraft(null);
+  };
+
+  const discardDraft = () => {
+    clearDraft();
+    setPendingDraft(null);
+  };
+
+  const handleAnswer = (clave, value) => {
+    if (fieldErrors[clave]) {
+      setFieldErrors(({ [clave]: _removed, ...rest }) => rest);
+    }
+    setFormData((prev) => ({ ...prev, [clave]: value }));
+  };
+
+  // Going anonymous also forgets the name and phone typed so far, so not even the draft keeps them
+  const handleAnonymous = (checked) => {
+    setAnonymous(checked);
+    if (!checked) return;
+    setFormData((prev) => ({ ...prev, ...Object.fromEntries(PERSONAL_FIELDS.filter((clave) => clave in prev).map((clave) => [clave, ''])) }));
+    setFieldErrors((prev) => Object.fromEntries(Object.entries(prev).filter(([clave]) => !PERSONAL_FIELDS.includes(clave))));
+  };
+
+  const goToStep = (index) => {
+    setStep(index);
+    top.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  // Errors (clave → message) of the questions shown in one step
+  const validateStep = (index) => {
+    const errors = {};
+    stepQuestions(index).forEach((pregunta) => {
+      const problem = checkAnswer(pregunta, formData[pregunta.clave]);
+      if (problem) errors[pregunta.clave] = t(...problem);
+    });
+    // Check the stall against the registry before sending (the server checks it again)
+    const asksStall = stepQuestions(index).some((pregunta) => pregunta.clave === 'puesto');
+    if (asksStall && !errors.puesto && stallCodes.length > 0 && formData.puesto) {
+      const stall = normalizeStallCode(formData.puesto);
+      if (!stall || !stallCodes.includes(stall)) errors.puesto = t('survey.unknownStall');
     }
+    return errors;
+  };
+
+  // Shows the errors on the first step that has any. Returns false if there were none.
+  const showErrors = (errors) => {
+    const keys = Object.keys(errors);
+    if (keys.length === 0) return false;
+    setFieldErrors(errors);
+    const index = steps.findIndex((s) => s.preguntas.some((pregunta) => keys.includes(pregunta.clave)));
+    if (index !== -1 && index !== step) goToStep(index);
+    return true;
+  };
+
+  const handleNext = () => {
+    setAlert(null);
+    if (showErrors(validateStep(step))) return;
+    setFieldErrors({});
+    goToStep(step + 1);
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setIsSubmitting(true);
+    // Enter in a text field moves forward instead of sending a half-filled survey
+    if (!isLastStep) {
+      handleNext();
+      return;
+    }
     setAlert(null);
+    setFieldErrors({});
+    if (showErrors(Object.assign({}, ...steps.map((_, index) => validateStep(index))))) return;
+    setIsSubmitting(true);
+
+    // Answers are stored against this exact survey version; the server assigns the submission date.
+    // Answers are option codes in every language: only `idioma` records which texts were shown.
+    // Answers to hidden follow-up questions are dropped.
+    const surveyData = { ...shown, encuesta: survey.codigo, encuestaVersion: survey.version, idioma: language, ...(anonymous && { anonima: true }) };
+    survey.preguntas
+      .filter((pregunta) => pregunta.tipo === 'rating' && shown[pregunta.clave] !== undefined && shown[pregunta.clave] !== '')
+      .forEach((pregunta) => {
+        surveyData[pregunta.clave] = Number(shown[pregunta.clave]);
+      });
+    // Same key for the first attempt and every retry, so the server can deduplicate
+    const idempotencyKey = createIdempotencyKey();
+    const thanks = t(shown.nombre ? 'survey.thanksName' : 'survey.thanks', { nombre: shown.nombre });
 
-    const now = new Date();
-    const surveyData = {
-      ...formData,
-      problemas: formData.problemas.join(', '), // Convert array to string for backend
-      fecha: now.toLocaleDateString('es-ES'),
-      hora: now.toLocaleTimeString('es-ES'),
+    const resetForm = () => {
+      clearDraft();
+      setFormData(emptyAnswers(survey));
+      setAnonymous(false);
+      goToStep(0);
+    };
+
+    const saveOffline = async () => {
+      await enqueueSurvey(idempotencyKey, surveyData);
+      setAlert({ type: 'warning', message: alertMessage(t('survey.savedOffline'), thanks) });
+      resetForm();
+      onSurveySubmit(surveyData);
     };
 
     try {
-      const response = await axios.post(`${SERVER_URL}/respuestas`, surveyData);
-      setAlert({ type: 'success', message: `✅ ${response.data.mensaje || 'Encuesta enviada al servidor exitosamente!'} <br/><small>Gracias por su participación, ${formData.nombre}</small>` });
-      setFormData({
-        nombre: '',
-        puesto: '',
-        telefono: '',
-        seguridad: '',
-        problemas: [],
-        sugerencia: '',
-        calificacion: '',
-      });
+      if (!navigator.onLine) {
+        await saveOffline();
+        return;
+      }
+      await postSurvey(idempotencyKey, surveyData);
+      setAlert({ type: 'success', message: alertMessage(`✅ ${t('survey.sent')}`, thanks) });
+      resetForm();
       onSurveySubmit(surveyData); // Notify parent component
     } catch (error) {
       console.error('Error al enviar la encuesta:', error);
-      setAlert({ type: 'danger', message: `❌ Error al enviar la encuesta. Inténtelo de nuevo. <br/><small>${error.response?.data?.error || error.message}</small>` });
+      if (error.response?.status === 400 && error.response.data?.errores) {
+        showErrors(error.response.data.errores);
+        setAlert({ type: 'warning', message: t('survey.invalidFields') });
+        return;
+      }
+      if (error.response?.status === 409) { // Duplicate rejected by the admin's rules
+        showErrors(error.response.data?.errores || {});
+        setAlert({ type: 'warning', message: `⚠️ ${t('survey.duplicate')}` });
+        return;
+      }
+      if (isRetryable(error)) {
+        try {
+          await saveOffline();
+          return;
+        } catch (storageError) {
+          console.error('Error al guardar la encuesta sin conexión:', storageError);
+        }
+      }
+      setAlert({ type: 'danger', message: alertMessage(t('survey.sendError'), errorDetail(error)) });
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const progress = steps.length > 0 ? Math.round(((step + 1) / steps.length) * 100) : 0;
+
   return (
     <motion.div
+      ref={top}
       className="bg-white/95 backdrop-blur-lg p-8 rounded-2xl shadow-xl border border-gray-200"
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.6, delay: 0.2 }}
     >
+      <LanguageSwitcher />
       {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
-      <form onSubmit={handleSubmit} className="space-y-6">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div className="form-group">
-            <label htmlFor="nombre" className="block text-gray-700 font-semibold mb-2">👤 Nombre del Comerciante:</label>
-            <input
-              type="text"
-              id="nombre"
-              name="nombre"
-              value={formData.nombre}
-              onChange={handleChange}
-              required
-              placeholder="Ingrese su nombre completo"
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-            />
-          </div>
-          <div className="form-group">
-            <label htmlFor="puesto" className="block text-gray-700 font-semibold mb-2">🏪 Número de Puesto:</label>
-            <input
-              type="text"
-              id="puesto"
-              name="puesto"
-              value={formData.puesto}
-              onChange={handleChange}
-              required
-              placeholder="Ej: A-15, B-23, C-07"
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-            />
-          </div>
-          <div className="form-group md:col-span-2">
-            <label htmlFor="telefono" className="block text-gray-700 font-semibold mb-2">📱 Teléfono (opcional):</label>
-            <input
-              type="tel"
-              id="telefono"
-              name="telefono"
-              value={formData.telefono}
-              onChange={handleChange}
-              placeholder="Número de contacto"
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-            />
-          </div>
+      {loadingSurvey && (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-lg">{t('survey.loading')}</p>
         </div>
-
-        <div className="form-group">
-          <label className="block text-gray-700 font-semibold mb-3">🛡️ ¿Se siente seguro en el mercado?</label>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {['sí', 'no', 'regular'].map((option) => (
-              <label key={option} className="flex items-center p-4 border border-gray-300 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors duration-200">
-                <input
-                  type="radio"
-                  name="seguridad"
-                  value={option}
-                  checked={formData.seguridad === option}
-                  onChange={handleChange}
-                  required
-                  className="form-radio h-5 w-5 text-blue-600"
-                />
-                <span className="ml-3 text-gray-700 font-medium capitalize">
-                  {option === 'sí' && '✅ Sí, me siento completamente seguro'}
-                  {option === 'no' && '❌ No, no me siento seguro'}
-                  {option === 'regular' && '⚠️ Me siento regular'}
-                </span>
-              </label>
-            ))}
-          </div>
+      )}
+      {!loadingSurvey && !survey && (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-lg mb-4">{t('survey.loadError')}</p>
+          <motion.button
+            onClick={loadSurvey}
+            className="bg-blue-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            {t('survey.retry')}
+          </motion.button>
         </div>
-
-        <div className="form-group">
-          <label className="block text-gray-700 font-semibold mb-3">🚨 ¿Qué problemas de seguridad ha observado? (Marque todos los que apliquen)</label>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {[
-              { value: 'robo', label: '🔓 Robos o hurtos frecuentes' },
-              { value: 'iluminacion', label: '💡 Mala iluminación nocturna' },
-              { value: 'vigilancia', label: '👮 Falta de vigilancia adecuada' },
-              { value: 'acceso', label: '🚪 Control de acceso deficiente' },
-              { value: 'emergencia', label: '🚨 Falta plan de emergencias' },
-              { value: 'otros', label: '📝 Otros problemas de seguridad' },
-            ].map((option) => (
-              <label key={option.value} className="flex items-center p-4 border border-gray-300 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors duration-200">
-                <input
-                  type="checkbox"
-                  name="problemas"
-                  value={option.value}
-                  checked={formData.problemas.includes(option.value)}
-                  onChange={handleChange}
-                  className="form-checkbox h-5 w-5 text-blue-600 rounded"
-                />
-                <span className="ml-3 text-gray-700 font-medium">{option.label}</span>
-              </label>
-            ))}
+      )}
+      {survey && pendingDraft && (
+        <div className="text-center py-8 px-4 bg-blue-50 border border-blue-200 rounded-xl">
+          <p className="text-lg text-gray-800 mb-4">{t('draft.found', { fecha: new Date(pendingDraft.savedAt).toLocaleString(locale) })}</p>
+          <div className="flex justify-center gap-3 flex-wrap">
+            <motion.button
+              onClick={resumeDraft}
+              className={`${navButtonClass} bg-blue-600 text-white hover:bg-blue-700`}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              {t('draft.resume')}
+            </motion.button>
+            <motion.button
+              onClick={discardDraft}
+              className={`${navButtonClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              {t('draft.discard')}
+            </motion.button>
           </div>
         </div>
+      )}
+      {survey && !pendingDraft && steps.length > 0 && (
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="mb-6">
+            <div className="flex justify-between items-end mb-2 text-sm">
+              <span className="font-bold text-lg text-gray-800">{t(`steps.${steps[step].id}`)}</span>
+              <span className="text-gray-500">{t('wizard.progress', { paso: step + 1, total: steps.length })}</span>
+            </div>
+            <div
+              className="w-full bg-gray-200 rounded-full h-3 overflow-hidden"
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={progress}
+            >
+              <motion.div
+                className="h-3 rounded-full bg-gradient-to-r from-blue-500 to-purple-600"
+                initial={false}
+                animate={{ width: `${progress}%` }}
+                transition={{ duration: 0.4 }}
+              />
+            </div>
+          </div>
 
-        <div className="form-group">
-          <label htmlFor="sugerencia" className="block text-gray-700 font-semibold mb-2">💡 ¿Qué medidas de seguridad le gustaría que se implementen o mejoren?</label>
-          <textarea
-            id="sugerencia"
-            name="sugerencia"
-            value={formData.sugerencia}
-            onChange={handleChange}
-            rows="4"
-            placeholder="Describa detalladamente sus sugerencias para mejorar la seguridad del mercado..."
-            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-          ></textarea>
-        </div>
-
-        <div className="form-group">
-          <label className="block text-gray-700 font-semibold mb-3">⭐ Califique la seguridad actual del mercado (1-5):</label>
-          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
-            {[1, 2, 3, 4, 5].map((rating) => (
-              <label key={rating} className="flex items-center p-4 border border-gray-300 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors duration-200">
+          <motion.div
+            key={steps[step].id}
+            className="space-y-6"
+            initial={{ opacity: 0, x: 30 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            {steps[step].preguntas.some((pregunta) => PERSONAL_FIELDS.includes(pregunta.clave)) && (
+              <label className="flex items-start gap-3 p-4 bg-gray-50 border border-gray-200 rounded-xl cursor-pointer">
                 <input
-                  type="radio"
-                  name="calificacion"
-                  value={rating}
-                  checked={formData.calificacion === String(rating)}
-                  onChange={handleChange}
-                  required
-                  className="form-radio h-5 w-5 text-blue-600"
+                  type="checkbox"
+                  checked={anonymous}
+                  onChange={(e) => handleAnonymous(e.target.checked)}
+                  className="mt-1 w-5 h-5 accent-purple-600"
                 />
-                <span className="ml-3 text-gray-700 font-medium">{'⭐'.repeat(rating)} {rating}</span>
+                <span>
+                  <span className="font-semibold text-gray-800">🕶️ {t('survey.anonymous')}</span>
+                  <span className="block text-sm text-gray-500">{t('survey.anonymousHint')}</span>
+                </span>
               </label>
+            )}
+            {stepQuestions(step).map((pregunta) => (
+              <QuestionField
+                key={pregunta.clave}
+                pregunta={translateQuestion(pregunta, language)}
+                value={formData[pregunta.clave]}
+                error={fieldErrors[pregunta.clave]}
+                onChange={handleAnswer}
+                suggestions={pregunta.clave === 'puesto' ? stallCodes : undefined}
+              />
             ))}
-          </div>
-        </div>
+          </motion.div>
 
-        <div className="text-center mt-8">
-          <motion.button
-            type="submit"
-            className="bg-gradient-to-r from-blue-600 to-purple-700 text-white font-bold py-3 px-8 rounded-xl shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition-all duration-300 flex items-center justify-center mx-auto"
-            whileHover={{ scale: 1.02 }}
-            whileTap={{ scale: 0.98 }}
-            disabled={isSubmitting}
-          >
-            {isSubmitting ? (
-              <>
-                <span className="mr-2">Enviando...</span>
-                <div className="spinner border-white border-t-white"></div>
-              </>
+          <div className="flex justify-between items-center gap-4 mt-8 flex-wrap">
+            {step > 0 ? (
+              <motion.button
+                type="button"
+                onClick={() => goToStep(step - 1)}
+                className={`${navButtonClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {t('wizard.back')}
+              </motion.button>
+            ) : <span />}
+            {isLastStep ? (
+              <motion.button
+                type="submit"
+                className="bg-gradient-to-r from-blue-600 to-purple-700 text-white font-bold py-3 px-8 rounded-xl shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition-all duration-300 flex items-center justify-center"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? (
+                  <>
+                    <span className="mr-2">{t('survey.submitting')}</span>
+                    <div className="spinner border-white border-t-white"></div>
+                  </>
+                ) : (
+                  <>
+                    <span className="mr-2">📤</span> {t('survey.submit')}
+                  </>
+                )}
+              </motion.button>
             ) : (
-              <>
-                <span className="mr-2">📤</span> Enviar Encuesta
-              </>
+              <motion.button
+                type="submit"
+                className={`${navButtonClass} bg-blue-600 text-white hover:bg-blue-700`}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {t('wizard.next')}
+              </motion.button>
             )}
-          </motion.button>
-        </div>
-      </form>
+          </div>
+          <p className="text-xs text-gray-400 text-center mt-4">{t('draft.autosaved')}</p>
+        </form>
+      )}
     </motion.div>
   );
 };
 
-export default SurveyForm;
\ No newline at end of file
+export default SurveyForm;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import { FieldError } from './QuestionField';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm';
+
+// Keywords are edited as a comma-separated list
+const toForm = (tema) => ({ codigo: tema.codigo, nombre: tema.nombre, palabras: tema.palabras.join(', ') });
+const fromForm = (tema) => ({ ...tema, palabras: tema.palabras.split(',').map((p) => p.trim()).filter(Boolean) });
+
+// Theme code suggested from the name: "💡 Iluminación" → "iluminacion"
+const suggestCode = (nombre) => nombre
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40);
+
+// Dictionary that tags suggestions into themes. Saving re-tags every suggestion on the server.
+const ThemesPanel = ({ onBack, onSessionExpired }) => {
+  const [themes, setThemes] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [alert, setAlert] = useState(null);
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchThemes = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/sugerencias/temas' });
+      setThemes(response.data.map(toForm));
+    } catch (error) {
+      handleError(error, 'Error al cargar los temas.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchThemes();
+  }, [fetchThemes]);
+
+  const updateTheme = (index, changes) => {
+    setThemes((prev) => prev.map((theme, i) => (i === index ? { ...theme, ...changes } : theme)));
+  };
+
+  const saveThemes = async () => {
+    setErrors({});
+    setSaving(true);
+    try {
+      const response = await api({ method: 'put', url: '/sugerencias/temas', data: { temas: themes.map(fromForm) }, timeout: 0 });
+      setThemes(response.data.temas.map(toForm));
+      setAlert({ type: 'success', message: alertMessage('💾 Temas guardados.', `${response.data.reclasificadas} respuestas reclasificadas.`) });
+    } catch (error) {
+      if (error.response?.data?.errores) setErrors(error.response.data.errores);
+      handleError(error, 'Error al guardar los temas.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🏷️ Temas de las Sugerencias</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-4">
+        Una sugerencia pertenece a un tema si contiene alguna de sus palabras clave. Se comparan sin tildes ni mayúsculas
+        y como inicio de palabra: «cámara» reconoce también «cámaras».
+      </p>
+      {errors.temas && <FieldError message={errors.temas} />}
+
+      <div className="space-y-3">
+        {themes.map((theme, index) => (
+          <div key={index} className="bg-gray-50 p-4 rounded-xl border border-gray-200">
+            <div className="flex flex-wrap items-start gap-3">
+              <div>
+                <input
+                  type="text"
+                  value={theme.nombre}
+                  onChange={(e) => updateTheme(index, { nombre: e.target.value })}
+                  onBlur={() => !theme.codigo && updateTheme(index, { codigo: suggestCode(theme.nombre) })}
+                  placeholder="Nombre (p. ej. 📹 Cámaras)"
+                  className={inputClass}
+                  aria-label="Nombre del tema"
+                />
+                <FieldError message={errors[`temas.${index}.nombre`]} />
+              </div>
+              <div>
+                <input
+                  type="text"
+                  value={theme.codigo}
+                  onChange={(e) => updateTheme(index, { codigo: e.target.value })}
+                  placeholder="código"
+                  className={`${inputClass} w-36 font-mono`}
+                  aria-label="Código del tema"
+                />
+                <FieldError message={errors[`temas.${index}.codigo`]} />
+              </div>
+              <button onClick={() => setThemes((prev) => prev.filter((_, i) => i !== index))} className="text-red-500 hover:text-red-700 p-2" aria-label="Quitar tema">🗑️</button>
+            </div>
+            <textarea
+              value={theme.palabras}
+              onChange={(e) => updateTheme(index, { palabras: e.target.value })}
+              placeholder="Palabras clave separadas por comas"
+              rows={2}
+              className={`${inputClass} w-full mt-2`}
+              aria-label="Palabras clave"
+            />
+            <FieldError message={errors[`temas.${index}.palabras`]} />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2 mt-4">
+        <button
+          onClick={() => setThemes((prev) => [...prev, { codigo: '', nombre: '', palabras: '' }])}
+          className="bg-gray-200 text-gray-800 py-1 px-3 rounded-lg text-sm shadow hover:bg-gray-300"
+        >
+          ➕ Añadir tema
+        </button>
+        <button onClick={saveThemes} disabled={saving} className="bg-blue-600 text-white py-1 px-3 rounded-lg text-sm shadow hover:bg-blue-700 disabled:opacity-50">
+          {saving ? 'Guardando y reclasificando...' : '💾 Guardar temas'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ThemesPanel;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import Alert from './Alert';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+
+const TrashPanel = ({ onBack, onSessionExpired }) => {
+  const [items, setItems] = useState([]);
+  const [alert, setAlert] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api({ method: 'get', url: '/papelera' });
+      setItems(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar la papelera.');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const restoreItem = async (id) => {
+    try {
+      await api({ method: 'post', url: `/papelera/${id}/restaurar` });
+      setItems((prev) => prev.filter((item) => item._id !== id));
+      setAlert({ type: 'success', message: '♻️ Encuesta restaurada correctamente.' });
+    } catch (error) {
+      handleError(error, 'Error al restaurar la encuesta.');
+    }
+  };
+
+  const purgeItem = async (id) => {
+    if (!window.confirm('⚠️ ¿Eliminar definitivamente esta encuesta? Esta acción no se puede deshacer.')) return;
+    try {
+      await api({ method: 'delete', url: `/papelera/${id}` });
+      setItems((prev) => prev.filter((item) => item._id !== id));
+      setAlert({ type: 'success', message: '🗑️ Encuesta eliminada definitivamente.' });
+    } catch (error) {
+      handleError(error, 'Error al eliminar la encuesta.');
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!window.confirm('⚠️ ¿Vaciar la papelera? Todas las encuestas eliminadas se borrarán definitivamente.')) return;
+    try {
+      const response = await api({ method: 'delete', url: '/papelera' });
+      setItems([]);
+      setAlert({ type: 'success', message: alertMessage('🗑️ Papelera vaciada.', `${response.data.eliminadas} encuestas eliminadas definitivamente.`) });
+    } catch (error) {
+      handleError(error, 'Error al vaciar la papelera.');
+    }
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">🗑️ Papelera</h4>
+        <div className="flex gap-3 flex-wrap">
+          <motion.button
+            onClick={onBack}
+            className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <span className="text-xl">🔙</span> Volver al Panel
+          </motion.button>
+          <motion.button
+            onClick={emptyTrash}
+            className="bg-red-500 text-white py-2 px-5 rounded-lg shadow-md hover:bg-red-600 transition-colors duration-200 flex items-center gap-2"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            disabled={items.length === 0}
+          >
+            <span className="text-xl">🔥</span> Vaciar Papelera
+          </motion.button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-lg">Cargando papelera...</p>
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-lg">La papelera está vacía.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <AnimatePresence>
+            {items.map((item) => (
+              <motion.div
+                key={item._id}
+                className="bg-white p-5 rounded-xl shadow-md border border-gray-200 flex justify-between items-center flex-wrap gap-4"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, x: -20 }}
+                transition={{ duration: 0.3 }}
+              >
+                <div>
+                  <h5 className="text-lg font-semibold text-gray-800">👤 {item.nombre || (item.anonima ? '🕶️ Anónima' : '—')} <span className="text-gray-500 text-sm font-normal">({item.puesto || 'No especificado'})</span></h5>
+                  <p className="text-gray-500 text-sm">
+                    🗑️ Eliminada el {new Date(item.deletedAt).toLocaleString('es-ES')} por {item.deletedBy || 'desconocido'}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <motion.button
+                    onClick={() => restoreItem(item._id)}
+                    className="bg-green-500 text-white py-1 px-4 rounded-lg shadow hover:bg-green-600 transition-colors duration-200"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    ♻️ Restaurar
+                  </motion.button>
+                  <motion.button
+                    onClick={() => purgeItem(item._id)}
+                    className="bg-red-500 text-white py-1 px-4 rounded-lg shadow hover:bg-red-600 transition-colors duration-200"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    ❌ Eliminar definitivamente
+                  </motion.button>
+                </div>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrashPanel;
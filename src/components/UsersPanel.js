@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Alert from './Alert';
+import { FieldError } from './QuestionField';
+import api from '../api';
+import { useErrorHandler, alertMessage } from '../apiErrors';
+import { getSession, ROLE_LABELS } from '../session';
+
+const EMPTY_INVITATION = { rol: 'analista', email: '', horas: '72' };
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm';
+
+// Link the invited person opens to reach the registration form (see App.js)
+const invitationLink = (token) => `${window.location.origin}${window.location.pathname}?invitacion=${token}`;
+
+// Panel users (change role, enable/disable) and one-time invitation links. Superadmin only.
+const UsersPanel = ({ onBack, onSessionExpired }) => {
+  const [users, setUsers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [newInvitation, setNewInvitation] = useState(EMPTY_INVITATION);
+  const [errors, setErrors] = useState({});
+  const [createdLink, setCreatedLink] = useState(null);
+  const [alert, setAlert] = useState(null);
+  const currentUser = getSession()?.user?.usuario;
+
+  const handleError = useErrorHandler(setAlert, onSessionExpired);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/usuarios' });
+      setUsers(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar los usuarios.');
+    }
+  }, [handleError]);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const response = await api({ method: 'get', url: '/invitaciones' });
+      setInvitations(response.data);
+    } catch (error) {
+      handleError(error, 'Error al cargar las invitaciones.');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchUsers();
+    fetchInvitations();
+  }, [fetchUsers, fetchInvitations]);
+
+  const updateUser = async (user, changes) => {
+    if (changes.activo === false && !window.confirm(`⚠️ ¿Desactivar la cuenta de ${user.usuario}? Se cerrarán sus sesiones y no podrá volver a entrar hasta que la reactive.`)) return;
+    try {
+      const response = await api({ method: 'put', url: `/usuarios/${user.id}`, data: changes });
+      setUsers((prev) => prev.map((u) => (u.id === user.id ? response.data : u)));
+      setAlert({ type: 'success', message: alertMessage(`✅ Usuario ${user.usuario} actualizado.`, 'Sus sesiones abiertas se han cerrado.') });
+    } catch (error) {
+      handleError(error, 'Error al actualizar el usuario.');
+    }
+  };
+
+  const createInvitation = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setCreatedLink(null);
+    try {
+      const data = { ...newInvitation, horas: Number(newInvitation.horas) };
+      const response = await api({ method: 'post', url: '/invitaciones', data });
+      setCreatedLink(invitationLink(response.data.token));
+      setNewInvitation(EMPTY_INVITATION);
+      fetchInvitations();
+    } catch (error) {
+      if (error.response?.data?.errores) setErrors(error.response.data.errores);
+      handleError(error, 'Error al crear la invitación.');
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(createdLink);
+      setAlert({ type: 'success', message: '📋 Enlace copiado al portapapeles.' });
+    } catch (error) {
+      setAlert({ type: 'warning', message: '⚠️ No se pudo copiar: seleccione el enlace y cópielo manualmente.' });
+    }
+  };
+
+  const revokeInvitation = async (invitation) => {
+    if (!window.confirm('⚠️ ¿Revocar esta invitación? El enlace dejará de funcionar.')) return;
+    try {
+      await api({ method: 'delete', url: `/invitaciones/${invitation._id}` });
+      setInvitations((prev) => prev.filter((i) => i._id !== invitation._id));
+    } catch (error) {
+      handleError(error, 'Error al revocar la invitación.');
+    }
+  };
+
+  return (
+    <div>
+      {alert && <Alert message={alert.message} type={alert.type} onClose={() => setAlert(null)} />}
+
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <h4 className="text-2xl font-bold text-gray-800">👥 Usuarios del Panel</h4>
+        <motion.button
+          onClick={onBack}
+          className="bg-gray-600 text-white py-2 px-5 rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center gap-2"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <span className="text-xl">🔙</span> Volver al Panel
+        </motion.button>
+      </div>
+
+      <form onSubmit={createInvitation} className="bg-gray-50 p-4 rounded-xl border border-gray-200 mb-8">
+        <h5 className="font-bold text-lg text-gray-700 mb-1">✉️ Nueva invitación</h5>
+        <p className="text-sm text-gray-500 mb-3">El enlace sirve para registrar una sola cuenta con el rol elegido y caduca pasadas las horas indicadas.</p>
+        <div className="flex flex-wrap items-start gap-3">
+          <div>
+            <select value={newInvitation.rol} onChange={(e) => setNewInvitation({ ...newInvitation, rol: e.target.value })} className={inputClass} aria-label="Rol">
+              {Object.entries(ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <FieldError message={errors.rol} />
+          </div>
+          <div>
+            <input type="email" value={newInvitation.email} onChange={(e) => setNewInvitation({ ...newInvitation, email: e.target.value })} placeholder="Email (opcional)" className={inputClass} />
+            <FieldError message={errors.email} />
+          </div>
+          <div>
+            <input type="number" min="1" value={newInvitation.horas} onChange={(e) => setNewInvitation({ ...newInvitation, horas: e.target.value })} className={`${inputClass} w-20`} aria-label="Vigencia en horas" /> <span className="text-sm text-gray-600">horas</span>
+            <FieldError message={errors.horas} />
+          </div>
+          <button type="submit" className="bg-blue-600 text-white py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200 text-sm">Crear enlace</button>
+        </div>
+        {createdLink && (
+          <div className="mt-4 bg-green-50 border border-green-200 p-3 rounded-lg">
+            <p className="text-sm text-green-800 mb-2">✅ Envíe este enlace a la persona invitada. No se volverá a mostrar.</p>
+            <div className="flex gap-2">
+              <input readOnly value={createdLink} onFocus={(e) => e.target.select()} className={`${inputClass} flex-1 font-mono`} aria-label="Enlace de invitación" />
+              <button type="button" onClick={copyLink} className="bg-green-600 text-white py-1 px-3 rounded-lg text-sm shadow hover:bg-green-700">📋 Copiar</button>
+            </div>
+          </div>
+        )}
+      </form>
+
+      {invitations.length > 0 && (
+        <div className="mb-8">
+          <h5 className="font-bold text-lg text-gray-700 mb-3">⏳ Invitaciones pendientes ({invitations.length})</h5>
+          <ul className="space-y-2">
+            {invitations.map((invitation) => (
+              <li key={invitation._id} className="bg-white p-3 rounded-lg border border-gray-200 flex justify-between items-center gap-2 flex-wrap">
+                <span className="text-sm text-gray-700">
+                  {ROLE_LABELS[invitation.rol] || invitation.rol}{invitation.email && <> · {invitation.email}</>}
+                  <span className="text-gray-500"> · creada por {invitation.creadaPor} · caduca el {new Date(invitation.expiraEn).toLocaleString('es-ES')}</span>
+                </span>
+                <button onClick={() => revokeInvitation(invitation)} className="text-red-500 hover:text-red-700 text-sm">🚫 Revocar</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="overflow-x-auto rounded-xl border border-gray-200 shadow-md">
+        <table className="min-w-full text-sm text-left bg-white">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className="p-3">Usuario</th>
+              <th className="p-3">Email</th>
+              <th className="p-3">Registro</th>
+              <th className="p-3">Rol</th>
+              <th className="p-3">Activo</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => {
+              const isSelf = user.usuario === currentUser; // The server rejects changes to your own account
+              return (
+                <tr key={user.id} className={`border-t border-gray-100 ${user.activo ? '' : 'text-gray-400'}`}>
+                  <td className="p-3 font-semibold">{user.usuario}{isSelf && <span className="text-gray-500 font-normal"> (usted)</span>}</td>
+                  <td className="p-3">{user.email}</td>
+                  <td className="p-3">{user.fechaRegistro}</td>
+                  <td className="p-3">
+                    <select value={user.rol} onChange={(e) => updateUser(user, { rol: e.target.value })} disabled={isSelf} className={inputClass} aria-label={`Rol de ${user.usuario}`}>
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                  </td>
+                  <td className="p-3">
+                    <input type="checkbox" checked={user.activo} onChange={(e) => updateUser(user, { activo: e.target.checked })} disabled={isSelf} aria-label={`Cuenta de ${user.usuario} activa`} />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default UsersPanel;
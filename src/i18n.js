@@ -0,0 +1,81 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import es from './locales/es';
+import qu from './locales/qu';
+import ay from './locales/ay';
+import en from './locales/en';
+
+// Languages of the public pages (survey, login and registration). Codes match the `idioma`
+// stored on each response; `locale` formats dates.
+export const LANGUAGES = [
+  { code: 'es', label: 'Español', locale: 'es-ES' },
+  { code: 'qu', label: 'Runasimi', locale: 'es-BO' },
+  { code: 'ay', label: 'Aymar aru', locale: 'es-BO' },
+  { code: 'en', label: 'English', locale: 'en-GB' },
+];
+export const DEFAULT_LANGUAGE = 'es';
+
+const CATALOGS = { es, qu, ay, en };
+const STORAGE_KEY = 'encuesta-mercado-idioma';
+
+// Saved choice, else the browser language when we have it, else Spanish
+const initialLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (CATALOGS[saved]) return saved;
+  const browser = (navigator.language || '').slice(0, 2);
+  return CATALOGS[browser] ? browser : DEFAULT_LANGUAGE;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+
+// Text for "section.key" in the given language, falling back to Spanish and then to the key
+// itself. {placeholders} are replaced with `values`.
+export const translate = (language, key, values = {}) => {
+  const text = lookup(CATALOGS[language], key) ?? lookup(es, key) ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+};
+
+// A survey question with its texts in the given language. The definition is the Spanish text,
+// so questions (or options) missing from the catalog keep it.
+export const translateQuestion = (pregunta, language) => {
+  const texts = CATALOGS[language]?.questions?.[pregunta.clave];
+  if (!texts) return pregunta;
+  return {
+    ...pregunta,
+    etiqueta: texts.etiqueta || pregunta.etiqueta,
+    placeholder: texts.placeholder || pregunta.placeholder,
+    opciones: pregunta.opciones?.map((opcion) => ({ ...opcion, etiqueta: texts.opciones?.[opcion.valor] || opcion.etiqueta })),
+  };
+};
+
+const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  locale: LANGUAGES[0].locale,
+  setLanguage: () => {},
+  t: (key, values) => translate(DEFAULT_LANGUAGE, key, values),
+});
+
+export const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(initialLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((code) => {
+    if (!CATALOGS[code]) return;
+    localStorage.setItem(STORAGE_KEY, code);
+    setLanguageState(code);
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    locale: LANGUAGES.find((l) => l.code === language).locale,
+    setLanguage,
+    t: (key, values) => translate(language, key, values),
+  }), [language, setLanguage]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// { language, locale, setLanguage, t } for the current language
+export const useI18n = () => useContext(I18nContext);
@@ -3,10 +3,13 @@ import { createRoot } from "react-dom/client";
 import "./styles.css";
 
 import App from "./App";
+import { I18nProvider } from "./i18n";
 
 const root = createRoot(document.getElementById("root"));
 root.render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </StrictMode>
 );
\ No newline at end of file
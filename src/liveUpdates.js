@@ -0,0 +1,145 @@
+import { API_URL, refreshSession } from './api';
+import { getSession } from './session';
+import { UTC_OFFSET_HOURS } from './timeZone';
+
+// Live updates of the responses (GET /api/respuestas/stream, Server-Sent Events).
+// 'creada' and 'eliminada' carry the affected response, 'recargar' asks to fetch everything
+// again after bulk changes or when missed events could not be replayed.
+const EVENT_TYPES = ['creada', 'eliminada', 'recargar'];
+const MAX_RETRY_DELAY = 60000;
+
+// Opens the stream and calls onEvent(type, data) for every event and onStatus(connected) when
+// the connection opens or drops. Returns a function that closes it, for useEffect.
+export const subscribeToResponses = ({ onEvent, onStatus }) => {
+  let source = null;
+  let lastEventId = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let closed = false;
+
+  const connect = () => {
+    const session = getSession();
+    if (closed || !session?.accessToken) return;
+    // EventSource cannot send headers, so the access token goes in the URL
+    const params = new URLSearchParams({ token: session.accessToken });
+    if (lastEventId) params.set('ultimoEvento', lastEventId);
+    source = new EventSource(`${API_URL}/respuestas/stream?${params}`);
+
+    source.addEventListener('conectado', (e) => {
+      lastEventId = e.lastEventId;
+      attempts = 0;
+      onStatus(true);
+    });
+    EVENT_TYPES.forEach((type) => source.addEventListener(type, (e) => {
+      lastEventId = e.lastEventId;
+      onEvent(type, JSON.parse(e.data));
+    }));
+
+    source.onerror = () => {
+      onStatus(false);
+      // While reconnecting the browser retries by itself and resumes through Last-Event-ID.
+      // CLOSED means the server refused the connection, usually because the token expired:
+      // renew it and open a new stream that resumes from the last event received.
+      if (source.readyState !== EventSource.CLOSED) return;
+      source.close();
+      const delay = Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY);
+      attempts++;
+      retryTimer = setTimeout(async () => {
+        await refreshSession();
+        connect();
+      }, delay);
+    };
+  };
+
+  connect();
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+};
+
+// --- Incremental statistics ---
+// Same shape as GET /api/estadisticas, so a response received live can be added or removed
+// without asking the server to aggregate everything again.
+
+const VALID_RATINGS = [1, 2, 3, 4, 5];
+
+const localDate = (value) => new Date(new Date(value).getTime() + UTC_OFFSET_HOURS * 60 * 60 * 1000);
+
+// Local start date (YYYY-MM-DD) of the day or the week (starting on Monday) of a response
+const periodOf = (submittedAt, agrupacion) => {
+  const date = localDate(submittedAt);
+  if (agrupacion === 'semana') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+const average = (sum, count) => (count > 0 ? Math.round((sum / count) * 10) / 10 : null);
+
+// Whether a response counts for the statistics filters (desde, hasta, sector) as the server applies them
+export const matchesStatsFilters = (respuesta, { desde, hasta, sector } = {}) => {
+  const day = localDate(respuesta.submittedAt).toISOString().slice(0, 10);
+  if (desde && day < desde) return false;
+  if (hasta && day > hasta) return false;
+  if (sector) {
+    // The sector is the leading letters of the stall code: "A-15" belongs to "A", not "AB-3" to "A"
+    const prefix = sector.trim().toUpperCase();
+    const puesto = respuesta.puesto || '';
+    if (!puesto.startsWith(prefix) || /[A-Z]/.test(puesto.charAt(prefix.length))) return false;
+  }
+  return true;
+};
+
+// A list of { codigo, total } counts after adding or removing the codes of one response
+const applyToCounts = (counts, codes, delta) => {
+  const totals = Object.fromEntries(counts.map(({ codigo, total }) => [codigo, total]));
+  codes.forEach((codigo) => {
+    totals[codigo] = (totals[codigo] || 0) + delta;
+  });
+  return Object.entries(totals)
+    .filter(([, total]) => total > 0)
+    .map(([codigo, total]) => ({ codigo, total }))
+    .sort((a, b) => b.total - a.total || a.codigo.localeCompare(b.codigo));
+};
+
+// Statistics after adding (delta = 1) or removing (delta = -1) one response
+export const applyToStats = (stats, respuesta, delta) => {
+  const rating = VALID_RATINGS.includes(respuesta.calificacion) ? respuesta.calificacion : null;
+  const rated = rating ? delta : 0;
+  const ratingSum = rating ? rating * delta : 0;
+  const problemas = respuesta.problemas || [];
+
+  const seguridad = { ...stats.seguridad };
+  const seguridadKey = respuesta.seguridad || 'sin respuesta';
+  seguridad[seguridadKey] = (seguridad[seguridadKey] || 0) + delta;
+  if (seguridad[seguridadKey] <= 0) delete seguridad[seguridadKey];
+
+  const periodo = periodOf(respuesta.submittedAt, stats.agrupacion);
+  const current = stats.tendencia.find((item) => item.periodo === periodo) || { periodo, total: 0, calificadas: 0, sumaCalificaciones: 0 };
+  const updated = {
+    ...current,
+    total: current.total + delta,
+    calificadas: current.calificadas + rated,
+    sumaCalificaciones: current.sumaCalificaciones + ratingSum,
+  };
+  updated.promedioCalificacion = average(updated.sumaCalificaciones, updated.calificadas);
+
+  const totalCalificadas = stats.totalCalificadas + rated;
+  const sumaCalificaciones = stats.sumaCalificaciones + ratingSum;
+
+  return {
+    ...stats,
+    total: stats.total + delta,
+    totalCalificadas,
+    sumaCalificaciones,
+    promedioCalificacion: average(sumaCalificaciones, totalCalificadas),
+    totalReportes: stats.totalReportes + problemas.length * delta,
+    seguridad,
+    calificaciones: rating ? { ...stats.calificaciones, [rating]: stats.calificaciones[rating] + delta } : stats.calificaciones,
+    problemas: applyToCounts(stats.problemas, problemas, delta),
+    horarioInseguridad: applyToCounts(stats.horarioInseguridad || [], respuesta.horarioInseguridad || [], delta),
+    zonaInseguridad: applyToCounts(stats.zonaInseguridad || [], respuesta.zonaInseguridad || [], delta),
+    tendencia: [...stats.tendencia.filter((item) => item.periodo !== periodo), ...(updated.total > 0 ? [updated] : [])]
+      .sort((a, b) => a.periodo.localeCompare(b.periodo)),
+  };
+};
@@ -0,0 +1,75 @@
+import { applyToStats, matchesStatsFilters } from './liveUpdates';
+
+// Only the statistics helpers are tested: the event stream client is not needed
+jest.mock('./api', () => ({}));
+
+// Statistics as GET /api/estadisticas returns them, grouped by day
+const stats = {
+  agrupacion: 'dia',
+  total: 2,
+  totalCalificadas: 2,
+  sumaCalificaciones: 7,
+  promedioCalificacion: 3.5,
+  totalReportes: 2,
+  seguridad: { 'sí': 1, no: 1 },
+  calificaciones: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 0 },
+  problemas: [{ codigo: 'robo', total: 2 }],
+  horarioInseguridad: [],
+  zonaInseguridad: [],
+  tendencia: [{ periodo: '2024-03-01', total: 2, calificadas: 2, sumaCalificaciones: 7, promedioCalificacion: 3.5 }],
+};
+
+// 2024-03-04 at 09:00 in La Paz (UTC-4)
+const respuesta = {
+  submittedAt: '2024-03-04T13:00:00.000Z',
+  puesto: 'AB-3',
+  seguridad: 'regular',
+  calificacion: 5,
+  problemas: ['robo', 'iluminacion'],
+};
+
+describe('applyToStats', () => {
+  it('adds a response to the totals, averages and counts', () => {
+    const updated = applyToStats(stats, respuesta, 1);
+
+    expect(updated).toMatchObject({ total: 3, totalCalificadas: 3, sumaCalificaciones: 12, promedioCalificacion: 4, totalReportes: 4 });
+    expect(updated.seguridad).toEqual({ 'sí': 1, no: 1, regular: 1 });
+    expect(updated.calificaciones[5]).toBe(1);
+    expect(updated.problemas).toEqual([{ codigo: 'robo', total: 3 }, { codigo: 'iluminacion', total: 1 }]);
+  });
+
+  it('adds the response to the trend period of its local date', () => {
+    const { tendencia } = applyToStats(stats, respuesta, 1);
+    expect(tendencia.map((item) => item.periodo)).toEqual(['2024-03-01', '2024-03-04']);
+    expect(tendencia[1]).toMatchObject({ total: 1, calificadas: 1, promedioCalificacion: 5 });
+
+    const weekly = applyToStats({ ...stats, agrupacion: 'semana', tendencia: [] }, { ...respuesta, submittedAt: '2024-03-07T02:00:00.000Z' }, 1);
+    expect(weekly.tendencia[0].periodo).toBe('2024-03-04'); // Wednesday 6th in La Paz, week starting on Monday
+  });
+
+  it('removing a response undoes adding it', () => {
+    expect(applyToStats(applyToStats(stats, respuesta, 1), respuesta, -1)).toEqual(stats);
+  });
+
+  it('does not count answers without a valid rating', () => {
+    const updated = applyToStats(stats, { ...respuesta, calificacion: null, seguridad: undefined, problemas: [] }, 1);
+
+    expect(updated).toMatchObject({ total: 3, totalCalificadas: 2, promedioCalificacion: 3.5, totalReportes: 2 });
+    expect(updated.calificaciones).toBe(stats.calificaciones);
+    expect(updated.seguridad['sin respuesta']).toBe(1);
+  });
+});
+
+describe('matchesStatsFilters', () => {
+  it('compares the local date with the date range', () => {
+    expect(matchesStatsFilters(respuesta, { desde: '2024-03-04', hasta: '2024-03-04' })).toBe(true);
+    expect(matchesStatsFilters({ ...respuesta, submittedAt: '2024-03-05T02:00:00.000Z' }, { hasta: '2024-03-04' })).toBe(true);
+    expect(matchesStatsFilters(respuesta, { desde: '2024-03-05' })).toBe(false);
+  });
+
+  it('matches the whole sector letters of the stall code', () => {
+    expect(matchesStatsFilters(respuesta, { sector: 'ab' })).toBe(true);
+    expect(matchesStatsFilters(respuesta, { sector: 'A' })).toBe(false);
+    expect(matchesStatsFilters({ ...respuesta, puesto: undefined }, { sector: 'A' })).toBe(false);
+  });
+});
@@ -0,0 +1,204 @@
+// Aymara. As in the Quechua catalog, technical terms without an everyday Aymara word are kept
+// in Spanish.
+const ay = {
+  header: {
+    title: '🏪 Jan Axsarañataki Jiskt’awi',
+    subtitle: 'Qhatuna jan axsarañapa uñakipañataki',
+  },
+  tabs: {
+    survey: '📝 Jiskt’awi',
+    admin: '👤 Apnaqirinakataki',
+    incident: '🚨 Incidente Yatiyaña',
+  },
+  language: {
+    label: '🌐 Aru',
+  },
+  status: {
+    checking: 'Mayachasiwi uñakipaskiwa...',
+    offline: '🔴 Jan mayachata: jiskt’awinakax aka celularan imasi',
+    databaseDown: '🟠 Servidor utjiwa, base de datos janiwa: jiskt’awinakax qhipat apayasini',
+    serverErrors: '🟠 Servidorax pantjasiwimpi kutt’ayi (HTTP {status})',
+    slow: '🟡 Servidor mayachata, mayachasiwix k’achakiwa',
+    ok: '🟢 Servidor mayachata',
+    pendingOne: 'jiskt’aw suyt’aski',
+    pendingMany: 'jiskt’awinak suyt’aski',
+    rejectedBadge: '⚠️ {count} jan katuqata',
+    rejectedTitle: '⚠️ Servidorax jan katuqki uka jiskt’awinaka',
+    rejectedHint: 'Aka jaysawinakax janiw apayaskiti, aka celularan imatäskiwa. Pantjasiwi askichatäxi ukhaxa (puesto qillqantatäxi ukhaxa) wasitat apayam, janicha apanukum.',
+    queuedAt: '{fecha} uru imata',
+    retry: '🔄 Wasitat apayaña',
+    discard: '🗑️ Apanukuña',
+    discardConfirm: '¿Aka jiskt’aw apanukuñ munta? Jaysawinakax chhaqtaniwa.',
+    details: 'Versión {version} · base de datos {estado}',
+    detailsLatency: 'Versión {version} · base de datos {estado} ({ms} ms)',
+    databaseStates: {
+      conectada: 'mayachata',
+      conectando: 'mayachasiski',
+      desconectando: 'jaljtaski',
+      desconectada: 'jan mayachata',
+      'sin respuesta': 'jan kutt’ayiti',
+      desconocido: 'jan yatita',
+    },
+  },
+  survey: {
+    loading: 'Jiskt’aw apaniski...',
+    loadError: '❌ Jiskt’awix janiw apaniskaspati. Mayachasiwim uñakipam.',
+    retry: '🔄 Mayampi',
+    submit: 'Jiskt’aw apayaña',
+    submitting: 'Apayaski...',
+    thanks: 'Yuspajarapxsmawa yanapt’awimata',
+    thanksName: 'Yuspajarapxsmawa yanapt’awimata, {nombre}',
+    sent: 'Jiskt’awix servidoraruw purtana!',
+    savedOffline: '📥 Jan mayachasiwi: jiskt’awix aka celularan imasiwa, señal kutt’aniyatsti jupa pachpaw apayasini.',
+    invalidFields: '⚠️ Wila chimpunakap askichañamawa janïr apayasax.',
+    duplicate: 'Aka jiskt’awix kutt’ayatawa.',
+    sendError: '❌ Jiskt’awix janiw apayaskiti. Mayampi yant’am.',
+    unknownStall: 'Aka puestox qhatun janiw qillqatäkiti. Listat ajllim.',
+    anonymous: 'Jan sutim uñt’ayasa jaysma',
+    anonymousHint: 'Sutimasa teléfonomasa janiw imatäkaniti. Jaysawinakamax estadísticanakan pachpakiw jakhutäni.',
+  },
+  incident: {
+    title: '🚨 Incidente yatiyaña',
+    intro: 'Mä lurat yatiyapxita: lunthatata, ch’axwata, jan qhant’ir qhana... Seguridad tuqit amuyuma churañatakix encuesta apnaqam.',
+    category: '📂 ¿Kunas utji?',
+    categories: {
+      robo: '🔓 Lunthata',
+      iluminacion: '💡 Qhana janiw utjkiti',
+      vigilancia: '👮 Uñjirinaka janiw utjkiti',
+      acceso: '🚪 Jan wali mantaña',
+      emergencia: '🚨 Emergencia (nina, accidente...)',
+      otros: '📝 Yaqha',
+    },
+    when: '🕒 ¿Kunapachas utji?',
+    future: 'Urux janiw jutir urunakäkaspati',
+    stall: '🏪 Puesto (puesto ukan utjatayna ukaxa):',
+    stallPlaceholder: 'Akham: B-23',
+    zone: '📍 Qhatun kawkipa:',
+    zoneNone: '— Jan siwata —',
+    zones: {
+      entradas: '🚪 Mantañanaka mistuñanakampi',
+      pasillos: '🛒 Manqhe thakhinaka',
+      estacionamiento: '🚗 Carronakan sayt’añapa',
+      banos: '🚻 Baños',
+      alrededores: '🏘️ Muyuntir callenaka',
+    },
+    stallOrZone: 'Puesto jan ukax qhatun kawkip yatiyam',
+    description: '📝 Kunas utji uk yatiyam:',
+    descriptionPlaceholder: 'Kunas utji, khitinakas utjapxäna, kunas p’akjasi...',
+    submit: 'Yatiyaw apayaña',
+    sent: '✅ Incidente yatiyata. Seguridad equipox uñakipani.',
+    sendError: '❌ Yatiyawix janiw apayaskiti. Wasitat yant’am.',
+    offline: '📵 Janiw conexión utjkiti: yatiyawix señal munaraki. Conexión kutt’anipanxa wasitat yant’am.',
+  },
+  auth: {
+    loginTitle: '🔐 Apnaqirinakan mantañapa',
+    username: '👤 Sutima:',
+    usernamePlaceholder: 'Usuario suti',
+    password: '🔑 Contraseña:',
+    passwordPlaceholder: 'Contraseña',
+    login: 'Mantaña',
+    loggingIn: 'Mantaski...',
+    welcome: '✅ ¡Suma kutt’aniña, {usuario}! 👋',
+    badCredentials: '❌ Sutimax jan ukax contraseñamax janiw walikiti.',
+    sessionExpired: '⏰ Sesionamax tukusxiwa. Mayampi mantam.',
+    haveInvitation: 'Invitacionaxa utjitu',
+    registerTitle: '📝 Invitacionampi qillqantasiña',
+    invitationCode: '🎫 Invitacionan códigopa:',
+    invitationPlaceholder: 'Invitacionaman códigop uchantam',
+    invitationValid: '✅ {rol} ukham invitación, {fecha} kama',
+    invitationHint: '⚠️ Maya superadministradorax mä kutikiw invitación apayañapa',
+    invalidInvitation: '❌ Invitacionax janiw walikiti.',
+    newUsername: '👤 Usuario suti:',
+    newUsernamePlaceholder: 'Jisk’atax 4 letrani',
+    email: '📧 Email:',
+    newPasswordPlaceholder: 'Jisk’atax 8 letrani',
+    confirm: '🔐 Contraseña mayampi:',
+    confirmPlaceholder: 'Contraseña mayampi qillqam',
+    passwordsDiffer: '❌ Contraseñanakax janiw kikipäkiti.',
+    passwordTooShort: '❌ Contraseñax jisk’atax 8 letraniñapawa.',
+    usernameInvalid: '❌ Usuario sutixa 4 ukat 50 letrani ukhakïñapawa: jan tildeni letranaka, jakhunaka, punto, guion jan ukax guion bajo.',
+    registered: '✅ Usuariox qillqatawa!',
+    canLogin: 'Jichhax mantañamawa.',
+    registerError: '❌ Usuariox janiw qillqantaskiti.',
+    register: 'Cuenta luraña',
+    registering: 'Qillqantaski...',
+    backToLogin: 'Mantañar kutt’aña',
+  },
+  steps: {
+    comerciante: '👤 Qhathurin yatiyawipa',
+    percepcion: '🛡️ Kunjams jikxatasta',
+    problemas: '🚨 Jan walt’awinaka',
+    sugerencias: '💡 Amuyunaka',
+    calificacion: '⭐ Chanichawi',
+  },
+  wizard: {
+    progress: '{paso} thakhi {total} taypita',
+    back: '◀ Nayrar kutt’aña',
+    next: 'Nayraqataru ▶',
+  },
+  draft: {
+    found: '📝 Jan tukuyat jiskt’awimax {fecha} urun imatawa.',
+    resume: '▶️ Sarantaña',
+    discard: '🗑️ Machaqat qalltaña',
+    autosaved: '💾 Aka celularan jupa pachpaw imasi',
+  },
+  validation: {
+    required: 'Akax phuqhantañapapuniwa',
+    tooLong: '{max} letranakat jilsa janiw utjkaspati',
+    phone: 'Teléfonox jakhünakaki, espacionaka, guionanaka, + ukanak apaspa',
+  },
+  alert: {
+    close: 'Yatiyaw jist’antaña',
+  },
+  questions: {
+    nombre: { etiqueta: '👤 Qhathurin sutipa:', placeholder: 'Taqpach sutim qillqam' },
+    puesto: { etiqueta: '🏪 Puestoman jakhüwipa:', placeholder: 'Akham: A-15, B-23, C-07' },
+    telefono: { etiqueta: '📱 Teléfono (munasmaxa):', placeholder: 'Teléfono jakhüwima' },
+    seguridad: {
+      etiqueta: '🛡️ ¿Qhatun jan axsarasti jikxatastati?',
+      opciones: {
+        sí: '✅ Jisa, janiw kunatsa axsarkti',
+        no: '❌ Janiwa, axsaraskta',
+        regular: '⚠️ Taypikiwa',
+      },
+    },
+    horarioInseguridad: {
+      etiqueta: '🕒 ¿Urun kuna horanakans axsarta?',
+      opciones: {
+        madrugada: '🌌 Willjtan, puesto jist’arasina',
+        manana: '🌅 Alwa',
+        tarde: '☀️ Jayp’u',
+        noche: '🌙 Aruma, puesto jist’antasina',
+      },
+    },
+    zonaInseguridad: {
+      etiqueta: '📍 ¿Qhatun kawkinakans axsarta?',
+      opciones: {
+        entradas: '🚪 Mantañanaka mistuñanakampi',
+        pasillos: '🛒 Manqhe thakhinaka',
+        estacionamiento: '🚗 Carronakan sayt’añapa',
+        banos: '🚻 Baños',
+        alrededores: '🏘️ Muyuntir callenaka',
+      },
+    },
+    problemas: {
+      etiqueta: '🚨 ¿Kuna jan walt’awinaks uñjta? (Taqi kunanaks ajllim)',
+      opciones: {
+        robo: '🔓 Walja lunthatanaka',
+        iluminacion: '💡 Arumax jan wali qhana',
+        vigilancia: '👮 Jan wali uñjirinaka',
+        acceso: '🚪 Mantañan jan wali uñjawi',
+        emergencia: '🚨 Emergenciataki plan janiw utjkiti',
+        otros: '📝 Yaqha jan walt’awinaka',
+      },
+    },
+    problemaOtro: { etiqueta: '📝 ¿Kuna yaqha seguridad jan walt’awis uñjta?', placeholder: 'Jan walt’awi yatiyam' },
+    sugerencia: {
+      etiqueta: '💡 ¿Kuna seguridad lurawinaks uchasiñap jan ukax askichasiñap munasma?',
+      placeholder: 'Qhatun seguridad askichañatak amuyunakam yatiyam...',
+    },
+    calificacion: { etiqueta: '⭐ Qhatun jichha seguridad chanichma (1-5):' },
+  },
+};
+
+export default ay;
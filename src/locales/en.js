@@ -0,0 +1,202 @@
+const en = {
+  header: {
+    title: '🏪 Security Survey',
+    subtitle: 'Market Security Assessment System',
+  },
+  tabs: {
+    survey: '📝 Security Survey',
+    admin: '👤 Admin Panel',
+    incident: '🚨 Report Incident',
+  },
+  language: {
+    label: '🌐 Language',
+  },
+  status: {
+    checking: 'Checking connection...',
+    offline: '🔴 Offline mode: surveys are saved on this device',
+    databaseDown: '🟠 API online, database down: surveys will be sent later',
+    serverErrors: '🟠 The server is returning errors (HTTP {status})',
+    slow: '🟡 Server connected, slow connection',
+    ok: '🟢 Server connected',
+    pendingOne: 'pending survey',
+    pendingMany: 'pending surveys',
+    rejectedBadge: '⚠️ {count} rejected',
+    rejectedTitle: '⚠️ Surveys rejected by the server',
+    rejectedHint: 'These answers were not sent and are still stored on this device. Retry once the cause has been fixed (for example, once the stall is registered) or discard them.',
+    queuedAt: 'Saved on {fecha}',
+    retry: '🔄 Retry',
+    discard: '🗑️ Discard',
+    discardConfirm: 'Discard this survey? Its answers will be lost.',
+    details: 'Version {version} · database {estado}',
+    detailsLatency: 'Version {version} · database {estado} ({ms} ms)',
+    databaseStates: {
+      conectada: 'connected',
+      conectando: 'connecting',
+      desconectando: 'disconnecting',
+      desconectada: 'disconnected',
+      'sin respuesta': 'not responding',
+      desconocido: 'unknown',
+    },
+  },
+  survey: {
+    loading: 'Loading survey...',
+    loadError: '❌ The survey could not be loaded. Check your connection.',
+    retry: '🔄 Try again',
+    submit: 'Submit Survey',
+    submitting: 'Sending...',
+    thanks: 'Thank you for taking part',
+    thanksName: 'Thank you for taking part, {nombre}',
+    sent: 'Survey sent to the server successfully!',
+    savedOffline: '📥 No connection: the survey was saved on this device and will be sent automatically once the signal is back.',
+    invalidFields: '⚠️ Check the fields marked in red before submitting the survey.',
+    duplicate: 'This survey has already been answered.',
+    sendError: '❌ The survey could not be sent. Please try again.',
+    unknownStall: 'This stall is not registered in the market. Choose one from the list.',
+    anonymous: 'Answer anonymously',
+    anonymousHint: 'Your name and phone number will not be stored. Your answers count the same in the statistics.',
+  },
+  incident: {
+    title: '🚨 Report an incident',
+    intro: 'Tell us about a specific event: a theft, a fight, a light that does not work... To give your general opinion about security, use the survey.',
+    category: '📂 What happened?',
+    categories: {
+      robo: '🔓 Robbery or theft',
+      iluminacion: '💡 Lighting out',
+      vigilancia: '👮 No security patrol',
+      acceso: '🚪 Unauthorized access',
+      emergencia: '🚨 Emergency (fire, accident...)',
+      otros: '📝 Other',
+    },
+    when: '🕒 When did it happen?',
+    future: 'The date cannot be in the future',
+    stall: '🏪 Stall (if it happened at a stall):',
+    stallPlaceholder: 'E.g. B-23',
+    zone: '📍 Market area:',
+    zoneNone: '— Not specified —',
+    zones: {
+      entradas: '🚪 Entrances and exits',
+      pasillos: '🛒 Inner aisles',
+      estacionamiento: '🚗 Parking',
+      banos: '🚻 Restrooms',
+      alrededores: '🏘️ Surrounding streets',
+    },
+    stallOrZone: 'Enter the stall or the market area',
+    description: '📝 Describe what happened:',
+    descriptionPlaceholder: 'What happened, who was there, whether there was any damage...',
+    submit: 'Send report',
+    sent: '✅ Incident reported. The security team will review it.',
+    sendError: '❌ The report could not be sent. Please try again.',
+    offline: '📵 No connection: the report needs a signal to be sent. Try again once you are back online.',
+  },
+  auth: {
+    loginTitle: '🔐 Administrator Access',
+    username: '👤 Username:',
+    usernamePlaceholder: 'Username',
+    password: '🔑 Password:',
+    passwordPlaceholder: 'Password',
+    login: 'Sign In',
+    loggingIn: 'Signing in...',
+    welcome: '✅ Welcome back, {usuario}! 👋',
+    badCredentials: '❌ Wrong username or password.',
+    sessionExpired: '⏰ Your session has expired. Please sign in again.',
+    haveInvitation: 'I have an invitation',
+    registerTitle: '📝 Sign Up by Invitation',
+    invitationCode: '🎫 Invitation Code:',
+    invitationPlaceholder: 'Paste the code from your invitation link',
+    invitationValid: '✅ Invitation as {rol}, valid until {fecha}',
+    invitationHint: '⚠️ A superadmin must send you a single-use invitation link',
+    invalidInvitation: '❌ Invalid invitation.',
+    newUsername: '👤 Username:',
+    newUsernamePlaceholder: 'At least 4 characters',
+    email: '📧 Work Email:',
+    newPasswordPlaceholder: 'At least 8 characters',
+    confirm: '🔐 Confirm Password:',
+    confirmPlaceholder: 'Repeat the password',
+    passwordsDiffer: '❌ The passwords do not match.',
+    passwordTooShort: '❌ The password must be at least 8 characters long.',
+    usernameInvalid: '❌ The username must be 4 to 50 characters long: unaccented letters, digits, dots, hyphens or underscores.',
+    registered: '✅ User registered successfully!',
+    canLogin: 'You can sign in now.',
+    registerError: '❌ The user could not be registered.',
+    register: 'Create Account',
+    registering: 'Registering...',
+    backToLogin: 'Back to Sign In',
+  },
+  steps: {
+    comerciante: '👤 Merchant details',
+    percepcion: '🛡️ Perception',
+    problemas: '🚨 Problems',
+    sugerencias: '💡 Suggestions',
+    calificacion: '⭐ Rating',
+  },
+  wizard: {
+    progress: 'Step {paso} of {total}',
+    back: '◀ Back',
+    next: 'Next ▶',
+  },
+  draft: {
+    found: '📝 You have an unfinished survey saved on {fecha}.',
+    resume: '▶️ Continue',
+    discard: '🗑️ Start over',
+    autosaved: '💾 Saved automatically on this device',
+  },
+  validation: {
+    required: 'This field is required',
+    tooLong: 'It cannot be longer than {max} characters',
+    phone: 'The phone number can only contain digits, spaces, hyphens and +',
+  },
+  alert: {
+    close: 'Close alert',
+  },
+  questions: {
+    nombre: { etiqueta: '👤 Merchant name:', placeholder: 'Enter your full name' },
+    puesto: { etiqueta: '🏪 Stall number:', placeholder: 'E.g. A-15, B-23, C-07' },
+    telefono: { etiqueta: '📱 Phone (optional):', placeholder: 'Contact number' },
+    seguridad: {
+      etiqueta: '🛡️ Do you feel safe in the market?',
+      opciones: {
+        sí: '✅ Yes, I feel completely safe',
+        no: '❌ No, I do not feel safe',
+        regular: '⚠️ I feel somewhat safe',
+      },
+    },
+    horarioInseguridad: {
+      etiqueta: '🕒 At what times of day do you feel unsafe?',
+      opciones: {
+        madrugada: '🌌 Early morning, when opening the stall',
+        manana: '🌅 Morning',
+        tarde: '☀️ Afternoon',
+        noche: '🌙 Night, when closing the stall',
+      },
+    },
+    zonaInseguridad: {
+      etiqueta: '📍 In which areas of the market do you feel unsafe?',
+      opciones: {
+        entradas: '🚪 Entrances and exits',
+        pasillos: '🛒 Inner aisles',
+        estacionamiento: '🚗 Parking',
+        banos: '🚻 Restrooms',
+        alrededores: '🏘️ Surrounding streets',
+      },
+    },
+    problemas: {
+      etiqueta: '🚨 What security problems have you noticed? (Check all that apply)',
+      opciones: {
+        robo: '🔓 Frequent robberies or thefts',
+        iluminacion: '💡 Poor lighting at night',
+        vigilancia: '👮 Not enough security patrols',
+        acceso: '🚪 Weak access control',
+        emergencia: '🚨 No emergency plan',
+        otros: '📝 Other security problems',
+      },
+    },
+    problemaOtro: { etiqueta: '📝 What other security problem have you noticed?', placeholder: 'Describe the problem' },
+    sugerencia: {
+      etiqueta: '💡 Which security measures would you like to see introduced or improved?',
+      placeholder: 'Describe your suggestions to improve security in the market...',
+    },
+    calificacion: { etiqueta: '⭐ Rate the current security of the market (1-5):' },
+  },
+};
+
+export default en;
@@ -0,0 +1,157 @@
+// Spanish catalog: the reference language. Every other catalog uses the same keys and falls
+// back to these texts for any key it does not translate yet.
+const es = {
+  header: {
+    title: '🏪 Encuesta de Seguridad',
+    subtitle: 'Sistema Avanzado de Evaluación de Seguridad del Mercado',
+  },
+  tabs: {
+    survey: '📝 Encuesta de Seguridad',
+    admin: '👤 Panel Administrativo',
+    incident: '🚨 Reportar Incidente',
+  },
+  language: {
+    label: '🌐 Idioma',
+  },
+  status: {
+    checking: 'Verificando conexión...',
+    offline: '🔴 Modo offline: las encuestas se guardan en el dispositivo',
+    databaseDown: '🟠 API en línea, base de datos caída: las encuestas se enviarán más tarde',
+    serverErrors: '🟠 El servidor responde con errores (HTTP {status})',
+    slow: '🟡 Servidor conectado, conexión lenta',
+    ok: '🟢 Servidor conectado',
+    pendingOne: 'encuesta pendiente',
+    pendingMany: 'encuestas pendientes',
+    rejectedBadge: '⚠️ {count} rechazadas',
+    rejectedTitle: '⚠️ Encuestas rechazadas por el servidor',
+    rejectedHint: 'Estas respuestas no se enviaron y siguen guardadas en este dispositivo. Reintente cuando se haya corregido la causa (por ejemplo, cuando el puesto ya esté registrado) o descártelas.',
+    queuedAt: 'Guardada el {fecha}',
+    retry: '🔄 Reintentar',
+    discard: '🗑️ Descartar',
+    discardConfirm: '¿Descartar esta encuesta? Sus respuestas se perderán.',
+    details: 'Versión {version} · base de datos {estado}',
+    detailsLatency: 'Versión {version} · base de datos {estado} ({ms} ms)',
+    databaseStates: {
+      conectada: 'conectada',
+      conectando: 'conectando',
+      desconectando: 'desconectando',
+      desconectada: 'desconectada',
+      'sin respuesta': 'sin respuesta',
+      desconocido: 'desconocido',
+    },
+  },
+  survey: {
+    loading: 'Cargando encuesta...',
+    loadError: '❌ No se pudo cargar la encuesta. Verifique su conexión.',
+    retry: '🔄 Reintentar',
+    submit: 'Enviar Encuesta',
+    submitting: 'Enviando...',
+    thanks: 'Gracias por su participación',
+    thanksName: 'Gracias por su participación, {nombre}',
+    sent: 'Encuesta enviada al servidor exitosamente!',
+    savedOffline: '📥 Sin conexión: la encuesta se guardó en este dispositivo y se enviará automáticamente al recuperar la señal.',
+    invalidFields: '⚠️ Revise los campos marcados en rojo antes de enviar la encuesta.',
+    duplicate: 'Esta encuesta ya fue respondida.',
+    sendError: '❌ Error al enviar la encuesta. Inténtelo de nuevo.',
+    unknownStall: 'El puesto no está registrado en el mercado. Elija uno de la lista.',
+    anonymous: 'Responder de forma anónima',
+    anonymousHint: 'No se guardarán su nombre ni su teléfono. Sus respuestas cuentan igual en las estadísticas.',
+  },
+  incident: {
+    title: '🚨 Reportar un incidente',
+    intro: 'Cuéntenos un hecho concreto: un robo, una pelea, una luz que no funciona... Para dar su opinión general sobre la seguridad use la encuesta.',
+    category: '📂 ¿Qué ocurrió?',
+    categories: {
+      robo: '🔓 Robo o hurto',
+      iluminacion: '💡 Falta de iluminación',
+      vigilancia: '👮 Falta de vigilancia',
+      acceso: '🚪 Acceso indebido',
+      emergencia: '🚨 Emergencia (incendio, accidente...)',
+      otros: '📝 Otro',
+    },
+    when: '🕒 ¿Cuándo ocurrió?',
+    future: 'La fecha no puede ser futura',
+    stall: '🏪 Puesto (si ocurrió en un puesto):',
+    stallPlaceholder: 'Ej: B-23',
+    zone: '📍 Zona del mercado:',
+    zoneNone: '— Sin indicar —',
+    zones: {
+      entradas: '🚪 Entradas y salidas',
+      pasillos: '🛒 Pasillos interiores',
+      estacionamiento: '🚗 Estacionamiento',
+      banos: '🚻 Baños',
+      alrededores: '🏘️ Calles de alrededor',
+    },
+    stallOrZone: 'Indique el puesto o la zona del mercado',
+    description: '📝 Describa lo ocurrido:',
+    descriptionPlaceholder: 'Qué pasó, quiénes estaban, si hubo daños...',
+    submit: 'Enviar reporte',
+    sent: '✅ Incidente reportado. El equipo de seguridad lo revisará.',
+    sendError: '❌ No se pudo enviar el reporte. Inténtelo de nuevo.',
+    offline: '📵 Sin conexión: el reporte necesita señal para enviarse. Inténtelo cuando vuelva la conexión.',
+  },
+  auth: {
+    loginTitle: '🔐 Acceso de Administrador',
+    username: '👤 Usuario:',
+    usernamePlaceholder: 'Nombre de usuario',
+    password: '🔑 Contraseña:',
+    passwordPlaceholder: 'Contraseña',
+    login: 'Iniciar Sesión',
+    loggingIn: 'Iniciando...',
+    welcome: '✅ ¡Bienvenido de vuelta, {usuario}! 👋',
+    badCredentials: '❌ Credenciales incorrectas.',
+    sessionExpired: '⏰ Su sesión ha expirado. Inicie sesión nuevamente.',
+    haveInvitation: 'Tengo una invitación',
+    registerTitle: '📝 Registro por Invitación',
+    invitationCode: '🎫 Código de Invitación:',
+    invitationPlaceholder: 'Pegue el código de su enlace de invitación',
+    invitationValid: '✅ Invitación como {rol}, válida hasta {fecha}',
+    invitationHint: '⚠️ Un superadministrador debe enviarle un enlace de invitación de un solo uso',
+    invalidInvitation: '❌ Invitación no válida.',
+    newUsername: '👤 Nombre de Usuario:',
+    newUsernamePlaceholder: 'Mínimo 4 caracteres',
+    email: '📧 Email Corporativo:',
+    newPasswordPlaceholder: 'Mínimo 8 caracteres',
+    confirm: '🔐 Confirmar Contraseña:',
+    confirmPlaceholder: 'Repetir contraseña',
+    passwordsDiffer: '❌ Las contraseñas no coinciden.',
+    passwordTooShort: '❌ La contraseña debe tener al menos 8 caracteres.',
+    usernameInvalid: '❌ El nombre de usuario debe tener entre 4 y 50 caracteres: letras sin tilde, números, punto, guion o guion bajo.',
+    registered: '✅ Usuario registrado exitosamente!',
+    canLogin: 'Ya puede iniciar sesión.',
+    registerError: '❌ Error al registrar el usuario.',
+    register: 'Crear Cuenta',
+    registering: 'Registrando...',
+    backToLogin: 'Volver al Login',
+  },
+  steps: {
+    comerciante: '👤 Datos del comerciante',
+    percepcion: '🛡️ Percepción',
+    problemas: '🚨 Problemas',
+    sugerencias: '💡 Sugerencias',
+    calificacion: '⭐ Calificación',
+  },
+  wizard: {
+    progress: 'Paso {paso} de {total}',
+    back: '◀ Anterior',
+    next: 'Siguiente ▶',
+  },
+  draft: {
+    found: '📝 Tiene una encuesta sin terminar guardada el {fecha}.',
+    resume: '▶️ Continuar',
+    discard: '🗑️ Empezar de nuevo',
+    autosaved: '💾 Se guarda automáticamente en este dispositivo',
+  },
+  validation: {
+    required: 'Este campo es obligatorio',
+    tooLong: 'No puede superar {max} caracteres',
+    phone: 'El teléfono solo puede contener números, espacios, guiones y +',
+  },
+  alert: {
+    close: 'Cerrar alerta',
+  },
+  // Question texts come from the survey definition; Spanish always uses the definition itself
+  questions: {},
+};
+
+export default es;
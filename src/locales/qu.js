@@ -0,0 +1,204 @@
+// Quechua (Bolivian variety). Administrative and technical terms without an everyday Quechua
+// word (servidor, base de datos, contraseña) are kept in Spanish, as merchants use them.
+const qu = {
+  header: {
+    title: '🏪 Allin Kawsay Tapukuy',
+    subtitle: 'Qhatupi allin kawsayta qhawarinapaq',
+  },
+  tabs: {
+    survey: '📝 Tapukuy',
+    admin: '👤 Kamachiqkunapaq',
+    incident: '🚨 Incidenteta Willay',
+  },
+  language: {
+    label: '🌐 Simi',
+  },
+  status: {
+    checking: 'Tinkiyta qhawarichkan...',
+    offline: '🔴 Mana tinkisqa: tapukuykuna kay celularpi waqaychakun',
+    databaseDown: '🟠 Servidor kachkan, base de datos mana: tapukuykuna qhipaman kachakunqa',
+    serverErrors: '🟠 Servidor pantaykunawan kutichin (HTTP {status})',
+    slow: '🟡 Servidor tinkisqa, tinkiy k’ullulla',
+    ok: '🟢 Servidor tinkisqa',
+    pendingOne: 'tapukuy suyachkan',
+    pendingMany: 'tapukuykuna suyachkanku',
+    rejectedBadge: '⚠️ {count} mana chaskisqa',
+    rejectedTitle: '⚠️ Servidorpa mana chaskisqan tapukuykuna',
+    rejectedHint: 'Kay kutichiykuna mana kachakurqanchu, kay celularpi waqaychasqa kachkan. Pantay allichasqaña kaptin (puesto qillqasqaña kaptin) wakmanta kachay, mana chayqa wischuy.',
+    queuedAt: '{fecha} p’unchawpi waqaychasqa',
+    retry: '🔄 Wakmanta kachay',
+    discard: '🗑️ Wischuy',
+    discardConfirm: '¿Kay tapukuyta wischunkichu? Kutichiykuna chinkanqa.',
+    details: 'Versión {version} · base de datos {estado}',
+    detailsLatency: 'Versión {version} · base de datos {estado} ({ms} ms)',
+    databaseStates: {
+      conectada: 'tinkisqa',
+      conectando: 'tinkichkan',
+      desconectando: 't’aqakuchkan',
+      desconectada: 'mana tinkisqa',
+      'sin respuesta': 'mana kutichinchu',
+      desconocido: 'mana yachasqa',
+    },
+  },
+  survey: {
+    loading: 'Tapukuyta apamuchkan...',
+    loadError: '❌ Tapukuyqa mana apamuyta atikunchu. Tinkiyniykita qhawariy.',
+    retry: '🔄 Wakmanta',
+    submit: 'Tapukuyta kachay',
+    submitting: 'Kachachkan...',
+    thanks: 'Sulpayki yanapawasqaykimanta',
+    thanksName: 'Sulpayki yanapawasqaykimanta, {nombre}',
+    sent: 'Tapukuyqa servidorman chayarqanña!',
+    savedOffline: '📥 Mana tinkiy kanchu: tapukuyqa kay celularpi waqaychakun, señal kutimuqtintaq kikillanmanta kachakunqa.',
+    invalidFields: '⚠️ Puka sananchasqakunata allinchay manaraq kachachkaspa.',
+    duplicate: 'Kay tapukuyqa kutichisqaña.',
+    sendError: '❌ Tapukuyqa mana kachakunchu. Wakmanta ruwariy.',
+    unknownStall: 'Kay puestoqa qhatupi mana qillqasqachu. Listamanta akllay.',
+    anonymous: 'Mana sutiykita qospa kutichiy',
+    anonymousHint: 'Sutiyki teléfonoykipas mana waqaychakunqachu. Kutichiyniykikunaqa estadísticakunapi kikillantaq yupakun.',
+  },
+  incident: {
+    title: '🚨 Incidenteta willay',
+    intro: 'Huk kaqta willawayku: suwakuy, maqanakuy, mana k’anchaq k’anchay... Seguridadmanta yuyayniykita qonaykipaqqa encuestata apaykachay.',
+    category: '📂 ¿Imataq karqan?',
+    categories: {
+      robo: '🔓 Suwakuy',
+      iluminacion: '💡 Mana k’anchay kanchu',
+      vigilancia: '👮 Mana qhawaqkuna kanchu',
+      acceso: '🚪 Mana allinpi yaykuy',
+      emergencia: '🚨 Emergencia (nina rawray, accidente...)',
+      otros: '📝 Huk',
+    },
+    when: '🕒 ¿Hayk’aq karqan?',
+    future: 'P’unchawqa manaraq chayamuqchu kanman',
+    stall: '🏪 Puesto (puestopi karqan chayqa):',
+    stallPlaceholder: 'Kay hina: B-23',
+    zone: '📍 Qhatupa k’itin:',
+    zoneNone: '— Mana nisqa —',
+    zones: {
+      entradas: '🚪 Yaykunakuna lluqsinakunapas',
+      pasillos: '🛒 Ukhu ñankuna',
+      estacionamiento: '🚗 Carrokunapa sayanan',
+      banos: '🚻 Baños',
+      alrededores: '🏘️ Muyuriq callekuna',
+    },
+    stallOrZone: 'Puestota utaq qhatupa k’itinta willay',
+    description: '📝 Imachus karqan willay:',
+    descriptionPlaceholder: 'Imataq karqan, pikunataq karqanku, imapas waqllirqanchu...',
+    submit: 'Willayta kachay',
+    sent: '✅ Incidente willasqa. Seguridad equipo qhawanqa.',
+    sendError: '❌ Willayqa mana kachakurqanchu. Huktawan kachay.',
+    offline: '📵 Mana conexión kanchu: willayqa señalta munan. Conexión kutimuqtin huktawan kachay.',
+  },
+  auth: {
+    loginTitle: '🔐 Kamachiqkunapaq yaykuna',
+    username: '👤 Sutiyki:',
+    usernamePlaceholder: 'Usuario suti',
+    password: '🔑 Contraseña:',
+    passwordPlaceholder: 'Contraseña',
+    login: 'Yaykuy',
+    loggingIn: 'Yaykuchkan...',
+    welcome: '✅ ¡Allin kutimuy, {usuario}! 👋',
+    badCredentials: '❌ Sutiyki utaq contraseñayki mana allinchu.',
+    sessionExpired: '⏰ Sesionniyki tukukunña. Wakmanta yaykuy.',
+    haveInvitation: 'Invitacionniy kan',
+    registerTitle: '📝 Invitacionwan qillqakuy',
+    invitationCode: '🎫 Invitacionpa códigon:',
+    invitationPlaceholder: 'Invitacionniykipa códigonta churay',
+    invitationValid: '✅ {rol} hina invitación, {fecha} kama',
+    invitationHint: '⚠️ Huk superadministrador huk kutillapaq invitacionta kachasunayki tiyan',
+    invalidInvitation: '❌ Invitacionqa mana allinchu.',
+    newUsername: '👤 Usuario suti:',
+    newUsernamePlaceholder: 'Pisimanta 4 letrayuq',
+    email: '📧 Email:',
+    newPasswordPlaceholder: 'Pisimanta 8 letrayuq',
+    confirm: '🔐 Contraseñata kutichiy:',
+    confirmPlaceholder: 'Contraseñata wakmanta qillqay',
+    passwordsDiffer: '❌ Contraseñakuna mana kaqllachu.',
+    passwordTooShort: '❌ Contraseñaqa pisimanta 8 letrayuq kanan tiyan.',
+    usernameInvalid: '❌ Usuario sutiqa 4manta 50kama letrayuq kanan tiyan: tildennaq letrakuna, yupaykuna, punto, guion utaq guion bajo.',
+    registered: '✅ Usuarioqa qillqasqaña!',
+    canLogin: 'Kunanqa yaykuyta atinkiña.',
+    registerError: '❌ Usuarioqa mana qillqakuyta atinchu.',
+    register: 'Cuentata ruway',
+    registering: 'Qillqachkan...',
+    backToLogin: 'Yaykunaman kutiy',
+  },
+  steps: {
+    comerciante: '👤 Qhatuqpa willakuynin',
+    percepcion: '🛡️ Imayna kachkanki',
+    problemas: '🚨 Sasachakuykuna',
+    sugerencias: '💡 Yuyaykuna',
+    calificacion: '⭐ Chaninchay',
+  },
+  wizard: {
+    progress: '{paso} paso {total} manta',
+    back: '◀ Qhipaman',
+    next: 'Ñawpaqman ▶',
+  },
+  draft: {
+    found: '📝 Mana tukusqa tapukuyniyki {fecha} p’unchawpi waqaychasqa kachkan.',
+    resume: '▶️ Qatipay',
+    discard: '🗑️ Musuqmanta qallariy',
+    autosaved: '💾 Kay celularpi kikillanmanta waqaychakun',
+  },
+  validation: {
+    required: 'Kayta hunt’ananpuni tiyan',
+    tooLong: '{max} letrakunamanta aswan mana kanmanchu',
+    phone: 'Teléfonoqa yupaykunallata, espaciokunata, guionkunata, + nisqatapas apanman',
+  },
+  alert: {
+    close: 'Willayta wisq’ay',
+  },
+  questions: {
+    nombre: { etiqueta: '👤 Qhatuqpa sutin:', placeholder: 'Hunt’a sutiykita qillqay' },
+    puesto: { etiqueta: '🏪 Puestoykipa yupan:', placeholder: 'Kay hina: A-15, B-23, C-07' },
+    telefono: { etiqueta: '📱 Teléfono (munaspaqa):', placeholder: 'Teléfono yupayki' },
+    seguridad: {
+      etiqueta: '🛡️ ¿Qhatupi mana manchakuspa kachkankichu?',
+      opciones: {
+        sí: '✅ Arí, mana imamantapas manchakuni',
+        no: '❌ Mana, manchakuni',
+        regular: '⚠️ Chawpi chawpilla',
+      },
+    },
+    horarioInseguridad: {
+      etiqueta: '🕒 ¿P’unchaypa mayqin pachankunapi manchakunki?',
+      opciones: {
+        madrugada: '🌌 Tutamanta, puestota kicharispa',
+        manana: '🌅 Tutamanta p’unchay',
+        tarde: '☀️ Sukha',
+        noche: '🌙 Tuta, puestota wisq’aspa',
+      },
+    },
+    zonaInseguridad: {
+      etiqueta: '📍 ¿Qhatupa mayqin k’itikunapi manchakunki?',
+      opciones: {
+        entradas: '🚪 Yaykunakuna lluqsinakunapas',
+        pasillos: '🛒 Ukhu ñankuna',
+        estacionamiento: '🚗 Carrokunapa sayanan',
+        banos: '🚻 Baños',
+        alrededores: '🏘️ Muyuriq callekuna',
+      },
+    },
+    problemas: {
+      etiqueta: '🚨 ¿Ima sasachakuykunata rikurqanki? (Tukuy kaqkunata akllay)',
+      opciones: {
+        robo: '🔓 Sapa kuti suwakuna',
+        iluminacion: '💡 Tutapi mana allin k’anchay',
+        vigilancia: '👮 Mana allin qhawaqkuna',
+        acceso: '🚪 Yaykunapi mana allin qhaway',
+        emergencia: '🚨 Emergenciapaq plan mana kanchu',
+        otros: '📝 Huk sasachakuykuna',
+      },
+    },
+    problemaOtro: { etiqueta: '📝 ¿Ima huk seguridad sasachakuytataq rikurqanki?', placeholder: 'Sasachakuyta willay' },
+    sugerencia: {
+      etiqueta: '💡 ¿Ima seguridad ruwaykunata munawaq churakunanta utaq allinchakunanta?',
+      placeholder: 'Qhatupi seguridad allinchakunanpaq yuyaykunaykita willay...',
+    },
+    calificacion: { etiqueta: '⭐ Qhatupi kunan seguridadta chaninchay (1-5):' },
+  },
+};
+
+export default qu;
@@ -0,0 +1,148 @@
+import api from './api';
+
+// Offline queue for survey submissions, stored in IndexedDB so answers survive reloads.
+// Each entry keeps the idempotency key generated when the survey was first submitted:
+// retries reuse it, so the server never stores the same survey twice. Entries the server
+// rejects (e.g. after a survey or stall registry change) stay in the queue with a `rejection`
+// until the surveyor retries or discards them: answers are never dropped silently.
+const DB_NAME = 'encuesta-mercado';
+const STORE = 'encuestas-pendientes';
+const RETRY_INTERVAL = 30000;
+
+const listeners = new Set();
+let syncing = null;
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE, { keyPath: 'idempotencyKey' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs `operation(store)` inside a transaction and resolves with the request result
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+const getQueue = () => withStore('readonly', (store) => store.getAll());
+
+// { pending, rejected }: number of surveys waiting to be sent and the entries the server rejected
+const summarize = (entries) => ({
+  pending: entries.filter((entry) => !entry.rejection).length,
+  rejected: entries.filter((entry) => entry.rejection),
+});
+
+const notify = async () => {
+  const summary = summarize(await getQueue());
+  listeners.forEach((listener) => listener(summary));
+};
+
+export const createIdempotencyKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`
+);
+
+export const enqueueSurvey = async (idempotencyKey, data) => {
+  await withStore('readwrite', (store) => store.put({ idempotencyKey, data, queuedAt: new Date().toISOString() }));
+  await notify();
+};
+
+// Listener receives the queue summary ({ pending, rejected }) whenever it changes. Returns an
+// unsubscribe function.
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  getQueue().then((entries) => listener(summarize(entries))).catch(() => listener(summarize([])));
+  return () => listeners.delete(listener);
+};
+
+// Public route: surveyors submit without logging in. Failed submissions are retried by the queue.
+export const postSurvey = (idempotencyKey, data) => api.post('/respuestas', data, {
+  headers: { 'Idempotency-Key': idempotencyKey },
+  skipAuth: true,
+});
+
+// A submission should be queued when the server could not be reached or failed on its side.
+// Client errors (e.g. validation) would fail again on every retry.
+export const isRetryable = (error) => !error.response || error.response.status >= 500 || [408, 429].includes(error.response.status);
+
+// Sends every pending survey in order. Stops at the first retryable failure and tries again later.
+// A survey the server rejects keeps its answers and is marked with the reason instead.
+export const syncPendingSurveys = () => {
+  if (syncing) return syncing;
+
+  syncing = (async () => {
+    const pending = (await getQueue()).filter((entry) => !entry.rejection);
+    let sent = 0;
+    for (const item of pending) {
+      try {
+        await postSurvey(item.idempotencyKey, item.data);
+        sent++;
+        await withStore('readwrite', (store) => store.delete(item.idempotencyKey));
+      } catch (error) {
+        if (isRetryable(error)) break;
+        const rejection = {
+          status: error.response.status,
+          message: error.response.data?.mensaje || error.response.data?.error || '',
+          errors: error.response.data?.errores || {},
+          at: new Date().toISOString(),
+        };
+        await withStore('readwrite', (store) => store.put({ ...item, rejection }));
+      }
+    }
+    await notify();
+    return sent;
+  })().finally(() => {
+    syncing = null;
+  });
+
+  return syncing;
+};
+
+// Sends a rejected survey again as it is (useful once the cause was fixed on the server side,
+// e.g. the stall was added to the registry)
+export const retryRejected = async (idempotencyKey) => {
+  const entry = await withStore('readonly', (store) => store.get(idempotencyKey));
+  if (!entry) return 0;
+  const { rejection, ...rest } = entry;
+  await withStore('readwrite', (store) => store.put(rest));
+  return syncPendingSurveys();
+};
+
+// Removes a rejected survey once the surveyor has decided to drop it
+export const discardRejected = async (idempotencyKey) => {
+  await withStore('readwrite', (store) => store.delete(idempotencyKey));
+  await notify();
+};
+
+// Retries pending surveys when connectivity returns and periodically while the page is open.
+// Returns a cleanup function for useEffect.
+export const startAutoSync = () => {
+  const sync = () => {
+    if (navigator.onLine) {
+      syncPendingSurveys().catch((error) => console.error('Error al sincronizar encuestas pendientes:', error));
+    }
+  };
+
+  sync();
+  window.addEventListener('online', sync);
+  const interval = setInterval(sync, RETRY_INTERVAL);
+  return () => {
+    window.removeEventListener('online', sync);
+    clearInterval(interval);
+  };
+};
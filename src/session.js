@@ -0,0 +1,28 @@
+// Admin session (tokens issued by /api/login), kept in sessionStorage
+const STORAGE_KEY = 'encuesta-mercado-sesion';
+
+export const getSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  sessionStorage.removeItem(STORAGE_KEY);
+};
+
+// User roles (see src/backend/auth.js). The server enforces permissions on every route;
+// the panel only uses them to hide actions that would be rejected
+export const ROLE_LABELS = {
+  superadmin: '👑 Superadministrador',
+  analista: '📊 Analista (solo lectura)',
+  encuestador: '📋 Encuestador',
+};
+
+export const hasRole = (...roles) => roles.includes(getSession()?.user?.rol);
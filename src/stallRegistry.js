@@ -0,0 +1,23 @@
+import api from './api';
+
+// Active stall codes from the registry (GET /api/puestos/codigos), cached like the survey
+// definition so the form can still suggest and check stalls without signal.
+const CACHE_KEY = 'encuesta-mercado-puestos';
+
+export const fetchStallCodes = async () => {
+  try {
+    const response = await api.get('/puestos/codigos', { skipAuth: true });
+    const codes = response.data.map((puesto) => puesto.codigo);
+    localStorage.setItem(CACHE_KEY, JSON.stringify(codes));
+    return codes;
+  } catch (error) {
+    const cached = localStorage.getItem(CACHE_KEY);
+    return cached ? JSON.parse(cached) : [];
+  }
+};
+
+// Same normalization as the server: "a15" or "A 15" → "A-15". Returns null if it is not a stall code.
+export const normalizeStallCode = (value) => {
+  const match = String(value).trim().toUpperCase().match(/^([A-Z]{1,3})\s*-?\s*(\d{1,4})$/);
+  return match ? `${match[1]}-${match[2]}` : null;
+};
@@ -0,0 +1,104 @@
+import api from './api';
+
+// Survey definitions are served by the backend (GET /api/encuestas/:codigo).
+// The last one received is cached so surveyors can keep working without signal.
+export const SURVEY_CODE = 'seguridad-mercado';
+const CACHE_KEY = `encuesta-mercado-definicion-${SURVEY_CODE}`;
+
+export const fetchSurveyDefinition = async () => {
+  try {
+    const response = await api.get(`/encuestas/${SURVEY_CODE}`, { skipAuth: true });
+    localStorage.setItem(CACHE_KEY, JSON.stringify(response.data));
+    return response.data;
+  } catch (error) {
+    const cached = localStorage.getItem(CACHE_KEY);
+    if (cached && !error.response) return JSON.parse(cached);
+    throw error;
+  }
+};
+
+// Empty answers for every question: multiple choice questions start as an empty list
+export const emptyAnswers = (definition) => Object.fromEntries(
+  definition.preguntas.map((pregunta) => [pregunta.clave, pregunta.tipo === 'multi' ? [] : ''])
+);
+
+// Steps of the survey wizard and the questions each one groups. Questions added with the
+// survey builder join the step of the question before them, so the definition order is kept.
+export const SURVEY_STEPS = [
+  { id: 'comerciante', claves: ['nombre', 'puesto', 'telefono'] },
+  { id: 'percepcion', claves: ['seguridad'] },
+  { id: 'problemas', claves: ['problemas'] },
+  { id: 'sugerencias', claves: ['sugerencia'] },
+  { id: 'calificacion', claves: ['calificacion'] },
+];
+
+// [{ id, preguntas }] for a definition, without steps that end up empty
+export const splitIntoSteps = (definition) => {
+  const steps = SURVEY_STEPS.map(({ id }) => ({ id, preguntas: [] }));
+  let current = 0;
+  definition.preguntas.forEach((pregunta) => {
+    const index = SURVEY_STEPS.findIndex((step) => step.claves.includes(pregunta.clave));
+    if (index !== -1) current = index;
+    steps[current].preguntas.push(pregunta);
+  });
+  return steps.filter((step) => step.preguntas.length > 0);
+};
+
+// Follow-up questions (`mostrarSi`) are shown only when the answer to the question they depend
+// on is, or includes, one of the listed values. Same rule as preguntaVisible in validation.js.
+export const isVisible = (pregunta, answers) => {
+  const rule = pregunta.mostrarSi;
+  if (!rule?.clave) return true;
+  const answer = answers[rule.clave];
+  return (Array.isArray(answer) ? answer : [answer]).some((value) => rule.valores.includes(value));
+};
+
+// Identity questions left out of anonymous answers. Same list as CAMPOS_PERSONALES in privacidad.js.
+export const PERSONAL_FIELDS = ['nombre', 'telefono'];
+
+// Answers of the questions currently shown, in definition order so a question hidden by its own
+// rule also hides the follow-ups that depend on it. A follow-up answered and then hidden again
+// (e.g. "otros" unchecked) is therefore not sent, and neither are the identity questions of an
+// anonymous answer.
+export const visibleAnswers = (definition, answers, { anonymous = false } = {}) => definition.preguntas.reduce((visible, pregunta) => (
+  isVisible(pregunta, visible) && !(anonymous && PERSONAL_FIELDS.includes(pregunta.clave))
+    ? { ...visible, [pregunta.clave]: answers[pregunta.clave] }
+    : visible
+), {});
+
+// Checks an answer with the same rules as the server (validation.js) so each step can be
+// validated before moving on. Returns null or [catalog key, values] for the message.
+export const checkAnswer = (pregunta, value) => {
+  const empty = Array.isArray(value) ? value.length === 0 : String(value ?? '').trim() === '';
+  if (empty) return pregunta.requerida ? ['validation.required'] : null;
+  if (pregunta.tipo === 'text' || pregunta.tipo === 'phone') {
+    const max = pregunta.maxLength || (pregunta.tipo === 'phone' ? 20 : 1000);
+    if (value.trim().length > max) return ['validation.tooLong', { max }];
+    if (pregunta.tipo === 'phone' && !/^\+?[\d\s-]+$/.test(value.trim())) return ['validation.phone'];
+  }
+  return null;
+};
+
+// Value → label map for a choice question, merged across versions (newest label wins)
+// so answers given under older versions can still be displayed.
+export const optionLabels = (versions, clave) => {
+  const labels = {};
+  [...versions].sort((a, b) => a.version - b.version).forEach((version) => {
+    const pregunta = version.preguntas.find((p) => p.clave === clave);
+    (pregunta?.opciones || []).forEach((opcion) => {
+      labels[opcion.valor] = opcion.etiqueta;
+    });
+  });
+  return labels;
+};
+
+// Question key → label map merged across versions, for answers stored outside the main fields
+export const questionLabels = (versions) => {
+  const labels = {};
+  [...versions].sort((a, b) => a.version - b.version).forEach((version) => {
+    version.preguntas.forEach((pregunta) => {
+      labels[pregunta.clave] = pregunta.etiqueta;
+    });
+  });
+  return labels;
+};
@@ -0,0 +1,77 @@
+import { visibleAnswers, isVisible } from './surveyDefinition';
+
+// Only the pure helpers are tested: the HTTP client (and axios, which ships as an ES module
+// that Jest does not transform) is not needed
+jest.mock('./api', () => ({}));
+
+// Trimmed-down definition with a follow-up of a multiple choice question ("otros" → problemaOtro)
+// and a follow-up of that follow-up, to check that hiding a question also hides its dependants
+const definition = {
+  preguntas: [
+    { clave: 'nombre', tipo: 'text' },
+    { clave: 'telefono', tipo: 'phone' },
+    { clave: 'seguridad', tipo: 'single', opciones: [{ valor: 'seguro' }, { valor: 'inseguro' }] },
+    { clave: 'horarioInseguridad', tipo: 'multi', mostrarSi: { clave: 'seguridad', valores: ['inseguro'] } },
+    { clave: 'problemas', tipo: 'multi', opciones: [{ valor: 'robos' }, { valor: 'otros' }] },
+    { clave: 'problemaOtro', tipo: 'text', mostrarSi: { clave: 'problemas', valores: ['otros'] } },
+    { clave: 'urgencia', tipo: 'single', opciones: [{ valor: 'alta' }], mostrarSi: { clave: 'problemaOtro', valores: ['incendio'] } },
+    { clave: 'sugerencia', tipo: 'text' },
+  ],
+};
+
+const answers = {
+  nombre: 'María Quispe',
+  telefono: '70012345',
+  seguridad: 'inseguro',
+  horarioInseguridad: ['noche'],
+  problemas: ['robos', 'otros'],
+  problemaOtro: 'incendio',
+  urgencia: 'alta',
+  sugerencia: 'Más luces',
+};
+
+describe('isVisible', () => {
+  it('shows questions without a rule', () => {
+    expect(isVisible(definition.preguntas[0], {})).toBe(true);
+  });
+
+  it('matches single answers and any value of multiple answers', () => {
+    const followUp = definition.preguntas[5];
+    expect(isVisible(followUp, { problemas: ['robos', 'otros'] })).toBe(true);
+    expect(isVisible(followUp, { problemas: ['robos'] })).toBe(false);
+    expect(isVisible(definition.preguntas[3], { seguridad: 'seguro' })).toBe(false);
+    expect(isVisible(definition.preguntas[3], {})).toBe(false);
+  });
+});
+
+describe('visibleAnswers', () => {
+  it('keeps every answer while the follow-ups are shown', () => {
+    expect(visibleAnswers(definition, answers)).toEqual(answers);
+  });
+
+  it('drops the answer of a follow-up hidden again', () => {
+    const shown = visibleAnswers(definition, { ...answers, seguridad: 'seguro' });
+    expect(shown).not.toHaveProperty('horarioInseguridad');
+    expect(shown).toHaveProperty('problemaOtro', 'incendio');
+  });
+
+  it('hides the follow-ups of a hidden follow-up', () => {
+    const shown = visibleAnswers(definition, { ...answers, problemas: ['robos'] });
+    expect(shown).not.toHaveProperty('problemaOtro');
+    expect(shown).not.toHaveProperty('urgencia');
+    expect(shown).toHaveProperty('sugerencia', 'Más luces');
+  });
+
+  it('leaves out the identity questions of an anonymous answer', () => {
+    const shown = visibleAnswers(definition, answers, { anonymous: true });
+    expect(shown).not.toHaveProperty('nombre');
+    expect(shown).not.toHaveProperty('telefono');
+    expect(shown).toHaveProperty('seguridad', 'inseguro');
+  });
+
+  it('keeps the definition order and includes unanswered questions', () => {
+    const shown = visibleAnswers(definition, { seguridad: 'seguro', problemas: [] });
+    expect(Object.keys(shown)).toEqual(['nombre', 'telefono', 'seguridad', 'problemas', 'sugerencia']);
+    expect(shown.nombre).toBeUndefined();
+  });
+});
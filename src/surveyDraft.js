@@ -0,0 +1,42 @@
+import { SURVEY_CODE } from './surveyDefinition';
+
+// Draft of the survey being filled in, saved on every change so an interrupted merchant (or a
+// reloaded tab) can resume where they left off. Only one draft per device: it is offered when
+// the form opens and cleared once the survey is sent or queued offline.
+const DRAFT_KEY = `encuesta-mercado-borrador-${SURVEY_CODE}`;
+
+const hasAnswers = (answers) => Object.values(answers).some((value) => (Array.isArray(value) ? value.length > 0 : value !== ''));
+
+// { answers, step, encuestaVersion, anonymous, savedAt } or null when there is nothing worth resuming
+export const loadDraft = () => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+    return draft?.answers && hasAnswers(draft.answers) ? draft : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveDraft = (answers, step, encuestaVersion, anonymous = false) => {
+  if (!hasAnswers(answers)) {
+    localStorage.removeItem(DRAFT_KEY);
+    return;
+  }
+  try {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({ answers, step, encuestaVersion, anonymous, savedAt: new Date().toISOString() }));
+  } catch (error) {
+    // Storage full or disabled (private mode): the form keeps working without drafts
+    console.warn('No se pudo guardar el borrador de la encuesta:', error);
+  }
+};
+
+export const clearDraft = () => localStorage.removeItem(DRAFT_KEY);
+
+// Answers of a draft that still fit the current definition: questions removed in a newer
+// version are dropped and new ones start empty
+export const draftAnswers = (draft, emptyDefinitionAnswers) => Object.fromEntries(
+  Object.entries(emptyDefinitionAnswers).map(([clave, empty]) => {
+    const saved = draft.answers[clave];
+    return [clave, saved !== undefined && Array.isArray(saved) === Array.isArray(empty) ? saved : empty];
+  })
+);
@@ -0,0 +1,3 @@
+// Market time zone (America/La_Paz). Dates are stored in UTC and grouped and filtered in
+// La Paz time, which has no daylight saving time: always UTC-4, as in backend/zonaHoraria.js.
+export const UTC_OFFSET_HOURS = -4;